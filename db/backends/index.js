@@ -0,0 +1,50 @@
+// db/backends/index.js
+// Auswahl des Storage-Backends für DatabaseClient (DB_BACKEND=mssql|sqlite)
+
+/**
+ * Jedes Backend liefert:
+ *   name                                  - 'mssql' | 'sqlite'
+ *   createConnection(options)             - Verbindung mit query(), transaction(), pagingClause(), ...
+ *   createMigrationRunner(connection)     - MigrationRunner für das Backend-Schema
+ *   createModules(connection, utils, scanPolicy)
+ *                                         - { audit, users, sessions, qrscans, stats, health }
+ *
+ * Backends werden erst bei Bedarf geladen, damit better-sqlite3 (natives Modul)
+ * im MSSQL-Betrieb nicht installiert sein muss.
+ */
+const BACKENDS = {
+    mssql: () => require('./mssql-backend'),
+    sqlite: () => require('./sqlite-backend')
+};
+
+const DEFAULT_BACKEND = 'mssql';
+
+/**
+ * Konfigurierten Backend-Namen ermitteln
+ * @param {string} name - Expliziter Name (überschreibt DB_BACKEND)
+ * @returns {string} - Backend-Name
+ */
+function getBackendName(name = null) {
+    const backendName = (name || process.env.DB_BACKEND || DEFAULT_BACKEND).trim().toLowerCase();
+
+    if (!BACKENDS[backendName]) {
+        throw new Error(`Unbekanntes Datenbank-Backend '${backendName}' (erlaubt: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+
+    return backendName;
+}
+
+/**
+ * Backend laden
+ * @param {string} name - Backend-Name (default: DB_BACKEND bzw. 'mssql')
+ * @returns {Object} - Backend-Beschreibung (siehe oben)
+ */
+function createBackend(name = null) {
+    return BACKENDS[getBackendName(name)]();
+}
+
+module.exports = {
+    createBackend,
+    getBackendName,
+    BACKEND_NAMES: Object.keys(BACKENDS)
+};
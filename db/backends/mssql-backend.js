@@ -0,0 +1,37 @@
+// db/backends/mssql-backend.js
+// SQL Server - Standard-Backend für den Mehrplatzbetrieb
+
+const DatabaseConnection = require('../core/db-connection');
+const MigrationRunner = require('../core/db-migrations');
+
+const UserModule = require('../modules/db-users');
+const SessionModule = require('../modules/db-sessions');
+const QRScanModule = require('../modules/db-qrscans');
+const StatsModule = require('../modules/db-stats');
+const AuditModule = require('../modules/db-audit');
+const HealthModule = require('../health/db-health');
+
+module.exports = {
+    name: 'mssql',
+
+    createConnection() {
+        return new DatabaseConnection();
+    },
+
+    createMigrationRunner(connection) {
+        return new MigrationRunner(connection);
+    },
+
+    createModules(connection, utils, scanPolicy = null) {
+        const audit = new AuditModule(connection, utils);
+
+        return {
+            audit,
+            users: new UserModule(connection, utils, audit),
+            sessions: new SessionModule(connection, utils, audit),
+            qrscans: new QRScanModule(connection, utils, audit, scanPolicy),
+            stats: new StatsModule(connection, utils),
+            health: new HealthModule(connection, utils)
+        };
+    }
+};
@@ -0,0 +1,38 @@
+// db/backends/sqlite-backend.js
+// Embedded SQLite - Einzelplatz, Entwicklung und Demos ohne SQL Server
+
+const SqliteConnection = require('./sqlite/sqlite-connection');
+const SqliteMigrationRunner = require('./sqlite/sqlite-migrations');
+
+const AuditModule = require('../modules/db-audit');
+const SqliteUserModule = require('./sqlite/sqlite-users');
+const SqliteSessionModule = require('./sqlite/sqlite-sessions');
+const SqliteQRScanModule = require('./sqlite/sqlite-qrscans');
+const SqliteStatsModule = require('./sqlite/sqlite-stats');
+const SqliteHealthModule = require('./sqlite/sqlite-health');
+
+module.exports = {
+    name: 'sqlite',
+
+    createConnection(options = {}) {
+        return new SqliteConnection({ path: options.sqlitePath });
+    },
+
+    createMigrationRunner(connection) {
+        return new SqliteMigrationRunner(connection);
+    },
+
+    createModules(connection, utils, scanPolicy = null) {
+        // AuditModule verwendet nur portables SQL
+        const audit = new AuditModule(connection, utils);
+
+        return {
+            audit,
+            users: new SqliteUserModule(connection, utils, audit),
+            sessions: new SqliteSessionModule(connection, utils, audit),
+            qrscans: new SqliteQRScanModule(connection, utils, audit, scanPolicy),
+            stats: new SqliteStatsModule(connection, utils),
+            health: new SqliteHealthModule(connection, utils)
+        };
+    }
+};
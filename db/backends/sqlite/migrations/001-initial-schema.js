@@ -0,0 +1,97 @@
+// db/backends/sqlite/migrations/001-initial-schema.js
+// Vollständiges Schema für das SQLite-Backend - entspricht db/migrations/001-005
+
+const { NOW } = require('../sqlite-sql');
+
+module.exports = {
+    version: 1,
+    name: 'initial-schema',
+
+    /**
+     * SQLite-Datenbanken entstehen immer neu, Legacy-Angleichungen (MSSQL 002) entfallen.
+     * Zeitstempel als TEXT im lokalen Format 'YYYY-MM-DD HH:MM:SS.SSS' (siehe sqlite-sql.js).
+     * Sessiontypen werden wie bei MSSQL über setupSessionTypes() angelegt.
+     * @param {Object} db - SqliteConnection
+     */
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS ScannBenutzer (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                Vorname TEXT NULL,
+                Nachname TEXT NULL,
+                BenutzerName TEXT NOT NULL,
+                Email TEXT NULL,
+                EPC INTEGER NOT NULL,
+                Department TEXT NULL,
+                xStatus INTEGER NOT NULL DEFAULT 0,
+                CreatedTS TEXT NOT NULL DEFAULT (${NOW})
+            );
+            CREATE INDEX IF NOT EXISTS IX_ScannBenutzer_EPC ON ScannBenutzer(EPC);
+
+            CREATE TABLE IF NOT EXISTS SessionTypes (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                TypeName TEXT NOT NULL UNIQUE,
+                Description TEXT,
+                IsActive INTEGER NOT NULL DEFAULT 1,
+                CreatedTS TEXT NOT NULL DEFAULT (${NOW}),
+                UpdatedTS TEXT NOT NULL DEFAULT (${NOW})
+            );
+
+            CREATE TABLE IF NOT EXISTS Sessions (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                UserID INTEGER NOT NULL REFERENCES ScannBenutzer(ID),
+                StartTS TEXT NOT NULL DEFAULT (${NOW}),
+                EndTS TEXT NULL,
+                Active INTEGER NOT NULL DEFAULT 1,
+                SessionTypeID INTEGER NULL REFERENCES SessionTypes(ID)
+            );
+            CREATE INDEX IF NOT EXISTS IX_Sessions_UserID_Active ON Sessions(UserID, Active);
+            CREATE INDEX IF NOT EXISTS IX_Sessions_StartTS ON Sessions(StartTS);
+
+            CREATE TABLE IF NOT EXISTS QrScans (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                SessionID INTEGER NOT NULL REFERENCES Sessions(ID),
+                RawPayload TEXT NOT NULL,
+                PayloadJson TEXT GENERATED ALWAYS AS (
+                    CASE WHEN json_valid(RawPayload) AND substr(ltrim(RawPayload), 1, 1) IN ('{', '[')
+                         THEN RawPayload END
+                ) VIRTUAL,
+                DecodedPayload TEXT NULL,
+                CapturedTS TEXT NOT NULL DEFAULT (${NOW}),
+                Valid INTEGER NOT NULL DEFAULT 1,
+                AuftragsNr TEXT NULL,
+                PaketNr TEXT NULL,
+                KundenID TEXT NULL,
+                DecodedFormat TEXT NULL,
+                DecodeConfidence REAL NULL,
+                VoidReason TEXT NULL,
+                VoidedByUserID INTEGER NULL,
+                VoidedTS TEXT NULL
+            );
+            CREATE INDEX IF NOT EXISTS IX_QrScans_SessionID ON QrScans(SessionID);
+            CREATE INDEX IF NOT EXISTS IX_QrScans_CapturedTS ON QrScans(CapturedTS);
+            CREATE INDEX IF NOT EXISTS IX_QrScans_AuftragsNr ON QrScans(AuftragsNr, CapturedTS);
+            CREATE INDEX IF NOT EXISTS IX_QrScans_PaketNr ON QrScans(PaketNr, CapturedTS);
+            CREATE INDEX IF NOT EXISTS IX_QrScans_KundenID ON QrScans(KundenID, CapturedTS);
+            CREATE INDEX IF NOT EXISTS IX_QrScans_DecodedFormat ON QrScans(DecodedFormat);
+
+            CREATE TABLE IF NOT EXISTS AuditLog (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                EventTS TEXT NOT NULL DEFAULT (${NOW}),
+                Workstation TEXT NOT NULL,
+                ActorUserID INTEGER NULL,
+                Action TEXT NOT NULL,
+                EntityType TEXT NOT NULL,
+                EntityID INTEGER NULL,
+                SessionID INTEGER NULL,
+                Source TEXT NULL,
+                BeforeJson TEXT NULL,
+                AfterJson TEXT NULL
+            );
+            CREATE INDEX IF NOT EXISTS IX_AuditLog_EventTS ON AuditLog(EventTS);
+            CREATE INDEX IF NOT EXISTS IX_AuditLog_Entity ON AuditLog(EntityType, EntityID, EventTS);
+            CREATE INDEX IF NOT EXISTS IX_AuditLog_SessionID ON AuditLog(SessionID, EventTS);
+            CREATE INDEX IF NOT EXISTS IX_AuditLog_ActorUserID ON AuditLog(ActorUserID, EventTS);
+        `);
+    }
+};
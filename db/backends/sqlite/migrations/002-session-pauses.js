@@ -0,0 +1,25 @@
+// db/backends/sqlite/migrations/002-session-pauses.js
+// Pausen innerhalb einer Session - entspricht db/migrations/006
+
+const { NOW } = require('../sqlite-sql');
+
+module.exports = {
+    version: 2,
+    name: 'session-pauses',
+
+    /**
+     * @param {Object} db - SqliteConnection
+     */
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS SessionPauses (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                SessionID INTEGER NOT NULL REFERENCES Sessions(ID),
+                StartTS TEXT NOT NULL DEFAULT (${NOW}),
+                EndTS TEXT NULL,
+                Reason TEXT NULL
+            );
+            CREATE INDEX IF NOT EXISTS IX_SessionPauses_SessionID ON SessionPauses(SessionID, EndTS);
+        `);
+    }
+};
@@ -0,0 +1,22 @@
+// db/backends/sqlite/migrations/003-session-end-reason.js
+// Grund für das Session-Ende - entspricht db/migrations/007
+
+module.exports = {
+    version: 3,
+    name: 'session-end-reason',
+
+    /**
+     * @param {Object} db - SqliteConnection
+     */
+    async up(db) {
+        const result = await db.query(`
+            SELECT COUNT(*) as columnCount
+            FROM pragma_table_info('Sessions')
+            WHERE name = 'EndReason'
+        `);
+
+        if (result.recordset[0].columnCount === 0) {
+            await db.exec('ALTER TABLE Sessions ADD COLUMN EndReason TEXT NULL');
+        }
+    }
+};
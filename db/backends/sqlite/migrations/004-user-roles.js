@@ -0,0 +1,22 @@
+// db/backends/sqlite/migrations/004-user-roles.js
+// Rolle je Benutzer - entspricht db/migrations/008
+
+module.exports = {
+    version: 4,
+    name: 'user-roles',
+
+    /**
+     * @param {Object} db - SqliteConnection
+     */
+    async up(db) {
+        const result = await db.query(`
+            SELECT COUNT(*) as columnCount
+            FROM pragma_table_info('ScannBenutzer')
+            WHERE name = 'Role'
+        `);
+
+        if (result.recordset[0].columnCount === 0) {
+            await db.exec("ALTER TABLE ScannBenutzer ADD COLUMN Role TEXT NOT NULL DEFAULT 'worker'");
+        }
+    }
+};
@@ -0,0 +1,38 @@
+// db/backends/sqlite/migrations/005-user-tags.js
+// Mehrere Badges je Benutzer - entspricht db/migrations/009
+
+const { NOW } = require('../sqlite-sql');
+
+module.exports = {
+    version: 5,
+    name: 'user-tags',
+
+    /**
+     * @param {Object} db - SqliteConnection
+     */
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS UserTags (
+                ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                UserID INTEGER NOT NULL REFERENCES ScannBenutzer(ID),
+                EPC INTEGER NOT NULL,
+                TagType TEXT NOT NULL DEFAULT 'personal',
+                Status TEXT NOT NULL DEFAULT 'active',
+                ValidFrom TEXT NOT NULL DEFAULT (${NOW}),
+                ValidTo TEXT NULL,
+                StatusReason TEXT NULL
+            );
+            CREATE INDEX IF NOT EXISTS IX_UserTags_EPC ON UserTags(EPC, ValidFrom);
+            CREATE INDEX IF NOT EXISTS IX_UserTags_UserID ON UserTags(UserID, Status);
+            CREATE UNIQUE INDEX IF NOT EXISTS UX_UserTags_ActiveEPC ON UserTags(EPC) WHERE Status = 'active';
+
+            INSERT INTO UserTags (UserID, EPC, TagType, Status, ValidFrom)
+            SELECT u.ID, u.EPC, 'personal', 'active',
+                   COALESCE((SELECT MIN(s.StartTS) FROM Sessions s WHERE s.UserID = u.ID), ${NOW})
+            FROM ScannBenutzer u
+            WHERE u.EPC > 0
+              AND u.ID = (SELECT MIN(d.ID) FROM ScannBenutzer d WHERE d.EPC = u.EPC)
+              AND NOT EXISTS (SELECT 1 FROM UserTags t WHERE t.EPC = u.EPC);
+        `);
+    }
+};
@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+const sql = require('mssql');
+const EventEmitter = require('events');
+require('dotenv').config();
+const SqliteMigrationRunner = require('./sqlite-migrations');
+const { NOW, formatLocalDateTime } = require('./sqlite-sql');
+const { prepareQuery, describeInputs, splitSqlSegments } = require('../../core/db-params');
+const { REQUIRED_TABLES } = require('../../constants/schema-columns');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+const DEFAULT_DATABASE_PATH = path.join(process.cwd(), 'data', 'wareneinlagerung.sqlite');
+
+/**
+ * Embedded SQLite Connection
+ * Gleiche Schnittstelle wie DatabaseConnection (query, transaction, validateTables, ...)
+ * für Entwicklung, Demos und Einzelplatz-Standorte ohne SQL Server.
+ *
+ * Parameter laufen über dieselbe API (db-params.js). Das T-SQL-Schema-Präfix "dbo." wird
+ * entfernt, damit portable Queries der MSSQL-Module unverändert laufen - alles mit
+ * T-SQL-Funktionen überschreiben die Module unter db/backends/sqlite/.
+ */
+class SqliteConnection extends EventEmitter {
+    /**
+     * @param {Object} options - { path } Datenbankdatei (default: SQLITE_PATH bzw. ./data/wareneinlagerung.sqlite)
+     */
+    constructor(options = {}) {
+        super();
+
+        this.database = null;
+        this.pool = null;
+        this.isConnected = false;
+        this.schemaStatus = null;
+
+        // Embedded: Schema wird immer beim Verbinden aktualisiert (npm run db:migrate setzt false)
+        this.autoMigrate = true;
+
+        this.config = {
+            path: options.path || process.env.SQLITE_PATH || DEFAULT_DATABASE_PATH,
+            busyTimeout: parseInt(process.env.SQLITE_BUSY_TIMEOUT) || 5000
+        };
+
+        customConsole.database('SQLite-Verbindung initialisiert:', { path: this.config.path });
+    }
+
+    async connect() {
+        if (this.isConnected && this.database) {
+            console.log('[INFO] Datenbank bereits verbunden');
+            return true;
+        }
+
+        try {
+            // Natives Modul erst hier laden - im MSSQL-Betrieb wird es nicht benötigt
+            const Database = require('better-sqlite3');
+
+            customConsole.database(`Öffne SQLite-Datenbank: ${this.config.path}`);
+
+            if (this.config.path !== ':memory:') {
+                fs.mkdirSync(path.dirname(this.config.path), { recursive: true });
+            }
+
+            this.database = new Database(this.config.path);
+            this.database.pragma('journal_mode = WAL');
+            this.database.pragma('foreign_keys = ON');
+            this.database.pragma(`busy_timeout = ${this.config.busyTimeout}`);
+
+            this.isConnected = true;
+            customConsole.success(`SQLite-Datenbank geöffnet (SQLite ${this.database.prepare('SELECT sqlite_version() as version').get().version})`);
+
+            // Tabellen validieren (inkl. Migrationen und Spalten-Drift)
+            this.schemaStatus = await this.validateTables();
+            return true;
+
+        } catch (error) {
+            customConsole.error('SQLite-Datenbank konnte nicht geöffnet werden:', error.message);
+
+            if (error.code === 'MODULE_NOT_FOUND') {
+                customConsole.error('better-sqlite3 fehlt - "npm install" ausführen oder DB_BACKEND=mssql setzen');
+            }
+
+            this.isConnected = false;
+            throw error;
+        }
+    }
+
+    async validateTables() {
+        try {
+            const existingTables = [];
+            const missingTables = [];
+
+            const migrationRunner = new SqliteMigrationRunner(this);
+            let migrations = null;
+            try {
+                migrations = await migrationRunner.run({ apply: this.autoMigrate });
+            } catch (migrationError) {
+                customConsole.error('Fehler bei Schema-Migrationen:', migrationError.message);
+                migrations = { applied: [], pending: [], error: migrationError.message, columnDrift: [] };
+            }
+
+            for (const tableName of REQUIRED_TABLES) {
+                const result = await this.query(`
+                    SELECT COUNT(*) as tableCount
+                    FROM sqlite_master
+                    WHERE type = 'table' AND name = ?
+                `, [tableName]);
+
+                if (result.recordset[0].tableCount > 0) {
+                    existingTables.push(tableName);
+
+                    const countResult = await this.query(`SELECT COUNT(*) as [record_count] FROM [${tableName}]`);
+                    customConsole.success(`Tabelle ${tableName}: ${countResult.recordset[0].record_count} Einträge`);
+                } else {
+                    missingTables.push(tableName);
+                }
+            }
+
+            if (missingTables.length > 0) {
+                customConsole.warning(`Fehlende Tabellen: ${missingTables.join(', ')}`);
+            }
+
+            return {
+                existingTables,
+                missingTables,
+                columnDrift: migrations.columnDrift || [],
+                migrations
+            };
+
+        } catch (error) {
+            customConsole.error('Fehler bei Tabellen-Validierung:', error);
+            return { existingTables: [], missingTables: [], columnDrift: [], migrations: null };
+        }
+    }
+
+    // ===== QUERY-AUSFÜHRUNG =====
+    /**
+     * SQL und Parameter für better-sqlite3 aufbereiten
+     * @param {string} queryString - SQL mit @name oder ? Platzhaltern
+     * @param {Object|Array} parameters - Benannte Parameter oder positionale Werte
+     * @returns {Object} - { text, values, inputs }
+     */
+    prepare(queryString, parameters = {}) {
+        const { text, inputs } = prepareQuery(queryString, parameters);
+
+        const sqliteText = splitSqlSegments(text)
+            .map(segment => segment.code ? segment.text.replace(/\bdbo\./gi, '') : segment.text)
+            .join('');
+
+        const values = {};
+        inputs.forEach(({ name, type, value }) => {
+            values[name] = this.toSqliteValue(type, value);
+        });
+
+        return { text: sqliteText, values, inputs };
+    }
+
+    /**
+     * Datum als lokaler Zeitstempel-String, Bit als 0/1
+     * @param {*} type - mssql-Typ aus db-params.js
+     * @param {*} value - Wert
+     * @returns {*} - Von SQLite bindbarer Wert
+     */
+    toSqliteValue(type, value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (value instanceof Date) {
+            return formatLocalDateTime(value, type === sql.Date);
+        }
+        if (typeof value === 'boolean') {
+            return value ? 1 : 0;
+        }
+        return value;
+    }
+
+    /**
+     * Einzelnes Statement ausführen - Ergebnis im mssql-Format
+     * @param {string} text - Aufbereitetes SQL
+     * @param {Object} values - Gebundene Werte
+     * @returns {Object} - { recordset, rowsAffected }
+     */
+    execute(text, values) {
+        const statement = this.database.prepare(text);
+
+        // SELECT und INSERT/UPDATE ... RETURNING liefern Zeilen
+        if (statement.reader) {
+            const rows = statement.all(values);
+            return { recordset: rows, rowsAffected: [rows.length] };
+        }
+
+        const info = statement.run(values);
+        return { recordset: [], rowsAffected: [info.changes] };
+    }
+
+    /**
+     * Query ausführen
+     * @param {string} queryString - SQL mit benannten (@name) oder positionalen (?) Platzhaltern
+     * @param {Object|Array} parameters - { name: param.int(1), ... } oder [wert, ...] (siehe db-params.js)
+     * @returns {Object} - { recordset, rowsAffected } wie bei mssql
+     */
+    async query(queryString, parameters = {}) {
+        if (!this.isConnected || !this.database) {
+            throw new Error('Datenbank nicht verbunden');
+        }
+
+        let inputs = [];
+
+        try {
+            const prepared = this.prepare(queryString, parameters);
+            inputs = prepared.inputs;
+
+            customConsole.database('Führe Query aus:', prepared.text.substring(0, 200) + (prepared.text.length > 200 ? '...' : ''));
+            if (inputs.length > 0) {
+                customConsole.info('Parameter:', describeInputs(inputs));
+            }
+
+            const result = this.execute(prepared.text, prepared.values);
+
+            customConsole.success(`Query erfolgreich. Betroffene Zeilen: ${result.rowsAffected}, Datensätze: ${result.recordset.length}`);
+
+            return result;
+
+        } catch (error) {
+            customConsole.error('Datenbank-Query-Fehler:', error.message);
+            customConsole.error('Query:', queryString.substring(0, 200));
+            customConsole.error('Parameter:', describeInputs(inputs));
+
+            if (this.isConnectionError(error)) {
+                this.markConnectionLost(error);
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Mehrere Statements ohne Parameter ausführen (DDL in Migrationen)
+     * @param {string} script - SQL-Skript
+     */
+    async exec(script) {
+        if (!this.isConnected || !this.database) {
+            throw new Error('Datenbank nicht verbunden');
+        }
+
+        this.database.exec(script);
+    }
+
+    markConnectionLost(error) {
+        if (!this.isConnected) return;
+
+        customConsole.warning('Datenbankverbindung verloren');
+        this.isConnected = false;
+        this.emit('connection-lost', error);
+    }
+
+    /**
+     * Nur eine geschlossene Datenbankdatei gilt als Verbindungsverlust - SQLITE_BUSY o.ä. nicht
+     * @param {Error} error - Fehler aus better-sqlite3
+     * @returns {boolean} - true bei Verbindungsverlust
+     */
+    isConnectionError(error) {
+        return !this.database || !this.database.open || error.code === 'SQLITE_NOTADB';
+    }
+
+    async close() {
+        if (this.database) {
+            try {
+                this.database.close();
+                this.database = null;
+                this.isConnected = false;
+                customConsole.success('SQLite-Datenbank geschlossen');
+            } catch (error) {
+                customConsole.error('Fehler beim Schließen der SQLite-Datenbank:', error);
+            }
+        }
+    }
+
+    // ===== TRANSACTION SUPPORT =====
+    /**
+     * Callback in einer Transaktion ausführen - Commit bei Erfolg, Rollback bei Fehler.
+     * SQLite hat nur eine Verbindung: andere Queries während des Callbacks laufen in derselben Transaktion.
+     * @param {Function} callback - async (tx) => ..., tx.query(sql, parameters) wie query()
+     * @returns {*} - Rückgabewert des Callbacks
+     */
+    async transaction(callback) {
+        if (!this.isConnected || !this.database) {
+            throw new Error('Datenbank nicht verbunden');
+        }
+
+        this.database.exec('BEGIN');
+
+        try {
+            const customRequest = {
+                query: async (queryString, parameters = {}) => {
+                    const { text, values } = this.prepare(queryString, parameters);
+                    return this.execute(text, values);
+                }
+            };
+
+            const result = await callback(customRequest);
+
+            this.database.exec('COMMIT');
+            return result;
+
+        } catch (error) {
+            try {
+                if (this.database.inTransaction) {
+                    this.database.exec('ROLLBACK');
+                }
+            } catch (rollbackError) {
+                customConsole.error('Fehler beim Rollback der Transaktion:', rollbackError);
+            }
+
+            throw error;
+        }
+    }
+
+    // ===== SQL-DIALEKT =====
+    /**
+     * Seitenweise Abfrage - folgt direkt auf ORDER BY
+     * @param {string} offsetName - Parametername des Offsets (ohne @)
+     * @param {string} limitName - Parametername der Seitengröße (ohne @)
+     * @returns {string} - SQL-Fragment
+     */
+    pagingClause(offsetName, limitName) {
+        return `LIMIT @${limitName} OFFSET @${offsetName}`;
+    }
+
+    // ===== STATUS & DIAGNOSTICS =====
+    getConnectionStatus() {
+        return {
+            connected: this.isConnected,
+            pool: false,
+            schema: this.schemaStatus ? {
+                version: this.schemaStatus.migrations?.currentVersion ?? null,
+                pendingMigrations: this.schemaStatus.migrations?.pending?.length || 0,
+                columnDrift: this.schemaStatus.columnDrift
+            } : null,
+            config: {
+                backend: 'sqlite',
+                path: this.config.path
+            }
+        };
+    }
+
+    async testConnection() {
+        try {
+            const result = await this.query(`SELECT ${NOW} as currentTime, sqlite_version() as version`);
+            return {
+                success: true,
+                serverTime: result.recordset[0].currentTime,
+                version: `SQLite ${result.recordset[0].version}`
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = SqliteConnection;
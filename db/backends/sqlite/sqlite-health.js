@@ -0,0 +1,166 @@
+const fs = require('fs');
+const HealthModule = require('../../health/db-health');
+const { REQUIRED_TABLES } = require('../../constants/schema-columns');
+const { NOW } = require('./sqlite-sql');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+/**
+ * Health Check and Diagnostics Module - SQLite
+ * Server-Kennzahlen (sys.*, @@VERSION) gibt es nicht - Größen kommen aus der Datenbankdatei
+ */
+class SqliteHealthModule extends HealthModule {
+    // ===== HEALTH CHECK & DIAGNOSTICS =====
+    async healthCheck() {
+        try {
+            const startTime = Date.now();
+
+            await this.db.query(`SELECT 1 as test, ${NOW} as currentTime`);
+            const connectionTime = Date.now() - startTime;
+
+            const serverInfo = await this.db.query(`
+                SELECT
+                    'SQLite ' || sqlite_version() as ServerVersion,
+                    ${NOW} as ServerTime
+            `);
+
+            const tableStats = await this.db.query(`
+                SELECT
+                        (SELECT COUNT(*) FROM ScannBenutzer WHERE xStatus = 0) as ActiveUsers,
+                        (SELECT COUNT(*) FROM Sessions) as TotalSessions,
+                        (SELECT COUNT(*) FROM Sessions WHERE Active = 1) as ActiveSessions,
+                        (SELECT COUNT(*) FROM QrScans WHERE Valid = 1) as TotalValidScans,
+                        (SELECT COUNT(*) FROM QrScans WHERE date(CapturedTS) = date(${NOW}) AND Valid = 1) as TodayScans
+            `);
+
+            return {
+                connected: true,
+                connectionTime: connectionTime,
+                server: {
+                    ...serverInfo.recordset[0],
+                    DatabaseName: this.db.config.path,
+                    ServerTime: this.utils.normalizeTimestamp(serverInfo.recordset[0].ServerTime)
+                },
+                stats: tableStats.recordset[0],
+                timestamp: new Date().toISOString(),
+                duplicateCache: {
+                    size: this.utils.duplicateCache.size,
+                    pendingScans: this.utils.pendingScans.size
+                }
+            };
+
+        } catch (error) {
+            return {
+                connected: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    async testConnection() {
+        const result = await this.db.testConnection();
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            ...result,
+            serverTime: this.utils.normalizeTimestamp(result.serverTime)
+        };
+    }
+
+    async getConnectionStatus() {
+        return {
+            connected: this.db.isConnected,
+            pool: false,
+            config: {
+                backend: 'sqlite',
+                path: this.db.config.path
+            },
+            cache: {
+                duplicates: this.utils.duplicateCache.size,
+                pending: this.utils.pendingScans.size
+            }
+        };
+    }
+
+    // ===== PERFORMANCE MONITORING =====
+    async getPerformanceStats() {
+        try {
+            const result = await this.db.query(`SELECT ${NOW} as CurrentTime, sqlite_version() as Version`);
+            const stats = result.recordset[0];
+
+            // Embedded: eine Verbindung, keine Server-Zähler
+            return {
+                TotalConnections: 1,
+                ActiveRequests: 0,
+                TotalServerMemoryMB: 0,
+                AvgQueryTimeMs: 0,
+                CurrentTime: this.utils.normalizeTimestamp(stats.CurrentTime),
+                ServerName: 'SQLite',
+                Version: `SQLite ${stats.Version}`
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Performance-Statistiken:', error);
+            return null;
+        }
+    }
+
+    async getDatabaseSize() {
+        try {
+            const fileSizeMB = (file) => fs.existsSync(file) ? fs.statSync(file).size / 1024 / 1024 : 0;
+
+            const DataSizeMB = fileSizeMB(this.db.config.path);
+            const LogSizeMB = fileSizeMB(`${this.db.config.path}-wal`);
+            const TotalSizeMB = DataSizeMB + LogSizeMB;
+
+            return {
+                DataSizeMB,
+                LogSizeMB,
+                TotalSizeMB,
+                DataSizeGB: Math.round(DataSizeMB / 1024 * 100) / 100,
+                LogSizeGB: Math.round(LogSizeMB / 1024 * 100) / 100,
+                TotalSizeGB: Math.round(TotalSizeMB / 1024 * 100) / 100
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Datenbankgröße:', error);
+            return null;
+        }
+    }
+
+    async getTableSizes() {
+        try {
+            const tables = [];
+
+            for (const tableName of REQUIRED_TABLES) {
+                const result = await this.db.query(`SELECT COUNT(*) as RowCounts FROM [${tableName}]`);
+                tables.push({
+                    TableName: tableName,
+                    SchemaName: 'main',
+                    RowCounts: result.recordset[0].RowCounts
+                });
+            }
+
+            return tables.sort((a, b) => b.RowCounts - a.RowCounts);
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Tabellengrößen:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = SqliteHealthModule;
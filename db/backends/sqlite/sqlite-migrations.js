@@ -0,0 +1,55 @@
+const path = require('path');
+const MigrationRunner = require('../../core/db-migrations');
+const { NOW } = require('./sqlite-sql');
+
+const SQLITE_MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Schema-Migrationen für das SQLite-Backend
+ * Gleicher Ablauf wie MigrationRunner, eigene Migrationen unter db/backends/sqlite/migrations/
+ * und Spalten-Drift über pragma_table_xinfo statt INFORMATION_SCHEMA
+ */
+class SqliteMigrationRunner extends MigrationRunner {
+    /**
+     * @param {Object} dbConnection - SqliteConnection
+     */
+    constructor(dbConnection) {
+        super(dbConnection, SQLITE_MIGRATIONS_DIR);
+    }
+
+    // ===== MIGRATIONS-TABELLE =====
+    async ensureMigrationsTable() {
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS SchemaMigrations (
+                Version INTEGER NOT NULL PRIMARY KEY,
+                Name TEXT NOT NULL,
+                AppliedTS TEXT NOT NULL DEFAULT (${NOW})
+            )
+        `);
+    }
+
+    async recordMigration(migration) {
+        await this.db.query(`
+            INSERT INTO SchemaMigrations (Version, Name)
+            VALUES (?, ?)
+        `, [migration.version, migration.name]);
+    }
+
+    // ===== DRIFT-PRÜFUNG =====
+    /**
+     * Vorhandene Spalten aller Tabellen (inkl. generierter Spalten wie PayloadJson)
+     * @returns {Array} - [{ TABLE_NAME, COLUMN_NAME }]
+     */
+    async getActualColumns() {
+        const result = await this.db.query(`
+            SELECT m.name as TABLE_NAME, c.name as COLUMN_NAME
+            FROM sqlite_master m
+            JOIN pragma_table_xinfo(m.name) c
+            WHERE m.type = 'table' AND m.name NOT LIKE 'sqlite_%'
+        `);
+
+        return result.recordset;
+    }
+}
+
+module.exports = SqliteMigrationRunner;
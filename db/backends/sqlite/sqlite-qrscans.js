@@ -0,0 +1,386 @@
+const QRScanModule = require('../../modules/db-qrscans');
+const { param } = require('../../core/db-params');
+const { NOW, nowMinus, secondsBetween, minutesBetween } = require('./sqlite-sql');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+/**
+ * QR-Scan Module - SQLite
+ * json_extract statt JSON_VALUE, GLOB statt LIKE-Zeichenklassen, RETURNING statt OUTPUT
+ */
+class SqliteQRScanModule extends QRScanModule {
+    // ===== SCHREIBZUGRIFFE =====
+    /**
+     * Gültige Scans desselben Inhalts im Zeitfenster zählen
+     * @param {string} payload - Roher QR-Code-Inhalt
+     * @param {number} minutes - Zeitfenster in Minuten
+     * @returns {Object} - { duplicateCount, lastScanTime }
+     */
+    async countRecentScans(payload, minutes) {
+        const result = await this.db.query(`
+            SELECT COUNT(*) as duplicateCount,
+                   MAX(CapturedTS) as lastScanTime
+            FROM QrScans
+            WHERE RawPayload = @payload
+              AND CapturedTS >= ${nowMinus('@minutes', 'minutes')}
+              AND Valid = 1
+        `, {
+            payload: param.nvarchar(payload),
+            minutes: param.int(minutes)
+        });
+
+        return result.recordset[0];
+    }
+
+    /**
+     * Letzten Scan eines Inhalts im Zeitfenster laden (auch stornierte) - Lookup der Scan-Policy
+     * @param {string} payload - Roher QR-Code-Inhalt
+     * @param {Object} criteria - { sessionId: null = alle Sessions, seconds: Zeitfenster }
+     * @returns {Object|null} - { ID, SessionID, CapturedTS, Valid, VoidReason, SecondsAgo }
+     */
+    async findLatestScan(payload, criteria = {}) {
+        const { sessionId = null, seconds } = criteria;
+
+        const result = await this.db.query(`
+            SELECT ID, SessionID, CapturedTS, Valid, VoidReason,
+                   ${secondsBetween('CapturedTS')} as SecondsAgo
+            FROM QrScans
+            WHERE RawPayload = @payload
+              AND CapturedTS >= ${nowMinus('@seconds', 'seconds')}
+              AND (@sessionId IS NULL OR SessionID = @sessionId)
+            ORDER BY CapturedTS DESC
+            LIMIT 1
+        `, {
+            payload: param.nvarchar(payload),
+            seconds: param.int(seconds),
+            sessionId: param.int(sessionId)
+        });
+
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Scan mit dekodierten Spalten einfügen (PayloadJson ist generiert und wird nie geschrieben)
+     * @param {number} sessionId - Session ID
+     * @param {string} payload - Roher QR-Code-Inhalt
+     * @param {Object} decodedData - Ergebnis von parseQRCodeData()
+     * @param {Date} capturedAt - Scan-Zeitpunkt (null = jetzt)
+     * @returns {Object} - { ID, CapturedTS }
+     */
+    async insertScan(sessionId, payload, decodedData, capturedAt = null) {
+        const result = await this.db.query(`
+            INSERT INTO QrScans (SessionID, RawPayload, Valid,
+                                 AuftragsNr, PaketNr, KundenID, DecodedFormat, DecodeConfidence,
+                                 CapturedTS)
+            VALUES (@sessionId, @payload, 1,
+                    @auftragsNr, @paketNr, @kundenId, @decodedFormat, @decodeConfidence,
+                    COALESCE(@capturedAt, ${NOW}))
+            RETURNING ID, CapturedTS
+        `, {
+            sessionId: param.int(sessionId),
+            payload: param.nvarchar(payload),
+            capturedAt: param.dateTime2(capturedAt),
+            ...this.getDecodedColumnParams(decodedData)
+        });
+
+        return result.recordset[0];
+    }
+
+    /**
+     * Gültigen Scan als storniert markieren
+     * @param {number} scanId - QR-Scan ID
+     * @param {string} reasonCode - Code aus VOID_REASONS
+     * @param {number} userId - Benutzer, der storniert
+     * @returns {Object|null} - Stornierte Zeile inkl. PreviousValid, null wenn nicht gefunden oder bereits storniert
+     */
+    async markScanVoided(scanId, reasonCode, userId) {
+        const result = await this.db.query(`
+            UPDATE QrScans
+            SET Valid = 0, VoidReason = @reasonCode, VoidedByUserID = @userId, VoidedTS = ${NOW}
+            WHERE ID = @scanId AND Valid = 1
+            RETURNING ID, SessionID, RawPayload, VoidReason, VoidedByUserID, VoidedTS, 1 as PreviousValid
+        `, {
+            reasonCode: param.nvarchar(reasonCode, 50),
+            userId: param.int(userId),
+            scanId: param.int(scanId)
+        });
+
+        return result.recordset[0] || null;
+    }
+
+    // ===== QR-SCAN RETRIEVAL METHODS =====
+    async getQRScansBySession(sessionId, limit = 50) {
+        try {
+            const result = await this.db.query(`
+                SELECT
+                    ID,
+                    SessionID,
+                    RawPayload,
+                    PayloadJson,
+                    json_extract(PayloadJson, '$.type') as PayloadType,
+                    CapturedTS,
+                    AuftragsNr,
+                    PaketNr,
+                    KundenID,
+                    DecodedFormat,
+                    Valid,
+                    VoidReason,
+                    VoidedByUserID,
+                    VoidedTS
+                FROM QrScans
+                WHERE SessionID = @sessionId
+                ORDER BY CapturedTS DESC
+                    ${limit > 0 ? 'LIMIT @limit' : ''}
+            `, {
+                sessionId: param.int(sessionId),
+                limit: param.int(limit)
+            });
+
+            return result.recordset.map(scan => ({
+                ...scan,
+                CapturedTS: this.utils.normalizeTimestamp(scan.CapturedTS),
+                ParsedPayload: this.utils.parsePayloadJson(scan.PayloadJson),
+                DecodedData: this.utils.extractDecodedData(scan.PayloadJson, scan.RawPayload),
+                FormattedTime: this.utils.formatRelativeTime(scan.CapturedTS)
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der QR-Scans:', error);
+            throw error;
+        }
+    }
+
+    async getQRScanById(scanId) {
+        try {
+            const result = await this.db.query(`
+                SELECT
+                    ID,
+                    SessionID,
+                    RawPayload,
+                    PayloadJson,
+                    json_extract(PayloadJson, '$.type') as PayloadType,
+                    CapturedTS,
+                    Valid,
+                    VoidReason,
+                    VoidedByUserID,
+                    VoidedTS
+                FROM QrScans
+                WHERE ID = @scanId
+            `, { scanId: param.int(scanId) });
+
+            if (result.recordset.length === 0) {
+                return null;
+            }
+
+            const scan = result.recordset[0];
+            return {
+                ...scan,
+                CapturedTS: this.utils.normalizeTimestamp(scan.CapturedTS),
+                ParsedPayload: this.utils.parsePayloadJson(scan.PayloadJson),
+                DecodedData: this.utils.extractDecodedData(scan.PayloadJson, scan.RawPayload),
+                FormattedTime: this.utils.formatRelativeTime(scan.CapturedTS)
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen des QR-Scans:', error);
+            throw error;
+        }
+    }
+
+    async getRecentQRScans(limit = 20) {
+        try {
+            const result = await this.db.query(`
+                SELECT
+                    q.ID,
+                    q.SessionID,
+                    q.RawPayload,
+                    q.PayloadJson,
+                    json_extract(q.PayloadJson, '$.type') as PayloadType,
+                    q.CapturedTS,
+                    q.Valid,
+                    u.BenutzerName
+                FROM QrScans q
+                         INNER JOIN Sessions s ON q.SessionID = s.ID
+                         INNER JOIN ScannBenutzer u ON s.UserID = u.ID
+                WHERE q.Valid = 1
+                ORDER BY q.CapturedTS DESC
+                LIMIT @limit
+            `, { limit: param.int(limit) });
+
+            return result.recordset.map(scan => ({
+                ...scan,
+                CapturedTS: this.utils.normalizeTimestamp(scan.CapturedTS),
+                ParsedPayload: this.utils.parsePayloadJson(scan.PayloadJson),
+                DecodedData: this.utils.extractDecodedData(scan.PayloadJson, scan.RawPayload),
+                FormattedTime: this.utils.formatRelativeTime(scan.CapturedTS)
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der letzten QR-Scans:', error);
+            throw error;
+        }
+    }
+
+    async getQrScansWithSessionType(sessionId = null, sessionTypeName = null) {
+        try {
+            let whereClause = '';
+            const params = {};
+
+            if (sessionId) {
+                whereClause = 'WHERE qr.SessionID = @sessionId';
+                params.sessionId = param.int(sessionId);
+            } else if (sessionTypeName) {
+                whereClause = 'WHERE st.TypeName = @typeName';
+                params.typeName = param.nvarchar(sessionTypeName, 100);
+            }
+
+            const result = await this.db.query(`
+                SELECT
+                    qr.ID,
+                    qr.SessionID,
+                    qr.RawPayload,
+                    qr.PayloadJson,
+                    qr.CapturedTS,
+                    s.UserID,
+                    st.TypeName as SessionTypeName,
+                    sb.Vorname,
+                    sb.Nachname,
+                    sb.BenutzerName
+                FROM QrScans qr
+                         INNER JOIN Sessions s ON qr.SessionID = s.ID
+                         LEFT JOIN SessionTypes st ON s.SessionTypeID = st.ID
+                         LEFT JOIN ScannBenutzer sb ON s.UserID = sb.ID
+                    ${whereClause}
+                ORDER BY qr.CapturedTS DESC
+            `, params);
+
+            return result.recordset.map(scan => ({
+                ...scan,
+                CapturedTS: this.utils.normalizeTimestamp(scan.CapturedTS),
+                UserFullName: `${scan.Vorname || ''} ${scan.Nachname || ''}`.trim()
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der QR-Scans:', error);
+            return [];
+        }
+    }
+
+    // ===== QR-SCAN STATISTICS =====
+    async getQRScanStats(sessionId = null) {
+        try {
+            const params = sessionId ? { sessionId: param.int(sessionId) } : {};
+
+            // Das SQLite-Schema hat die dekodierten Spalten von Anfang an - gezählt wird über sie statt über RawPayload
+            const result = await this.db.query(`
+                SELECT
+                    COUNT(*) as TotalScans,
+                    COUNT(CASE WHEN AuftragsNr <> '' OR PaketNr <> '' OR KundenID <> '' THEN 1 END) as DecodedScans,
+                    COUNT(CASE WHEN DecodedFormat = 'caret' THEN 1 END) as CaretSeparated,
+                    COUNT(CASE WHEN DecodedFormat = 'star' THEN 1 END) as StarSeparated,
+                    COUNT(CASE WHEN AuftragsNr <> '' THEN 1 END) as ScansWithAuftrag,
+                    COUNT(CASE WHEN PaketNr <> '' THEN 1 END) as ScansWithPaket,
+                    COUNT(CASE WHEN KundenID <> '' OR DecodedFormat = 'kundenname_text' THEN 1 END) as ScansWithKunde,
+                    COUNT(CASE WHEN RawPayload LIKE 'http%' THEN 1 END) as URLs,
+                    COUNT(CASE WHEN RawPayload NOT LIKE '%^%' AND RawPayload NOT LIKE 'http%' AND LENGTH(RawPayload) < 50 THEN 1 END) as TextCodes,
+                    MIN(CapturedTS) as FirstScan,
+                    MAX(CapturedTS) as LastScan
+                FROM QrScans
+                WHERE Valid = 1 ${sessionId ? 'AND SessionID = @sessionId' : ''}
+            `, params);
+
+            const stats = result.recordset[0];
+            const decodedScans = stats.DecodedScans || 0;
+
+            return {
+                TotalScans: stats.TotalScans || 0,
+                DecodedScans: decodedScans,
+                ScansWithAuftrag: stats.ScansWithAuftrag || 0,
+                ScansWithPaket: stats.ScansWithPaket || 0,
+                ScansWithKunde: stats.ScansWithKunde || 0,
+                CaretSeparated: stats.CaretSeparated || 0,
+                StarSeparated: stats.StarSeparated || 0,
+                Alphanumeric: 0,
+                Barcodes: 0,
+                URLs: stats.URLs || 0,
+                TextCodes: stats.TextCodes || 0,
+                FirstScan: stats.FirstScan ? this.utils.normalizeTimestamp(stats.FirstScan) : null,
+                LastScan: stats.LastScan ? this.utils.normalizeTimestamp(stats.LastScan) : null,
+                DecodingSuccessRate: stats.TotalScans > 0 ? Math.round((decodedScans / stats.TotalScans) * 100) : 0
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der QR-Scan-Statistiken:', error);
+
+            return {
+                TotalScans: 0,
+                DecodedScans: 0,
+                ScansWithAuftrag: 0,
+                ScansWithPaket: 0,
+                ScansWithKunde: 0,
+                CaretSeparated: 0,
+                StarSeparated: 0,
+                Alphanumeric: 0,
+                Barcodes: 0,
+                URLs: 0,
+                TextCodes: 0,
+                FirstScan: null,
+                LastScan: null,
+                DecodingSuccessRate: 0
+            };
+        }
+    }
+
+    // ===== DUPLICATE CHECKING =====
+    async checkForDuplicates(rawPayload, sessionId, minutesBack = null) {
+        try {
+            const result = await this.db.query(`
+                SELECT
+                    ID,
+                    SessionID,
+                    RawPayload,
+                    PayloadJson,
+                    CapturedTS,
+                    ${minutesBetween('CapturedTS')} as MinutesAgo
+                FROM QrScans
+                WHERE RawPayload = @payload
+                  AND CapturedTS > ${nowMinus('@minutes', 'minutes')}
+                  AND SessionID = @sessionId
+                ORDER BY CapturedTS DESC
+                LIMIT 1
+            `, {
+                payload: param.nvarchar(rawPayload),
+                minutes: param.int(minutesBack ?? this.getDuplicateWindowMinutes()),
+                sessionId: param.int(sessionId)
+            });
+
+            if (result.recordset.length > 0) {
+                const duplicate = result.recordset[0];
+                return {
+                    isDuplicate: true,
+                    previousScan: {
+                        ...duplicate,
+                        CapturedTS: this.utils.normalizeTimestamp(duplicate.CapturedTS),
+                        ParsedPayload: this.utils.parsePayloadJson(duplicate.PayloadJson),
+                        DecodedData: this.utils.extractDecodedData(duplicate.PayloadJson, duplicate.RawPayload)
+                    }
+                };
+            }
+
+            return { isDuplicate: false };
+        } catch (error) {
+            customConsole.error('Fehler bei Duplikat-Prüfung:', error);
+            return { isDuplicate: false };
+        }
+    }
+}
+
+module.exports = SqliteQRScanModule;
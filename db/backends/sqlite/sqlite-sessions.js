@@ -0,0 +1,415 @@
+const SessionModule = require('../../modules/db-sessions');
+const { param } = require('../../core/db-params');
+const { insertDefaultSessionTypes } = require('../../constants/session-types');
+const { NOW, secondsBetween, pauseTotalsJoin } = require('./sqlite-sql');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+/**
+ * Session Management Module - SQLite
+ * Schreibzugriffe ohne OUTPUT (Vorher-Werte per SELECT, Nachher-Werte per RETURNING)
+ * und Dauer-Berechnungen über julianday() statt DATEDIFF
+ */
+class SqliteSessionModule extends SessionModule {
+    // ===== SCHREIBZUGRIFFE =====
+    /**
+     * Aktive Sessions beenden
+     * @param {Object} filter - { sessionId, userId } - ohne Filter werden alle aktiven Sessions beendet
+     * @param {Date} endedAt - Endzeit (null = jetzt)
+     * @returns {Array} - [{ before, after }] pro beendeter Session
+     */
+    async markSessionsEnded(filter = {}, endedAt = null, endReason = null) {
+        const conditions = ['Active = 1'];
+        const params = {};
+
+        if (filter.sessionId) {
+            conditions.push('ID = @sessionId');
+            params.sessionId = param.int(filter.sessionId);
+        }
+
+        if (filter.userId) {
+            conditions.push('UserID = @userId');
+            params.userId = param.int(filter.userId);
+        }
+
+        const beforeResult = await this.db.query(`
+            SELECT ID, UserID, EndTS, Active, EndReason
+            FROM Sessions
+            WHERE ${conditions.join(' AND ')}
+        `, params);
+
+        if (beforeResult.recordset.length === 0) {
+            return [];
+        }
+
+        const result = await this.db.query(`
+            UPDATE Sessions
+            SET EndTS = COALESCE(@endedAt, ${NOW}), Active = 0, EndReason = @endReason
+            WHERE ID IN (@ids) AND Active = 1
+            RETURNING ID, UserID, EndTS, Active, EndReason
+        `, {
+            endedAt: param.dateTime2(endedAt),
+            endReason: param.nvarchar(endReason, 50),
+            ids: param.list(beforeResult.recordset.map(row => row.ID), param.int)
+        });
+
+        await this.markPausesOfEndedSessionsEnded();
+
+        const beforeById = new Map(beforeResult.recordset.map(row => [row.ID, row]));
+        return result.recordset.map(row => ({
+            before: beforeById.get(row.ID),
+            after: row
+        }));
+    }
+
+    /**
+     * Neue aktive Session anlegen
+     * @param {number} userId - Benutzer-ID
+     * @param {number} sessionTypeId - SessionType ID
+     * @param {Date} startedAt - Startzeit (null = jetzt)
+     * @returns {Object|null} - { ID, UserID, StartTS, Active, SessionTypeID }
+     */
+    async insertSession(userId, sessionTypeId, startedAt = null) {
+        const result = await this.db.query(`
+            INSERT INTO Sessions (UserID, StartTS, Active, SessionTypeID)
+            VALUES (@userId, COALESCE(@startedAt, ${NOW}), 1, @sessionTypeId)
+            RETURNING ID, UserID, StartTS, Active, SessionTypeID
+        `, {
+            userId: param.int(userId),
+            startedAt: param.dateTime2(startedAt),
+            sessionTypeId: param.int(sessionTypeId)
+        });
+
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * StartTS einer aktiven Session auf jetzt setzen
+     * @param {number} sessionId - Session ID
+     * @param {number|null} userId - Nur wenn die Session diesem Benutzer gehört (null = ohne Prüfung)
+     * @returns {Object|null} - { before, after } oder null wenn nicht gefunden/nicht aktiv
+     */
+    async markSessionRestarted(sessionId, userId = null) {
+        const params = {
+            sessionId: param.int(sessionId),
+            userId: param.int(userId)
+        };
+        const condition = 'ID = @sessionId AND (@userId IS NULL OR UserID = @userId) AND Active = 1';
+
+        const beforeResult = await this.db.query(`
+            SELECT ID, UserID, StartTS FROM Sessions WHERE ${condition}
+        `, params);
+
+        if (beforeResult.recordset.length === 0) {
+            return null;
+        }
+
+        const result = await this.db.query(`
+            UPDATE Sessions
+            SET StartTS = ${NOW}
+            WHERE ${condition}
+            RETURNING ID, UserID, StartTS
+        `, params);
+
+        if (result.recordset.length === 0) {
+            return null;
+        }
+
+        return {
+            before: beforeResult.recordset[0],
+            after: result.recordset[0]
+        };
+    }
+
+    async insertPause(sessionId, startedAt = null, reason = null) {
+        const result = await this.db.query(`
+            INSERT INTO SessionPauses (SessionID, StartTS, Reason)
+            SELECT s.ID, COALESCE(@startedAt, ${NOW}), @reason
+            FROM Sessions s
+            WHERE s.ID = @sessionId AND s.Active = 1
+              AND NOT EXISTS (SELECT 1 FROM SessionPauses p WHERE p.SessionID = s.ID AND p.EndTS IS NULL)
+            RETURNING ID, SessionID, StartTS, EndTS, Reason
+        `, {
+            sessionId: param.int(sessionId),
+            startedAt: param.dateTime2(startedAt),
+            reason: param.nvarchar(reason, 100)
+        });
+
+        return result.recordset[0] || null;
+    }
+
+    async markPauseEnded(sessionId, endedAt = null) {
+        const result = await this.db.query(`
+            UPDATE SessionPauses
+            SET EndTS = COALESCE(@endedAt, ${NOW})
+            WHERE SessionID = @sessionId AND EndTS IS NULL
+            RETURNING ID, SessionID, StartTS, EndTS, Reason
+        `, {
+            sessionId: param.int(sessionId),
+            endedAt: param.dateTime2(endedAt)
+        });
+
+        return result.recordset[0] || null;
+    }
+
+    // ===== ABFRAGEN MIT DAUER =====
+    getPauseTotalsJoin(sessionAlias = 's') {
+        return pauseTotalsJoin(sessionAlias);
+    }
+
+    async getSessionWithType(sessionId) {
+        try {
+            const result = await this.db.query(`
+                SELECT
+                    s.ID,
+                    s.UserID,
+                    s.StartTS,
+                    s.EndTS,
+                    s.Active,
+                    s.SessionTypeID,
+                    st.TypeName as SessionTypeName,
+                    st.Description as SessionTypeDescription,
+                    ${secondsBetween('s.StartTS', `COALESCE(s.EndTS, ${NOW})`)} as DurationSeconds,
+                    COALESCE(sp.PausedSeconds, 0) as PausedSeconds,
+                    sp.PausedSince
+                FROM Sessions s
+                         LEFT JOIN SessionTypes st ON s.SessionTypeID = st.ID
+                         ${this.getPauseTotalsJoin('s')}
+                WHERE s.ID = @sessionId
+            `, { sessionId: param.int(sessionId) });
+
+            if (result.recordset.length > 0) {
+                return this.normalizeSessionRow(result.recordset[0]);
+            }
+            return null;
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Session:', error);
+            return null;
+        }
+    }
+
+    async getActiveSessionsWithType() {
+        try {
+            const result = await this.db.query(`
+                SELECT
+                    s.ID,
+                    s.UserID,
+                    s.StartTS,
+                    s.SessionTypeID,
+                    st.TypeName as SessionTypeName,
+                    st.Description as SessionTypeDescription,
+                    sb.Vorname,
+                    sb.Nachname,
+                    sb.BenutzerName,
+                    sb.Role as UserRole,
+                    ${secondsBetween('s.StartTS')} as DurationSeconds,
+                    COALESCE(sp.PausedSeconds, 0) as PausedSeconds,
+                    sp.PausedSince,
+                    (SELECT COUNT(*) FROM QrScans qr WHERE qr.SessionID = s.ID AND qr.Valid = 1) as ScanCount,
+                    (SELECT MAX(qr.CapturedTS) FROM QrScans qr WHERE qr.SessionID = s.ID AND qr.Valid = 1) as LastScanTS
+                FROM Sessions s
+                         LEFT JOIN SessionTypes st ON s.SessionTypeID = st.ID
+                         LEFT JOIN ScannBenutzer sb ON s.UserID = sb.ID
+                         ${this.getPauseTotalsJoin('s')}
+                WHERE s.Active = 1
+                ORDER BY s.StartTS ASC
+            `);
+
+            return result.recordset.map(session => ({
+                ...this.normalizeSessionRow(session),
+                FullName: `${session.Vorname || ''} ${session.Nachname || ''}`.trim(),
+                LastScanTS: session.LastScanTS ? this.utils.normalizeTimestamp(session.LastScanTS) : null
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen aktiver Sessions:', error);
+            return [];
+        }
+    }
+
+    async getActiveSession(userId) {
+        try {
+            const result = await this.db.query(`
+                SELECT ID, StartTS,
+                       ${secondsBetween('StartTS')} as DurationSeconds
+                FROM Sessions
+                WHERE UserID = @userId AND Active = 1
+            `, { userId: param.int(userId) });
+
+            if (result.recordset.length > 0) {
+                const session = result.recordset[0];
+                return {
+                    ...session,
+                    StartTS: this.utils.normalizeTimestamp(session.StartTS)
+                };
+            }
+
+            return null;
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der aktiven Session:', error);
+            return null;
+        }
+    }
+
+    async getSessionDuration(sessionId) {
+        try {
+            const result = await this.db.query(`
+                SELECT
+                    s.ID,
+                    s.StartTS,
+                    s.EndTS,
+                    s.Active,
+                    ${secondsBetween('s.StartTS', `COALESCE(s.EndTS, ${NOW})`)} as DurationSeconds,
+                    COALESCE(sp.PausedSeconds, 0) as PausedSeconds,
+                    sp.PausedSince
+                FROM Sessions s
+                         ${this.getPauseTotalsJoin('s')}
+                WHERE s.ID = @sessionId
+            `, { sessionId: param.int(sessionId) });
+
+            if (result.recordset.length === 0) {
+                return null;
+            }
+
+            return this.toSessionDuration(result.recordset[0]);
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Session-Dauer:', error);
+            return null;
+        }
+    }
+
+    async getLastSessionTypeName(userId) {
+        try {
+            const result = await this.db.query(`
+                SELECT st.TypeName
+                FROM Sessions s
+                INNER JOIN SessionTypes st ON s.SessionTypeID = st.ID
+                WHERE s.UserID = @userId
+                ORDER BY s.StartTS DESC, s.ID DESC
+                LIMIT 1
+            `, { userId: param.int(userId) });
+
+            return result.recordset.length > 0 ? result.recordset[0].TypeName : null;
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen des letzten SessionTypes:', error);
+            return null;
+        }
+    }
+
+    async getSessionTypeStats(startDate = null, endDate = null) {
+        try {
+            let whereClause = '';
+            const params = {};
+
+            if (startDate && endDate) {
+                whereClause = 'AND s.StartTS >= @startDate AND s.StartTS <= @endDate';
+                params.startDate = param.dateTime2(startDate);
+                params.endDate = param.dateTime2(endDate);
+            }
+
+            const result = await this.db.query(`
+                SELECT
+                    st.TypeName,
+                    st.Description,
+                    COUNT(s.ID) as TotalSessions,
+                    COUNT(CASE WHEN s.Active = 1 THEN 1 END) as ActiveSessions,
+                    AVG(CASE WHEN s.EndTS IS NOT NULL
+                                 THEN ${secondsBetween('s.StartTS', 's.EndTS')}
+                             ELSE NULL END) as AvgDurationSeconds,
+                    SUM(CASE WHEN s.EndTS IS NOT NULL
+                                 THEN ${secondsBetween('s.StartTS', 's.EndTS')}
+                             ELSE 0 END) as TotalDurationSeconds,
+                    AVG(CASE WHEN s.EndTS IS NOT NULL
+                                 THEN ${secondsBetween('s.StartTS', 's.EndTS')} - COALESCE(sp.PausedSeconds, 0)
+                             ELSE NULL END) as AvgNetDurationSeconds,
+                    SUM(CASE WHEN s.EndTS IS NOT NULL
+                                 THEN ${secondsBetween('s.StartTS', 's.EndTS')} - COALESCE(sp.PausedSeconds, 0)
+                             ELSE 0 END) as TotalNetDurationSeconds
+                FROM SessionTypes st
+                         LEFT JOIN Sessions s ON st.ID = s.SessionTypeID ${whereClause}
+                         ${this.getPauseTotalsJoin('s')}
+                GROUP BY st.ID, st.TypeName, st.Description
+                ORDER BY TotalSessions DESC
+            `, params);
+
+            return result.recordset.map(stat => this.withNetDurationStats(stat));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der SessionType-Statistiken:', error);
+            return [];
+        }
+    }
+
+    async getSessionDetails(sessionId) {
+        try {
+            const result = await this.db.query(`
+                SELECT
+                    s.ID,
+                    s.UserID,
+                    s.StartTS,
+                    s.EndTS,
+                    s.Active,
+                    s.SessionTypeID,
+                    st.TypeName as SessionTypeName,
+                    st.Description as SessionTypeDescription,
+                    u.BenutzerName as UserName,
+                    u.Vorname,
+                    u.Nachname,
+                    ${secondsBetween('s.StartTS', `COALESCE(s.EndTS, ${NOW})`)} as DurationSeconds,
+                    COALESCE(sp.PausedSeconds, 0) as PausedSeconds,
+                    sp.PausedSince,
+                    COUNT(CASE WHEN qr.Valid = 1 THEN 1 END) as TotalScans,
+                    COUNT(CASE WHEN qr.Valid = 1 AND qr.DecodedPayload IS NOT NULL AND qr.DecodedPayload != '{}' THEN 1 END) as ValidScans,
+                    COUNT(CASE WHEN qr.Valid = 0 THEN 1 END) as VoidedScans,
+                    MAX(qr.CapturedTS) as LastScanTime
+                FROM Sessions s
+                LEFT JOIN SessionTypes st ON s.SessionTypeID = st.ID
+                LEFT JOIN ScannBenutzer u ON s.UserID = u.ID
+                LEFT JOIN QrScans qr ON s.ID = qr.SessionID
+                ${this.getPauseTotalsJoin('s')}
+                WHERE s.ID = @sessionId
+                GROUP BY s.ID, s.UserID, s.StartTS, s.EndTS, s.Active, s.SessionTypeID,
+                         st.TypeName, st.Description, u.BenutzerName, u.Vorname, u.Nachname,
+                         sp.PausedSeconds, sp.PausedSince
+            `, { sessionId: param.int(sessionId) });
+
+            if (result.recordset.length === 0) {
+                return null;
+            }
+
+            const session = this.normalizeSessionRow(result.recordset[0]);
+            return {
+                ...session,
+                LastScanTime: session.LastScanTime ? this.utils.normalizeTimestamp(session.LastScanTime) : null,
+                FullName: `${session.Vorname || ''} ${session.Nachname || ''}`.trim(),
+                FormattedDuration: this.utils.formatSessionDuration(session.DurationSeconds),
+                FormattedNetDuration: this.utils.formatSessionDuration(session.NetDurationSeconds)
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Session-Details:', error);
+            return null;
+        }
+    }
+
+    // ===== SESSIONTYPE SETUP =====
+    /**
+     * Standard-SessionTypes anlegen - die Tabelle selbst legt Migration 001 an
+     * @returns {boolean} - Success
+     */
+    async setupSessionTypes() {
+        return await insertDefaultSessionTypes(this.db);
+    }
+}
+
+module.exports = SqliteSessionModule;
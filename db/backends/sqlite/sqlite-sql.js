@@ -0,0 +1,80 @@
+// db/backends/sqlite/sqlite-sql.js
+// SQL-Bausteine für SQLite als Ersatz für SYSDATETIME(), DATEADD() und DATEDIFF()
+
+/**
+ * Zeitstempel werden als lokale Zeit im Format 'YYYY-MM-DD HH:MM:SS.SSS' gespeichert
+ * (wie DATETIME2 mit useUTC=false). Das Format ist lexikografisch sortierbar, Vergleiche
+ * mit Parametern funktionieren daher ohne Umrechnung.
+ */
+const NOW = "strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')";
+
+/**
+ * Jetzt minus Zeitspanne - entspricht DATEADD(unit, -amount, SYSDATETIME())
+ * @param {string} amount - SQL-Ausdruck für die Anzahl (z.B. '@hours')
+ * @param {string} unit - 'minutes' | 'hours' | 'days'
+ * @returns {string} - SQL-Ausdruck
+ */
+function nowMinus(amount, unit) {
+    return `strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime', '-' || (${amount}) || ' ${unit}')`;
+}
+
+/**
+ * Sekunden zwischen zwei Zeitstempeln - entspricht DATEDIFF(SECOND, from, to)
+ * @param {string} from - SQL-Ausdruck
+ * @param {string} to - SQL-Ausdruck (default: jetzt)
+ * @returns {string} - SQL-Ausdruck
+ */
+function secondsBetween(from, to = NOW) {
+    return `CAST(ROUND((julianday(${to}) - julianday(${from})) * 86400) AS INTEGER)`;
+}
+
+/**
+ * Ganze Minuten zwischen zwei Zeitstempeln - entspricht DATEDIFF(MINUTE, from, to)
+ * @param {string} from - SQL-Ausdruck
+ * @param {string} to - SQL-Ausdruck (default: jetzt)
+ * @returns {string} - SQL-Ausdruck
+ */
+function minutesBetween(from, to = NOW) {
+    return `CAST((julianday(${to}) - julianday(${from})) * 1440 AS INTEGER)`;
+}
+
+/**
+ * Pausen je Session als LEFT JOIN mit Alias "sp" - entspricht pauseTotalsJoin() in db-sessions.js
+ * @param {string} sessionAlias - Alias der Sessions-Tabelle
+ * @returns {string} - SQL-Fragment (sp.PausedSeconds, sp.PausedSince)
+ */
+function pauseTotalsJoin(sessionAlias = 's') {
+    return `LEFT JOIN (
+                SELECT SessionID,
+                       SUM(${secondsBetween('StartTS', `COALESCE(EndTS, ${NOW})`)}) as PausedSeconds,
+                       MAX(CASE WHEN EndTS IS NULL THEN StartTS END) as PausedSince
+                FROM SessionPauses
+                GROUP BY SessionID
+            ) sp ON sp.SessionID = ${sessionAlias}.ID`;
+}
+
+/**
+ * JS-Date als lokale Zeit im Speicherformat
+ * @param {Date} date - Zeitpunkt
+ * @param {boolean} dateOnly - Nur 'YYYY-MM-DD' (für DATE-Parameter)
+ * @returns {string} - Zeitstempel
+ */
+function formatLocalDateTime(date, dateOnly = false) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+    if (dateOnly) {
+        return day;
+    }
+
+    return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+module.exports = {
+    NOW,
+    nowMinus,
+    secondsBetween,
+    minutesBetween,
+    pauseTotalsJoin,
+    formatLocalDateTime
+};
@@ -0,0 +1,487 @@
+const StatsModule = require('../../modules/db-stats');
+const { param } = require('../../core/db-params');
+const { NOW, nowMinus, secondsBetween, minutesBetween, pauseTotalsJoin } = require('./sqlite-sql');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+/**
+ * Statistics Module - SQLite
+ * Datums-Arithmetik über strftime()/julianday(), Rückgabeformate wie StatsModule
+ */
+class SqliteStatsModule extends StatsModule {
+    getPauseTotalsJoin(sessionAlias = 's') {
+        return pauseTotalsJoin(sessionAlias);
+    }
+
+    // ===== DAILY STATISTICS =====
+    async getDailyStats(date = null) {
+        try {
+            const targetDate = date || new Date().toISOString().split('T')[0];
+
+            const result = await this.db.query(`
+                SELECT
+                        (SELECT COUNT(*) FROM Sessions WHERE date(StartTS) = @date) as TotalSessions,
+                        (SELECT COUNT(*) FROM QrScans WHERE date(CapturedTS) = @date AND Valid = 1) as TotalScans,
+                        (SELECT COUNT(DISTINCT s.UserID) FROM Sessions s WHERE date(s.StartTS) = @date) as UniqueUsers,
+                        (SELECT AVG((julianday(COALESCE(EndTS, ${NOW})) - julianday(StartTS)) * 1440)
+                         FROM Sessions WHERE date(StartTS) = @date) as AvgSessionMinutes,
+                        (SELECT AVG(${secondsBetween('s.StartTS', `COALESCE(s.EndTS, ${NOW})`)} - COALESCE(sp.PausedSeconds, 0)) / 60.0
+                         FROM Sessions s ${this.getPauseTotalsJoin('s')}
+                         WHERE date(s.StartTS) = @date) as AvgNetSessionMinutes
+            `, { date: param.date(targetDate) });
+
+            return result.recordset.length > 0 ? result.recordset[0] : null;
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Tagesstatistiken:', error);
+            return null;
+        }
+    }
+
+    // ===== RECENT ACTIVITY =====
+    async getRecentActivity(hours = 8) {
+        try {
+            const since = nowMinus('@hours', 'hours');
+
+            const result = await this.db.query(`
+                SELECT
+                    'session' as EventType,
+                    s.StartTS as EventTime,
+                    u.BenutzerName as UserName,
+                    'Login' as Action,
+                    NULL as Details
+                FROM Sessions s
+                    INNER JOIN ScannBenutzer u ON s.UserID = u.ID
+                WHERE s.StartTS >= ${since}
+
+                UNION ALL
+
+                SELECT
+                    'session' as EventType,
+                    s.EndTS as EventTime,
+                    u.BenutzerName as UserName,
+                    'Logout' as Action,
+                    ${minutesBetween('s.StartTS', 's.EndTS')} || ' min' as Details
+                FROM Sessions s
+                    INNER JOIN ScannBenutzer u ON s.UserID = u.ID
+                WHERE s.EndTS >= ${since}
+                  AND s.EndTS IS NOT NULL
+
+                UNION ALL
+
+                SELECT
+                    'qr_scan' as EventType,
+                    q.CapturedTS as EventTime,
+                    u.BenutzerName as UserName,
+                    'QR-Scan' as Action,
+                    substr(q.RawPayload, 1, 50) as Details
+                FROM QrScans q
+                    INNER JOIN Sessions s ON q.SessionID = s.ID
+                    INNER JOIN ScannBenutzer u ON s.UserID = u.ID
+                WHERE q.CapturedTS >= ${since}
+                  AND q.Valid = 1
+
+                ORDER BY EventTime DESC
+            `, { hours: param.int(hours) });
+
+            return result.recordset.map(activity => ({
+                ...activity,
+                EventTime: this.utils.normalizeTimestamp(activity.EventTime)
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der letzten Aktivitäten:', error);
+            return [];
+        }
+    }
+
+    // ===== USER STATISTICS =====
+    async getUserStats(userId = null, startDate = null, endDate = null) {
+        try {
+            let joinFilter = '';
+            const params = {};
+
+            if (userId) {
+                joinFilter += ' AND s.UserID = @userId';
+                params.userId = param.int(userId);
+            }
+
+            if (startDate && endDate) {
+                joinFilter += ' AND s.StartTS >= @startDate AND s.StartTS <= @endDate';
+                params.startDate = param.dateTime2(startDate);
+                params.endDate = param.dateTime2(endDate);
+            }
+
+            const result = await this.db.query(`
+                SELECT
+                    u.ID as UserID,
+                    u.BenutzerName,
+                    u.Vorname,
+                    u.Nachname,
+                    COUNT(s.ID) as TotalSessions,
+                    COUNT(CASE WHEN s.Active = 1 THEN 1 END) as ActiveSessions,
+                    AVG(CASE WHEN s.EndTS IS NOT NULL
+                        THEN ${minutesBetween('s.StartTS', 's.EndTS')}
+                        ELSE NULL END) as AvgSessionMinutes,
+                    SUM(CASE WHEN s.EndTS IS NOT NULL
+                        THEN ${minutesBetween('s.StartTS', 's.EndTS')}
+                        ELSE 0 END) as TotalSessionMinutes,
+                    AVG(CASE WHEN s.EndTS IS NOT NULL
+                        THEN ${secondsBetween('s.StartTS', 's.EndTS')} - COALESCE(sp.PausedSeconds, 0)
+                        ELSE NULL END) / 60.0 as AvgNetSessionMinutes,
+                    SUM(CASE WHEN s.EndTS IS NOT NULL
+                        THEN ${secondsBetween('s.StartTS', 's.EndTS')} - COALESCE(sp.PausedSeconds, 0)
+                        ELSE 0 END) / 60.0 as TotalNetSessionMinutes,
+                    (SELECT COUNT(*) FROM QrScans q
+                     INNER JOIN Sessions s2 ON q.SessionID = s2.ID
+                     WHERE s2.UserID = u.ID AND q.Valid = 1
+                     ${startDate && endDate ? 'AND q.CapturedTS >= @startDate AND q.CapturedTS <= @endDate' : ''}) as TotalScans,
+                    MIN(s.StartTS) as FirstSession,
+                    MAX(s.StartTS) as LastSession
+                FROM ScannBenutzer u
+                LEFT JOIN Sessions s ON u.ID = s.UserID${joinFilter}
+                ${this.getPauseTotalsJoin('s')}
+                WHERE u.xStatus = 0
+                GROUP BY u.ID, u.BenutzerName, u.Vorname, u.Nachname
+                ORDER BY TotalSessions DESC
+            `, params);
+
+            return result.recordset.map(user => ({
+                ...user,
+                FullName: `${user.Vorname || ''} ${user.Nachname || ''}`.trim(),
+                FirstSession: user.FirstSession ? this.utils.normalizeTimestamp(user.FirstSession) : null,
+                LastSession: user.LastSession ? this.utils.normalizeTimestamp(user.LastSession) : null,
+                AvgSessionHours: user.AvgSessionMinutes ? Math.round(user.AvgSessionMinutes / 60 * 100) / 100 : 0,
+                TotalSessionHours: Math.round(user.TotalSessionMinutes / 60 * 100) / 100,
+                AvgNetSessionHours: user.AvgNetSessionMinutes ? Math.round(user.AvgNetSessionMinutes / 60 * 100) / 100 : 0,
+                TotalNetSessionHours: Math.round(user.TotalNetSessionMinutes / 60 * 100) / 100
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Benutzer-Statistiken:', error);
+            return [];
+        }
+    }
+
+    // ===== SESSION TYPE STATISTICS =====
+    async getSessionTypeStats(startDate = null, endDate = null) {
+        try {
+            let whereClause = '';
+            const params = {};
+
+            if (startDate && endDate) {
+                whereClause = 'AND s.StartTS >= @startDate AND s.StartTS <= @endDate';
+                params.startDate = param.dateTime2(startDate);
+                params.endDate = param.dateTime2(endDate);
+            }
+
+            const result = await this.db.query(`
+                SELECT
+                    st.TypeName,
+                    st.Description,
+                    COUNT(s.ID) as TotalSessions,
+                    COUNT(CASE WHEN s.Active = 1 THEN 1 END) as ActiveSessions,
+                    AVG(CASE WHEN s.EndTS IS NOT NULL
+                                 THEN ${secondsBetween('s.StartTS', 's.EndTS')}
+                             ELSE NULL END) as AvgDurationSeconds,
+                    SUM(CASE WHEN s.EndTS IS NOT NULL
+                                 THEN ${secondsBetween('s.StartTS', 's.EndTS')}
+                             ELSE 0 END) as TotalDurationSeconds,
+                    AVG(CASE WHEN s.EndTS IS NOT NULL
+                                 THEN ${secondsBetween('s.StartTS', 's.EndTS')} - COALESCE(sp.PausedSeconds, 0)
+                             ELSE NULL END) as AvgNetDurationSeconds,
+                    SUM(CASE WHEN s.EndTS IS NOT NULL
+                                 THEN ${secondsBetween('s.StartTS', 's.EndTS')} - COALESCE(sp.PausedSeconds, 0)
+                             ELSE 0 END) as TotalNetDurationSeconds,
+                    (SELECT COUNT(*) FROM QrScans q
+                     INNER JOIN Sessions s2 ON q.SessionID = s2.ID
+                     WHERE s2.SessionTypeID = st.ID AND q.Valid = 1
+                     ${startDate && endDate ? 'AND q.CapturedTS >= @startDate AND q.CapturedTS <= @endDate' : ''}) as TotalScans
+                FROM SessionTypes st
+                         LEFT JOIN Sessions s ON st.ID = s.SessionTypeID ${whereClause}
+                         ${this.getPauseTotalsJoin('s')}
+                GROUP BY st.ID, st.TypeName, st.Description
+                ORDER BY TotalSessions DESC
+            `, params);
+
+            return result.recordset.map(stat => ({
+                ...stat,
+                AvgDurationMinutes: stat.AvgDurationSeconds ? Math.round(stat.AvgDurationSeconds / 60) : 0,
+                TotalDurationHours: Math.round(stat.TotalDurationSeconds / 3600 * 100) / 100,
+                AvgNetDurationMinutes: stat.AvgNetDurationSeconds ? Math.round(stat.AvgNetDurationSeconds / 60) : 0,
+                TotalNetDurationHours: Math.round(stat.TotalNetDurationSeconds / 3600 * 100) / 100,
+                ScansPerSession: stat.TotalSessions > 0 ? Math.round(stat.TotalScans / stat.TotalSessions * 100) / 100 : 0
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der SessionType-Statistiken:', error);
+            return [];
+        }
+    }
+
+    // ===== TIME-BASED ANALYTICS =====
+    async getHourlyActivity(date = null, filters = {}) {
+        try {
+            const targetDate = date || new Date().toISOString().split('T')[0];
+
+            const result = await this.db.query(`
+                SELECT
+                    CAST(strftime('%H', q.CapturedTS) AS INTEGER) as Hour,
+                    COUNT(*) as ScanCount,
+                    COUNT(DISTINCT q.SessionID) as UniqueSessions
+                FROM QrScans q
+                INNER JOIN Sessions s ON q.SessionID = s.ID
+                INNER JOIN ScannBenutzer u ON s.UserID = u.ID
+                WHERE date(q.CapturedTS) = @date AND q.Valid = 1
+                  ${this.getActivityFilter()}
+                GROUP BY strftime('%H', q.CapturedTS)
+                ORDER BY Hour
+            `, { date: param.date(targetDate), ...this.getActivityFilterParams(filters) });
+
+            return this.buildHourlyStats(result.recordset);
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der stündlichen Aktivität:', error);
+            return [];
+        }
+    }
+
+    async queryWeekdayHourActivity(weeks, filters) {
+        // strftime('%w') zählt ab Sonntag = 0 - auf 0 = Montag verschieben
+        const result = await this.db.query(`
+            SELECT
+                (CAST(strftime('%w', q.CapturedTS) AS INTEGER) + 6) % 7 as Weekday,
+                CAST(strftime('%H', q.CapturedTS) AS INTEGER) as Hour,
+                COUNT(*) as ScanCount
+            FROM QrScans q
+            INNER JOIN Sessions s ON q.SessionID = s.ID
+            INNER JOIN ScannBenutzer u ON s.UserID = u.ID
+            WHERE q.CapturedTS >= ${nowMinus('@weeks * 7', 'days')} AND q.Valid = 1
+              ${this.getActivityFilter()}
+            GROUP BY strftime('%w', q.CapturedTS), strftime('%H', q.CapturedTS)
+        `, { weeks: param.int(weeks), ...this.getActivityFilterParams(filters) });
+
+        return result.recordset;
+    }
+
+    async getDailyScanCounts(rangeStart, rangeEnd, userId = null) {
+        const result = await this.db.query(`
+            SELECT s.UserID,
+                   date(q.CapturedTS) as ScanDate,
+                   COUNT(*) as ScanCount
+            FROM QrScans q
+                     INNER JOIN Sessions s ON q.SessionID = s.ID
+            WHERE q.Valid = 1 AND q.CapturedTS >= @rangeStart AND q.CapturedTS < @rangeEnd
+              AND (@userId IS NULL OR s.UserID = @userId)
+            GROUP BY s.UserID, date(q.CapturedTS)
+        `, {
+            rangeStart: param.dateTime2(rangeStart),
+            rangeEnd: param.dateTime2(rangeEnd),
+            userId: param.int(userId)
+        });
+
+        return result.recordset;
+    }
+
+    async getWeeklyTrends(weeks = 4, filters = {}) {
+        try {
+            // %U zählt ab 0 (Sonntag als Wochenbeginn), DATEPART(WEEK) ab 1
+            const result = await this.db.query(`
+                SELECT
+                    CAST(strftime('%U', CapturedTS) AS INTEGER) + 1 as WeekNumber,
+                    CAST(strftime('%Y', CapturedTS) AS INTEGER) as Year,
+                    date(MIN(CapturedTS)) as WeekStart,
+                    COUNT(*) as TotalScans,
+                    COUNT(DISTINCT SessionID) as TotalSessions,
+                    COUNT(DISTINCT s.UserID) as UniqueUsers
+                FROM QrScans q
+                INNER JOIN Sessions s ON q.SessionID = s.ID
+                INNER JOIN ScannBenutzer u ON s.UserID = u.ID
+                WHERE q.CapturedTS >= ${nowMinus('@weeks * 7', 'days')} AND q.Valid = 1
+                  ${this.getActivityFilter()}
+                GROUP BY strftime('%U', CapturedTS), strftime('%Y', CapturedTS)
+                ORDER BY Year DESC, WeekNumber DESC
+            `, { weeks: param.int(weeks), ...this.getActivityFilterParams(filters) });
+
+            return this.mapWeeklyTrends(result.recordset);
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der wöchentlichen Trends:', error);
+            return [];
+        }
+    }
+
+    // ===== PERFORMANCE ANALYTICS =====
+    async getPerformanceMetrics(startDate = null, endDate = null) {
+        try {
+            let whereClause = '';
+            const params = {};
+
+            if (startDate && endDate) {
+                whereClause = 'AND q.CapturedTS >= @startDate AND q.CapturedTS <= @endDate';
+                params.startDate = param.dateTime2(startDate);
+                params.endDate = param.dateTime2(endDate);
+            }
+
+            const result = await this.db.query(`
+                SELECT
+                    COUNT(*) as TotalScans,
+                    COUNT(DISTINCT q.SessionID) as TotalSessions,
+                    COUNT(DISTINCT s.UserID) as TotalUsers,
+                    AVG((julianday(COALESCE(s.EndTS, ${NOW})) - julianday(s.StartTS)) * 86400) as AvgSessionDuration,
+                    AVG((julianday(COALESCE(s.EndTS, ${NOW})) - julianday(s.StartTS)) * 86400 - COALESCE(sp.PausedSeconds, 0)) as AvgNetSessionDuration,
+                    COUNT(*) / NULLIF(COUNT(DISTINCT q.SessionID), 0) as AvgScansPerSession,
+                    COUNT(*) / NULLIF(COUNT(DISTINCT s.UserID), 0) as AvgScansPerUser,
+                    COUNT(CASE WHEN q.RawPayload LIKE '%^%' THEN 1 END) as StructuredScans,
+                    COUNT(CASE WHEN upper(q.RawPayload) GLOB '*[A-Z][A-Z]-*' THEN 1 END) as OrderScans,
+                    COUNT(CASE WHEN q.RawPayload GLOB '*[0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9]*' THEN 1 END) as PackageScans
+                FROM QrScans q
+                INNER JOIN Sessions s ON q.SessionID = s.ID
+                ${this.getPauseTotalsJoin('s')}
+                WHERE q.Valid = 1 ${whereClause}
+            `, params);
+
+            const metrics = result.recordset[0];
+
+            return {
+                ...metrics,
+                AvgSessionDurationMinutes: metrics.AvgSessionDuration ? Math.round(metrics.AvgSessionDuration / 60 * 100) / 100 : 0,
+                AvgNetSessionDurationMinutes: metrics.AvgNetSessionDuration ? Math.round(metrics.AvgNetSessionDuration / 60 * 100) / 100 : 0,
+                StructuredScanRate: metrics.TotalScans > 0 ? Math.round(metrics.StructuredScans / metrics.TotalScans * 100) : 0,
+                OrderScanRate: metrics.TotalScans > 0 ? Math.round(metrics.OrderScans / metrics.TotalScans * 100) : 0,
+                PackageScanRate: metrics.TotalScans > 0 ? Math.round(metrics.PackageScans / metrics.TotalScans * 100) : 0
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Performance-Metriken:', error);
+            return null;
+        }
+    }
+
+    // ===== TOP PERFORMERS =====
+    async getTopPerformers(metric = 'scans', limit = 10, startDate = null, endDate = null) {
+        try {
+            let orderBy = 'TotalScans DESC';
+
+            switch (metric) {
+                case 'sessions':
+                    orderBy = 'TotalSessions DESC';
+                    break;
+                case 'time':
+                    orderBy = 'TotalSessionMinutes DESC';
+                    break;
+                case 'efficiency':
+                    orderBy = 'ScansPerMinute DESC';
+                    break;
+                default:
+                    orderBy = 'TotalScans DESC';
+            }
+
+            let whereClause = '';
+            const params = { limit: param.int(limit) };
+
+            if (startDate && endDate) {
+                whereClause = 'AND s.StartTS >= @startDate AND s.StartTS <= @endDate';
+                params.startDate = param.dateTime2(startDate);
+                params.endDate = param.dateTime2(endDate);
+            }
+
+            const sessionMinutes = minutesBetween('s.StartTS', `COALESCE(s.EndTS, ${NOW})`);
+            const netSessionSeconds = `${secondsBetween('s.StartTS', `COALESCE(s.EndTS, ${NOW})`)} - COALESCE(sp.PausedSeconds, 0)`;
+
+            const result = await this.db.query(`
+                SELECT
+                    u.ID,
+                    u.BenutzerName,
+                    u.Vorname,
+                    u.Nachname,
+                    COUNT(DISTINCT s.ID) as TotalSessions,
+                    COUNT(q.ID) as TotalScans,
+                    SUM(${sessionMinutes}) as TotalSessionMinutes,
+                    SUM(${netSessionSeconds}) / 60.0 as TotalNetSessionMinutes,
+                    CASE WHEN SUM(${sessionMinutes}) > 0
+                         THEN CAST(COUNT(q.ID) AS REAL) / SUM(${sessionMinutes})
+                         ELSE 0 END as ScansPerMinute
+                FROM ScannBenutzer u
+                INNER JOIN Sessions s ON u.ID = s.UserID
+                LEFT JOIN QrScans q ON s.ID = q.SessionID AND q.Valid = 1
+                ${this.getPauseTotalsJoin('s')}
+                WHERE u.xStatus = 0 ${whereClause}
+                GROUP BY u.ID, u.BenutzerName, u.Vorname, u.Nachname
+                HAVING COUNT(DISTINCT s.ID) > 0
+                ORDER BY ${orderBy}
+                LIMIT @limit
+            `, params);
+
+            return result.recordset.map((user, index) => ({
+                ...user,
+                Rank: index + 1,
+                FullName: `${user.Vorname || ''} ${user.Nachname || ''}`.trim(),
+                TotalSessionHours: Math.round(user.TotalSessionMinutes / 60 * 100) / 100,
+                TotalNetSessionHours: Math.round(user.TotalNetSessionMinutes / 60 * 100) / 100,
+                AvgScansPerSession: user.TotalSessions > 0 ? Math.round(user.TotalScans / user.TotalSessions * 100) / 100 : 0,
+                ScansPerMinute: Math.round(user.ScansPerMinute * 100) / 100
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Top-Performer:', error);
+            return [];
+        }
+    }
+
+    // ===== WARENEINLAGERUNG: PARALLELE SESSIONS =====
+    async queryParallelSessionStats() {
+        const result = await this.db.query(`
+            SELECT
+                COUNT(*) as ActiveSessionCount,
+                COUNT(DISTINCT UserID) as ActiveUserCount,
+                AVG(${minutesBetween('StartTS')}) as AvgSessionDurationMinutes,
+                AVG(${secondsBetween('s.StartTS')} - COALESCE(sp.PausedSeconds, 0)) / 60.0 as AvgNetSessionDurationMinutes,
+                COUNT(sp.PausedSince) as PausedSessionCount,
+                SUM(qr.ScanCount) as TotalActiveScans
+            FROM Sessions s
+                     LEFT JOIN (
+                SELECT SessionID, COUNT(*) as ScanCount
+                FROM QrScans
+                WHERE CapturedTS >= ${nowMinus('1', 'days')} AND Valid = 1
+                GROUP BY SessionID
+            ) qr ON s.ID = qr.SessionID
+            ${this.getPauseTotalsJoin('s')}
+            WHERE s.Active = 1
+        `);
+
+        return result.recordset[0];
+    }
+
+    async querySessionRestartStats(days) {
+        // Restarts werden wie bei MSSQL aus kurzen Sessions mit direkter Folge-Session geschätzt
+        const result = await this.db.query(`
+            WITH SessionDurations AS (
+                SELECT
+                    UserID,
+                    StartTS,
+                    LEAD(StartTS) OVER (PARTITION BY UserID ORDER BY StartTS) as NextStartTime,
+                    ${minutesBetween('StartTS', `COALESCE(EndTS, ${NOW})`)} as DurationMinutes
+                FROM Sessions
+                WHERE StartTS >= ${nowMinus('@days', 'days')}
+            )
+            SELECT
+                COUNT(*) as TotalSessions,
+                COUNT(CASE WHEN DurationMinutes < 2 AND NextStartTime IS NOT NULL
+                    AND ${minutesBetween('StartTS', 'NextStartTime')} < 5
+                               THEN 1 END) as EstimatedRestarts,
+                AVG(DurationMinutes) as AvgSessionDuration,
+                COUNT(DISTINCT UserID) as UsersWithSessions
+            FROM SessionDurations
+        `, { days: param.int(days) });
+
+        return result.recordset[0];
+    }
+}
+
+module.exports = SqliteStatsModule;
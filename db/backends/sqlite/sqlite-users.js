@@ -0,0 +1,124 @@
+const UserModule = require('../../modules/db-users');
+const { param } = require('../../core/db-params');
+const { minutesBetween } = require('./sqlite-sql');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+const { USER_COLUMNS, TAG_COLUMNS } = UserModule;
+
+/**
+ * User Management Module - SQLite
+ * Nur Queries mit T-SQL-Funktionen sind überschrieben, Schreibzugriffe mit RETURNING statt OUTPUT
+ */
+class SqliteUserModule extends UserModule {
+    // ===== SCHREIBZUGRIFFE =====
+    async insertUser(fields) {
+        const result = await this.db.query(`
+            INSERT INTO ScannBenutzer (Vorname, Nachname, BenutzerName, Email, Department, EPC, xStatus)
+            VALUES (@vorname, @nachname, @benutzerName, @email, @department, @epc, 0)
+            RETURNING ${USER_COLUMNS.join(', ')}
+        `, this.getInsertUserParams(fields));
+
+        return result.recordset[0];
+    }
+
+    async updateUserRow(userId, setClause, params) {
+        const before = await this.getUserRow(userId);
+        if (!before) return null;
+
+        const result = await this.db.query(`
+            UPDATE ScannBenutzer
+            SET ${setClause}
+            WHERE ID = @userId
+            RETURNING ${USER_COLUMNS.join(', ')}
+        `, { ...params, userId: param.int(userId) });
+
+        return { before, after: result.recordset[0] };
+    }
+
+    async insertTag(fields) {
+        const result = await this.db.query(`
+            INSERT INTO UserTags (UserID, EPC, TagType, Status, ValidFrom, ValidTo)
+            VALUES (@userId, @epc, @tagType, @status, @validFrom, @validTo)
+            RETURNING ${TAG_COLUMNS.join(', ')}
+        `, this.getInsertTagParams(fields));
+
+        return result.recordset[0];
+    }
+
+    async updateTagRow(tagId, setClause, params) {
+        const before = await this.getTagRow(tagId);
+        if (!before) return null;
+
+        const result = await this.db.query(`
+            UPDATE UserTags
+            SET ${setClause}
+            WHERE ID = @tagId
+            RETURNING ${TAG_COLUMNS.join(', ')}
+        `, { ...params, tagId: param.int(tagId) });
+
+        return { before, after: result.recordset[0] };
+    }
+
+    async getUserStats(userId) {
+        try {
+            const result = await this.db.query(`
+                SELECT
+                    u.ID,
+                    u.BenutzerName,
+                    u.Vorname,
+                    u.Nachname,
+                    COUNT(DISTINCT s.ID) as TotalSessions,
+                    COUNT(CASE WHEN s.Active = 1 THEN 1 END) as ActiveSessions,
+                    COUNT(q.ID) as TotalScans,
+                    AVG(CASE WHEN s.EndTS IS NOT NULL
+                        THEN ${minutesBetween('s.StartTS', 's.EndTS')}
+                        ELSE NULL END) as AvgSessionMinutes,
+                    SUM(CASE WHEN s.EndTS IS NOT NULL
+                        THEN ${minutesBetween('s.StartTS', 's.EndTS')}
+                        ELSE 0 END) as TotalSessionMinutes,
+                    MIN(s.StartTS) as FirstSession,
+                    MAX(s.StartTS) as LastSession,
+                    MAX(q.CapturedTS) as LastScan
+                FROM ScannBenutzer u
+                LEFT JOIN Sessions s ON u.ID = s.UserID
+                LEFT JOIN QrScans q ON s.ID = q.SessionID AND q.Valid = 1
+                WHERE u.ID = @userId AND u.xStatus = 0
+                GROUP BY u.ID, u.BenutzerName, u.Vorname, u.Nachname
+            `, { userId: param.int(userId) });
+
+            if (result.recordset.length > 0) {
+                const stats = result.recordset[0];
+                return {
+                    ...stats,
+                    FullName: `${stats.Vorname || ''} ${stats.Nachname || ''}`.trim(),
+                    FirstSession: stats.FirstSession ? this.utils.normalizeTimestamp(stats.FirstSession) : null,
+                    LastSession: stats.LastSession ? this.utils.normalizeTimestamp(stats.LastSession) : null,
+                    LastScan: stats.LastScan ? this.utils.normalizeTimestamp(stats.LastScan) : null,
+                    TotalSessionHours: Math.round(stats.TotalSessionMinutes / 60 * 100) / 100,
+                    AvgSessionHours: stats.AvgSessionMinutes ? Math.round(stats.AvgSessionMinutes / 60 * 100) / 100 : 0,
+                    AvgScansPerSession: stats.TotalSessions > 0 ? Math.round(stats.TotalScans / stats.TotalSessions * 100) / 100 : 0
+                };
+            }
+            return null;
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Benutzer-Statistiken:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = SqliteUserModule;
@@ -0,0 +1,65 @@
+/**
+ * Supervisor Dashboard Constants
+ * Supervisor-Badges und Schwellwerte für das Supervisor-Dashboard (db/dashboard/supervisor-dashboard.js)
+ */
+
+// ===== DASHBOARD CONSTANTS =====
+
+/**
+ * Standardwerte
+ */
+const DASHBOARD_DEFAULTS = {
+    IDLE_MINUTES: 10,       // Ohne gültigen Scan seit X Minuten gilt ein Mitarbeiter als untätig
+    REFRESH_SECONDS: 30,    // Abgleich mit anderen Arbeitsplätzen, solange das Fenster offen ist
+    TOP_PERFORMERS: 5       // Einträge in der Bestenliste (heute)
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Kommagetrennte Benutzer-IDs parsen
+ * @param {string} value - z.B. '3, 17'
+ * @returns {Array<number>} - IDs
+ */
+function parseUserIds(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const id = parseInt(entry, 10);
+
+        if (!(id > 0) || String(id) !== entry) {
+            throw new Error(`Ungültige Benutzer-ID '${entry}' in SUPERVISOR_USER_IDS (erlaubt: positive Ganzzahlen, kommagetrennt)`);
+        }
+
+        return id;
+    });
+}
+
+/**
+ * Dashboard-Konfiguration aus der Umgebung laden
+ *
+ *   SUPERVISOR_USER_IDS=3,17           - Benutzer, deren Badge das Dashboard öffnet (statt eine Session zu starten)
+ *   DASHBOARD_IDLE_MINUTES=10          - Untätig ab X Minuten ohne Scan (pausierte Sessions ausgenommen)
+ *   DASHBOARD_REFRESH_SECONDS=30       - Abgleich im Hintergrund (0 = nur bei lokalen Ereignissen)
+ *   DASHBOARD_TOP_PERFORMERS=5         - Länge der Bestenliste
+ *
+ * @param {Object} env - Umgebungsvariablen (default: process.env)
+ * @returns {Object} - { supervisorUserIds, idleMinutes, refreshMs, topPerformers }
+ */
+function loadDashboardConfig(env = process.env) {
+    const readInt = (value, fallback) => {
+        const parsed = parseInt(value, 10);
+        return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+    };
+
+    return {
+        supervisorUserIds: parseUserIds(env.SUPERVISOR_USER_IDS),
+        idleMinutes: Math.max(1, readInt(env.DASHBOARD_IDLE_MINUTES, DASHBOARD_DEFAULTS.IDLE_MINUTES)),
+        refreshMs: readInt(env.DASHBOARD_REFRESH_SECONDS, DASHBOARD_DEFAULTS.REFRESH_SECONDS) * 1000,
+        topPerformers: Math.max(1, readInt(env.DASHBOARD_TOP_PERFORMERS, DASHBOARD_DEFAULTS.TOP_PERFORMERS))
+    };
+}
+
+module.exports = {
+    DASHBOARD_DEFAULTS,
+    parseUserIds,
+    loadDashboardConfig
+};
@@ -0,0 +1,141 @@
+/**
+ * Scan Policy Constants
+ * Regeltypen, Verdict-Status und Standard-Konfiguration der Scan-Policy (db/policy/scan-policy.js)
+ */
+
+const { SESSION_TYPE_CONFIG } = require('./session-types');
+
+// ===== SCAN-POLICY CONSTANTS =====
+
+/**
+ * Regeltypen - Reihenfolge der Auswertung kommt aus der Konfiguration
+ */
+const SCAN_POLICY_RULES = {
+    COOLDOWN: 'cooldown',                              // Gleicher Code in derselben Session innerhalb von X ms
+    RATE_LIMIT: 'rate_limit',                          // Maximal X Scans pro Minute und Session (je SessionType)
+    SESSION_TYPE_FORMAT: 'session_type_format',        // Format muss in allowedQRTypes des SessionTypes stehen
+    ALLOW_RESCAN_AFTER_VOID: 'allow_rescan_after_void', // Letzter Scan des Codes storniert → sofort annehmen
+    DUPLICATE_WINDOW: 'duplicate_window'               // Gleicher Code innerhalb von X Sekunden (global oder je Session)
+};
+
+/**
+ * Status eines Verdicts (entspricht result.status von saveQRScan)
+ */
+const SCAN_VERDICT_STATUS = {
+    ACCEPTED: 'accepted',
+    COOLDOWN: 'cooldown',
+    RATE_LIMIT: 'rate_limit',
+    WRONG_FORMAT: 'wrong_format_for_session_type',
+    DUPLICATE: 'duplicate'
+};
+
+/**
+ * Anzeigetexte für die Regeltypen
+ */
+const SCAN_POLICY_RULE_LABELS = {
+    [SCAN_POLICY_RULES.COOLDOWN]: 'Scan-Cooldown',
+    [SCAN_POLICY_RULES.RATE_LIMIT]: 'Rate Limit',
+    [SCAN_POLICY_RULES.SESSION_TYPE_FORMAT]: 'Format für SessionType',
+    [SCAN_POLICY_RULES.ALLOW_RESCAN_AFTER_VOID]: 'Erneuter Scan nach Storno',
+    [SCAN_POLICY_RULES.DUPLICATE_WINDOW]: 'Duplikat-Zeitfenster'
+};
+
+const DUPLICATE_SCOPES = ['global', 'session'];
+
+const DEFAULT_RULE_ORDER = [
+    SCAN_POLICY_RULES.COOLDOWN,
+    SCAN_POLICY_RULES.RATE_LIMIT,
+    SCAN_POLICY_RULES.SESSION_TYPE_FORMAT,
+    SCAN_POLICY_RULES.ALLOW_RESCAN_AFTER_VOID,
+    SCAN_POLICY_RULES.DUPLICATE_WINDOW
+];
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Rate-Limits je SessionType aus SESSION_TYPE_CONFIG
+ * @returns {Object} - { [SessionTypeName]: maxScansPerMinute }
+ */
+function getSessionTypeRateLimits() {
+    const limits = {};
+
+    for (const [typeName, config] of Object.entries(SESSION_TYPE_CONFIG)) {
+        if (config.maxScansPerMinute) {
+            limits[typeName] = config.maxScansPerMinute;
+        }
+    }
+
+    return limits;
+}
+
+/**
+ * Geordnete Regelliste aus der Umgebung laden
+ *
+ *   QR_SCAN_POLICY=cooldown,rate_limit,session_type_format,allow_rescan_after_void,duplicate_window
+ *   QR_SCAN_COOLDOWN_MS=3000         - cooldown
+ *   QR_RATE_LIMIT_PER_MINUTE=20      - rate_limit (Fallback, wenn der SessionType keinen eigenen Wert hat)
+ *   QR_GLOBAL_COOLDOWN=600           - duplicate_window: Zeitfenster in Sekunden
+ *   QR_DUPLICATE_SCOPE=global        - duplicate_window: global | session
+ *
+ * Nicht aufgeführte Regeln sind deaktiviert.
+ *
+ * @param {Object} env - Umgebungsvariablen (default: process.env)
+ * @returns {Array} - Regeln in Auswertungsreihenfolge
+ */
+function loadScanPolicyRules(env = process.env) {
+    const order = env.QR_SCAN_POLICY
+        ? env.QR_SCAN_POLICY.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_RULE_ORDER;
+
+    const duplicateScope = (env.QR_DUPLICATE_SCOPE || 'global').trim().toLowerCase();
+
+    const ruleFactories = {
+        [SCAN_POLICY_RULES.COOLDOWN]: () => ({
+            type: SCAN_POLICY_RULES.COOLDOWN,
+            ms: parseInt(env.QR_SCAN_COOLDOWN_MS) || 3000
+        }),
+        [SCAN_POLICY_RULES.RATE_LIMIT]: () => ({
+            type: SCAN_POLICY_RULES.RATE_LIMIT,
+            perMinute: parseInt(env.QR_RATE_LIMIT_PER_MINUTE) || 20,
+            bySessionType: getSessionTypeRateLimits()
+        }),
+        [SCAN_POLICY_RULES.SESSION_TYPE_FORMAT]: () => ({
+            type: SCAN_POLICY_RULES.SESSION_TYPE_FORMAT
+        }),
+        [SCAN_POLICY_RULES.ALLOW_RESCAN_AFTER_VOID]: () => ({
+            type: SCAN_POLICY_RULES.ALLOW_RESCAN_AFTER_VOID
+        }),
+        [SCAN_POLICY_RULES.DUPLICATE_WINDOW]: () => ({
+            type: SCAN_POLICY_RULES.DUPLICATE_WINDOW,
+            scope: DUPLICATE_SCOPES.includes(duplicateScope) ? duplicateScope : 'global',
+            seconds: parseInt(env.QR_GLOBAL_COOLDOWN) || 600
+        })
+    };
+
+    return order.map(type => {
+        if (!ruleFactories[type]) {
+            throw new Error(`Unbekannte Scan-Policy-Regel '${type}' (erlaubt: ${Object.keys(ruleFactories).join(', ')})`);
+        }
+        return ruleFactories[type]();
+    });
+}
+
+/**
+ * Anzeigetext für einen Regeltyp
+ * @param {string} ruleType - Regeltyp
+ * @returns {string} - Anzeigetext (Fallback: Typ selbst)
+ */
+function getScanPolicyRuleLabel(ruleType) {
+    return SCAN_POLICY_RULE_LABELS[ruleType] || ruleType;
+}
+
+module.exports = {
+    SCAN_POLICY_RULES,
+    SCAN_VERDICT_STATUS,
+    SCAN_POLICY_RULE_LABELS,
+    DUPLICATE_SCOPES,
+    DEFAULT_RULE_ORDER,
+    getSessionTypeRateLimits,
+    loadScanPolicyRules,
+    getScanPolicyRuleLabel
+};
@@ -0,0 +1,96 @@
+// db/constants/schema-columns.js
+// Erwartetes Datenbank-Schema - Spalten, die db/modules/*.js tatsächlich verwenden
+
+/**
+ * Tabellen und Spalten, die der Code voraussetzt.
+ * Dient als Referenz für die Drift-Prüfung in MigrationRunner.checkColumnDrift().
+ * Bei neuen Spalten hier UND in einer neuen Migration unter db/migrations/ sowie
+ * db/backends/sqlite/migrations/ ergänzen.
+ */
+const EXPECTED_SCHEMA = {
+    ScannBenutzer: [
+        'ID',
+        'Vorname',
+        'Nachname',
+        'BenutzerName',
+        'Email',
+        'EPC',
+        'Department',
+        'xStatus',
+        'Role'
+    ],
+    SessionTypes: [
+        'ID',
+        'TypeName',
+        'Description',
+        'IsActive',
+        'CreatedTS',
+        'UpdatedTS'
+    ],
+    Sessions: [
+        'ID',
+        'UserID',
+        'StartTS',
+        'EndTS',
+        'Active',
+        'SessionTypeID',
+        'EndReason'
+    ],
+    QrScans: [
+        'ID',
+        'SessionID',
+        'RawPayload',
+        'PayloadJson',
+        'DecodedPayload',
+        'CapturedTS',
+        'Valid',
+        'AuftragsNr',
+        'PaketNr',
+        'KundenID',
+        'DecodedFormat',
+        'DecodeConfidence',
+        'VoidReason',
+        'VoidedByUserID',
+        'VoidedTS'
+    ],
+    SessionPauses: [
+        'ID',
+        'SessionID',
+        'StartTS',
+        'EndTS',
+        'Reason'
+    ],
+    UserTags: [
+        'ID',
+        'UserID',
+        'EPC',
+        'TagType',
+        'Status',
+        'ValidFrom',
+        'ValidTo',
+        'StatusReason'
+    ],
+    AuditLog: [
+        'ID',
+        'EventTS',
+        'Workstation',
+        'ActorUserID',
+        'Action',
+        'EntityType',
+        'EntityID',
+        'SessionID',
+        'Source',
+        'BeforeJson',
+        'AfterJson'
+    ]
+};
+
+/**
+ * Tabellen, die beim Start vorhanden sein müssen
+ */
+const REQUIRED_TABLES = Object.keys(EXPECTED_SCHEMA);
+
+module.exports = {
+    EXPECTED_SCHEMA,
+    REQUIRED_TABLES
+};
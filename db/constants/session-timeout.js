@@ -0,0 +1,102 @@
+/**
+ * Session Timeout Constants
+ * Gründe für das Session-Ende (Sessions.EndReason) und Konfiguration der Session-Bereinigung
+ * (db/reconciliation/session-reconciler.js)
+ */
+
+const { getDefaultSessionDuration } = require('./session-types');
+
+// ===== SESSION-END CONSTANTS =====
+
+/**
+ * Reason-Codes wie sie in Sessions.EndReason gespeichert werden
+ */
+const SESSION_END_REASONS = {
+    LOGOUT: 'logout',                  // Abmeldung über die Oberfläche
+    RFID_RESCAN: 'rfid_rescan',        // Erneuter Badge-Scan
+    RESTART: 'restart',                // Session-Neustart über die Oberfläche
+    REPLACED: 'replaced',              // Durch neue Session desselben Benutzers ersetzt
+    SHUTDOWN: 'shutdown',              // Anwendung wurde beendet
+    TIMEOUT: 'timeout',                // Maximale Dauer überschritten (geplante Bereinigung)
+    CRASH_RECOVERY: 'crash_recovery'   // Beim Start offen vorgefunden und überfällig (Absturz/Stromausfall)
+};
+
+/**
+ * Anzeigetexte für die Reason-Codes
+ */
+const SESSION_END_REASON_LABELS = {
+    [SESSION_END_REASONS.LOGOUT]: 'Abmeldung',
+    [SESSION_END_REASONS.RFID_RESCAN]: 'Badge-Scan',
+    [SESSION_END_REASONS.RESTART]: 'Neustart',
+    [SESSION_END_REASONS.REPLACED]: 'Neue Session',
+    [SESSION_END_REASONS.SHUTDOWN]: 'Programmende',
+    [SESSION_END_REASONS.TIMEOUT]: 'Zeitüberschreitung',
+    [SESSION_END_REASONS.CRASH_RECOVERY]: 'Absturz-Bereinigung'
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Konfiguration der Session-Bereinigung aus der Umgebung laden
+ *
+ *   SESSION_TIMEOUT_HOURS=8                 - Obergrenze für alle Sessions (0 = keine; Fallback: package.json
+ *                                             config.wareneinlagerung.sessionTimeoutHours)
+ *   SESSION_TIMEOUT_USE_TYPE_DURATION=true  - defaultDuration des SessionTypes als Grenze verwenden
+ *   SESSION_RECONCILE_INTERVAL_MINUTES=15   - Prüfintervall (0 = nur beim Start)
+ *
+ * Es gilt die kleinere der aktiven Grenzen.
+ *
+ * @param {Object} env - Umgebungsvariablen (default: process.env)
+ * @param {Object} appConfig - config.wareneinlagerung aus package.json
+ * @returns {Object} - { capMinutes, useTypeDuration, intervalMs }
+ */
+function loadSessionTimeoutConfig(env = process.env, appConfig = {}) {
+    const capHours = env.SESSION_TIMEOUT_HOURS !== undefined && env.SESSION_TIMEOUT_HOURS !== ''
+        ? parseFloat(env.SESSION_TIMEOUT_HOURS)
+        : appConfig.sessionTimeoutHours;
+
+    const intervalMinutes = parseInt(env.SESSION_RECONCILE_INTERVAL_MINUTES);
+
+    return {
+        capMinutes: capHours > 0 ? Math.round(capHours * 60) : null,
+        useTypeDuration: (env.SESSION_TIMEOUT_USE_TYPE_DURATION || 'true').trim().toLowerCase() !== 'false',
+        intervalMs: (Number.isNaN(intervalMinutes) ? 15 : Math.max(0, intervalMinutes)) * 60 * 1000
+    };
+}
+
+/**
+ * Maximale Dauer einer Session
+ * @param {string} sessionTypeName - Name des SessionTypes
+ * @param {Object} config - Ergebnis von loadSessionTimeoutConfig()
+ * @returns {number|null} - Minuten oder null (keine Grenze)
+ */
+function getSessionTimeoutMinutes(sessionTypeName, config) {
+    const limits = [];
+
+    if (config.useTypeDuration) {
+        limits.push(getDefaultSessionDuration(sessionTypeName));
+    }
+
+    if (config.capMinutes) {
+        limits.push(config.capMinutes);
+    }
+
+    return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+/**
+ * Anzeigetext für einen Reason-Code
+ * @param {string} endReason - Reason-Code
+ * @returns {string} - Anzeigetext (Fallback: Code selbst)
+ */
+function getSessionEndReasonLabel(endReason) {
+    return SESSION_END_REASON_LABELS[endReason] || endReason;
+}
+
+module.exports = {
+    SESSION_END_REASONS,
+    SESSION_END_REASON_LABELS,
+    loadSessionTimeoutConfig,
+    getSessionTimeoutMinutes,
+    getSessionEndReasonLabel
+};
@@ -19,6 +19,7 @@ const SESSION_TYPES = {
 
 /**
  * SessionType Konfigurationen mit Metadaten
+ * allowedQRTypes: Formate aus shared/qr-parsers (decode().format), 'unknown' = nicht erkannter Inhalt
  */
 const SESSION_TYPE_CONFIG = {
     [SESSION_TYPES.WARENEINLAGERUNG]: {
@@ -28,7 +29,8 @@ const SESSION_TYPE_CONFIG = {
         icon: '📦',
         color: 'blue',
         defaultDuration: 480, // 8 Stunden in Minuten
-        allowedQRTypes: ['decoded_qr', 'caret_separated', 'star_separated'],
+        allowedQRTypes: ['caret', 'star', 'json', 'kundenname_text', 'reference_tracking', 'pattern'],
+        maxScansPerMinute: 20, // Rate-Limit der Scan-Policy
         priority: 1
     },
     [SESSION_TYPES.Wareneinlagerung]: {
@@ -38,7 +40,8 @@ const SESSION_TYPE_CONFIG = {
         icon: '📥',
         color: 'lightblue',
         defaultDuration: 480, // 8 Stunden in Minuten
-        allowedQRTypes: ['decoded_qr', 'caret_separated', 'star_separated'],
+        allowedQRTypes: ['caret', 'star', 'json', 'kundenname_text', 'reference_tracking', 'pattern'],
+        maxScansPerMinute: 20, // Rate-Limit der Scan-Policy
         priority: 2
     },
     [SESSION_TYPES.QUALITAETSKONTROLLE]: {
@@ -48,7 +51,8 @@ const SESSION_TYPE_CONFIG = {
         icon: '🔍',
         color: 'orange',
         defaultDuration: 240, // 4 Stunden in Minuten
-        allowedQRTypes: ['decoded_qr', 'barcode', 'alphanumeric'],
+        allowedQRTypes: ['json', 'pattern', 'unknown'],
+        maxScansPerMinute: 20, // Rate-Limit der Scan-Policy
         priority: 3
     },
     [SESSION_TYPES.KOMMISSIONIERUNG]: {
@@ -58,7 +62,8 @@ const SESSION_TYPE_CONFIG = {
         icon: '📋',
         color: 'green',
         defaultDuration: 480, // 8 Stunden in Minuten
-        allowedQRTypes: ['decoded_qr', 'caret_separated'],
+        allowedQRTypes: ['caret', 'json', 'pattern'],
+        maxScansPerMinute: 30, // Rate-Limit der Scan-Policy
         priority: 4
     },
     [SESSION_TYPES.INVENTUR]: {
@@ -68,7 +73,8 @@ const SESSION_TYPE_CONFIG = {
         icon: '📊',
         color: 'purple',
         defaultDuration: 360, // 6 Stunden in Minuten
-        allowedQRTypes: ['decoded_qr', 'barcode', 'alphanumeric'],
+        allowedQRTypes: ['json', 'pattern', 'unknown'],
+        maxScansPerMinute: 60, // Rate-Limit der Scan-Policy
         priority: 5
     },
     [SESSION_TYPES.WARTUNG]: {
@@ -78,7 +84,8 @@ const SESSION_TYPE_CONFIG = {
         icon: '🔧',
         color: 'red',
         defaultDuration: 120, // 2 Stunden in Minuten
-        allowedQRTypes: ['decoded_qr', 'text', 'url'],
+        allowedQRTypes: ['json', 'unknown'],
+        maxScansPerMinute: 10, // Rate-Limit der Scan-Policy
         priority: 6
     }
 };
@@ -192,25 +199,27 @@ function getDefaultSessionDuration(sessionTypeName) {
 /**
  * SessionType-spezifische Validierung für QR-Scans
  * @param {string} sessionTypeName - Name des SessionTypes
- * @param {Object} qrData - QR-Code Daten
- * @returns {Object} - Validierungsergebnis { isValid: boolean, message?: string }
+ * @param {Object} decodedData - Ergebnis von parseQRCodeData() (format)
+ * @returns {Object} - Validierungsergebnis { isValid, format, allowedFormats, message? }
  */
-function validateQRForSessionType(sessionTypeName, qrData) {
+function validateQRForSessionType(sessionTypeName, decodedData) {
     const config = getSessionTypeConfig(sessionTypeName);
+    const format = decodedData?.format || 'unknown';
 
     if (!config) {
-        return { isValid: true }; // Keine Konfiguration = alle QR-Codes erlaubt
+        return { isValid: true, format, allowedFormats: null }; // Keine Konfiguration = alle QR-Codes erlaubt
     }
 
-    // QR-Typ validieren falls vorhanden
-    if (qrData.type && !config.allowedQRTypes.includes(qrData.type)) {
+    if (!config.allowedQRTypes.includes(format)) {
         return {
             isValid: false,
-            message: `QR-Code-Typ '${qrData.type}' nicht erlaubt für ${sessionTypeName}`
+            format,
+            allowedFormats: config.allowedQRTypes,
+            message: `QR-Code-Format '${format}' ist für ${sessionTypeName} nicht erlaubt`
         };
     }
 
-    return { isValid: true };
+    return { isValid: true, format, allowedFormats: config.allowedQRTypes };
 }
 
 /**
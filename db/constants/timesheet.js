@@ -0,0 +1,130 @@
+/**
+ * Timesheet Constants
+ * Spalten, Rundungsregeln und CSV-Konfiguration für Stundenzettel (db/reports/timesheet.js)
+ */
+
+// ===== TIMESHEET CONSTANTS =====
+
+/**
+ * Zeilen-Ebenen des Stundenzettels
+ */
+const TIMESHEET_LAYOUTS = {
+    DAYS: 'days',    // Eine Zeile je Benutzer und Kalendertag
+    WEEKS: 'weeks'   // Eine Zeile je Benutzer und Kalenderwoche (ISO, Montag-Sonntag)
+};
+
+/**
+ * Rundung der Netto-Arbeitszeit je Benutzer und Tag (Wochensummen addieren die gerundeten Tage)
+ */
+const TIMESHEET_ROUNDING_MODES = {
+    NONE: 'none',        // Auf ganze Minuten
+    NEAREST: 'nearest',  // Kaufmännisch auf das Raster
+    UP: 'up',            // Zugunsten des Mitarbeiters
+    DOWN: 'down'         // Angefangene Rasterminuten verfallen
+};
+
+/**
+ * CSV-Spalten und Standard-Überschriften
+ */
+const TIMESHEET_COLUMNS = {
+    user_id: 'Personalnummer',
+    user_name: 'Benutzername',
+    first_name: 'Vorname',
+    last_name: 'Nachname',
+    full_name: 'Name',
+    date: 'Datum',
+    weekday: 'Wochentag',
+    week: 'Kalenderwoche',
+    week_start: 'Wochenbeginn',
+    week_end: 'Wochenende',
+    start: 'Beginn',
+    end: 'Ende',
+    sessions: 'Sessions',
+    days: 'Arbeitstage',
+    gross_hours: 'Brutto (h)',
+    pause_minutes: 'Pause (min)',
+    net_minutes: 'Netto (min)',
+    net_hours: 'Netto (h)',
+    net_hhmm: 'Netto (hh:mm)',
+    scans: 'Scans'
+};
+
+const DEFAULT_TIMESHEET_COLUMNS = {
+    [TIMESHEET_LAYOUTS.DAYS]: 'user_id,last_name,first_name,date,start,end,pause_minutes,net_hours',
+    [TIMESHEET_LAYOUTS.WEEKS]: 'user_id,last_name,first_name,week,week_start,week_end,days,net_hours'
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Spaltenliste parsen - Einträge 'spalte' oder 'spalte:Überschrift' (Import-Format der Lohnbuchhaltung)
+ * @param {string} value - Kommagetrennte Liste
+ * @returns {Array} - [{ key, header }]
+ */
+function parseTimesheetColumns(value) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [key, ...header] = entry.split(':');
+        const column = key.trim().toLowerCase();
+
+        if (!TIMESHEET_COLUMNS[column]) {
+            throw new Error(`Unbekannte Stundenzettel-Spalte '${column}' (erlaubt: ${Object.keys(TIMESHEET_COLUMNS).join(', ')})`);
+        }
+
+        return { key: column, header: header.length > 0 ? header.join(':').trim() : TIMESHEET_COLUMNS[column] };
+    });
+}
+
+/**
+ * Stundenzettel-Konfiguration aus der Umgebung laden
+ *
+ *   TIMESHEET_ROUNDING=none            - none | nearest | up | down
+ *   TIMESHEET_ROUNDING_MINUTES=15      - Raster in Minuten
+ *   TIMESHEET_COLUMNS_DAYS=...         - Spalten der Tagesansicht (spalte[:Überschrift], kommagetrennt)
+ *   TIMESHEET_COLUMNS_WEEKS=...        - Spalten der Wochenansicht
+ *   TIMESHEET_CSV_DELIMITER=;          - Feldtrenner
+ *   TIMESHEET_CSV_DECIMAL=,            - Dezimaltrennzeichen für Stunden
+ *   TIMESHEET_CSV_DATE_FORMAT=de       - de (TT.MM.JJJJ) | iso (JJJJ-MM-TT)
+ *   TIMESHEET_CSV_HEADER=true          - Überschriftenzeile ausgeben
+ *   TIMESHEET_CSV_BOM=true             - UTF-8-BOM (Umlaute in Excel)
+ *
+ * @param {Object} env - Umgebungsvariablen (default: process.env)
+ * @returns {Object} - { rounding: { mode, minutes }, columns: { days, weeks }, csv: { delimiter, decimal, dateFormat, header, bom } }
+ */
+function loadTimesheetConfig(env = process.env) {
+    const mode = (env.TIMESHEET_ROUNDING || TIMESHEET_ROUNDING_MODES.NONE).trim().toLowerCase();
+
+    if (!Object.values(TIMESHEET_ROUNDING_MODES).includes(mode)) {
+        throw new Error(`Unbekannte Stundenzettel-Rundung '${mode}' (erlaubt: ${Object.values(TIMESHEET_ROUNDING_MODES).join(', ')})`);
+    }
+
+    const isEnabled = (value, fallback) => value === undefined || value === ''
+        ? fallback
+        : value.trim().toLowerCase() !== 'false';
+
+    return {
+        rounding: {
+            mode,
+            minutes: Math.max(1, parseInt(env.TIMESHEET_ROUNDING_MINUTES) || 15)
+        },
+        columns: {
+            [TIMESHEET_LAYOUTS.DAYS]: parseTimesheetColumns(env.TIMESHEET_COLUMNS_DAYS || DEFAULT_TIMESHEET_COLUMNS.days),
+            [TIMESHEET_LAYOUTS.WEEKS]: parseTimesheetColumns(env.TIMESHEET_COLUMNS_WEEKS || DEFAULT_TIMESHEET_COLUMNS.weeks)
+        },
+        csv: {
+            delimiter: env.TIMESHEET_CSV_DELIMITER || ';',
+            decimal: env.TIMESHEET_CSV_DECIMAL || ',',
+            dateFormat: (env.TIMESHEET_CSV_DATE_FORMAT || 'de').trim().toLowerCase() === 'iso' ? 'iso' : 'de',
+            header: isEnabled(env.TIMESHEET_CSV_HEADER, true),
+            bom: isEnabled(env.TIMESHEET_CSV_BOM, true)
+        }
+    };
+}
+
+module.exports = {
+    TIMESHEET_LAYOUTS,
+    TIMESHEET_ROUNDING_MODES,
+    TIMESHEET_COLUMNS,
+    DEFAULT_TIMESHEET_COLUMNS,
+    parseTimesheetColumns,
+    loadTimesheetConfig
+};
@@ -0,0 +1,128 @@
+/**
+ * User Role Constants
+ * Rollen je ScannBenutzer und die Rechte, die main.js vor privilegierten IPC-Aktionen prüft
+ */
+
+// ===== ROLE CONSTANTS =====
+
+/**
+ * Rollen wie sie in ScannBenutzer.Role gespeichert werden
+ */
+const USER_ROLES = {
+    WORKER: 'worker',
+    SHIFT_LEAD: 'shift_lead',
+    ADMIN: 'admin'
+};
+
+/**
+ * Rangfolge - eine höhere Rolle hat alle Rechte der niedrigeren
+ */
+const ROLE_RANKS = {
+    [USER_ROLES.WORKER]: 0,
+    [USER_ROLES.SHIFT_LEAD]: 1,
+    [USER_ROLES.ADMIN]: 2
+};
+
+/**
+ * Anzeigetexte für die Rollen
+ */
+const ROLE_LABELS = {
+    [USER_ROLES.WORKER]: 'Mitarbeiter',
+    [USER_ROLES.SHIFT_LEAD]: 'Schichtleitung',
+    [USER_ROLES.ADMIN]: 'Administrator'
+};
+
+/**
+ * Privilegierte Aktionen
+ *   role   - Mindestrolle des freigebenden Badges
+ *   owner  - der eigene Badge des Session-Inhabers genügt ebenfalls (nur für dessen Session)
+ */
+const PERMISSIONS = {
+    'session.end': { role: USER_ROLES.SHIFT_LEAD, owner: true, label: 'Session beenden' },
+    'session.restart': { role: USER_ROLES.SHIFT_LEAD, owner: true, label: 'Session neu starten' },
+    'session.create': { role: USER_ROLES.SHIFT_LEAD, owner: true, label: 'Session starten' },
+    'session.pause': { role: USER_ROLES.SHIFT_LEAD, owner: true, label: 'Session pausieren' },
+    'session.resume': { role: USER_ROLES.SHIFT_LEAD, owner: true, label: 'Session fortsetzen' },
+    'qrscan.void': { role: USER_ROLES.SHIFT_LEAD, label: 'Scan stornieren' },
+    'qrscan.format_override': { role: USER_ROLES.SHIFT_LEAD, label: 'Format freigeben' },
+    'audit.view': { role: USER_ROLES.SHIFT_LEAD, label: 'Änderungsprotokoll' },
+    'timesheet.view': { role: USER_ROLES.SHIFT_LEAD, label: 'Stundenzettel' },
+    'dashboard.open': { role: USER_ROLES.SHIFT_LEAD, label: 'Supervisor-Dashboard' },
+    'stats.view': { role: USER_ROLES.SHIFT_LEAD, label: 'Statistik' },
+    'report.view': { role: USER_ROLES.SHIFT_LEAD, label: 'Session-Bericht' },
+    'journal.replay': { role: USER_ROLES.SHIFT_LEAD, label: 'Offline-Journal synchronisieren' },
+    'app.restart': { role: USER_ROLES.SHIFT_LEAD, label: 'Anwendung neu starten' },
+    'users.manage': { role: USER_ROLES.ADMIN, label: 'Benutzerverwaltung' },
+    'db.query': { role: USER_ROLES.ADMIN, label: 'Datenbankabfrage' }
+};
+
+/**
+ * Standardwerte
+ */
+const APPROVAL_DEFAULTS = {
+    TIMEOUT_SECONDS: 20,    // Wartezeit auf den Badge-Tap nach einer privilegierten Aktion
+    WINDOW_SECONDS: 60      // So lange gilt ein Badge-Tap für weitere Aktionen
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Prüft ob eine Rolle bekannt ist
+ * @param {string} role - Rolle
+ * @returns {boolean} - true wenn gültig
+ */
+function isValidRole(role) {
+    return Object.values(USER_ROLES).includes(role);
+}
+
+/**
+ * Prüft ob eine Rolle mindestens die geforderte Rolle ist (unbekannte Rollen zählen als Mitarbeiter)
+ * @param {string} role - Rolle des Benutzers
+ * @param {string} requiredRole - Mindestrolle
+ * @returns {boolean}
+ */
+function hasRole(role, requiredRole) {
+    return (ROLE_RANKS[role] || 0) >= ROLE_RANKS[requiredRole];
+}
+
+/**
+ * Anzeigetext für eine Rolle
+ * @param {string} role - Rolle
+ * @returns {string} - Anzeigetext (Fallback: Rolle selbst)
+ */
+function getRoleLabel(role) {
+    return ROLE_LABELS[role] || role;
+}
+
+/**
+ * Freigabe-Konfiguration aus der Umgebung laden
+ *
+ *   APPROVAL_TIMEOUT_SECONDS=20    - Wartezeit auf den Badge-Tap
+ *   APPROVAL_WINDOW_SECONDS=60     - Gültigkeit eines Badge-Taps für weitere Aktionen (0 = nur die auslösende Aktion)
+ *
+ * @param {Object} env - Umgebungsvariablen (default: process.env)
+ * @returns {Object} - { timeoutMs, windowMs }
+ */
+function loadApprovalConfig(env = process.env) {
+    const readInt = (value, fallback) => {
+        const parsed = parseInt(value, 10);
+        return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+    };
+
+    return {
+        timeoutMs: Math.max(1, readInt(env.APPROVAL_TIMEOUT_SECONDS, APPROVAL_DEFAULTS.TIMEOUT_SECONDS)) * 1000,
+        windowMs: readInt(env.APPROVAL_WINDOW_SECONDS, APPROVAL_DEFAULTS.WINDOW_SECONDS) * 1000
+    };
+}
+
+module.exports = {
+    USER_ROLES,
+    ROLE_RANKS,
+    ROLE_LABELS,
+    PERMISSIONS,
+    APPROVAL_DEFAULTS,
+    isValidRole,
+    hasRole,
+    getRoleLabel,
+    loadApprovalConfig
+};
@@ -0,0 +1,82 @@
+/**
+ * User Tag Constants
+ * Badges je ScannBenutzer (UserTags) mit Gültigkeitszeitraum und Status
+ */
+
+// ===== TAG CONSTANTS =====
+
+/**
+ * Status eines Badges
+ *   active  - meldet an, solange ValidFrom <= jetzt < ValidTo (ValidTo NULL = unbegrenzt)
+ *   lost    - als verloren gemeldet
+ *   revoked - ersetzt, zurückgegeben oder gesperrt
+ */
+const TAG_STATUS = {
+    ACTIVE: 'active',
+    LOST: 'lost',
+    REVOKED: 'revoked'
+};
+
+/**
+ * Badge-Arten - ein Benutzer hat höchstens einen aktiven persönlichen Badge,
+ * Besucher-Badges kommen zeitlich begrenzt hinzu
+ */
+const TAG_TYPES = {
+    PERSONAL: 'personal',
+    VISITOR: 'visitor'
+};
+
+const TAG_STATUS_LABELS = {
+    [TAG_STATUS.ACTIVE]: 'Aktiv',
+    [TAG_STATUS.LOST]: 'Verloren',
+    [TAG_STATUS.REVOKED]: 'Gesperrt'
+};
+
+const TAG_TYPE_LABELS = {
+    [TAG_TYPES.PERSONAL]: 'Persönlich',
+    [TAG_TYPES.VISITOR]: 'Besucher'
+};
+
+/**
+ * Standardwerte
+ */
+const USER_TAG_DEFAULTS = {
+    VISITOR_VALID_HOURS: 12     // Gültigkeit eines Besucher-Badges ab Ausgabe
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Prüft ob ein Badge-Status gesperrt ist (Lesung löst eine Sicherheitsmeldung aus)
+ * @param {string} status - Status aus TAG_STATUS
+ * @returns {boolean}
+ */
+function isBlockedTagStatus(status) {
+    return status === TAG_STATUS.LOST || status === TAG_STATUS.REVOKED;
+}
+
+/**
+ * Badge-Konfiguration aus der Umgebung laden
+ *
+ *   VISITOR_BADGE_HOURS=12    - Gültigkeit eines Besucher-Badges in Stunden
+ *
+ * @param {Object} env - Umgebungsvariablen (default: process.env)
+ * @returns {Object} - { visitorValidHours }
+ */
+function loadUserTagConfig(env = process.env) {
+    const hours = parseInt(env.VISITOR_BADGE_HOURS, 10);
+
+    return {
+        visitorValidHours: hours > 0 ? hours : USER_TAG_DEFAULTS.VISITOR_VALID_HOURS
+    };
+}
+
+module.exports = {
+    TAG_STATUS,
+    TAG_TYPES,
+    TAG_STATUS_LABELS,
+    TAG_TYPE_LABELS,
+    USER_TAG_DEFAULTS,
+    isBlockedTagStatus,
+    loadUserTagConfig
+};
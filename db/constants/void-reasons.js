@@ -0,0 +1,51 @@
+/**
+ * Void Reason Constants
+ * Begründungen für das Stornieren (Valid = 0) eines gespeicherten QR-Scans
+ */
+
+// ===== VOID-REASON CONSTANTS =====
+
+/**
+ * Reason-Codes wie sie in QrScans.VoidReason gespeichert werden
+ */
+const VOID_REASONS = {
+    WRONG_PACKAGE: 'wrong_package',
+    DOUBLE_SCAN: 'double_scan',
+    TEST: 'test'
+};
+
+/**
+ * Anzeigetexte für die Reason-Codes
+ */
+const VOID_REASON_LABELS = {
+    [VOID_REASONS.WRONG_PACKAGE]: 'Falsches Paket',
+    [VOID_REASONS.DOUBLE_SCAN]: 'Doppelt gescannt',
+    [VOID_REASONS.TEST]: 'Test-Scan'
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Prüft ob ein Reason-Code bekannt ist
+ * @param {string} reasonCode - Reason-Code
+ * @returns {boolean} - true wenn gültig
+ */
+function isValidVoidReason(reasonCode) {
+    return Object.values(VOID_REASONS).includes(reasonCode);
+}
+
+/**
+ * Anzeigetext für einen Reason-Code
+ * @param {string} reasonCode - Reason-Code
+ * @returns {string} - Anzeigetext (Fallback: Code selbst)
+ */
+function getVoidReasonLabel(reasonCode) {
+    return VOID_REASON_LABELS[reasonCode] || reasonCode;
+}
+
+module.exports = {
+    VOID_REASONS,
+    VOID_REASON_LABELS,
+    isValidVoidReason,
+    getVoidReasonLabel
+};
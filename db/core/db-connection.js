@@ -1,5 +1,9 @@
 const sql = require('mssql');
+const EventEmitter = require('events');
 require('dotenv').config();
+const MigrationRunner = require('./db-migrations');
+const { prepareQuery, bindInputs, describeInputs } = require('./db-params');
+const { REQUIRED_TABLES } = require('../constants/schema-columns');
 
 // Console-Utils für bessere Ausgabe - mit Fallback
 let customConsole;
@@ -20,11 +24,18 @@ try {
 /**
  * Core Database Connection Management
  * Handles basic database operations, connection pooling, and configuration
+ * Emittiert 'connection-lost' (error) bei Pool-Fehlern und abgebrochenen Queries
  */
-class DatabaseConnection {
+class DatabaseConnection extends EventEmitter {
     constructor() {
+        super();
+
         this.pool = null;
         this.isConnected = false;
+        this.schemaStatus = null;
+
+        // Ausstehende Migrationen beim Start automatisch anwenden (MSSQL_AUTO_MIGRATE=false = nur prüfen)
+        this.autoMigrate = process.env.MSSQL_AUTO_MIGRATE?.toLowerCase() !== 'false';
 
         // Database configuration from environment
         this.config = {
@@ -70,9 +81,23 @@ class DatabaseConnection {
             customConsole.info(`Datenbank: ${this.config.database}`);
             customConsole.info(`Benutzer: ${this.config.user}`);
 
+            // Alten Pool nach Verbindungsverlust verwerfen
+            if (this.pool) {
+                this.pool.removeAllListeners('error');
+                try {
+                    await this.pool.close();
+                } catch (closeError) {
+                    customConsole.warning('Alter Connection Pool konnte nicht geschlossen werden:', closeError.message);
+                }
+                this.pool = null;
+            }
+
             // Connection Pool erstellen
             this.pool = await sql.connect(this.config);
 
+            // Fehler im Pool (z.B. Netzwerkabbruch zwischen Queries) an den Supervisor melden
+            this.pool.on('error', (poolError) => this.markConnectionLost(poolError));
+
             // Verbindung testen
             const result = await this.pool.request().query('SELECT 1 as test, SYSDATETIME() as serverTime');
 
@@ -81,8 +106,8 @@ class DatabaseConnection {
                 customConsole.success('Datenbank erfolgreich verbunden');
                 customConsole.info(`Server-Zeit: ${result.recordset[0].serverTime}`);
 
-                // Tabellen validieren
-                await this.validateTables();
+                // Tabellen validieren (inkl. Migrationen und Spalten-Drift)
+                this.schemaStatus = await this.validateTables();
                 return true;
             } else {
                 throw new Error('Verbindungstest fehlgeschlagen');
@@ -107,10 +132,20 @@ class DatabaseConnection {
 
     async validateTables() {
         try {
-            const requiredTables = ['ScannBenutzer', 'Sessions', 'QrScans'];
+            const requiredTables = REQUIRED_TABLES;
             const existingTables = [];
             const missingTables = [];
 
+            // Schema-Migrationen vor der Tabellenprüfung, damit Neuinstallationen vollständig sind
+            const migrationRunner = new MigrationRunner(this);
+            let migrations = null;
+            try {
+                migrations = await migrationRunner.run({ apply: this.autoMigrate });
+            } catch (migrationError) {
+                customConsole.error('Fehler bei Schema-Migrationen:', migrationError.message);
+                migrations = { applied: [], pending: [], error: migrationError.message, columnDrift: [] };
+            }
+
             for (const tableName of requiredTables) {
                 try {
                     const result = await this.query(`
@@ -140,57 +175,48 @@ class DatabaseConnection {
 
             if (missingTables.length > 0) {
                 customConsole.warning(`Fehlende Tabellen: ${missingTables.join(', ')}`);
-                customConsole.warning('Führen Sie das Datenbank-Setup-Skript aus um fehlende Tabellen zu erstellen');
+                customConsole.warning('Führen Sie "npm run db:migrate" aus um fehlende Tabellen zu erstellen');
             }
 
-            return { existingTables, missingTables };
+            return {
+                existingTables,
+                missingTables,
+                columnDrift: migrations.columnDrift || [],
+                migrations
+            };
 
         } catch (error) {
             customConsole.error('Fehler bei Tabellen-Validierung:', error);
-            return { existingTables: [], missingTables: [] };
+            return { existingTables: [], missingTables: [], columnDrift: [], migrations: null };
         }
     }
 
-    async query(queryString, parameters = []) {
+    /**
+     * Query ausführen
+     * @param {string} queryString - SQL mit benannten (@name) oder positionalen (?) Platzhaltern
+     * @param {Object|Array} parameters - { name: param.int(1), ... } oder [wert, ...] (siehe db-params.js)
+     * @returns {Object} - mssql Result { recordset, rowsAffected }
+     */
+    async query(queryString, parameters = {}) {
         if (!this.isConnected || !this.pool) {
             throw new Error('Datenbank nicht verbunden');
         }
 
-        try {
-            const request = this.pool.request();
-
-            // Parameter hinzufügen mit korrekten SQL-Typen
-            parameters.forEach((param, index) => {
-                let sqlType = sql.NVarChar;
-
-                if (typeof param === 'number') {
-                    if (Number.isInteger(param)) {
-                        sqlType = param > 2147483647 ? sql.BigInt : sql.Int;
-                    } else {
-                        sqlType = sql.Float;
-                    }
-                } else if (typeof param === 'boolean') {
-                    sqlType = sql.Bit;
-                } else if (param instanceof Date) {
-                    sqlType = sql.DateTime2;
-                } else if (param === null || param === undefined) {
-                    sqlType = sql.NVarChar;
-                }
+        let inputs = [];
 
-                request.input(`param${index}`, sqlType, param);
-            });
+        try {
+            const prepared = prepareQuery(queryString, parameters);
+            inputs = prepared.inputs;
 
-            // ? Platzhalter durch @param0, @param1, etc. ersetzen
-            let processedQuery = queryString;
-            let paramIndex = 0;
-            processedQuery = processedQuery.replace(/\?/g, () => `@param${paramIndex++}`);
+            const request = this.pool.request();
+            bindInputs(request, inputs);
 
-            customConsole.database('Führe Query aus:', processedQuery.substring(0, 200) + (processedQuery.length > 200 ? '...' : ''));
-            if (parameters.length > 0) {
-                customConsole.info('Parameter:', parameters);
+            customConsole.database('Führe Query aus:', prepared.text.substring(0, 200) + (prepared.text.length > 200 ? '...' : ''));
+            if (inputs.length > 0) {
+                customConsole.info('Parameter:', describeInputs(inputs));
             }
 
-            const result = await request.query(processedQuery);
+            const result = await request.query(prepared.text);
 
             customConsole.success(`Query erfolgreich. Betroffene Zeilen: ${result.rowsAffected}, Datensätze: ${result.recordset?.length || 0}`);
 
@@ -199,13 +225,41 @@ class DatabaseConnection {
         } catch (error) {
             customConsole.error('Datenbank-Query-Fehler:', error.message);
             customConsole.error('Query:', queryString.substring(0, 200));
-            customConsole.error('Parameter:', parameters);
+            customConsole.error('Parameter:', describeInputs(inputs));
+
+            if (this.isConnectionError(error)) {
+                this.markConnectionLost(error);
+            }
+
             throw error;
         }
     }
 
+    /**
+     * Verbindung als verloren markieren und 'connection-lost' einmalig pro Verbindung emittieren
+     * @param {Error} error - Auslösender Fehler
+     */
+    markConnectionLost(error) {
+        if (!this.isConnected) return;
+
+        customConsole.warning('Datenbankverbindung verloren');
+        this.isConnected = false;
+        this.emit('connection-lost', error);
+    }
+
+    /**
+     * Unterscheidet Verbindungsabbrüche von SQL-Fehlern (Syntax, Constraints, ...)
+     * @param {Error} error - Fehler aus mssql
+     * @returns {boolean} - true bei Verbindungsverlust
+     */
+    isConnectionError(error) {
+        const connectionErrorCodes = ['ESOCKET', 'ECONNCLOSED', 'ENOTOPEN', 'ENOCONN', 'ECONNRESET'];
+        return error.name === 'ConnectionError' || connectionErrorCodes.includes(error.code);
+    }
+
     async close() {
         if (this.pool) {
+            this.pool.removeAllListeners('error');
             try {
                 await this.pool.close();
                 this.pool = null;
@@ -218,25 +272,25 @@ class DatabaseConnection {
     }
 
     // ===== TRANSACTION SUPPORT =====
+    /**
+     * Callback in einer Transaktion ausführen - Commit bei Erfolg, Rollback bei Fehler
+     * @param {Function} callback - async (tx) => ..., tx.query(sql, parameters) wie query()
+     * @returns {*} - Rückgabewert des Callbacks
+     */
     async transaction(callback) {
         const transaction = new sql.Transaction(this.pool);
 
         try {
             await transaction.begin();
 
-            // Custom Request-Objekt mit Parameter-Unterstützung
+            // Gleiche Parameter-API wie query()
             const customRequest = {
-                query: async (queryString, params = {}) => {
+                query: async (queryString, parameters = {}) => {
+                    const { text, inputs } = prepareQuery(queryString, parameters);
                     const request = new sql.Request(transaction);
+                    bindInputs(request, inputs);
 
-                    // Parameter hinzufügen
-                    for (const [key, paramConfig] of Object.entries(params)) {
-                        if (paramConfig.type && paramConfig.value !== undefined) {
-                            request.input(key, paramConfig.type, paramConfig.value);
-                        }
-                    }
-
-                    return await request.query(queryString);
+                    return await request.query(text);
                 }
             };
 
@@ -251,15 +305,36 @@ class DatabaseConnection {
             } catch (rollbackError) {
                 customConsole.error('Fehler beim Rollback der Transaktion:', rollbackError);
             }
+
+            if (this.isConnectionError(error)) {
+                this.markConnectionLost(error);
+            }
+
             throw error;
         }
     }
 
+    // ===== SQL-DIALEKT =====
+    /**
+     * Seitenweise Abfrage - folgt direkt auf ORDER BY
+     * @param {string} offsetName - Parametername des Offsets (ohne @)
+     * @param {string} limitName - Parametername der Seitengröße (ohne @)
+     * @returns {string} - SQL-Fragment
+     */
+    pagingClause(offsetName, limitName) {
+        return `OFFSET @${offsetName} ROWS FETCH NEXT @${limitName} ROWS ONLY`;
+    }
+
     // ===== STATUS & DIAGNOSTICS =====
     getConnectionStatus() {
         return {
             connected: this.isConnected,
             pool: !!this.pool,
+            schema: this.schemaStatus ? {
+                version: this.schemaStatus.migrations?.currentVersion ?? null,
+                pendingMigrations: this.schemaStatus.migrations?.pending?.length || 0,
+                columnDrift: this.schemaStatus.columnDrift
+            } : null,
             config: {
                 server: this.config.server,
                 database: this.config.database,
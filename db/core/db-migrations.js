@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { EXPECTED_SCHEMA } = require('../constants/schema-columns');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})-[\w-]+\.js$/;
+
+/**
+ * Versioned Schema Migrations
+ * Führt nummerierte Up-Skripte aus db/migrations/ aus und prüft Spalten-Drift
+ */
+class MigrationRunner {
+    /**
+     * @param {Object} dbConnection - Verbindung des jeweiligen Backends
+     * @param {string} migrationsDir - Verzeichnis mit NNN-name.js Migrationen (default: db/migrations)
+     */
+    constructor(dbConnection, migrationsDir = MIGRATIONS_DIR) {
+        this.db = dbConnection;
+        this.migrationsDir = migrationsDir;
+    }
+
+    // ===== MIGRATIONS-TABELLE =====
+    async ensureMigrationsTable() {
+        await this.db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'SchemaMigrations' AND TABLE_SCHEMA = 'dbo')
+            BEGIN
+                CREATE TABLE dbo.SchemaMigrations (
+                    Version INT NOT NULL PRIMARY KEY,
+                    Name NVARCHAR(200) NOT NULL,
+                    AppliedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+                )
+            END
+        `);
+    }
+
+    async recordMigration(migration) {
+        await this.db.query(`
+            INSERT INTO dbo.SchemaMigrations (Version, Name, AppliedTS)
+            VALUES (?, ?, SYSDATETIME())
+        `, [migration.version, migration.name]);
+    }
+
+    async getAppliedVersions() {
+        const result = await this.db.query('SELECT Version FROM dbo.SchemaMigrations ORDER BY Version');
+        return result.recordset.map(row => row.Version);
+    }
+
+    // ===== MIGRATIONS LADEN =====
+    loadMigrations() {
+        const files = fs.readdirSync(this.migrationsDir)
+            .filter(file => MIGRATION_FILE_PATTERN.test(file))
+            .sort();
+
+        return files.map(file => {
+            const migration = require(path.join(this.migrationsDir, file));
+            const fileVersion = parseInt(file.match(MIGRATION_FILE_PATTERN)[1], 10);
+
+            if (migration.version !== fileVersion) {
+                throw new Error(`Migration ${file}: Version ${migration.version} passt nicht zum Dateinamen`);
+            }
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${file}: up() fehlt`);
+            }
+
+            return { ...migration, file };
+        });
+    }
+
+    async getPendingMigrations() {
+        await this.ensureMigrationsTable();
+        const applied = new Set(await this.getAppliedVersions());
+        return this.loadMigrations().filter(migration => !applied.has(migration.version));
+    }
+
+    // ===== AUSFÜHRUNG =====
+    /**
+     * Führt alle ausstehenden Migrationen in Versionsreihenfolge aus
+     * @returns {Object} - { applied: [...], pending: [...], error }
+     */
+    async migrate() {
+        const pending = await this.getPendingMigrations();
+        const applied = [];
+
+        if (pending.length === 0) {
+            customConsole.info('Datenbank-Schema ist aktuell - keine Migrationen ausstehend');
+            return { applied, pending: [], error: null };
+        }
+
+        for (const migration of pending) {
+            try {
+                customConsole.database(`Migration ${migration.version} (${migration.name}) wird ausgeführt...`);
+
+                await migration.up(this.db);
+                await this.recordMigration(migration);
+
+                applied.push({ version: migration.version, name: migration.name });
+                customConsole.success(`Migration ${migration.version} (${migration.name}) angewendet`);
+            } catch (error) {
+                customConsole.error(`Migration ${migration.version} (${migration.name}) fehlgeschlagen:`, error.message);
+
+                // Nachfolgende Migrationen bauen aufeinander auf - hier abbrechen
+                const remaining = pending
+                    .filter(m => m.version >= migration.version)
+                    .map(m => ({ version: m.version, name: m.name }));
+
+                return { applied, pending: remaining, error: error.message };
+            }
+        }
+
+        return { applied, pending: [], error: null };
+    }
+
+    // ===== DRIFT-PRÜFUNG =====
+    /**
+     * Vorhandene Spalten aller Tabellen
+     * @returns {Array} - [{ TABLE_NAME, COLUMN_NAME }]
+     */
+    async getActualColumns() {
+        const result = await this.db.query(`
+            SELECT TABLE_NAME, COLUMN_NAME
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = 'dbo'
+        `);
+
+        return result.recordset;
+    }
+
+    /**
+     * Vergleicht INFORMATION_SCHEMA mit den Spalten, die die Module verwenden
+     * @returns {Array} - [{ table, tableMissing, missingColumns }] nur für abweichende Tabellen
+     */
+    async checkColumnDrift() {
+        const actualColumns = new Map();
+        (await this.getActualColumns()).forEach(row => {
+            if (!actualColumns.has(row.TABLE_NAME)) {
+                actualColumns.set(row.TABLE_NAME, new Set());
+            }
+            actualColumns.get(row.TABLE_NAME).add(row.COLUMN_NAME);
+        });
+
+        const drift = [];
+        for (const [table, expectedColumns] of Object.entries(EXPECTED_SCHEMA)) {
+            const columns = actualColumns.get(table);
+
+            if (!columns) {
+                drift.push({ table, tableMissing: true, missingColumns: [...expectedColumns] });
+                continue;
+            }
+
+            const missingColumns = expectedColumns.filter(column => !columns.has(column));
+            if (missingColumns.length > 0) {
+                drift.push({ table, tableMissing: false, missingColumns });
+            }
+        }
+
+        return drift;
+    }
+
+    /**
+     * Startup-Einstiegspunkt: Migrationen ausführen (oder nur prüfen) und Drift melden
+     * @param {Object} options - { apply: boolean }
+     * @returns {Object} - Migrations- und Drift-Status
+     */
+    async run(options = {}) {
+        const { apply = true } = options;
+
+        let migrationResult;
+        if (apply) {
+            migrationResult = await this.migrate();
+        } else {
+            const pending = await this.getPendingMigrations();
+            migrationResult = {
+                applied: [],
+                pending: pending.map(m => ({ version: m.version, name: m.name })),
+                error: null
+            };
+
+            if (pending.length > 0) {
+                customConsole.warning(`${pending.length} Migration(en) ausstehend (automatische Migration deaktiviert)`);
+            }
+        }
+
+        const columnDrift = await this.checkColumnDrift();
+        columnDrift.forEach(entry => {
+            if (entry.tableMissing) {
+                customConsole.warning(`Schema-Drift: Tabelle ${entry.table} fehlt`);
+            } else {
+                customConsole.warning(`Schema-Drift: ${entry.table} fehlen Spalten: ${entry.missingColumns.join(', ')}`);
+            }
+        });
+
+        return {
+            ...migrationResult,
+            currentVersion: Math.max(0, ...(await this.getAppliedVersions())),
+            columnDrift
+        };
+    }
+}
+
+module.exports = MigrationRunner;
@@ -0,0 +1,214 @@
+const sql = require('mssql');
+
+/**
+ * Parameter-API für DatabaseConnection.query() und transaction()
+ *
+ * Benannte Parameter mit explizitem Typ:
+ *   db.query('SELECT * FROM dbo.Sessions WHERE UserID = @userId AND StartTS >= @from', {
+ *       userId: param.int(userId),
+ *       from: param.dateTime2(from)
+ *   });
+ *
+ * Listen für IN-Klauseln werden zu einzelnen Parametern expandiert:
+ *   db.query('SELECT * FROM dbo.Sessions WHERE ID IN (@ids)', { ids: param.list(ids, param.int) });
+ *
+ * Positionale ?-Parameter (Array) werden weiterhin akzeptiert und intern in benannte
+ * Parameter umgewandelt. ? und @name innerhalb von String-Literalen, [Bezeichnern]
+ * und Kommentaren werden dabei nicht ersetzt.
+ */
+
+const LIST_MARKER = Symbol('sqlParamList');
+
+// ===== PARAMETER-FABRIKEN =====
+const param = {
+    int: (value) => ({ type: sql.Int, value }),
+    bigInt: (value) => ({ type: sql.BigInt, value }),
+    bit: (value) => ({ type: sql.Bit, value: value === null || value === undefined ? null : !!value }),
+    float: (value) => ({ type: sql.Float, value }),
+    decimal: (value, precision = 18, scale = 2) => ({ type: sql.Decimal(precision, scale), value }),
+    nvarchar: (value, length = sql.MAX) => ({ type: sql.NVarChar(length), value }),
+    varchar: (value, length = sql.MAX) => ({ type: sql.VarChar(length), value }),
+    dateTime2: (value) => ({ type: sql.DateTime2, value: value === null || value === undefined ? null : new Date(value) }),
+    date: (value) => ({ type: sql.Date, value: value === null || value === undefined ? null : new Date(value) }),
+
+    /**
+     * Liste für IN-Klauseln
+     * @param {Array} values - Werte
+     * @param {Function} factory - Parameter-Fabrik für die Elemente (z.B. param.int)
+     * @returns {Object} - Listen-Parameter
+     */
+    list: (values, factory = param.nvarchar) => ({
+        [LIST_MARKER]: true,
+        items: (values || []).map(value => factory(value))
+    })
+};
+
+// ===== TYP-ABLEITUNG (nur für untypisierte Werte) =====
+function inferParam(value) {
+    if (typeof value === 'number') {
+        if (Number.isInteger(value)) {
+            return { type: value > 2147483647 || value < -2147483648 ? sql.BigInt : sql.Int, value };
+        }
+        return { type: sql.Float, value };
+    }
+    if (typeof value === 'boolean') {
+        return { type: sql.Bit, value };
+    }
+    if (value instanceof Date) {
+        return { type: sql.DateTime2, value };
+    }
+    if (value === null || value === undefined) {
+        return { type: sql.NVarChar, value: null };
+    }
+    return { type: sql.NVarChar, value: String(value) };
+}
+
+function isTypedParam(value) {
+    return value !== null && typeof value === 'object' && !(value instanceof Date) && 'type' in value && 'value' in value;
+}
+
+function isListParam(value) {
+    return value !== null && typeof value === 'object' && value[LIST_MARKER] === true;
+}
+
+function toTypedParam(value) {
+    return isTypedParam(value) ? value : inferParam(value);
+}
+
+// ===== SQL-TEXT VERARBEITUNG =====
+/**
+ * Zerlegt SQL in Code- und Literal-Abschnitte (Strings, [Bezeichner], "Bezeichner", Kommentare)
+ * @param {string} text - SQL-Text
+ * @returns {Array} - [{ code: boolean, text }]
+ */
+function splitSqlSegments(text) {
+    const segments = [];
+    let current = '';
+    let i = 0;
+
+    const pushCode = () => {
+        if (current) segments.push({ code: true, text: current });
+        current = '';
+    };
+
+    const closers = { '\'': '\'', '[': ']', '"': '"' };
+
+    while (i < text.length) {
+        const char = text[i];
+        const next = text[i + 1];
+        let end = -1;
+
+        if (closers[char]) {
+            // '' bzw. ]] innerhalb eines Literals sind Escapes
+            const closer = closers[char];
+            end = i + 1;
+            while (end < text.length) {
+                if (text[end] === closer) {
+                    if (text[end + 1] === closer) {
+                        end += 2;
+                        continue;
+                    }
+                    break;
+                }
+                end++;
+            }
+            end = Math.min(end + 1, text.length);
+        } else if (char === '-' && next === '-') {
+            end = text.indexOf('\n', i);
+            end = end === -1 ? text.length : end;
+        } else if (char === '/' && next === '*') {
+            end = text.indexOf('*/', i + 2);
+            end = end === -1 ? text.length : end + 2;
+        }
+
+        if (end !== -1) {
+            pushCode();
+            segments.push({ code: false, text: text.slice(i, end) });
+            i = end;
+        } else {
+            current += char;
+            i++;
+        }
+    }
+
+    pushCode();
+    return segments;
+}
+
+function rewriteCode(text, replacer) {
+    return splitSqlSegments(text)
+        .map(segment => segment.code ? replacer(segment.text) : segment.text)
+        .join('');
+}
+
+/**
+ * Baut aus SQL-Text und Parametern die endgültige Query samt typisierter Inputs
+ * @param {string} queryString - SQL mit @name oder ? Platzhaltern
+ * @param {Object|Array} parameters - Benannte Parameter oder positionale Werte
+ * @returns {Object} - { text, inputs: [{ name, type, value }] }
+ */
+function prepareQuery(queryString, parameters = {}) {
+    let text = queryString;
+    let named = parameters || {};
+
+    if (Array.isArray(parameters)) {
+        // Positionale ? in @param0, @param1, ... umwandeln
+        let index = 0;
+        text = rewriteCode(text, code => code.replace(/\?/g, () => `@param${index++}`));
+
+        if (index !== parameters.length) {
+            throw new Error(`Parameteranzahl passt nicht: ${index} Platzhalter, ${parameters.length} Werte`);
+        }
+
+        named = {};
+        parameters.forEach((value, i) => {
+            named[`param${i}`] = value;
+        });
+    }
+
+    const inputs = [];
+
+    for (const [name, value] of Object.entries(named)) {
+        if (isListParam(value)) {
+            const itemNames = value.items.map((item, i) => `${name}_${i}`);
+            value.items.forEach((item, i) => inputs.push({ name: itemNames[i], ...toTypedParam(item) }));
+
+            // Leere Liste: IN (NULL) liefert keine Treffer statt eines Syntaxfehlers
+            const expansion = itemNames.length > 0 ? itemNames.map(itemName => `@${itemName}`).join(', ') : 'NULL';
+            const pattern = new RegExp(`(^|[^@\\w])@${name}(?!\\w)`, 'g');
+            text = rewriteCode(text, code => code.replace(pattern, (match, prefix) => `${prefix}${expansion}`));
+        } else {
+            inputs.push({ name, ...toTypedParam(value) });
+        }
+    }
+
+    return { text, inputs };
+}
+
+/**
+ * Inputs an ein mssql Request binden
+ * @param {Object} request - sql.Request
+ * @param {Array} inputs - Ergebnis von prepareQuery().inputs
+ */
+function bindInputs(request, inputs) {
+    inputs.forEach(({ name, type, value }) => {
+        request.input(name, type, value === undefined ? null : value);
+    });
+}
+
+/**
+ * Parameter für Logausgaben auf Werte reduzieren
+ * @param {Array} inputs - Ergebnis von prepareQuery().inputs
+ * @returns {Object} - { name: value }
+ */
+function describeInputs(inputs) {
+    return Object.fromEntries(inputs.map(({ name, value }) => [name, value]));
+}
+
+module.exports = {
+    param,
+    prepareQuery,
+    bindInputs,
+    describeInputs,
+    splitSqlSegments
+};
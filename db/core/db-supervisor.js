@@ -0,0 +1,193 @@
+const EventEmitter = require('events');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+const CONNECTION_STATES = {
+    CONNECTED: 'connected',
+    DISCONNECTED: 'disconnected',
+    RECONNECTING: 'reconnecting'
+};
+
+/**
+ * Connection Supervisor
+ * Überwacht die DatabaseConnection (Pool-Fehler, abgebrochene Queries) und verbindet
+ * mit exponentiellem Backoff neu.
+ *
+ * Events:
+ *   'connected'     - { state, attempt }              Verbindung (wieder) hergestellt
+ *   'disconnected'  - { state, error }                Verbindung verloren bzw. Erstverbindung fehlgeschlagen
+ *   'reconnecting'  - { state, attempt, delay, nextAttemptAt, error }  nächster Versuch geplant
+ */
+class ConnectionSupervisor extends EventEmitter {
+    /**
+     * @param {Object} connection - DatabaseConnection (emittiert 'connection-lost')
+     * @param {Function} connectFn - async () => boolean, baut die Verbindung auf (inkl. Modul-Initialisierung)
+     * @param {Object} options - { initialDelay, maxDelay, factor } in Millisekunden
+     */
+    constructor(connection, connectFn, options = {}) {
+        super();
+
+        this.connection = connection;
+        this.connectFn = connectFn || (() => connection.connect());
+
+        this.initialDelay = options.initialDelay || parseInt(process.env.MSSQL_RECONNECT_INITIAL_DELAY) || 1000;
+        this.maxDelay = options.maxDelay || parseInt(process.env.MSSQL_RECONNECT_MAX_DELAY) || 60000;
+        this.factor = options.factor || 2;
+
+        this.state = CONNECTION_STATES.DISCONNECTED;
+        this.attempt = 0;
+        this.reconnectTimer = null;
+        this.nextAttemptAt = null;
+        this.lastError = null;
+        this.stopped = false;
+
+        this.connection.on('connection-lost', (error) => this.handleConnectionLost(error));
+    }
+
+    // ===== VERBINDEN =====
+    /**
+     * Erstverbindung. Schlägt sie fehl, wird im Hintergrund weiter verbunden und der Fehler weitergereicht.
+     * @returns {boolean} - Ergebnis von connectFn
+     */
+    async connect() {
+        this.stopped = false;
+
+        try {
+            const connected = await this.connectFn();
+            if (!connected) {
+                throw new Error('Datenbankverbindung fehlgeschlagen');
+            }
+
+            this.markConnected();
+            return connected;
+
+        } catch (error) {
+            this.lastError = error;
+            this.setState(CONNECTION_STATES.DISCONNECTED, 'disconnected', { error: error.message });
+            this.scheduleReconnect();
+            throw error;
+        }
+    }
+
+    /**
+     * Verbindungsverlust melden (Pool-Fehler, Query mit Verbindungsfehler, Erkennung im Aufrufer)
+     * @param {Error} error - Auslösender Fehler
+     */
+    handleConnectionLost(error = null) {
+        if (this.stopped || this.state !== CONNECTION_STATES.CONNECTED) return;
+
+        this.lastError = error;
+        customConsole.warning('Datenbankverbindung verloren:', error?.message || 'unbekannt');
+
+        this.setState(CONNECTION_STATES.DISCONNECTED, 'disconnected', { error: error?.message || null });
+        this.scheduleReconnect();
+    }
+
+    // ===== BACKOFF =====
+    /**
+     * Wartezeit für einen Versuch: initialDelay * factor^(attempt-1), gedeckelt, ±20% Streuung
+     * damit mehrere Stationen nicht gleichzeitig auf den Server zugreifen
+     * @param {number} attempt - Versuchsnummer (ab 1)
+     * @returns {number} - Millisekunden
+     */
+    getDelay(attempt) {
+        const base = Math.min(this.maxDelay, this.initialDelay * Math.pow(this.factor, attempt - 1));
+        const jitter = base * 0.2 * (Math.random() * 2 - 1);
+        return Math.max(this.initialDelay, Math.round(base + jitter));
+    }
+
+    scheduleReconnect() {
+        if (this.stopped || this.reconnectTimer) return;
+
+        this.attempt++;
+        const delay = this.getDelay(this.attempt);
+        this.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+        customConsole.info(`Datenbank-Wiederverbindung: Versuch ${this.attempt} in ${Math.round(delay / 1000)}s`);
+
+        this.setState(CONNECTION_STATES.RECONNECTING, 'reconnecting', {
+            attempt: this.attempt,
+            delay,
+            nextAttemptAt: this.nextAttemptAt,
+            error: this.lastError?.message || null
+        });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.attemptReconnect();
+        }, delay);
+    }
+
+    async attemptReconnect() {
+        if (this.stopped) return;
+
+        try {
+            const connected = await this.connectFn();
+            if (!connected) {
+                throw new Error('Datenbankverbindung fehlgeschlagen');
+            }
+
+            customConsole.success(`Datenbank nach ${this.attempt} Versuch(en) wieder verbunden`);
+            this.markConnected();
+
+        } catch (error) {
+            this.lastError = error;
+            customConsole.warning(`Datenbank weiterhin nicht erreichbar: ${error.message}`);
+            this.scheduleReconnect();
+        }
+    }
+
+    markConnected() {
+        const attempt = this.attempt;
+
+        this.attempt = 0;
+        this.nextAttemptAt = null;
+        this.lastError = null;
+
+        this.setState(CONNECTION_STATES.CONNECTED, 'connected', { attempt });
+    }
+
+    // ===== STEUERUNG =====
+    /**
+     * Überwachung beenden (z.B. beim Herunterfahren) - kein weiterer Reconnect
+     */
+    stop() {
+        this.stopped = true;
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    setState(state, eventName, details = {}) {
+        this.state = state;
+        this.emit(eventName, { state, ...details, timestamp: new Date().toISOString() });
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            attempt: this.attempt,
+            nextAttemptAt: this.nextAttemptAt,
+            lastError: this.lastError?.message || null
+        };
+    }
+}
+
+ConnectionSupervisor.STATES = CONNECTION_STATES;
+
+module.exports = ConnectionSupervisor;
@@ -0,0 +1,193 @@
+// db/dashboard/supervisor-dashboard.js
+// Live-Daten für das Supervisor-Dashboard - wird vom Main-Prozess bei Änderungen neu berechnet und gepusht
+
+const EventEmitter = require('events');
+const { loadDashboardConfig } = require('../constants/dashboard');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+// Scan-Serien und mehrere Session-Ereignisse zu einer Abfrage bündeln
+const REFRESH_DEBOUNCE_MS = 500;
+
+/**
+ * Supervisor Dashboard
+ *
+ * Sammelt aus der Datenbank (alle Arbeitsplätze) die aktiven Sessions, Scans je Stunde, die
+ * Bestenliste, Neustart-Zahlen und untätige Mitarbeiter. Das Fenster fragt nicht selbst ab:
+ * der Main-Prozess ruft requestRefresh() bei jedem lokalen Session-/Scan-Ereignis auf, und ein
+ * langsamer Hintergrund-Abgleich (refreshMs) übernimmt Änderungen anderer Arbeitsplätze.
+ * Läuft nur zwischen start() und stop() - also solange das Dashboard-Fenster offen ist.
+ *
+ * Events:
+ *   'update' - Ergebnis von collect()
+ */
+class SupervisorDashboard extends EventEmitter {
+    /**
+     * @param {Object} dbClient - DatabaseClient
+     * @param {Object} config - Ergebnis von loadDashboardConfig() (default: aus .env)
+     */
+    constructor(dbClient, config = loadDashboardConfig()) {
+        super();
+
+        this.dbClient = dbClient;
+        this.config = config;
+
+        this.started = false;
+        this.interval = null;
+        this.debounceTimer = null;
+        this.running = false;
+        this.pending = false;
+        this.lastData = null;
+    }
+
+    // ===== STEUERUNG =====
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        if (this.config.refreshMs > 0) {
+            this.interval = setInterval(() => this.requestRefresh(), this.config.refreshMs);
+        }
+
+        this.requestRefresh();
+    }
+
+    stop() {
+        clearInterval(this.interval);
+        clearTimeout(this.debounceTimer);
+        this.interval = null;
+        this.debounceTimer = null;
+        this.started = false;
+    }
+
+    /**
+     * Neuberechnung anstoßen (gebündelt) - wirkungslos, solange das Dashboard nicht läuft
+     */
+    requestRefresh() {
+        if (!this.started || this.debounceTimer) return;
+
+        this.debounceTimer = setTimeout(() => {
+            this.debounceTimer = null;
+            this.refresh().catch(error => {
+                customConsole.error('Supervisor-Dashboard konnte nicht aktualisiert werden:', error);
+            });
+        }, REFRESH_DEBOUNCE_MS);
+    }
+
+    /**
+     * Daten neu berechnen und 'update' auslösen
+     * @returns {Object|null} - Aktuelle Daten (letzter Stand, falls offline oder bereits in Arbeit)
+     */
+    async refresh() {
+        if (this.running) {
+            this.pending = true;
+            return this.lastData;
+        }
+
+        if (!this.dbClient.isConnected) {
+            return this.lastData;
+        }
+
+        this.running = true;
+
+        try {
+            this.lastData = await this.collect();
+            this.emit('update', this.lastData);
+            return this.lastData;
+        } finally {
+            this.running = false;
+
+            if (this.pending) {
+                this.pending = false;
+                this.requestRefresh();
+            }
+        }
+    }
+
+    // ===== DATEN =====
+    /**
+     * Dashboard-Daten aus der Datenbank zusammenstellen
+     * @returns {Object} - { overview, today, sessions, idleWorkers, hourly, topPerformers, restarts, idleMinutes, generatedAt }
+     */
+    async collect() {
+        const now = new Date();
+        const today = now.toLocaleDateString('sv-SE'); // YYYY-MM-DD in lokaler Zeit
+        const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+        const [
+            activeSessions,
+            parallelStats,
+            dashboardData,
+            hourly,
+            topPerformers,
+            restartsToday,
+            restartsWeek
+        ] = await Promise.all([
+            this.dbClient.getActiveSessionsWithType(),
+            this.dbClient.getParallelSessionStats(),
+            this.dbClient.getDashboardData('today'),
+            this.dbClient.getHourlyActivity(today),
+            this.dbClient.getTopPerformers('scans', this.config.topPerformers, startOfDay, now),
+            this.dbClient.getSessionRestartStats(1),
+            this.dbClient.getSessionRestartStats(7)
+        ]);
+
+        const sessions = activeSessions.map(session => {
+            const lastActivity = session.LastScanTS || session.StartTS;
+            const idleMinutes = Math.max(0, Math.floor((now - new Date(lastActivity)) / 60000));
+
+            return {
+                sessionId: session.ID,
+                userId: session.UserID,
+                userName: session.FullName || session.BenutzerName || `Benutzer ${session.UserID}`,
+                sessionType: session.SessionTypeName || null,
+                startTime: session.StartTS,
+                netDurationSeconds: session.NetDurationSeconds,
+                scanCount: session.ScanCount || 0,
+                lastScanTime: session.LastScanTS,
+                isPaused: session.IsPaused,
+                pausedSince: session.PausedSince,
+                idleMinutes,
+                isIdle: !session.IsPaused && idleMinutes >= this.config.idleMinutes
+            };
+        });
+
+        return {
+            overview: parallelStats,
+            today: dashboardData ? dashboardData.summary : null,
+            sessions,
+            idleWorkers: sessions.filter(session => session.isIdle).sort((a, b) => b.idleMinutes - a.idleMinutes),
+            hourly,
+            topPerformers,
+            restarts: {
+                today: restartsToday,
+                week: restartsWeek
+            },
+            idleMinutes: this.config.idleMinutes,
+            generatedAt: now.toISOString()
+        };
+    }
+
+    getStatus() {
+        return {
+            started: this.started,
+            lastUpdate: this.lastData ? this.lastData.generatedAt : null,
+            ...this.config
+        };
+    }
+}
+
+module.exports = SupervisorDashboard;
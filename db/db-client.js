@@ -8,17 +8,13 @@
  */
 
 // ===== CORE IMPORTS =====
-const DatabaseConnection = require('./core/db-connection');
+// Verbindung und Fach-Module liefert das Backend (db/backends) - nur das gewählte wird geladen
+const { createBackend } = require('./backends');
+const ConnectionSupervisor = require('./core/db-supervisor');
 const DatabaseUtils = require('./utils/db-utils');
-
-// ===== MODULE IMPORTS =====
-const UserModule = require('./modules/db-users');
-const SessionModule = require('./modules/db-sessions');
-const QRScanModule = require('./modules/db-qrscans');
-const StatsModule = require('./modules/db-stats');
+const ScanPolicy = require('./policy/scan-policy');
 
 // ===== SPECIALIZED IMPORTS =====
-const HealthModule = require('./health/db-health');
 const SessionTypeConstants = require('./constants/session-types');
 
 /**
@@ -29,12 +25,23 @@ const SessionTypeConstants = require('./constants/session-types');
  * KORRIGIERT für automatisches SessionTypes Setup
  */
 class DatabaseClient {
-    constructor() {
+    /**
+     * @param {Object} options - { backend: 'mssql' | 'sqlite' (default: DB_BACKEND), sqlitePath, scanPolicy }
+     */
+    constructor(options = {}) {
         // ===== CORE COMPONENTS =====
-        this.connection = new DatabaseConnection();
+        this.backend = createBackend(options.backend);
+        this.connection = this.backend.createConnection(options);
         this.utils = new DatabaseUtils();
 
+        // Scan-Policy bleibt über Reconnects erhalten (Cooldown/Rate-Limit-Zustand im Speicher)
+        this.scanPolicy = options.scanPolicy || new ScanPolicy();
+
+        // Verbindungsüberwachung mit automatischem Reconnect (Events: connected/disconnected/reconnecting)
+        this.supervisor = new ConnectionSupervisor(this.connection, () => this.openConnection());
+
         // ===== SPECIALIZED MODULES (werden nach connect() initialisiert) =====
+        this.audit = null;
         this.users = null;
         this.sessions = null;
         this.qrscans = null;
@@ -72,18 +79,33 @@ class DatabaseClient {
 
     // ===== CORE CONNECTION METHODS (DELEGATED) =====
 
+    /**
+     * Verbindung herstellen. Schlägt sie fehl, verbindet der Supervisor im Hintergrund
+     * mit Backoff weiter; der Fehler wird trotzdem an den Aufrufer weitergereicht.
+     * @returns {boolean} - true wenn verbunden
+     */
     async connect() {
+        return await this.supervisor.connect();
+    }
+
+    /**
+     * Verbindung aufbauen und Module initialisieren (Erstverbindung und jeder Reconnect)
+     * @returns {boolean} - true wenn verbunden
+     */
+    async openConnection() {
         const connectionResult = await this.connection.connect();
 
         if (connectionResult) {
-            // Module nach erfolgreicher Verbindung initialisieren
-            this.users = new UserModule(this.connection, this.utils);
-            this.sessions = new SessionModule(this.connection, this.utils);
-            this.qrscans = new QRScanModule(this.connection, this.utils);
-            this.stats = new StatsModule(this.connection, this.utils);
-            this.health = new HealthModule(this.connection, this.utils);
+            // Module nach erfolgreicher Verbindung initialisieren (backend-spezifische Implementierungen)
+            const modules = this.backend.createModules(this.connection, this.utils, this.scanPolicy);
+            this.audit = modules.audit;
+            this.users = modules.users;
+            this.sessions = modules.sessions;
+            this.qrscans = modules.qrscans;
+            this.stats = modules.stats;
+            this.health = modules.health;
 
-            console.log('✅ DatabaseClient Module initialisiert');
+            console.log(`✅ DatabaseClient Module initialisiert (Backend: ${this.backend.name})`);
 
             // SessionTypes automatisch initialisieren
             await this.initializeSessionTypes();
@@ -100,7 +122,7 @@ class DatabaseClient {
         try {
             console.log('🔧 Initialisiere SessionTypes...');
 
-            const success = await SessionTypeConstants.setupSessionTypes(this.connection);
+            const success = await this.sessions.setupSessionTypes();
 
             if (success) {
                 this.sessionTypesInitialized = true;
@@ -125,6 +147,9 @@ class DatabaseClient {
     }
 
     async close() {
+        // Kein Reconnect nach bewusstem Schließen
+        this.supervisor.stop();
+
         // Cleanup utils first
         this.utils.cleanup();
 
@@ -146,6 +171,19 @@ class DatabaseClient {
 
     // ===== USER OPERATIONS (DELEGATED) =====
 
+    /**
+     * @param {string|Array<string>} epcHex - Tag-ID (hex) oder gleichwertige Formen
+     * @returns {Array<Object>} - Alle passenden Benutzer mit TagID, TagType und MatchedEPC
+     */
+    async findUsersByEPC(epcHex) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.findUsersByEPC(epcHex);
+    }
+
+    /**
+     * @param {string|Array<string>} epcHex - Tag-ID (hex) oder gleichwertige Formen
+     * @returns {Object|null} - Benutzer mit TagID und TagType oder null (auch wenn nicht eindeutig)
+     */
     async getUserByEPC(epcHex) {
         if (!this.users) throw new Error('DatabaseClient nicht verbunden');
         return await this.users.getUserByEPC(epcHex);
@@ -161,6 +199,107 @@ class DatabaseClient {
         return await this.users.getAllActiveUsers();
     }
 
+    // ===== BENUTZERVERWALTUNG =====
+    /**
+     * Alle Benutzer inklusive deaktivierter
+     * @returns {Array} - Benutzer mit FullName, IsActive, HasBadge, EPCHex
+     */
+    async getAllUsers() {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.getAllUsers();
+    }
+
+    /**
+     * @param {Object} data - { firstName, lastName, userName, email, department }
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     * @returns {Object} - { success, status, message, data }
+     */
+    async createUser(data, options = {}) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.createUser(data, options);
+    }
+
+    async updateUser(userId, data, options = {}) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.updateUser(userId, data, options);
+    }
+
+    async setUserActive(userId, active, options = {}) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.setUserActive(userId, active, options);
+    }
+
+    /**
+     * @param {number} userId - Benutzer ID
+     * @param {string} role - Rolle aus db/constants/user-roles.js
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     * @returns {Object} - { success, status, message, data }
+     */
+    async setUserRole(userId, role, options = {}) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.setUserRole(userId, role, options);
+    }
+
+    // ===== BADGES (UserTags) =====
+    /**
+     * RFID-Tag als Badge ausgeben - abgelehnt, wenn er bereits einem anderen Benutzer gehört.
+     * Ein persönlicher Badge ersetzt den bisherigen, ein Besucher-Badge ist zeitlich begrenzt.
+     * @param {number} userId - Benutzer ID
+     * @param {string} epcHex - Tag-ID (hex)
+     * @param {Object} options - { tagType: 'personal' | 'visitor', validHours, actorUserId, source }
+     * @returns {Object} - { success, status, message, data }
+     */
+    async assignBadge(userId, epcHex, options = {}) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.assignBadge(userId, epcHex, options);
+    }
+
+    /**
+     * @param {number} userId - Benutzer ID
+     * @returns {Array} - Alle Badges des Benutzers inkl. Historie, neueste zuerst
+     */
+    async getUserTags(userId) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.getUserTags(userId);
+    }
+
+    async getActiveUserTags() {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.getActiveUserTags();
+    }
+
+    /**
+     * @param {string|Array<string>} epcHex - Tag-ID (hex) oder gleichwertige Formen
+     * @returns {Object|null} - Letzte Ausgabe des Badges mit BenutzerName oder null (auch wenn nicht eindeutig)
+     */
+    async getLatestTag(epcHex) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.getLatestTag(epcHex);
+    }
+
+    /**
+     * Badge als verloren melden oder sperren
+     * @param {number} tagId - UserTags.ID
+     * @param {string} status - 'lost' | 'revoked'
+     * @param {string|null} reason - Begründung
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     * @returns {Object} - { success, status, message, data }
+     */
+    async setTagStatus(tagId, status, reason = null, options = {}) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.setTagStatus(tagId, status, reason, options);
+    }
+
+    async recordBlockedTagRead(tag, options = {}) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.recordBlockedTagRead(tag, options);
+    }
+
+    async getDepartments() {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.getDepartments();
+    }
+
     async searchUsers(searchTerm) {
         if (!this.users) throw new Error('DatabaseClient nicht verbunden');
         return await this.users.searchUsers(searchTerm);
@@ -188,9 +327,10 @@ class DatabaseClient {
      * @param {number} userId - Benutzer ID
      * @param {string} sessionType - Session-Typ (default: 'Wareneinlagerung')
      * @param {boolean} closeExistingSessions - Bestehende Sessions beenden (default: true)
+     * @param {Object} options - { startedAt, actorUserId, source } Original-Startzeit (Offline-Journal-Replay) und Audit-Kontext
      * @returns {Object} - Session-Daten
      */
-    async createSession(userId, sessionType = 'Wareneinlagerung', closeExistingSessions = true) {
+    async createSession(userId, sessionType = 'Wareneinlagerung', closeExistingSessions = true, options = {}) {
         if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
 
         // Prüfe ob SessionTypes initialisiert sind
@@ -203,7 +343,7 @@ class DatabaseClient {
             }
         }
 
-        return await this.sessions.createSession(userId, sessionType, closeExistingSessions);
+        return await this.sessions.createSession(userId, sessionType, closeExistingSessions, options);
     }
 
     /**
@@ -211,36 +351,28 @@ class DatabaseClient {
      * Setzt die StartTime auf aktuelle Zeit zurück, ohne die Session zu beenden
      * @param {number} sessionId - Session ID
      * @param {number} userId - Benutzer ID (für Validierung)
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
      * @returns {Object} - Aktualisierte Session-Daten
      */
-    async restartSession(sessionId, userId = null) {
+    async restartSession(sessionId, userId = null, options = {}) {
         if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
 
         try {
             if (userId) {
                 // Mit Benutzer-Validierung
-                return await this.sessions.restartSession(sessionId, userId);
+                return await this.sessions.restartSession(sessionId, userId, options);
             } else {
                 // Ohne Benutzer-Validierung (legacy support)
-                const result = await this.query(`
-                    UPDATE Sessions
-                    SET StartTS = GETDATE()
-                        OUTPUT INSERTED.ID, INSERTED.UserID, INSERTED.StartTS, INSERTED.Active
-                    WHERE ID = ? AND Active = 1
-                `, [sessionId]);
-
-                if (result.recordset.length === 0) {
+                const session = await this.sessions.restartSession(sessionId, null, options);
+
+                if (!session) {
                     throw new Error(`Session ${sessionId} nicht gefunden oder nicht aktiv`);
                 }
 
-                const updatedSession = result.recordset[0];
                 console.log(`✅ Session ${sessionId} neu gestartet`);
 
                 return {
-                    ID: updatedSession.ID,
-                    UserID: updatedSession.UserID,
-                    StartTS: this.utils.normalizeTimestamp(updatedSession.StartTS),
-                    Active: updatedSession.Active,
+                    ...session,
                     restarted: true
                 };
             }
@@ -266,30 +398,10 @@ class DatabaseClient {
      * @returns {Array} - Array aller aktiven Sessions
      */
     async getActiveSessions() {
-        try {
-            const result = await this.query(`
-                SELECT s.ID, s.UserID, s.StartTS, s.EndTS, s.Active,
-                       u.BenutzerName as UserName, u.Department,
-                       COUNT(qr.ID) as ScanCount
-                FROM Sessions s
-                         INNER JOIN ScannBenutzer u ON s.UserID = u.ID
-                         LEFT JOIN QrScans qr ON s.ID = qr.SessionID
-                WHERE s.Active = 1
-                GROUP BY s.ID, s.UserID, s.StartTS, s.EndTS, s.Active, u.BenutzerName, u.Department
-                ORDER BY s.StartTS ASC
-            `);
-
-            return result.recordset.map(session => ({
-                ID: session.ID,
-                UserID: session.UserID,
-                UserName: session.UserName,
-                Department: session.Department,
-                StartTS: this.utils.normalizeTimestamp(session.StartTS),
-                EndTS: session.EndTS ? this.utils.normalizeTimestamp(session.EndTS) : null,
-                Active: session.Active,
-                ScanCount: session.ScanCount || 0
-            }));
+        if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
 
+        try {
+            return await this.sessions.getActiveSessionsWithScanCount();
         } catch (error) {
             console.error('Fehler beim Abrufen aktiver Sessions:', error);
             throw error;
@@ -306,22 +418,43 @@ class DatabaseClient {
         return await this.sessions.getActiveSessionsWithType();
     }
 
-    async endSession(sessionId) {
+    async endSession(sessionId, options = {}) {
+        if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
+        return await this.sessions.endSession(sessionId, options);
+    }
+
+    async pauseSession(sessionId, options = {}) {
+        if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
+        return await this.sessions.pauseSession(sessionId, options);
+    }
+
+    async resumeSession(sessionId, options = {}) {
+        if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
+        return await this.sessions.resumeSession(sessionId, options);
+    }
+
+    async getSessionPauses(sessionId) {
+        if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
+        return await this.sessions.getSessionPauses(sessionId);
+    }
+
+    async getSessionsInRange(rangeStart, rangeEnd, userId = null) {
         if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
-        return await this.sessions.endSession(sessionId);
+        return await this.sessions.getSessionsInRange(rangeStart, rangeEnd, userId);
     }
 
     /**
      * ANGEPASST FÜR WARENEINLAGERUNG: Beendet ALLE aktiven Sessions (nur für Notfälle)
      * Im normalen Wareneinlagerung-Betrieb sollte dies NICHT verwendet werden
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
      * @returns {Object} - Erfolg, Anzahl beendeter Sessions und betroffene Benutzer
      */
-    async endAllActiveSessions() {
+    async endAllActiveSessions(options = {}) {
         console.warn('⚠️ WARNUNG: endAllActiveSessions() aufgerufen in Wareneinlagerung-Modus!');
         console.warn('⚠️ Dies sollte nur in Notfällen verwendet werden, da Wareneinlagerung parallele Sessions unterstützt.');
 
         if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
-        return await this.sessions.endAllActiveSessions();
+        return await this.sessions.endAllActiveSessions(options);
     }
 
     async getActiveSession(userId) {
@@ -339,6 +472,11 @@ class DatabaseClient {
         return await this.sessions.getSessionTypes();
     }
 
+    async getLastSessionTypeName(userId) {
+        if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
+        return await this.sessions.getLastSessionTypeName(userId);
+    }
+
     async getSessionTypeStats(startDate = null, endDate = null) {
         if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
         return await this.sessions.getSessionTypeStats(startDate, endDate);
@@ -346,9 +484,9 @@ class DatabaseClient {
 
     // ===== QR-SCAN OPERATIONS (DELEGATED) =====
 
-    async saveQRScan(sessionId, payload) {
+    async saveQRScan(sessionId, payload, options = {}) {
         if (!this.qrscans) throw new Error('DatabaseClient nicht verbunden');
-        return await this.qrscans.saveQRScan(sessionId, payload);
+        return await this.qrscans.saveQRScan(sessionId, payload, options);
     }
 
     async getQRScansBySession(sessionId, limit = 50) {
@@ -381,12 +519,27 @@ class DatabaseClient {
         return await this.qrscans.searchQRScans(searchTerm, sessionId, limit);
     }
 
-    async checkQRDuplicate(payload, timeWindowHours = 0.17) {
+    async voidQRScan(scanId, reasonCode, userId, options = {}) {
+        if (!this.qrscans) throw new Error('DatabaseClient nicht verbunden');
+        return await this.qrscans.voidQRScan(scanId, reasonCode, userId, options);
+    }
+
+    async searchDecodedScans(criteria = {}) {
+        if (!this.qrscans) throw new Error('DatabaseClient nicht verbunden');
+        return await this.qrscans.searchDecodedScans(criteria);
+    }
+
+    async backfillDecodedColumns(options = {}) {
+        if (!this.qrscans) throw new Error('DatabaseClient nicht verbunden');
+        return await this.qrscans.backfillDecodedColumns(options);
+    }
+
+    async checkQRDuplicate(payload, timeWindowHours = null) {
         if (!this.qrscans) throw new Error('DatabaseClient nicht verbunden');
         return await this.qrscans.checkQRDuplicate(payload, timeWindowHours);
     }
 
-    async checkForDuplicates(rawPayload, sessionId, minutesBack = 10) {
+    async checkForDuplicates(rawPayload, sessionId, minutesBack = null) {
         if (!this.qrscans) throw new Error('DatabaseClient nicht verbunden');
         return await this.qrscans.checkForDuplicates(rawPayload, sessionId, minutesBack);
     }
@@ -401,6 +554,18 @@ class DatabaseClient {
         return await this.getQRScansBySession(sessionId, limit);
     }
 
+    // ===== AUDIT OPERATIONS (DELEGATED) =====
+
+    async getAuditLog(criteria = {}) {
+        if (!this.audit) throw new Error('DatabaseClient nicht verbunden');
+        return await this.audit.getAuditLog(criteria);
+    }
+
+    async getSessionAuditHistory(sessionId) {
+        if (!this.audit) throw new Error('DatabaseClient nicht verbunden');
+        return await this.audit.getSessionHistory(sessionId);
+    }
+
     // ===== STATISTICS OPERATIONS (DELEGATED) =====
 
     async getDailyStats(date = null) {
@@ -418,14 +583,29 @@ class DatabaseClient {
         return await this.stats.getUserStats(userId, startDate, endDate);
     }
 
-    async getHourlyActivity(date = null) {
+    /**
+     * Scans je Stunde eines Tages
+     * @param {string|null} date - 'YYYY-MM-DD' (default: heute)
+     * @param {Object} filters - { sessionTypeId, department } (leer = alle)
+     */
+    async getHourlyActivity(date = null, filters = {}) {
         if (!this.stats) throw new Error('DatabaseClient nicht verbunden');
-        return await this.stats.getHourlyActivity(date);
+        return await this.stats.getHourlyActivity(date, filters);
     }
 
-    async getWeeklyTrends(weeks = 4) {
+    /**
+     * Scans je Wochentag und Stunde (Heatmap)
+     * @param {number} weeks - Zeitraum in Wochen rückblickend
+     * @param {Object} filters - { sessionTypeId, department } (leer = alle)
+     */
+    async getWeekdayHourActivity(weeks = 4, filters = {}) {
+        if (!this.stats) throw new Error('DatabaseClient nicht verbunden');
+        return await this.stats.getWeekdayHourActivity(weeks, filters);
+    }
+
+    async getWeeklyTrends(weeks = 4, filters = {}) {
         if (!this.stats) throw new Error('DatabaseClient nicht verbunden');
-        return await this.stats.getWeeklyTrends(weeks);
+        return await this.stats.getWeeklyTrends(weeks, filters);
     }
 
     async getPerformanceMetrics(startDate = null, endDate = null) {
@@ -443,6 +623,11 @@ class DatabaseClient {
         return await this.stats.getDashboardData(timeframe);
     }
 
+    async getDailyScanCounts(rangeStart, rangeEnd, userId = null) {
+        if (!this.stats) throw new Error('DatabaseClient nicht verbunden');
+        return await this.stats.getDailyScanCounts(rangeStart, rangeEnd, userId);
+    }
+
     // ===== WARENEINLAGERUNG-SPEZIFISCHE STATISTIKEN =====
 
     /**
@@ -450,43 +635,8 @@ class DatabaseClient {
      * @returns {Object} - Parallele Session-Statistiken
      */
     async getParallelSessionStats() {
-        try {
-            const result = await this.query(`
-                SELECT
-                    COUNT(*) as ActiveSessionCount,
-                    COUNT(DISTINCT UserID) as ActiveUserCount,
-                    AVG(DATEDIFF(MINUTE, StartTS, GETDATE())) as AvgSessionDurationMinutes,
-                    SUM(qr.ScanCount) as TotalActiveScans
-                FROM Sessions s
-                         LEFT JOIN (
-                    SELECT SessionID, COUNT(*) as ScanCount
-                    FROM QrScans
-                    WHERE CapturedTS >= DATEADD(DAY, -1, GETDATE())
-                    GROUP BY SessionID
-                ) qr ON s.ID = qr.SessionID
-                WHERE s.Active = 1
-            `);
-
-            const stats = result.recordset[0];
-            return {
-                activeSessionCount: stats.ActiveSessionCount || 0,
-                activeUserCount: stats.ActiveUserCount || 0,
-                avgSessionDurationMinutes: Math.round(stats.AvgSessionDurationMinutes || 0),
-                totalActiveScans: stats.TotalActiveScans || 0,
-                timestamp: new Date().toISOString()
-            };
-
-        } catch (error) {
-            console.error('Fehler beim Abrufen der parallelen Session-Statistiken:', error);
-            return {
-                activeSessionCount: 0,
-                activeUserCount: 0,
-                avgSessionDurationMinutes: 0,
-                totalActiveScans: 0,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            };
-        }
+        if (!this.stats) throw new Error('DatabaseClient nicht verbunden');
+        return await this.stats.getParallelSessionStats();
     }
 
     /**
@@ -495,54 +645,8 @@ class DatabaseClient {
      * @returns {Object} - Session-Restart-Statistiken
      */
     async getSessionRestartStats(days = 7) {
-        try {
-            // Da wir keine explizite Restart-Spalte haben, schätzen wir Restarts
-            // basierend auf Sessions mit sehr kurzer Dauer gefolgt von neuen Sessions
-            const result = await this.query(`
-                WITH SessionDurations AS (
-                    SELECT
-                        UserID,
-                        StartTS,
-                        LEAD(StartTS) OVER (PARTITION BY UserID ORDER BY StartTS) as NextStartTime,
-                        DATEDIFF(MINUTE, StartTS, ISNULL(EndTS, GETDATE())) as DurationMinutes
-                    FROM Sessions
-                    WHERE StartTS >= DATEADD(DAY, -?, GETDATE())
-                )
-                SELECT
-                    COUNT(*) as TotalSessions,
-                    COUNT(CASE WHEN DurationMinutes < 2 AND NextStartTime IS NOT NULL
-                        AND DATEDIFF(MINUTE, StartTS, NextStartTime) < 5
-                                   THEN 1 END) as EstimatedRestarts,
-                    AVG(DurationMinutes) as AvgSessionDuration,
-                    COUNT(DISTINCT UserID) as UsersWithSessions
-                FROM SessionDurations
-            `, [days]);
-
-            const stats = result.recordset[0];
-            return {
-                totalSessions: stats.TotalSessions || 0,
-                estimatedRestarts: stats.EstimatedRestarts || 0,
-                restartRate: stats.TotalSessions > 0 ?
-                    Math.round((stats.EstimatedRestarts / stats.TotalSessions) * 100) : 0,
-                avgSessionDurationMinutes: Math.round(stats.AvgSessionDuration || 0),
-                usersWithSessions: stats.UsersWithSessions || 0,
-                daysAnalyzed: days,
-                timestamp: new Date().toISOString()
-            };
-
-        } catch (error) {
-            console.error('Fehler beim Abrufen der Session-Restart-Statistiken:', error);
-            return {
-                totalSessions: 0,
-                estimatedRestarts: 0,
-                restartRate: 0,
-                avgSessionDurationMinutes: 0,
-                usersWithSessions: 0,
-                daysAnalyzed: days,
-                error: error.message,
-                timestamp: new Date().toISOString()
-            };
-        }
+        if (!this.stats) throw new Error('DatabaseClient nicht verbunden');
+        return await this.stats.getSessionRestartStats(days);
     }
 
     // ===== HEALTH & DIAGNOSTICS (DELEGATED) =====
@@ -550,7 +654,10 @@ class DatabaseClient {
     async healthCheck() {
         try {
             // Basis-Verbindungstest
-            const connectionTest = await this.query('SELECT 1 as test, SYSDATETIME() as currentTime');
+            const connectionTest = await this.connection.testConnection();
+            if (!connectionTest.success) {
+                throw new Error(connectionTest.error);
+            }
 
             // Tabellen-Validierung
             const tablesValid = await this.validateTables();
@@ -562,14 +669,14 @@ class DatabaseClient {
             const activeSessions = await this.getActiveSessions();
 
             return {
-                connection: connectionTest.recordset.length > 0,
+                connection: connectionTest.success,
                 tables: tablesValid,
                 sessionTypes: sessionTypes.length > 0,
                 sessionTypesInitialized: this.sessionTypesInitialized,
                 activeSessionsCount: activeSessions.length,
                 multiSessionMode: this.multiSessionMode,
                 allowSessionRestart: this.allowSessionRestart,
-                currentTime: connectionTest.recordset[0]?.currentTime,
+                currentTime: connectionTest.serverTime,
                 status: 'healthy'
             };
 
@@ -593,6 +700,14 @@ class DatabaseClient {
         return await this.health.testConnection();
     }
 
+    /**
+     * Zustand der Verbindungsüberwachung
+     * @returns {Object} - { state, attempt, nextAttemptAt, lastError }
+     */
+    getConnectionState() {
+        return this.supervisor.getStatus();
+    }
+
     getConnectionStatus() {
         if (!this.health) {
             return {
@@ -783,7 +898,9 @@ class DatabaseClient {
      * @returns {boolean} - Success
      */
     async setupSessionTypes() {
-        const success = await SessionTypeConstants.setupSessionTypes(this.connection);
+        if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
+
+        const success = await this.sessions.setupSessionTypes();
         if (success) {
             this.sessionTypesInitialized = true;
         }
@@ -802,94 +919,83 @@ class DatabaseClient {
     /**
      * Validate QR code for specific SessionType
      * @param {string} sessionTypeName - SessionType name
-     * @param {Object} qrData - QR code data
-     * @returns {Object} - Validation result
+     * @param {Object} decodedData - Ergebnis von parseQRCodeData() (format)
+     * @returns {Object} - Validation result { isValid, format, allowedFormats, message? }
      */
-    validateQRForSessionType(sessionTypeName, qrData) {
-        return SessionTypeConstants.validateQRForSessionType(sessionTypeName, qrData);
+    validateQRForSessionType(sessionTypeName, decodedData) {
+        return SessionTypeConstants.validateQRForSessionType(sessionTypeName, decodedData);
     }
 
     /**
      * Enhanced QR scan with SessionType validation
+     * Die Format-Prüfung je SessionType ist Teil der Scan-Policy (session_type_format) und
+     * läuft in jedem saveQRScan - diese Methode bleibt als Alias für bestehenden Code.
      * @param {number} sessionId - Session ID
      * @param {string} payload - QR payload
-     * @param {Object} options - Additional options
-     * @returns {Object} - Enhanced scan result
+     * @param {Object} options - Optionen von saveQRScan
+     * @returns {Object} - Scan result (status 'wrong_format_for_session_type' bei falschem Format)
      */
     async saveQRScanWithValidation(sessionId, payload, options = {}) {
-        try {
-            // Get session info if validation is requested
-            if (options.validateSessionType) {
-                const session = await this.getSessionWithType(sessionId);
-                if (session && session.SessionTypeName) {
-                    const qrData = this.parseQRCodeData(payload);
-                    const validation = this.validateQRForSessionType(session.SessionTypeName, {
-                        type: 'decoded_qr',
-                        decoded: qrData
-                    });
-
-                    if (!validation.isValid) {
-                        return {
-                            success: false,
-                            status: 'validation_failed',
-                            message: validation.message,
-                            data: null,
-                            timestamp: new Date().toISOString()
-                        };
-                    }
-                }
-            }
-
-            // Proceed with normal scan saving
-            return await this.saveQRScan(sessionId, payload);
-        } catch (error) {
-            return {
-                success: false,
-                status: 'error',
-                message: `Fehler bei validiertem QR-Scan: ${error.message}`,
-                data: null,
-                timestamp: new Date().toISOString()
-            };
-        }
+        return await this.saveQRScan(sessionId, payload, options);
     }
 
     /**
      * Get comprehensive session report (ERWEITERT FÜR WARENEINLAGERUNG)
+     * Grundlage für Berichtsansicht, PDF- und CSV-Export (db/reports/session-report.js)
      * @param {number} sessionId - Session ID
-     * @returns {Object} - Comprehensive session report
+     * @returns {Object} - Comprehensive session report (scans chronologisch, alle Scans inkl. stornierte)
      */
     async getSessionReport(sessionId) {
         try {
             const [
                 session,
                 scans,
+                pauses,
                 duration,
                 stats,
                 parallelStats
             ] = await Promise.all([
                 this.getSessionWithType(sessionId),
-                this.getQRScansBySession(sessionId),
+                this.getQRScansBySession(sessionId, 0),
+                this.getSessionPauses(sessionId),
                 this.getSessionDuration(sessionId),
                 this.getQRScanStats(sessionId),
                 this.getParallelSessionStats()
             ]);
 
+            if (!session) {
+                throw new Error(`Session ${sessionId} nicht gefunden`);
+            }
+
+            const user = await this.getUserById(session.UserID);
+            const chronologicalScans = scans.slice().sort((a, b) => new Date(a.CapturedTS) - new Date(b.CapturedTS));
+            const validScans = chronologicalScans.filter(s => s.Valid);
+            const netHours = duration ? duration.netDuration / (60 * 60 * 1000) : 0;
+
             return {
                 session,
-                scans,
+                user,
+                scans: chronologicalScans,
+                pauses,
                 duration,
                 stats,
+                hourly: this.getHourlyScanCounts(validScans),
                 parallelContext: parallelStats,
                 summary: {
                     sessionId: sessionId,
                     totalScans: scans.length,
-                    validScans: scans.filter(s => s.Valid).length,
+                    validScans: validScans.length,
+                    voidedScans: scans.length - validScans.length,
+                    pauseCount: pauses.length,
+                    // Auf Netto-Arbeitszeit bezogen - Pausen drücken die Quote nicht
+                    scansPerHour: netHours > 0 ? Math.round((validScans.length / netHours) * 10) / 10 : 0,
                     duration: duration,
-                    sessionType: session?.SessionTypeName || 'Wareneinlagerung',
-                    user: session ? {
+                    sessionType: session.SessionTypeName || 'Wareneinlagerung',
+                    user: {
                         id: session.UserID,
-                        name: session.UserName || 'Unknown'
-                    } : null,
+                        name: user ? user.BenutzerName || user.FullName : 'Unknown',
+                        fullName: user ? user.FullName : null
+                    },
                     parallelSessions: parallelStats.activeSessionCount,
                     mode: 'Wareneinlagerung (Multi-User)'
                 },
@@ -900,6 +1006,39 @@ class DatabaseClient {
         }
     }
 
+    /**
+     * Gültige Scans je Stunde (lokale Zeit), lückenlos vom ersten bis zum letzten Scan
+     * @param {Array} scans - Scans in zeitlicher Reihenfolge
+     * @returns {Array} - [{ hourStart (ISO), scans }]
+     */
+    getHourlyScanCounts(scans) {
+        if (scans.length === 0) return [];
+
+        const toHour = (timestamp) => {
+            const date = new Date(timestamp);
+            date.setMinutes(0, 0, 0);
+            return date;
+        };
+
+        const counts = new Map();
+        scans.forEach(scan => {
+            const hour = toHour(scan.CapturedTS).getTime();
+            counts.set(hour, (counts.get(hour) || 0) + 1);
+        });
+
+        const hourly = [];
+        const lastHour = toHour(scans[scans.length - 1].CapturedTS);
+
+        for (let hour = toHour(scans[0].CapturedTS); hour <= lastHour; hour.setHours(hour.getHours() + 1)) {
+            hourly.push({
+                hourStart: hour.toISOString(),
+                scans: counts.get(hour.getTime()) || 0
+            });
+        }
+
+        return hourly;
+    }
+
     /**
      * WARENEINLAGERUNG-SPEZIFISCH: Multi-User Dashboard-Daten
      * @returns {Object} - Dashboard-Daten für parallele Sessions
@@ -956,10 +1095,11 @@ class DatabaseClient {
 
         try {
             // ALLE aktiven Sessions beenden
-            await this.endAllActiveSessions();
+            await this.endAllActiveSessions({ source: 'development_reset' });
 
-            // Utils-Cache leeren
+            // Utils-Cache und Scan-Policy-Zustand leeren
             this.utils.cleanup();
+            this.scanPolicy.clear();
 
             return {
                 success: true,
@@ -988,14 +1128,10 @@ module.exports.SESSION_TYPES = SessionTypeConstants.SESSION_TYPES;
 module.exports.createWareneinlagerungSession = SessionTypeConstants.createWareneinlagerungSession;
 module.exports.getWareneinlagerungSessionTypeId = SessionTypeConstants.getWareneinlagerungSessionTypeId;
 
-// Module exports für direkte Nutzung (Advanced)
+// Module exports für direkte Nutzung (Advanced) - Verbindung und Fach-Module über createBackend()
 module.exports.modules = {
-    DatabaseConnection,
     DatabaseUtils,
-    UserModule,
-    SessionModule,
-    QRScanModule,
-    StatsModule,
-    HealthModule,
-    SessionTypeConstants
+    ScanPolicy,
+    SessionTypeConstants,
+    createBackend
 };
\ No newline at end of file
@@ -0,0 +1,389 @@
+// db/journal/offline-journal.js
+// Lokales Append-Only-Journal für Scans und Session-Events während SQL Server nicht erreichbar ist
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+const JOURNAL_FILE = 'offline-journal.jsonl';
+const USER_CACHE_FILE = 'offline-user-cache.json';
+const ARCHIVE_DIR = 'offline-journal-archive';
+
+const ENTRY_STATES = {
+    PENDING: 'pending',
+    SYNCED: 'synced',
+    REJECTED: 'rejected'
+};
+
+/**
+ * Offline-Journal
+ *
+ * Jede Zeile der Journal-Datei ist ein JSON-Record. Records werden nur angehängt:
+ *   { kind: 'entry', id, type, data, createdAt }       - neuer Eintrag (qr-scan, session-start, session-end, session-pause, session-resume)
+ *   { kind: 'state', id, state, message, at }          - Sync-Status eines Eintrags
+ *   { kind: 'session-map', localId, realId, at }       - lokale Offline-Session → Datenbank-Session
+ * Der aktuelle Zustand ergibt sich durch Einlesen aller Records in Reihenfolge.
+ */
+class OfflineJournal extends EventEmitter {
+    constructor(directory) {
+        super();
+
+        this.directory = directory;
+        this.filePath = path.join(directory, JOURNAL_FILE);
+        this.userCachePath = path.join(directory, USER_CACHE_FILE);
+
+        this.entries = new Map(); // entryId -> entry (Einfügereihenfolge = Replay-Reihenfolge)
+        this.sessionIdMap = new Map(); // lokale Session-ID -> Datenbank-Session-ID
+        this.lastLocalSessionId = 0; // zuletzt vergebene lokale Session-ID (inkl. der aus dem Journal geladenen)
+        this.userCache = [];
+        this.isReplaying = false;
+        this.lastReplay = null;
+    }
+
+    // ===== LADEN & PERSISTENZ =====
+    load() {
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+
+            if (fs.existsSync(this.filePath)) {
+                const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+                lines.forEach((line, index) => {
+                    if (!line.trim()) return;
+
+                    try {
+                        this.applyRecord(JSON.parse(line));
+                    } catch (parseError) {
+                        // Abgebrochener Schreibvorgang (z.B. Absturz) - Zeile überspringen
+                        customConsole.warning(`Offline-Journal: Zeile ${index + 1} ungültig, übersprungen`);
+                    }
+                });
+            }
+
+            if (fs.existsSync(this.userCachePath)) {
+                this.userCache = JSON.parse(fs.readFileSync(this.userCachePath, 'utf8'));
+            }
+
+            const pending = this.getPendingEntries().length;
+            customConsole.info(`Offline-Journal geladen: ${this.entries.size} Einträge, ${pending} ausstehend`);
+            return true;
+
+        } catch (error) {
+            customConsole.error('Offline-Journal konnte nicht geladen werden:', error.message);
+            return false;
+        }
+    }
+
+    applyRecord(record) {
+        switch (record.kind) {
+            case 'entry':
+                if (record.type === 'session-start' && record.data && record.data.localSessionId < this.lastLocalSessionId) {
+                    this.lastLocalSessionId = record.data.localSessionId;
+                }
+
+                this.entries.set(record.id, {
+                    id: record.id,
+                    type: record.type,
+                    data: record.data,
+                    createdAt: record.createdAt,
+                    state: ENTRY_STATES.PENDING,
+                    message: null,
+                    syncedAt: null
+                });
+                break;
+
+            case 'state': {
+                const entry = this.entries.get(record.id);
+                if (entry) {
+                    entry.state = record.state;
+                    entry.message = record.message || null;
+                    entry.syncedAt = record.at;
+                }
+                break;
+            }
+
+            case 'session-map':
+                this.sessionIdMap.set(record.localId, record.realId);
+                break;
+        }
+    }
+
+    appendRecord(record) {
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n', 'utf8');
+        this.applyRecord(record);
+    }
+
+    // ===== EINTRÄGE =====
+    /**
+     * Neuen Eintrag anhängen
+     * @param {string} type - 'qr-scan' | 'session-start' | 'session-end' | 'session-pause' | 'session-resume'
+     * @param {Object} data - Event-Daten (inkl. Original-Zeitstempel)
+     * @returns {Object} - Journal-Eintrag
+     */
+    addEntry(type, data) {
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+        this.appendRecord({
+            kind: 'entry',
+            id,
+            type,
+            data,
+            createdAt: new Date().toISOString()
+        });
+
+        customConsole.warning(`Offline-Journal: ${type} gespeichert (${id})`);
+        this.emit('changed', this.getSummary());
+
+        return this.entries.get(id);
+    }
+
+    markState(entryId, state, message = null) {
+        this.appendRecord({
+            kind: 'state',
+            id: entryId,
+            state,
+            message,
+            at: new Date().toISOString()
+        });
+    }
+
+    getPendingEntries() {
+        return Array.from(this.entries.values()).filter(entry => entry.state === ENTRY_STATES.PENDING);
+    }
+
+    hasPendingEntries() {
+        return this.getPendingEntries().length > 0;
+    }
+
+    // ===== OFFLINE-SESSIONS =====
+    /**
+     * Erzeugt eine negative lokale Session-ID - kollidiert nie mit IDENTITY-Werten der Datenbank.
+     * Streng fallend: zwei Anmeldungen in derselben Millisekunde erhalten verschiedene IDs
+     * @returns {number} - Lokale Session-ID
+     */
+    createLocalSessionId() {
+        this.lastLocalSessionId = Math.min(-Date.now(), this.lastLocalSessionId - 1);
+        return this.lastLocalSessionId;
+    }
+
+    isLocalSessionId(sessionId) {
+        return typeof sessionId === 'number' && sessionId < 0;
+    }
+
+    mapSession(localId, realId) {
+        this.appendRecord({ kind: 'session-map', localId, realId, at: new Date().toISOString() });
+    }
+
+    resolveSessionId(sessionId) {
+        return this.sessionIdMap.has(sessionId) ? this.sessionIdMap.get(sessionId) : sessionId;
+    }
+
+    // ===== BENUTZER-CACHE (für RFID-Anmeldung ohne Datenbank) =====
+    /**
+     * @param {Array} users - Aktive Benutzer
+     * @param {Array} tags - Aktive Badges { UserID, EPC, ValidTo } (persönliche und Besucher-Badges)
+     */
+    cacheUsers(users, tags = []) {
+        try {
+            this.userCache = users.map(user => ({
+                ID: user.ID,
+                Vorname: user.Vorname,
+                Nachname: user.Nachname,
+                BenutzerName: user.BenutzerName,
+                Email: user.Email,
+                EPC: user.EPC,
+                Role: user.Role,
+                Tags: tags
+                    .filter(tag => tag.UserID === user.ID)
+                    .map(tag => ({ EPC: tag.EPC, ValidTo: tag.ValidTo }))
+            }));
+            fs.writeFileSync(this.userCachePath, JSON.stringify(this.userCache), 'utf8');
+        } catch (error) {
+            customConsole.error('Offline-Benutzer-Cache konnte nicht geschrieben werden:', error.message);
+        }
+    }
+
+    /**
+     * @param {string|Array<string>} epcHex - Tag-ID (hex) oder gleichwertige Formen
+     * @returns {Array<Object>} - Alle passenden Benutzer aus dem Cache (mehr als einer = nicht eindeutig)
+     */
+    findCachedUsersByEPC(epcHex) {
+        const forms = Array.isArray(epcHex) ? epcHex : [epcHex];
+        const now = new Date();
+        const users = [];
+
+        for (const form of forms) {
+            const epcDecimal = parseInt(form, 16);
+            if (!(epcDecimal > 0)) continue; // 0 = Benutzer ohne Badge
+
+            // Caches ohne Tags (vor UserTags) kennen nur den persönlichen Badge
+            const matches = this.userCache.filter(cached => (cached.Tags ?
+                cached.Tags.some(tag => Number(tag.EPC) === epcDecimal && (!tag.ValidTo || new Date(tag.ValidTo) > now)) :
+                Number(cached.EPC) === epcDecimal));
+
+            users.push(...matches.filter(user => !users.includes(user)));
+        }
+
+        return users;
+    }
+
+    /**
+     * @param {string|Array<string>} epcHex - Tag-ID (hex) oder gleichwertige Formen
+     * @returns {Object|null} - Benutzer aus dem Cache oder null (auch wenn nicht eindeutig)
+     */
+    findCachedUserByEPC(epcHex) {
+        const users = this.findCachedUsersByEPC(epcHex);
+        return users.length === 1 ? users[0] : null;
+    }
+
+    findCachedUserById(userId) {
+        return this.userCache.find(user => user.ID === userId) || null;
+    }
+
+    /**
+     * Noch nicht übertragene Scans einer Session (fehlen im ScanCount der Datenbank)
+     * @param {number} sessionId - Session ID (lokal oder Datenbank)
+     * @returns {number} - Anzahl
+     */
+    getPendingScanCount(sessionId) {
+        let count = 0;
+
+        for (const entry of this.entries.values()) {
+            if (entry.type === 'qr-scan' && entry.state === ENTRY_STATES.PENDING &&
+                this.resolveSessionId(entry.data.sessionId) === sessionId) {
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+    // ===== REPLAY =====
+    /**
+     * Spielt alle ausstehenden Einträge in Reihenfolge ab
+     * Handler liefern { state, message } oder werfen einen Fehler mit retryable=true,
+     * wenn die Verbindung erneut weg ist - dann bleibt der Rest ausstehend.
+     * @param {Object} handlers - { [type]: async (entry, journal) => ({ state, message }) }
+     * @returns {Object} - { synced, rejected, remaining, interrupted }
+     */
+    async replay(handlers) {
+        if (this.isReplaying) {
+            return { synced: 0, rejected: 0, remaining: this.getPendingEntries().length, interrupted: false };
+        }
+
+        this.isReplaying = true;
+        this.emit('changed', this.getSummary());
+
+        let synced = 0;
+        let rejected = 0;
+        let interrupted = false;
+
+        try {
+            const pending = this.getPendingEntries();
+            customConsole.info(`Offline-Journal: Replay von ${pending.length} Einträgen gestartet`);
+
+            for (const entry of pending) {
+                const handler = handlers[entry.type];
+
+                if (!handler) {
+                    this.markState(entry.id, ENTRY_STATES.REJECTED, `Unbekannter Eintragstyp: ${entry.type}`);
+                    rejected++;
+                    continue;
+                }
+
+                try {
+                    const result = await handler(entry, this);
+                    this.markState(entry.id, result.state, result.message || null);
+
+                    if (result.state === ENTRY_STATES.SYNCED) {
+                        synced++;
+                    } else {
+                        rejected++;
+                    }
+                } catch (error) {
+                    if (error.retryable) {
+                        customConsole.warning(`Offline-Journal: Replay unterbrochen - ${error.message}`);
+                        interrupted = true;
+                        break;
+                    }
+
+                    this.markState(entry.id, ENTRY_STATES.REJECTED, error.message);
+                    rejected++;
+                }
+
+                this.emit('changed', this.getSummary());
+            }
+
+            if (!interrupted && !this.hasPendingEntries()) {
+                this.archive();
+            }
+
+        } finally {
+            this.isReplaying = false;
+            this.lastReplay = new Date().toISOString();
+            this.emit('changed', this.getSummary());
+        }
+
+        const remaining = this.getPendingEntries().length;
+        customConsole.info(`Offline-Journal: ${synced} synchronisiert, ${rejected} abgelehnt, ${remaining} ausstehend`);
+
+        return { synced, rejected, remaining, interrupted };
+    }
+
+    /**
+     * Vollständig synchronisierte Journal-Datei ins Archiv verschieben.
+     * Die Einträge bleiben bis zum Neustart für die Anzeige im Speicher.
+     */
+    archive() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const archiveDir = path.join(this.directory, ARCHIVE_DIR);
+            fs.mkdirSync(archiveDir, { recursive: true });
+
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            fs.renameSync(this.filePath, path.join(archiveDir, `offline-journal-${stamp}.jsonl`));
+            this.sessionIdMap.clear();
+
+            customConsole.success('Offline-Journal vollständig synchronisiert und archiviert');
+        } catch (error) {
+            customConsole.error('Offline-Journal konnte nicht archiviert werden:', error.message);
+        }
+    }
+
+    // ===== STATUS =====
+    getSummary(limit = 100) {
+        const entries = Array.from(this.entries.values());
+        const countByState = state => entries.filter(entry => entry.state === state).length;
+
+        return {
+            pendingCount: countByState(ENTRY_STATES.PENDING),
+            syncedCount: countByState(ENTRY_STATES.SYNCED),
+            rejectedCount: countByState(ENTRY_STATES.REJECTED),
+            totalCount: entries.length,
+            isReplaying: this.isReplaying,
+            lastReplay: this.lastReplay,
+            entries: entries.slice(-limit).reverse(),
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+OfflineJournal.ENTRY_STATES = ENTRY_STATES;
+
+module.exports = OfflineJournal;
@@ -0,0 +1,97 @@
+// db/journal/session-snapshot.js
+// Lokaler Snapshot der aktiven Sessions, damit der Main-Prozess nach Absturz oder Neustart sofort weiterarbeiten kann
+
+const fs = require('fs');
+const path = require('path');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+const SNAPSHOT_FILE = 'session-state.json';
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Session-Snapshot
+ *
+ * Eine JSON-Datei mit dem vollständigen In-Memory-Zustand des Main-Prozesses:
+ *   {
+ *     version, savedAt,
+ *     sessions: [{ sessionId, userId, sessionType, startTime, lastActivity, pausedSince, pausedMs }],
+ *     scanPolicy: { [sessionId]: [{ payload, time }] },   - Cooldown/Rate-Limit-Fenster
+ *     decodingStats: { totalScans, successfulDecodes, ... }
+ *   }
+ * Geschrieben wird über eine temporäre Datei + Rename, damit ein Absturz während des Schreibens
+ * keinen halben Snapshot hinterlässt. Die Datenbank bleibt maßgeblich - der Snapshot überbrückt
+ * den Start bis zur Verbindung und hält Offline-Sessions, die noch nicht synchronisiert sind.
+ */
+class SessionSnapshot {
+    constructor(directory) {
+        this.directory = directory;
+        this.filePath = path.join(directory, SNAPSHOT_FILE);
+    }
+
+    /**
+     * Snapshot lesen
+     * @returns {Object|null} - Snapshot oder null (nicht vorhanden, ungültig oder andere Version)
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return null;
+            }
+
+            const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+            if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.sessions)) {
+                customConsole.warning(`Session-Snapshot mit unbekanntem Format ignoriert (Version ${snapshot.version})`);
+                return null;
+            }
+
+            return snapshot;
+        } catch (error) {
+            customConsole.warning('Session-Snapshot konnte nicht gelesen werden:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Snapshot schreiben
+     * @param {Object} state - { sessions, scanPolicy, decodingStats }
+     */
+    save(state) {
+        const tempPath = `${this.filePath}.tmp`;
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify({
+            version: SNAPSHOT_VERSION,
+            savedAt: new Date().toISOString(),
+            ...state
+        }), 'utf8');
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Snapshot verwerfen (sauberes Programmende - alle Sessions wurden beendet)
+     */
+    clear() {
+        try {
+            fs.rmSync(this.filePath, { force: true });
+        } catch (error) {
+            customConsole.warning('Session-Snapshot konnte nicht gelöscht werden:', error.message);
+        }
+    }
+}
+
+module.exports = SessionSnapshot;
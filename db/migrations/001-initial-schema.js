@@ -0,0 +1,82 @@
+// db/migrations/001-initial-schema.js
+// Basis-Schema für Neuinstallationen - entspricht den Spalten aus db/constants/schema-columns.js
+
+const { tableExists } = require('./helpers');
+
+module.exports = {
+    version: 1,
+    name: 'initial-schema',
+
+    /**
+     * Legt fehlende Basistabellen an. Bestehende Tabellen bleiben unverändert,
+     * Legacy-Spalten werden in Migration 002 angeglichen.
+     * @param {Object} db - DatabaseConnection
+     */
+    async up(db) {
+        if (!(await tableExists(db, 'ScannBenutzer'))) {
+            await db.query(`
+                CREATE TABLE dbo.ScannBenutzer (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    Vorname NVARCHAR(100) NULL,
+                    Nachname NVARCHAR(100) NULL,
+                    BenutzerName NVARCHAR(100) NOT NULL,
+                    Email NVARCHAR(255) NULL,
+                    EPC BIGINT NOT NULL,
+                    Department NVARCHAR(100) NULL,
+                    xStatus INT NOT NULL DEFAULT 0,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+                );
+                CREATE INDEX IX_ScannBenutzer_EPC ON dbo.ScannBenutzer(EPC);
+            `);
+        }
+
+        if (!(await tableExists(db, 'SessionTypes'))) {
+            await db.query(`
+                CREATE TABLE dbo.SessionTypes (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    TypeName NVARCHAR(100) NOT NULL UNIQUE,
+                    Description NVARCHAR(500),
+                    IsActive BIT NOT NULL DEFAULT 1,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+                )
+            `);
+        }
+
+        if (!(await tableExists(db, 'Sessions'))) {
+            await db.query(`
+                CREATE TABLE dbo.Sessions (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    UserID INT NOT NULL,
+                    StartTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    EndTS DATETIME2 NULL,
+                    Active BIT NOT NULL DEFAULT 1,
+                    SessionTypeID INT NULL,
+
+                    CONSTRAINT FK_Sessions_UserID FOREIGN KEY (UserID) REFERENCES dbo.ScannBenutzer(ID),
+                    CONSTRAINT FK_Sessions_SessionTypeID FOREIGN KEY (SessionTypeID) REFERENCES dbo.SessionTypes(ID)
+                );
+                CREATE INDEX IX_Sessions_UserID_Active ON dbo.Sessions(UserID, Active);
+                CREATE INDEX IX_Sessions_StartTS ON dbo.Sessions(StartTS);
+            `);
+        }
+
+        if (!(await tableExists(db, 'QrScans'))) {
+            await db.query(`
+                CREATE TABLE dbo.QrScans (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    SessionID INT NOT NULL,
+                    RawPayload NVARCHAR(MAX) NOT NULL,
+                    PayloadJson AS (CASE WHEN ISJSON(RawPayload) = 1 THEN RawPayload ELSE NULL END),
+                    DecodedPayload NVARCHAR(MAX) NULL,
+                    CapturedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    Valid BIT NOT NULL DEFAULT 1,
+
+                    CONSTRAINT FK_QrScans_SessionID FOREIGN KEY (SessionID) REFERENCES dbo.Sessions(ID)
+                );
+                CREATE INDEX IX_QrScans_SessionID ON dbo.QrScans(SessionID);
+                CREATE INDEX IX_QrScans_CapturedTS ON dbo.QrScans(CapturedTS);
+            `);
+        }
+    }
+};
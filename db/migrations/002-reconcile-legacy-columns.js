@@ -0,0 +1,52 @@
+// db/migrations/002-reconcile-legacy-columns.js
+// Gleicht Datenbanken, die mit dem alten schema.sql angelegt wurden, an die Modul-Spalten an
+
+const {
+    columnExists,
+    addColumnIfMissing,
+    renameColumnIfExists
+} = require('./helpers');
+
+module.exports = {
+    version: 2,
+    name: 'reconcile-legacy-columns',
+
+    /**
+     * schema.sql verwendete Name/StartTime/EndTime/QrCode/ScanTime -
+     * die Module erwarten BenutzerName/StartTS/EndTS/RawPayload/CapturedTS.
+     * @param {Object} db - DatabaseConnection
+     */
+    async up(db) {
+        // ===== ScannBenutzer =====
+        await renameColumnIfExists(db, 'ScannBenutzer', 'Name', 'BenutzerName');
+        await addColumnIfMissing(db, 'ScannBenutzer', 'Vorname', 'NVARCHAR(100) NULL');
+        await addColumnIfMissing(db, 'ScannBenutzer', 'Nachname', 'NVARCHAR(100) NULL');
+        await addColumnIfMissing(db, 'ScannBenutzer', 'Department', 'NVARCHAR(100) NULL');
+
+        const xStatusAdded = await addColumnIfMissing(db, 'ScannBenutzer', 'xStatus', 'INT NOT NULL DEFAULT 0');
+        if (xStatusAdded && await columnExists(db, 'ScannBenutzer', 'Active')) {
+            // Legacy Active=1 entspricht xStatus=0 (aktiv)
+            await db.query(`
+                EXEC('UPDATE dbo.ScannBenutzer SET xStatus = CASE WHEN Active = 1 THEN 0 ELSE 1 END')
+            `);
+        }
+
+        // ===== Sessions =====
+        await renameColumnIfExists(db, 'Sessions', 'StartTime', 'StartTS');
+        await renameColumnIfExists(db, 'Sessions', 'EndTime', 'EndTS');
+        await addColumnIfMissing(db, 'Sessions', 'SessionTypeID', 'INT NULL');
+
+        // ===== QrScans =====
+        // Berechnete Legacy-Spalte referenziert QrCode und muss vor dem Umbenennen weg
+        if (await columnExists(db, 'QrScans', 'IsValidJson')) {
+            await db.query('ALTER TABLE dbo.QrScans DROP COLUMN IsValidJson');
+        }
+
+        await renameColumnIfExists(db, 'QrScans', 'QrCode', 'RawPayload');
+        await renameColumnIfExists(db, 'QrScans', 'ScanTime', 'CapturedTS');
+        await addColumnIfMissing(db, 'QrScans', 'Valid', 'BIT NOT NULL DEFAULT 1');
+        await addColumnIfMissing(db, 'QrScans', 'DecodedPayload', 'NVARCHAR(MAX) NULL');
+        await addColumnIfMissing(db, 'QrScans', 'PayloadJson',
+            'AS (CASE WHEN ISJSON(RawPayload) = 1 THEN RawPayload ELSE NULL END)');
+    }
+};
@@ -0,0 +1,27 @@
+// db/migrations/003-decoded-scan-columns.js
+// Dekodierte QR-Felder als eigene, indizierte Spalten in QrScans
+
+const { addColumnIfMissing, createIndexIfMissing } = require('./helpers');
+
+module.exports = {
+    version: 3,
+    name: 'decoded-scan-columns',
+
+    /**
+     * Auftrag/Paket/Kunden-ID und erkanntes Format werden beim Insert gesetzt
+     * (Bestandsdaten: npm run db:backfill-qr). DecodedFormat IS NULL = noch nicht dekodiert.
+     * @param {Object} db - DatabaseConnection
+     */
+    async up(db) {
+        await addColumnIfMissing(db, 'QrScans', 'AuftragsNr', 'NVARCHAR(100) NULL');
+        await addColumnIfMissing(db, 'QrScans', 'PaketNr', 'NVARCHAR(100) NULL');
+        await addColumnIfMissing(db, 'QrScans', 'KundenID', 'NVARCHAR(100) NULL');
+        await addColumnIfMissing(db, 'QrScans', 'DecodedFormat', 'NVARCHAR(50) NULL');
+        await addColumnIfMissing(db, 'QrScans', 'DecodeConfidence', 'DECIMAL(3,2) NULL');
+
+        await createIndexIfMissing(db, 'QrScans', 'IX_QrScans_AuftragsNr', 'AuftragsNr, CapturedTS');
+        await createIndexIfMissing(db, 'QrScans', 'IX_QrScans_PaketNr', 'PaketNr, CapturedTS');
+        await createIndexIfMissing(db, 'QrScans', 'IX_QrScans_KundenID', 'KundenID, CapturedTS');
+        await createIndexIfMissing(db, 'QrScans', 'IX_QrScans_DecodedFormat', 'DecodedFormat');
+    }
+};
@@ -0,0 +1,19 @@
+// db/migrations/004-scan-void-columns.js
+// Storno-Informationen für QR-Scans (Valid = 0 mit Begründung und Benutzer)
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+    version: 4,
+    name: 'scan-void-columns',
+
+    /**
+     * VoidReason enthält einen Code aus db/constants/void-reasons.js
+     * @param {Object} db - DatabaseConnection
+     */
+    async up(db) {
+        await addColumnIfMissing(db, 'QrScans', 'VoidReason', 'NVARCHAR(50) NULL');
+        await addColumnIfMissing(db, 'QrScans', 'VoidedByUserID', 'INT NULL');
+        await addColumnIfMissing(db, 'QrScans', 'VoidedTS', 'DATETIME2 NULL');
+    }
+};
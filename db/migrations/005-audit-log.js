@@ -0,0 +1,38 @@
+// db/migrations/005-audit-log.js
+// Audit-Trail für alle schreibenden Aufrufe in SessionModule, QRScanModule und UserModule
+
+const { tableExists } = require('./helpers');
+
+module.exports = {
+    version: 5,
+    name: 'audit-log',
+
+    /**
+     * Ein Eintrag pro Mutation: wer, was, wann, welcher Arbeitsplatz, Vorher-/Nachher-Werte.
+     * SessionID ist redundant zu EntityID, erlaubt aber Session-Historien inkl. Scans.
+     * @param {Object} db - DatabaseConnection
+     */
+    async up(db) {
+        if (!(await tableExists(db, 'AuditLog'))) {
+            await db.query(`
+                CREATE TABLE dbo.AuditLog (
+                    ID BIGINT IDENTITY(1,1) PRIMARY KEY,
+                    EventTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    Workstation NVARCHAR(100) NOT NULL,
+                    ActorUserID INT NULL,
+                    Action NVARCHAR(50) NOT NULL,
+                    EntityType NVARCHAR(50) NOT NULL,
+                    EntityID INT NULL,
+                    SessionID INT NULL,
+                    Source NVARCHAR(50) NULL,
+                    BeforeJson NVARCHAR(MAX) NULL,
+                    AfterJson NVARCHAR(MAX) NULL
+                );
+                CREATE INDEX IX_AuditLog_EventTS ON dbo.AuditLog(EventTS);
+                CREATE INDEX IX_AuditLog_Entity ON dbo.AuditLog(EntityType, EntityID, EventTS);
+                CREATE INDEX IX_AuditLog_SessionID ON dbo.AuditLog(SessionID, EventTS);
+                CREATE INDEX IX_AuditLog_ActorUserID ON dbo.AuditLog(ActorUserID, EventTS);
+            `);
+        }
+    }
+};
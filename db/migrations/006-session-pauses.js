@@ -0,0 +1,29 @@
+// db/migrations/006-session-pauses.js
+// Pausen innerhalb einer Session (Brutto- vs. Netto-Arbeitszeit)
+
+const { tableExists } = require('./helpers');
+
+module.exports = {
+    version: 6,
+    name: 'session-pauses',
+
+    /**
+     * Eine Zeile pro Pause. EndTS = NULL bedeutet: Session ist gerade pausiert.
+     * Beim Beenden der Session wird eine offene Pause mit dem Session-Ende geschlossen.
+     * @param {Object} db - DatabaseConnection
+     */
+    async up(db) {
+        if (!(await tableExists(db, 'SessionPauses'))) {
+            await db.query(`
+                CREATE TABLE dbo.SessionPauses (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    SessionID INT NOT NULL REFERENCES dbo.Sessions(ID),
+                    StartTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    EndTS DATETIME2 NULL,
+                    Reason NVARCHAR(100) NULL
+                );
+                CREATE INDEX IX_SessionPauses_SessionID ON dbo.SessionPauses(SessionID, EndTS);
+            `);
+        }
+    }
+};
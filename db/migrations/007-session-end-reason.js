@@ -0,0 +1,17 @@
+// db/migrations/007-session-end-reason.js
+// Grund für das Session-Ende (Abmeldung, Zeitüberschreitung, Absturz-Bereinigung, ...)
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+    version: 7,
+    name: 'session-end-reason',
+
+    /**
+     * EndReason enthält einen Code aus db/constants/session-timeout.js (NULL bei Altdaten)
+     * @param {Object} db - DatabaseConnection
+     */
+    async up(db) {
+        await addColumnIfMissing(db, 'Sessions', 'EndReason', 'NVARCHAR(50) NULL');
+    }
+};
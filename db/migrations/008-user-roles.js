@@ -0,0 +1,17 @@
+// db/migrations/008-user-roles.js
+// Rolle je Benutzer (Mitarbeiter, Schichtleitung, Administrator)
+
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+    version: 8,
+    name: 'user-roles',
+
+    /**
+     * Role enthält einen Code aus db/constants/user-roles.js - Bestandsbenutzer werden Mitarbeiter
+     * @param {Object} db - DatabaseConnection
+     */
+    async up(db) {
+        await addColumnIfMissing(db, 'ScannBenutzer', 'Role', "NVARCHAR(20) NOT NULL DEFAULT 'worker'");
+    }
+};
@@ -0,0 +1,45 @@
+// db/migrations/009-user-tags.js
+// Mehrere Badges je Benutzer mit Gültigkeitszeitraum und Ersatz-Historie
+
+const { tableExists } = require('./helpers');
+
+module.exports = {
+    version: 9,
+    name: 'user-tags',
+
+    /**
+     * Eine Zeile pro ausgegebenem Badge. Ein EPC ist höchstens einmal aktiv (gefilterter Unique-Index),
+     * verlorene und ersetzte Badges bleiben mit ValidTo erhalten - Lesungen bleiben so zuordenbar.
+     * Bestehende Badges aus ScannBenutzer.EPC werden als persönliche Badges übernommen, gültig ab der
+     * ersten Session des Benutzers. ScannBenutzer.EPC spiegelt weiterhin den aktuellen persönlichen Badge.
+     * @param {Object} db - DatabaseConnection
+     */
+    async up(db) {
+        if (!(await tableExists(db, 'UserTags'))) {
+            await db.query(`
+                CREATE TABLE dbo.UserTags (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    UserID INT NOT NULL REFERENCES dbo.ScannBenutzer(ID),
+                    EPC BIGINT NOT NULL,
+                    TagType NVARCHAR(20) NOT NULL DEFAULT 'personal',
+                    Status NVARCHAR(20) NOT NULL DEFAULT 'active',
+                    ValidFrom DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    ValidTo DATETIME2 NULL,
+                    StatusReason NVARCHAR(200) NULL
+                );
+                CREATE INDEX IX_UserTags_EPC ON dbo.UserTags(EPC, ValidFrom);
+                CREATE INDEX IX_UserTags_UserID ON dbo.UserTags(UserID, Status);
+                CREATE UNIQUE INDEX UX_UserTags_ActiveEPC ON dbo.UserTags(EPC) WHERE Status = 'active';
+            `);
+
+            await db.query(`
+                INSERT INTO dbo.UserTags (UserID, EPC, TagType, Status, ValidFrom)
+                SELECT u.ID, u.EPC, 'personal', 'active',
+                       COALESCE((SELECT MIN(s.StartTS) FROM dbo.Sessions s WHERE s.UserID = u.ID), SYSDATETIME())
+                FROM dbo.ScannBenutzer u
+                WHERE u.EPC > 0
+                  AND u.ID = (SELECT MIN(d.ID) FROM dbo.ScannBenutzer d WHERE d.EPC = u.EPC)
+            `);
+        }
+    }
+};
@@ -0,0 +1,100 @@
+// db/migrations/helpers.js
+// Gemeinsame Hilfsfunktionen für idempotente Migrationen
+
+/**
+ * Prüft ob eine Tabelle im dbo-Schema existiert
+ * @param {Object} db - DatabaseConnection
+ * @param {string} tableName - Tabellenname
+ * @returns {boolean} - true wenn vorhanden
+ */
+async function tableExists(db, tableName) {
+    const result = await db.query(`
+        SELECT COUNT(*) as tableCount
+        FROM INFORMATION_SCHEMA.TABLES
+        WHERE TABLE_NAME = ? AND TABLE_SCHEMA = 'dbo'
+    `, [tableName]);
+
+    return result.recordset[0].tableCount > 0;
+}
+
+/**
+ * Prüft ob eine Spalte existiert
+ * @param {Object} db - DatabaseConnection
+ * @param {string} tableName - Tabellenname
+ * @param {string} columnName - Spaltenname
+ * @returns {boolean} - true wenn vorhanden
+ */
+async function columnExists(db, tableName, columnName) {
+    const result = await db.query(`
+        SELECT COUNT(*) as columnCount
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_NAME = ? AND COLUMN_NAME = ? AND TABLE_SCHEMA = 'dbo'
+    `, [tableName, columnName]);
+
+    return result.recordset[0].columnCount > 0;
+}
+
+/**
+ * Fügt eine Spalte hinzu falls sie fehlt
+ * @param {Object} db - DatabaseConnection
+ * @param {string} tableName - Tabellenname
+ * @param {string} columnName - Spaltenname
+ * @param {string} definition - SQL-Definition (z.B. 'BIT NOT NULL DEFAULT 1')
+ * @returns {boolean} - true wenn die Spalte angelegt wurde
+ */
+async function addColumnIfMissing(db, tableName, columnName, definition) {
+    if (await columnExists(db, tableName, columnName)) {
+        return false;
+    }
+
+    await db.query(`ALTER TABLE dbo.[${tableName}] ADD [${columnName}] ${definition}`);
+    return true;
+}
+
+/**
+ * Benennt eine Legacy-Spalte um, sofern die alte Spalte existiert und die neue noch nicht
+ * @param {Object} db - DatabaseConnection
+ * @param {string} tableName - Tabellenname
+ * @param {string} oldName - Alter Spaltenname
+ * @param {string} newName - Neuer Spaltenname
+ * @returns {boolean} - true wenn umbenannt wurde
+ */
+async function renameColumnIfExists(db, tableName, oldName, newName) {
+    if (!(await columnExists(db, tableName, oldName)) || await columnExists(db, tableName, newName)) {
+        return false;
+    }
+
+    await db.query("EXEC sp_rename ?, ?, 'COLUMN'", [`dbo.${tableName}.${oldName}`, newName]);
+    return true;
+}
+
+/**
+ * Legt einen Index an falls er noch nicht existiert
+ * @param {Object} db - DatabaseConnection
+ * @param {string} tableName - Tabellenname
+ * @param {string} indexName - Indexname (z.B. 'IX_QrScans_PaketNr')
+ * @param {string} columns - Spaltenliste (z.B. 'PaketNr, CapturedTS')
+ * @returns {boolean} - true wenn der Index angelegt wurde
+ */
+async function createIndexIfMissing(db, tableName, indexName, columns) {
+    const result = await db.query(`
+        SELECT COUNT(*) as indexCount
+        FROM sys.indexes
+        WHERE name = ? AND object_id = OBJECT_ID(?)
+    `, [indexName, `dbo.${tableName}`]);
+
+    if (result.recordset[0].indexCount > 0) {
+        return false;
+    }
+
+    await db.query(`CREATE INDEX [${indexName}] ON dbo.[${tableName}](${columns})`);
+    return true;
+}
+
+module.exports = {
+    tableExists,
+    columnExists,
+    addColumnIfMissing,
+    renameColumnIfExists,
+    createIndexIfMissing
+};
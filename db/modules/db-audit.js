@@ -0,0 +1,252 @@
+const os = require('os');
+const { param } = require('../core/db-params');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+const ENTITY_TYPES = {
+    SESSION: 'session',
+    QR_SCAN: 'qrscan',
+    USER: 'user',
+    USER_TAG: 'user_tag'
+};
+
+/**
+ * Audit Trail Module
+ * Protokolliert jede Mutation in SessionModule, QRScanModule und UserModule
+ * (wer, was, wann, Arbeitsplatz, Vorher-/Nachher-Werte) und stellt sie abfragbar bereit
+ */
+class AuditModule {
+    constructor(dbConnection, utils) {
+        this.db = dbConnection;
+        this.utils = utils;
+        this.workstation = (process.env.AUDIT_WORKSTATION_NAME || os.hostname()).substring(0, 100);
+    }
+
+    // ===== PROTOKOLLIEREN =====
+    /**
+     * Audit-Eintrag schreiben. Fehler werden nur geloggt - ein fehlender
+     * Audit-Eintrag darf die eigentliche Operation nicht abbrechen.
+     * @param {Object} event - { action, entityType, entityId, sessionId, actorUserId, source, before, after }
+     * @returns {boolean} - true wenn geschrieben
+     */
+    async record(event) {
+        const {
+            action,
+            entityType,
+            entityId = null,
+            sessionId = null,
+            actorUserId = null,
+            source = null,
+            before = null,
+            after = null
+        } = event;
+
+        try {
+            await this.db.query(`
+                INSERT INTO dbo.AuditLog (Workstation, ActorUserID, Action, EntityType, EntityID,
+                                          SessionID, Source, BeforeJson, AfterJson)
+                VALUES (@workstation, @actorUserId, @action, @entityType, @entityId,
+                        @sessionId, @source, @beforeJson, @afterJson)
+            `, {
+                workstation: param.nvarchar(this.workstation, 100),
+                actorUserId: param.int(actorUserId),
+                action: param.nvarchar(action, 50),
+                entityType: param.nvarchar(entityType, 50),
+                entityId: param.int(entityId),
+                sessionId: param.int(sessionId),
+                source: param.nvarchar(source, 50),
+                beforeJson: param.nvarchar(before ? JSON.stringify(before) : null),
+                afterJson: param.nvarchar(after ? JSON.stringify(after) : null)
+            });
+
+            return true;
+        } catch (error) {
+            customConsole.error(`Audit-Eintrag ${action} (${entityType} ${entityId}) fehlgeschlagen:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Audit-Kontext aus den Options einer Modul-Methode übernehmen
+     * @param {Object} options - Methoden-Options mit { actorUserId, source }
+     * @returns {Object} - { actorUserId, source }
+     */
+    getContext(options = {}) {
+        return {
+            actorUserId: options.actorUserId || null,
+            source: options.source || null
+        };
+    }
+
+    // ===== ABFRAGEN =====
+    /**
+     * Audit-Einträge filtern und seitenweise abrufen
+     * @param {Object} criteria - { entityType, entityId, sessionId, actorUserId, action, dateFrom, dateTo, page, pageSize }
+     * @returns {Object} - { items, total, page, pageSize, totalPages }
+     */
+    async getAuditLog(criteria = {}) {
+        try {
+            const page = Math.max(1, parseInt(criteria.page) || 1);
+            const pageSize = Math.min(500, Math.max(1, parseInt(criteria.pageSize) || 50));
+
+            const conditions = [];
+            const params = {};
+
+            if (criteria.entityType) {
+                conditions.push('a.EntityType = @entityType');
+                params.entityType = param.nvarchar(criteria.entityType, 50);
+            }
+
+            if (criteria.entityId) {
+                conditions.push('a.EntityID = @entityId');
+                params.entityId = param.int(criteria.entityId);
+            }
+
+            if (criteria.sessionId) {
+                conditions.push('a.SessionID = @sessionId');
+                params.sessionId = param.int(criteria.sessionId);
+            }
+
+            if (criteria.actorUserId) {
+                conditions.push('a.ActorUserID = @actorUserId');
+                params.actorUserId = param.int(criteria.actorUserId);
+            }
+
+            if (criteria.action) {
+                conditions.push('a.Action = @action');
+                params.action = param.nvarchar(criteria.action, 50);
+            }
+
+            if (criteria.dateFrom) {
+                conditions.push('a.EventTS >= @dateFrom');
+                params.dateFrom = param.dateTime2(criteria.dateFrom);
+            }
+
+            if (criteria.dateTo) {
+                conditions.push('a.EventTS <= @dateTo');
+                params.dateTo = param.dateTime2(criteria.dateTo);
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countResult = await this.db.query(`
+                SELECT COUNT(*) as totalCount
+                FROM dbo.AuditLog a
+                ${whereClause}
+            `, params);
+
+            const total = countResult.recordset[0].totalCount;
+
+            const result = await this.db.query(`
+                SELECT
+                    a.ID,
+                    a.EventTS,
+                    a.Workstation,
+                    a.ActorUserID,
+                    u.BenutzerName as ActorName,
+                    a.Action,
+                    a.EntityType,
+                    a.EntityID,
+                    a.SessionID,
+                    a.Source,
+                    a.BeforeJson,
+                    a.AfterJson
+                FROM dbo.AuditLog a
+                LEFT JOIN dbo.ScannBenutzer u ON a.ActorUserID = u.ID
+                ${whereClause}
+                ORDER BY a.EventTS DESC, a.ID DESC
+                ${this.db.pagingClause('offset', 'pageSize')}
+            `, {
+                ...params,
+                offset: param.int((page - 1) * pageSize),
+                pageSize: param.int(pageSize)
+            });
+
+            return {
+                items: result.recordset.map(entry => this.mapAuditEntry(entry)),
+                total,
+                page,
+                pageSize,
+                totalPages: Math.ceil(total / pageSize)
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen des Audit-Trails:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Vollständige Historie einer Session (Session-Events und zugehörige Scans) chronologisch
+     * @param {number} sessionId - Session ID
+     * @returns {Array} - Audit-Einträge, älteste zuerst
+     */
+    async getSessionHistory(sessionId) {
+        try {
+            const result = await this.db.query(`
+                SELECT
+                    a.ID,
+                    a.EventTS,
+                    a.Workstation,
+                    a.ActorUserID,
+                    u.BenutzerName as ActorName,
+                    a.Action,
+                    a.EntityType,
+                    a.EntityID,
+                    a.SessionID,
+                    a.Source,
+                    a.BeforeJson,
+                    a.AfterJson
+                FROM dbo.AuditLog a
+                LEFT JOIN dbo.ScannBenutzer u ON a.ActorUserID = u.ID
+                WHERE a.SessionID = @sessionId
+                ORDER BY a.EventTS ASC, a.ID ASC
+            `, { sessionId: param.int(sessionId) });
+
+            return result.recordset.map(entry => this.mapAuditEntry(entry));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Session-Historie:', error);
+            throw error;
+        }
+    }
+
+    mapAuditEntry(entry) {
+        return {
+            ...entry,
+            EventTS: this.utils.normalizeTimestamp(entry.EventTS),
+            Before: this.parseSnapshot(entry.BeforeJson),
+            After: this.parseSnapshot(entry.AfterJson)
+        };
+    }
+
+    /**
+     * Vorher-/Nachher-Werte unverändert parsen (nicht über den QR-Payload-Parser, der Anzeigefelder ergänzt)
+     * @param {string|null} json - BeforeJson oder AfterJson
+     * @returns {Object|null} - Werte oder null (leer oder kein gültiges JSON)
+     */
+    parseSnapshot(json) {
+        if (!json) return null;
+
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+AuditModule.ENTITY_TYPES = ENTITY_TYPES;
+
+module.exports = AuditModule;
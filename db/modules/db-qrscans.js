@@ -1,3 +1,9 @@
+const { isValidVoidReason, getVoidReasonLabel } = require('../constants/void-reasons');
+const { ENTITY_TYPES } = require('./db-audit');
+const { param } = require('../core/db-params');
+const ScanPolicy = require('../policy/scan-policy');
+const qrParsers = require('../../shared/qr-parsers');
+
 // Console-Utils für bessere Ausgabe - mit Fallback
 let customConsole;
 try {
@@ -18,13 +24,152 @@ try {
  * Handles QR code scanning, storage, retrieval, and duplicate checking
  */
 class QRScanModule {
-    constructor(dbConnection, utils) {
+    /**
+     * @param {Object} dbConnection - Verbindung
+     * @param {Object} utils - DatabaseUtils
+     * @param {Object} audit - AuditModule (optional)
+     * @param {ScanPolicy} scanPolicy - Scan-Policy (wird vom DatabaseClient über Reconnects hinweg gehalten)
+     */
+    constructor(dbConnection, utils, audit = null, scanPolicy = null) {
         this.db = dbConnection;
         this.utils = utils;
+        this.audit = audit;
+        this.scanPolicy = scanPolicy || new ScanPolicy();
+    }
+
+    // ===== AUDIT =====
+    /**
+     * Scan-Mutation im Audit-Trail vermerken
+     * @param {string} action - z.B. 'qrscan.create', 'qrscan.void'
+     * @param {Object} before - Zeile vor der Änderung oder null
+     * @param {Object} after - Zeile nach der Änderung oder null
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     */
+    async recordAudit(action, before, after, options = {}) {
+        if (!this.audit) return;
+
+        const row = after || before || {};
+        await this.audit.record({
+            ...this.audit.getContext(options),
+            action,
+            entityType: ENTITY_TYPES.QR_SCAN,
+            entityId: row.ID || null,
+            sessionId: row.SessionID || null,
+            before,
+            after
+        });
+    }
+
+    // ===== SCHREIBZUGRIFFE (T-SQL, im SQLite-Backend überschrieben) =====
+    /**
+     * Gültige Scans desselben Inhalts im Zeitfenster zählen
+     * @param {string} payload - Roher QR-Code-Inhalt
+     * @param {number} minutes - Zeitfenster in Minuten
+     * @returns {Object} - { duplicateCount, lastScanTime }
+     */
+    async countRecentScans(payload, minutes) {
+        const result = await this.db.query(`
+            SELECT COUNT(*) as duplicateCount,
+                   MAX(CapturedTS) as lastScanTime
+            FROM dbo.QrScans
+            WHERE RawPayload = @payload
+              AND CapturedTS >= DATEADD(MINUTE, -@minutes, SYSDATETIME())
+              AND Valid = 1
+        `, {
+            payload: param.nvarchar(payload),
+            minutes: param.int(minutes)
+        });
+
+        return result.recordset[0];
+    }
+
+    /**
+     * Letzten Scan eines Inhalts im Zeitfenster laden (auch stornierte) - Lookup der Scan-Policy
+     * @param {string} payload - Roher QR-Code-Inhalt
+     * @param {Object} criteria - { sessionId: null = alle Sessions, seconds: Zeitfenster }
+     * @returns {Object|null} - { ID, SessionID, CapturedTS, Valid, VoidReason, SecondsAgo }
+     */
+    async findLatestScan(payload, criteria = {}) {
+        const { sessionId = null, seconds } = criteria;
+
+        const result = await this.db.query(`
+            SELECT TOP 1 ID, SessionID, CapturedTS, Valid, VoidReason,
+                   DATEDIFF(SECOND, CapturedTS, SYSDATETIME()) as SecondsAgo
+            FROM dbo.QrScans
+            WHERE RawPayload = @payload
+              AND CapturedTS >= DATEADD(SECOND, -@seconds, SYSDATETIME())
+              AND (@sessionId IS NULL OR SessionID = @sessionId)
+            ORDER BY CapturedTS DESC
+        `, {
+            payload: param.nvarchar(payload),
+            seconds: param.int(seconds),
+            sessionId: param.int(sessionId)
+        });
+
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Scan mit dekodierten Spalten einfügen (PayloadJson ist berechnet und wird nie geschrieben)
+     * @param {number} sessionId - Session ID
+     * @param {string} payload - Roher QR-Code-Inhalt
+     * @param {Object} decodedData - Ergebnis von parseQRCodeData()
+     * @param {Date} capturedAt - Scan-Zeitpunkt (null = jetzt)
+     * @returns {Object} - { ID, CapturedTS }
+     */
+    async insertScan(sessionId, payload, decodedData, capturedAt = null) {
+        const result = await this.db.query(`
+            INSERT INTO dbo.QrScans (SessionID, RawPayload, Valid,
+                                     AuftragsNr, PaketNr, KundenID, DecodedFormat, DecodeConfidence,
+                                     CapturedTS)
+                OUTPUT INSERTED.ID, INSERTED.CapturedTS
+            VALUES (@sessionId, @payload, 1,
+                    @auftragsNr, @paketNr, @kundenId, @decodedFormat, @decodeConfidence,
+                    ISNULL(@capturedAt, SYSDATETIME()))
+        `, {
+            sessionId: param.int(sessionId),
+            payload: param.nvarchar(payload),
+            capturedAt: param.dateTime2(capturedAt),
+            ...this.getDecodedColumnParams(decodedData)
+        });
+
+        return result.recordset[0];
+    }
+
+    /**
+     * Gültigen Scan als storniert markieren
+     * @param {number} scanId - QR-Scan ID
+     * @param {string} reasonCode - Code aus VOID_REASONS
+     * @param {number} userId - Benutzer, der storniert
+     * @returns {Object|null} - Stornierte Zeile inkl. PreviousValid, null wenn nicht gefunden oder bereits storniert
+     */
+    async markScanVoided(scanId, reasonCode, userId) {
+        const result = await this.db.query(`
+            UPDATE dbo.QrScans
+            SET Valid = 0, VoidReason = @reasonCode, VoidedByUserID = @userId, VoidedTS = SYSDATETIME()
+                OUTPUT INSERTED.ID, INSERTED.SessionID, INSERTED.RawPayload, INSERTED.VoidReason,
+                       INSERTED.VoidedByUserID, INSERTED.VoidedTS, DELETED.Valid as PreviousValid
+            WHERE ID = @scanId AND Valid = 1
+        `, {
+            reasonCode: param.nvarchar(reasonCode, 50),
+            userId: param.int(userId),
+            scanId: param.int(scanId)
+        });
+
+        return result.recordset[0] || null;
     }
 
     // ===== QR-SCAN OPERATIONEN MIT STRUKTURIERTEN RETURN-VALUES =====
-    async saveQRScan(sessionId, payload) {
+    /**
+     * QR-Scan speichern - vorher entscheidet die Scan-Policy (Cooldown, Rate-Limit, Format je SessionType, Duplikat-Fenster)
+     * @param {number} sessionId - Session ID
+     * @param {string} payload - Roher QR-Code-Inhalt
+     * @param {Object} options - { capturedAt: Date, actorUserId, source, sessionType, formatOverride } Original-Zeitpunkt (Offline-Journal-Replay),
+     *                           Audit-Kontext, SessionType für die Policy und Supervisor-Freigabe { confirmedByUserId, reason } für ein abweichendes Format
+     * @returns {Object} - Strukturiertes Ergebnis { success, status, message, data, verdict }
+     */
+    async saveQRScan(sessionId, payload, options = {}) {
+        const { capturedAt = null, sessionType = null, formatOverride = null } = options;
         const cacheKey = `${sessionId}_${payload}`;
         const now = Date.now();
 
@@ -45,80 +190,34 @@ class QRScanModule {
             // 2. Markiere als in Verarbeitung
             this.utils.pendingScans.set(cacheKey, now);
 
-            // 3. Prüfe Cache - REDUZIERTES ZEITFENSTER AUF 10 MINUTEN
-            const cachedTime = this.utils.duplicateCache.get(payload);
-            if (cachedTime) {
-                const minutesAgo = Math.floor((now - cachedTime) / (1000 * 60));
-                if (minutesAgo < 10) { // 10 Minuten statt 24 Stunden
-                    this.utils.duplicateCache.set(payload, now); // Cache aktualisieren
-                    return {
-                        success: false,
-                        status: 'duplicate_cache',
-                        message: `QR-Code bereits vor ${minutesAgo} Minuten gescannt`,
-                        data: null,
-                        duplicateInfo: { minutesAgo, source: 'cache' },
-                        timestamp: new Date().toISOString()
-                    };
-                }
-            }
+            // 3. QR-Code dekodieren (Felder werden in eigenen Spalten gespeichert, Format prüft die Policy)
+            const decodedData = this.utils.parseQRCodeData(payload);
 
-            // 4. Prüfe auf Duplikate in Datenbank - REDUZIERTES ZEITFENSTER
-            const duplicateInfo = await this.checkQRDuplicate(payload, 0.17); // 10 Minuten (0.17 Stunden)
-            if (duplicateInfo.isDuplicate) {
-                // Cache-Update auch bei Datenbank-Duplikaten
-                this.utils.duplicateCache.set(payload, now);
+            // 4. Scan-Policy auswerten (Replay aus dem Offline-Journal: ohne Cooldown und Rate-Limit)
+            const verdict = await this.scanPolicy.evaluate({
+                sessionId,
+                payload,
+                format: decodedData.format,
+                sessionType,
+                replay: !!capturedAt,
+                formatOverride
+            }, this);
+
+            if (!verdict.accepted) {
                 return {
                     success: false,
-                    status: 'duplicate_database',
-                    message: `QR-Code bereits vor ${duplicateInfo.minutesAgo} Minuten gescannt`,
+                    status: verdict.status,
+                    message: verdict.message,
                     data: null,
-                    duplicateInfo: {
-                        minutesAgo: duplicateInfo.minutesAgo,
-                        source: 'database',
-                        count: duplicateInfo.count
-                    },
+                    verdict,
                     timestamp: new Date().toISOString()
                 };
             }
 
-            // 5. QR-Code dekodieren (NUR im Code, nicht in DB)
-            const decodedData = this.utils.parseQRCodeData(payload);
-
-            // 6. QR-Scan speichern - NUR RawPayload (NIEMALS PayloadJson schreiben!)
+            // 5. QR-Scan speichern - RawPayload + dekodierte Spalten (NIEMALS PayloadJson schreiben!)
             try {
-                // Nochmalige Duplikat-Prüfung direkt vor Insert
-                const finalDupCheck = await this.db.query(`
-                        SELECT COUNT(*) as duplicateCount,
-                               MAX(CapturedTS) as lastScanTime
-                        FROM dbo.QrScans
-                        WHERE RawPayload = ?
-                          AND CapturedTS >= DATEADD(MINUTE, -10, SYSDATETIME())
-                          AND Valid = 1
-                    `, [payload]);
-
-                if (finalDupCheck.recordset[0].duplicateCount > 0) {
-                    const lastScanTime = finalDupCheck.recordset[0].lastScanTime;
-                    const minutesAgo = lastScanTime ?
-                        Math.floor((now - new Date(lastScanTime).getTime()) / (1000 * 60)) : 0;
-
-                    return {
-                        success: false,
-                        status: 'duplicate_transaction',
-                        message: `QR-Code bereits vor ${minutesAgo} Minuten gescannt`,
-                        data: null,
-                        duplicateInfo: { minutesAgo, source: 'transaction' },
-                        timestamp: new Date().toISOString()
-                    };
-                }
-
-                // SICHERES INSERT - NUR RawPayload (PayloadJson wird NICHT gesetzt!)
-                const insertResult = await this.db.query(`
-                        INSERT INTO dbo.QrScans (SessionID, RawPayload, Valid, CapturedTS)
-                            OUTPUT INSERTED.ID, INSERTED.CapturedTS
-                        VALUES (?, ?, 1, SYSDATETIME())
-                    `, [sessionId, payload]);
-
-                const rawResult = insertResult.recordset[0];
+                // SICHERES INSERT - PayloadJson ist berechnet und wird NICHT gesetzt!
+                const rawResult = await this.insertScan(sessionId, payload, decodedData, capturedAt);
 
                 // Erstelle virtuelles PayloadJson für die Antwort (NUR im Code!)
                 const virtualPayloadJson = JSON.stringify({
@@ -131,8 +230,35 @@ class QRScanModule {
                     has_kunde: !!decodedData.kunden_name
                 });
 
-                // Erfolgreich gespeichert - Cache aktualisieren
+                // Erfolgreich gespeichert - Cache und Policy-Zustand aktualisieren
                 this.utils.duplicateCache.set(payload, now);
+                if (!capturedAt) {
+                    this.scanPolicy.recordAccepted(sessionId, payload);
+                }
+
+                const decodedColumns = this.getDecodedColumnParams(decodedData);
+                await this.recordAudit('qrscan.create', null, {
+                    ID: rawResult.ID,
+                    SessionID: sessionId,
+                    CapturedTS: rawResult.CapturedTS,
+                    Valid: true,
+                    AuftragsNr: decodedColumns.auftragsNr.value,
+                    PaketNr: decodedColumns.paketNr.value,
+                    KundenID: decodedColumns.kundenId.value,
+                    DecodedFormat: decodedColumns.decodedFormat.value
+                }, options);
+
+                // Freigabe eines für den SessionType nicht erlaubten Formats gesondert protokollieren
+                if (formatOverride) {
+                    await this.recordAudit('qrscan.format_override', null, {
+                        ID: rawResult.ID,
+                        SessionID: sessionId,
+                        DecodedFormat: decodedColumns.decodedFormat.value,
+                        SessionType: sessionType || await this.getSessionTypeName(sessionId),
+                        Reason: formatOverride.reason || null
+                    }, { ...options, actorUserId: formatOverride.confirmedByUserId, source: 'supervisor_override' });
+                }
+
                 customConsole.success(`QR-Scan gespeichert und dekodiert: ID ${rawResult.ID}, Auftrag: ${decodedData.auftrags_nr}, Paket: ${decodedData.paket_nr}`);
 
                 return {
@@ -147,6 +273,7 @@ class QRScanModule {
                         ParsedPayload: JSON.parse(virtualPayloadJson),
                         DecodedData: decodedData
                     },
+                    verdict,
                     timestamp: new Date().toISOString()
                 };
 
@@ -176,6 +303,117 @@ class QRScanModule {
         }
     }
 
+    /**
+     * SessionType-Name einer Session (Lookup der Scan-Policy für das Rate-Limit)
+     * @param {number} sessionId - Session ID
+     * @returns {string|null} - TypeName oder null
+     */
+    async getSessionTypeName(sessionId) {
+        const result = await this.db.query(`
+            SELECT st.TypeName
+            FROM dbo.Sessions s
+                     LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
+            WHERE s.ID = @sessionId
+        `, {
+            sessionId: param.int(sessionId)
+        });
+
+        return result.recordset[0]?.TypeName || null;
+    }
+
+    /**
+     * Parameter für die dekodierten Spalten (INSERT und Backfill-UPDATE)
+     * @param {Object} decodedData - Ergebnis von parseQRCodeData()
+     * @returns {Object} - { auftragsNr, paketNr, kundenId, decodedFormat, decodeConfidence }
+     */
+    getDecodedColumnParams(decodedData) {
+        const truncate = (value) => value ? String(value).substring(0, 100) : null;
+
+        return {
+            auftragsNr: param.nvarchar(truncate(decodedData.auftrags_nr), 100),
+            paketNr: param.nvarchar(truncate(decodedData.paket_nr), 100),
+            kundenId: param.nvarchar(truncate(decodedData.kunden_id), 100),
+            decodedFormat: param.nvarchar(decodedData.format || 'unknown', 50),
+            decodeConfidence: param.decimal(decodedData.confidence || 0, 3, 2)
+        };
+    }
+
+    // ===== SCAN VOIDING =====
+    /**
+     * QR-Scan stornieren - bleibt in der Historie, zählt aber nicht mehr in Statistiken
+     * @param {number} scanId - QR-Scan ID
+     * @param {string} reasonCode - Code aus VOID_REASONS
+     * @param {number} userId - Benutzer, der storniert
+     * @param {Object} options - Audit-Kontext { source }
+     * @returns {Object} - Strukturiertes Ergebnis { success, status, message, data }
+     */
+    async voidQRScan(scanId, reasonCode, userId, options = {}) {
+        try {
+            if (!isValidVoidReason(reasonCode)) {
+                return {
+                    success: false,
+                    status: 'invalid_reason',
+                    message: `Unbekannter Storno-Grund: ${reasonCode}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const voidedRow = await this.markScanVoided(scanId, reasonCode, userId);
+
+            if (!voidedRow) {
+                const existing = await this.getQRScanById(scanId);
+
+                return {
+                    success: false,
+                    status: existing ? 'already_voided' : 'not_found',
+                    message: existing ? 'QR-Scan ist bereits storniert' : `QR-Scan ${scanId} nicht gefunden`,
+                    data: existing,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const { PreviousValid, ...voided } = voidedRow;
+
+            await this.recordAudit('qrscan.void',
+                { ID: voided.ID, SessionID: voided.SessionID, Valid: PreviousValid },
+                {
+                    ID: voided.ID,
+                    SessionID: voided.SessionID,
+                    Valid: false,
+                    VoidReason: voided.VoidReason,
+                    VoidedByUserID: voided.VoidedByUserID,
+                    VoidedTS: voided.VoidedTS
+                },
+                { ...options, actorUserId: userId });
+
+            // Stornierter Code darf sofort erneut gescannt werden
+            this.utils.duplicateCache.delete(voided.RawPayload);
+
+            customConsole.success(`QR-Scan ${scanId} storniert (${reasonCode}) durch Benutzer ${userId}`);
+
+            return {
+                success: true,
+                status: 'voided',
+                message: `QR-Scan storniert: ${getVoidReasonLabel(reasonCode)}`,
+                data: {
+                    ...voided,
+                    VoidedTS: this.utils.normalizeTimestamp(voided.VoidedTS)
+                },
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Stornieren des QR-Scans:', error);
+            return {
+                success: false,
+                status: 'error',
+                message: `Datenbankfehler: ${error.message}`,
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
     // ===== QR-SCAN RETRIEVAL METHODS =====
     async getQRScansBySession(sessionId, limit = 50) {
         try {
@@ -187,12 +425,22 @@ class QRScanModule {
                     PayloadJson,
                     JSON_VALUE(PayloadJson, '$.type') as PayloadType,
                     CapturedTS,
-                    Valid
+                    AuftragsNr,
+                    PaketNr,
+                    KundenID,
+                    DecodedFormat,
+                    Valid,
+                    VoidReason,
+                    VoidedByUserID,
+                    VoidedTS
                 FROM dbo.QrScans
-                WHERE SessionID = ?
+                WHERE SessionID = @sessionId
                 ORDER BY CapturedTS DESC
-                    ${limit > 0 ? `OFFSET 0 ROWS FETCH NEXT ${limit} ROWS ONLY` : ''}
-            `, [sessionId]);
+                    ${limit > 0 ? 'OFFSET 0 ROWS FETCH NEXT @limit ROWS ONLY' : ''}
+            `, {
+                sessionId: param.int(sessionId),
+                limit: param.int(limit)
+            });
 
             // Erweitere jeden Scan mit geparsten Daten
             const enhancedScans = result.recordset.map(scan => ({
@@ -220,10 +468,13 @@ class QRScanModule {
                     PayloadJson,
                     JSON_VALUE(PayloadJson, '$.type') as PayloadType,
                     CapturedTS,
-                    Valid
+                    Valid,
+                    VoidReason,
+                    VoidedByUserID,
+                    VoidedTS
                 FROM dbo.QrScans
-                WHERE ID = ?
-            `, [scanId]);
+                WHERE ID = @scanId
+            `, { scanId: param.int(scanId) });
 
             if (result.recordset.length === 0) {
                 return null;
@@ -246,7 +497,7 @@ class QRScanModule {
     async getRecentQRScans(limit = 20) {
         try {
             const result = await this.db.query(`
-                SELECT TOP(${limit})
+                SELECT TOP(@limit)
                     q.ID,
                     q.SessionID,
                        q.RawPayload,
@@ -260,7 +511,7 @@ class QRScanModule {
                          INNER JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
                 WHERE q.Valid = 1
                 ORDER BY q.CapturedTS DESC
-            `);
+            `, { limit: param.int(limit) });
 
             return result.recordset.map(scan => ({
                 ...scan,
@@ -284,14 +535,14 @@ class QRScanModule {
     async getQrScansWithSessionType(sessionId = null, sessionTypeName = null) {
         try {
             let whereClause = '';
-            let params = [];
+            const params = {};
 
             if (sessionId) {
-                whereClause = 'WHERE qr.SessionID = ?';
-                params = [sessionId];
+                whereClause = 'WHERE qr.SessionID = @sessionId';
+                params.sessionId = param.int(sessionId);
             } else if (sessionTypeName) {
-                whereClause = 'WHERE st.TypeName = ?';
-                params = [sessionTypeName];
+                whereClause = 'WHERE st.TypeName = @typeName';
+                params.typeName = param.nvarchar(sessionTypeName, 100);
             }
 
             const result = await this.db.query(`
@@ -328,8 +579,7 @@ class QRScanModule {
     // ===== QR-SCAN STATISTICS =====
     async getQRScanStats(sessionId = null) {
         try {
-            const whereClause = sessionId ? 'WHERE SessionID = ?' : '';
-            const params = sessionId ? [sessionId] : [];
+            const params = sessionId ? { sessionId: param.int(sessionId) } : {};
 
             // Einfache robuste Query ohne JSON-Funktionen
             const result = await this.db.query(`
@@ -344,7 +594,7 @@ class QRScanModule {
                     MIN(CapturedTS) as FirstScan,
                     MAX(CapturedTS) as LastScan
                 FROM dbo.QrScans
-                WHERE Valid = 1 ${sessionId ? 'AND SessionID = ?' : ''}
+                WHERE Valid = 1 ${sessionId ? 'AND SessionID = @sessionId' : ''}
             `, params);
 
             const stats = result.recordset[0];
@@ -395,62 +645,272 @@ class QRScanModule {
     // ===== SEARCH FUNCTIONALITY =====
     async searchQRScans(searchTerm, sessionId = null, limit = 20) {
         try {
-            // Vereinfachte Suche nur in RawPayload (da PayloadJson computed column sein kann)
-            let whereClause = "WHERE RawPayload LIKE ?";
-            let params = [`%${searchTerm}%`];
+            // Präfixsuche über die indizierten Spalten; noch nicht nachdekodierte Zeilen über RawPayload
+            const prefix = `${this.escapeLikePattern(searchTerm)}%`;
+            let whereClause = `WHERE (AuftragsNr LIKE @prefix ESCAPE '\\'
+                OR PaketNr LIKE @prefix ESCAPE '\\'
+                OR KundenID LIKE @prefix ESCAPE '\\'
+                OR (DecodedFormat IS NULL AND RawPayload LIKE @contains))`;
+            const params = {
+                prefix: param.nvarchar(prefix),
+                contains: param.nvarchar(`%${searchTerm}%`),
+                offset: param.int(0),
+                limit: param.int(limit)
+            };
 
             if (sessionId) {
-                whereClause += " AND SessionID = ?";
-                params.push(sessionId);
+                whereClause += ' AND SessionID = @sessionId';
+                params.sessionId = param.int(sessionId);
             }
 
             const result = await this.db.query(`
-                SELECT TOP ${limit}
+                SELECT
                     ID,
                     SessionID,
                        RawPayload,
                        PayloadJson,
-                       CapturedTS
+                       CapturedTS,
+                       AuftragsNr,
+                       PaketNr,
+                       KundenID,
+                       DecodedFormat,
+                       DecodeConfidence
                 FROM dbo.QrScans
                          ${whereClause}
                 ORDER BY CapturedTS DESC
+                ${this.db.pagingClause('offset', 'limit')}
             `, params);
 
-            return result.recordset.map(scan => ({
-                ...scan,
-                CapturedTS: this.utils.normalizeTimestamp(scan.CapturedTS),
-                ParsedPayload: this.utils.parsePayloadJson(scan.PayloadJson),
-                DecodedData: this.utils.extractDecodedData(scan.PayloadJson, scan.RawPayload),
-                Format: this.utils.getQRCodeFormat(scan.PayloadJson, scan.RawPayload),
-                FormattedTime: this.utils.formatRelativeTime(scan.CapturedTS)
-            }));
+            return result.recordset.map(scan => this.mapSearchResult(scan));
         } catch (error) {
             customConsole.error('Fehler bei QR-Code-Suche:', error);
             throw error;
         }
     }
 
-    // ===== DUPLICATE CHECKING =====
-    async checkQRDuplicate(payload, timeWindowHours = 0.17) { // Default: 10 Minuten
+    /**
+     * Strukturierte Suche über die dekodierten Spalten
+     * Feldkriterien: 'wert' (exakt) oder { value: 'wert', match: 'exact' | 'prefix' }
+     * @param {Object} criteria - { auftragsNr, paketNr, kundenId, format, sessionId, dateFrom, dateTo, page, pageSize }
+     * @returns {Object} - { items, total, page, pageSize, totalPages }
+     */
+    async searchDecodedScans(criteria = {}) {
         try {
-            // Prüfe auf Duplikate in den letzten X Stunden
+            const page = Math.max(1, parseInt(criteria.page) || 1);
+            const pageSize = Math.min(500, Math.max(1, parseInt(criteria.pageSize) || 50));
+
+            const conditions = [];
+            const params = {};
+
+            const fieldColumns = {
+                auftragsNr: 'AuftragsNr',
+                paketNr: 'PaketNr',
+                kundenId: 'KundenID'
+            };
+
+            for (const [key, column] of Object.entries(fieldColumns)) {
+                const criterion = criteria[key];
+                if (criterion === undefined || criterion === null || criterion === '') continue;
+
+                const { value, match = 'exact' } = typeof criterion === 'object' ? criterion : { value: criterion };
+                if (!value) continue;
+
+                if (match === 'prefix') {
+                    conditions.push(`${column} LIKE @${key} ESCAPE '\\'`);
+                    params[key] = param.nvarchar(`${this.escapeLikePattern(value)}%`);
+                } else {
+                    conditions.push(`${column} = @${key}`);
+                    params[key] = param.nvarchar(String(value), 100);
+                }
+            }
+
+            if (criteria.format) {
+                conditions.push('DecodedFormat = @format');
+                params.format = param.nvarchar(criteria.format, 50);
+            }
+
+            if (criteria.sessionId) {
+                conditions.push('SessionID = @sessionId');
+                params.sessionId = param.int(criteria.sessionId);
+            }
+
+            if (criteria.dateFrom) {
+                conditions.push('CapturedTS >= @dateFrom');
+                params.dateFrom = param.dateTime2(criteria.dateFrom);
+            }
+
+            if (criteria.dateTo) {
+                conditions.push('CapturedTS <= @dateTo');
+                params.dateTo = param.dateTime2(criteria.dateTo);
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countResult = await this.db.query(`
+                SELECT COUNT(*) as totalCount
+                FROM dbo.QrScans
+                ${whereClause}
+            `, params);
+
+            const total = countResult.recordset[0].totalCount;
+
             const result = await this.db.query(`
-                SELECT COUNT(*) as duplicateCount,
-                       MAX(CapturedTS) as lastScanTime
+                SELECT
+                    ID,
+                    SessionID,
+                    RawPayload,
+                    PayloadJson,
+                    CapturedTS,
+                    AuftragsNr,
+                    PaketNr,
+                    KundenID,
+                    DecodedFormat,
+                    DecodeConfidence
+                FROM dbo.QrScans
+                ${whereClause}
+                ORDER BY CapturedTS DESC, ID DESC
+                ${this.db.pagingClause('offset', 'pageSize')}
+            `, {
+                ...params,
+                offset: param.int((page - 1) * pageSize),
+                pageSize: param.int(pageSize)
+            });
+
+            return {
+                items: result.recordset.map(scan => this.mapSearchResult(scan)),
+                total,
+                page,
+                pageSize,
+                totalPages: Math.ceil(total / pageSize)
+            };
+        } catch (error) {
+            customConsole.error('Fehler bei strukturierter QR-Code-Suche:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Suchtreffer aus den gespeicherten dekodierten Spalten aufbauen.
+     * Nur Zeilen ohne DecodedFormat (noch nicht nachdekodiert) werden aus RawPayload dekodiert
+     * @param {Object} scan - Zeile mit AuftragsNr, PaketNr, KundenID, DecodedFormat, DecodeConfidence
+     * @returns {Object} - Zeile mit DecodedData und Format
+     */
+    mapSearchResult(scan) {
+        const decoded = scan.DecodedFormat ?
+            qrParsers.toDecodedData({
+                format: scan.DecodedFormat,
+                fields: {
+                    auftrags_nr: scan.AuftragsNr,
+                    paket_nr: scan.PaketNr,
+                    kunden_id: scan.KundenID
+                },
+                confidence: Number(scan.DecodeConfidence) || 0
+            }, scan.RawPayload) :
+            this.utils.parseQRCodeData(scan.RawPayload);
+
+        return {
+            ...scan,
+            CapturedTS: this.utils.normalizeTimestamp(scan.CapturedTS),
+            ParsedPayload: this.utils.parsePayloadJson(scan.PayloadJson),
+            DecodedData: decoded,
+            Format: qrParsers.getQRCodeFormat(decoded),
+            FormattedTime: this.utils.formatRelativeTime(scan.CapturedTS)
+        };
+    }
+
+    escapeLikePattern(value) {
+        return String(value).replace(/[\\%_[]/g, '\\$&');
+    }
+
+    // ===== BACKFILL =====
+    /**
+     * Dekodiert Bestandszeilen ohne DecodedFormat und füllt die dekodierten Spalten
+     * @param {Object} options - { batchSize, maxBatches, onProgress }
+     * @returns {Object} - { processed, updated, remaining }
+     */
+    async backfillDecodedColumns(options = {}) {
+        const { batchSize = 500, maxBatches = Infinity, onProgress = null } = options;
+
+        let processed = 0;
+        let updated = 0;
+        let batches = 0;
+
+        while (batches < maxBatches) {
+            const batch = await this.db.query(`
+                SELECT ID, RawPayload
                 FROM dbo.QrScans
-                WHERE RawPayload = ?
-                  AND CapturedTS >= DATEADD(MINUTE, -?, SYSDATETIME())
-                  AND Valid = 1
-            `, [payload, Math.round(timeWindowHours * 60)]); // Minuten statt Stunden
+                WHERE DecodedFormat IS NULL
+                ORDER BY ID
+                ${this.db.pagingClause('offset', 'batchSize')}
+            `, { offset: param.int(0), batchSize: param.int(parseInt(batchSize)) });
+
+            if (batch.recordset.length === 0) break;
+
+            for (const row of batch.recordset) {
+                const decodedData = this.utils.parseQRCodeData(row.RawPayload);
+
+                // 'unknown' wird ebenfalls gespeichert, damit die Zeile nicht erneut gelesen wird
+                const result = await this.db.query(`
+                    UPDATE dbo.QrScans
+                    SET AuftragsNr = @auftragsNr, PaketNr = @paketNr, KundenID = @kundenId,
+                        DecodedFormat = @decodedFormat, DecodeConfidence = @decodeConfidence
+                    WHERE ID = @scanId
+                `, {
+                    ...this.getDecodedColumnParams(decodedData),
+                    scanId: param.int(row.ID)
+                });
+
+                processed++;
+                if (result.rowsAffected[0] > 0 && decodedData.format !== 'unknown') {
+                    updated++;
+                }
+            }
+
+            batches++;
+            if (onProgress) {
+                onProgress({ processed, updated });
+            }
+        }
+
+        const remainingResult = await this.db.query(`
+            SELECT COUNT(*) as remainingCount
+            FROM dbo.QrScans
+            WHERE DecodedFormat IS NULL
+        `);
+
+        if (processed > 0) {
+            // Sammeleintrag statt einem Eintrag pro Zeile
+            await this.recordAudit('qrscan.backfill', null, { processed, updated }, { source: 'backfill', ...options });
+        }
+
+        return {
+            processed,
+            updated,
+            remaining: remainingResult.recordset[0].remainingCount
+        };
+    }
+
+    // ===== DUPLICATE CHECKING =====
+    /**
+     * Duplikat-Zeitfenster der Scan-Policy in Minuten (Default für checkQRDuplicate/checkForDuplicates)
+     * @returns {number} - Minuten (0 = kein duplicate_window konfiguriert)
+     */
+    getDuplicateWindowMinutes() {
+        return Math.ceil(this.scanPolicy.getLongestDuplicateWindow() / 60);
+    }
+
+    async checkQRDuplicate(payload, timeWindowHours = null) { // Default: Duplikat-Fenster der Scan-Policy
+        try {
+            const minutes = timeWindowHours !== null ? Math.round(timeWindowHours * 60) : this.getDuplicateWindowMinutes();
 
-            const count = result.recordset[0].duplicateCount;
-            const lastScanTime = result.recordset[0].lastScanTime;
+            // Prüfe auf Duplikate in den letzten X Minuten
+            const { duplicateCount: count, lastScanTime } = await this.countRecentScans(payload, minutes);
 
             if (count > 0) {
                 const minutesAgo = lastScanTime ?
                     Math.floor((Date.now() - new Date(lastScanTime).getTime()) / (1000 * 60)) : 0;
 
-                console.log(`[WARN] QR-Code Duplikat erkannt: ${count} mal in den letzten ${Math.round(timeWindowHours * 60)} Minuten`);
+                console.log(`[WARN] QR-Code Duplikat erkannt: ${count} mal in den letzten ${minutes} Minuten`);
                 return {
                     isDuplicate: true,
                     count: count,
@@ -477,7 +937,7 @@ class QRScanModule {
         }
     }
 
-    async checkForDuplicates(rawPayload, sessionId, minutesBack = 10) {
+    async checkForDuplicates(rawPayload, sessionId, minutesBack = null) {
         try {
             const result = await this.db.query(`
                 SELECT TOP 1
@@ -488,11 +948,15 @@ class QRScanModule {
                        CapturedTS,
                        DATEDIFF(MINUTE, CapturedTS, SYSDATETIME()) as MinutesAgo
                 FROM dbo.QrScans
-                WHERE RawPayload = ?
-                  AND CapturedTS > DATEADD(MINUTE, -?, SYSDATETIME())
-                  AND SessionID = ?
+                WHERE RawPayload = @payload
+                  AND CapturedTS > DATEADD(MINUTE, -@minutes, SYSDATETIME())
+                  AND SessionID = @sessionId
                 ORDER BY CapturedTS DESC
-            `, [rawPayload, minutesBack, sessionId]);
+            `, {
+                payload: param.nvarchar(rawPayload),
+                minutes: param.int(minutesBack ?? this.getDuplicateWindowMinutes()),
+                sessionId: param.int(sessionId)
+            });
 
             if (result.recordset.length > 0) {
                 const duplicate = result.recordset[0];
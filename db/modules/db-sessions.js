@@ -1,3 +1,8 @@
+const { ENTITY_TYPES } = require('./db-audit');
+const { param } = require('../core/db-params');
+const { setupSessionTypes } = require('../constants/session-types');
+const { SESSION_END_REASONS } = require('../constants/session-timeout');
+
 // Console-Utils für bessere Ausgabe - mit Fallback
 let customConsole;
 try {
@@ -13,15 +18,224 @@ try {
     };
 }
 
+/**
+ * Pausen je Session als LEFT JOIN mit Alias "sp" (T-SQL, SQLite-Variante in sqlite-sql.js):
+ *   sp.PausedSeconds - Summe aller Pausen inkl. laufender Pause
+ *   sp.PausedSince   - Beginn der offenen Pause (NULL = nicht pausiert)
+ * Netto-Arbeitszeit = Brutto (StartTS bis EndTS/jetzt) - COALESCE(sp.PausedSeconds, 0)
+ * @param {string} sessionAlias - Alias der Sessions-Tabelle
+ * @returns {string} - SQL-Fragment
+ */
+function pauseTotalsJoin(sessionAlias = 's') {
+    return `LEFT JOIN (
+                SELECT SessionID,
+                       SUM(DATEDIFF(SECOND, StartTS, ISNULL(EndTS, SYSDATETIME()))) as PausedSeconds,
+                       MAX(CASE WHEN EndTS IS NULL THEN StartTS END) as PausedSince
+                FROM dbo.SessionPauses
+                GROUP BY SessionID
+            ) sp ON sp.SessionID = ${sessionAlias}.ID`;
+}
+
 /**
  * Session Management Module
  * Handles session creation, management, and SessionType operations
  * KORRIGIERT für Wareneinlagerung mit automatischem SessionTypes Setup
  */
 class SessionModule {
-    constructor(dbConnection, utils) {
+    constructor(dbConnection, utils, audit = null) {
         this.db = dbConnection;
         this.utils = utils;
+        this.audit = audit;
+    }
+
+    // ===== AUDIT =====
+    /**
+     * Session-Mutation im Audit-Trail vermerken
+     * @param {string} action - z.B. 'session.create', 'session.end', 'session.restart'
+     * @param {Object} before - Zeile vor der Änderung (OUTPUT DELETED) oder null
+     * @param {Object} after - Zeile nach der Änderung (OUTPUT INSERTED) oder null
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     */
+    async recordAudit(action, before, after, options = {}) {
+        if (!this.audit) return;
+
+        const row = after || before;
+        const { actorUserId, source } = this.audit.getContext(options);
+
+        // Ohne expliziten Akteur handelt der Session-Inhaber selbst (RFID)
+        await this.audit.record({
+            actorUserId: actorUserId || row.UserID,
+            source,
+            action,
+            entityType: ENTITY_TYPES.SESSION,
+            entityId: row.ID,
+            sessionId: row.ID,
+            before,
+            after
+        });
+    }
+
+    // ===== SCHREIBZUGRIFFE (T-SQL, im SQLite-Backend überschrieben) =====
+    /**
+     * Aktive Sessions beenden
+     * @param {Object} filter - { sessionId, userId } - ohne Filter werden alle aktiven Sessions beendet
+     * @param {Date} endedAt - Endzeit (null = jetzt)
+     * @param {string} endReason - Code aus SESSION_END_REASONS (null = unbekannt)
+     * @returns {Array} - [{ before, after }] pro beendeter Session
+     */
+    async markSessionsEnded(filter = {}, endedAt = null, endReason = null) {
+        const conditions = ['Active = 1'];
+        const params = {
+            endedAt: param.dateTime2(endedAt),
+            endReason: param.nvarchar(endReason, 50)
+        };
+
+        if (filter.sessionId) {
+            conditions.push('ID = @sessionId');
+            params.sessionId = param.int(filter.sessionId);
+        }
+
+        if (filter.userId) {
+            conditions.push('UserID = @userId');
+            params.userId = param.int(filter.userId);
+        }
+
+        const result = await this.db.query(`
+            UPDATE dbo.Sessions
+            SET EndTS = ISNULL(@endedAt, SYSDATETIME()), Active = 0, EndReason = @endReason
+                OUTPUT DELETED.ID, DELETED.UserID, DELETED.EndTS, DELETED.Active, DELETED.EndReason,
+                       INSERTED.EndTS as NewEndTS, INSERTED.Active as NewActive, INSERTED.EndReason as NewEndReason
+            WHERE ${conditions.join(' AND ')}
+        `, params);
+
+        if (result.recordset.length > 0) {
+            await this.markPausesOfEndedSessionsEnded();
+        }
+
+        return result.recordset.map(row => ({
+            before: { ID: row.ID, UserID: row.UserID, EndTS: row.EndTS, Active: row.Active, EndReason: row.EndReason },
+            after: { ID: row.ID, UserID: row.UserID, EndTS: row.NewEndTS, Active: row.NewActive, EndReason: row.NewEndReason }
+        }));
+    }
+
+    /**
+     * Neue aktive Session anlegen
+     * @param {number} userId - Benutzer-ID
+     * @param {number} sessionTypeId - SessionType ID
+     * @param {Date} startedAt - Startzeit (null = jetzt)
+     * @returns {Object|null} - { ID, UserID, StartTS, Active, SessionTypeID }
+     */
+    async insertSession(userId, sessionTypeId, startedAt = null) {
+        const result = await this.db.query(`
+            INSERT INTO dbo.Sessions (UserID, StartTS, Active, SessionTypeID)
+                OUTPUT INSERTED.ID, INSERTED.UserID, INSERTED.StartTS, INSERTED.Active, INSERTED.SessionTypeID
+            VALUES (@userId, ISNULL(@startedAt, SYSDATETIME()), 1, @sessionTypeId)
+        `, {
+            userId: param.int(userId),
+            startedAt: param.dateTime2(startedAt),
+            sessionTypeId: param.int(sessionTypeId)
+        });
+
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * StartTS einer aktiven Session auf jetzt setzen
+     * @param {number} sessionId - Session ID
+     * @param {number|null} userId - Nur wenn die Session diesem Benutzer gehört (null = ohne Prüfung)
+     * @returns {Object|null} - { before, after } oder null wenn nicht gefunden/nicht aktiv
+     */
+    async markSessionRestarted(sessionId, userId = null) {
+        const result = await this.db.query(`
+            UPDATE dbo.Sessions
+            SET StartTS = SYSDATETIME()
+            OUTPUT INSERTED.ID, INSERTED.UserID, INSERTED.StartTS, DELETED.StartTS as PreviousStartTS
+            WHERE ID = @sessionId AND (@userId IS NULL OR UserID = @userId) AND Active = 1
+        `, {
+            sessionId: param.int(sessionId),
+            userId: param.int(userId)
+        });
+
+        if (result.recordset.length === 0) {
+            return null;
+        }
+
+        const row = result.recordset[0];
+        return {
+            before: { ID: row.ID, UserID: row.UserID, StartTS: row.PreviousStartTS },
+            after: { ID: row.ID, UserID: row.UserID, StartTS: row.StartTS }
+        };
+    }
+
+    /**
+     * Pause einer aktiven, nicht pausierten Session beginnen
+     * @param {number} sessionId - Session ID
+     * @param {Date} startedAt - Pausenbeginn (null = jetzt)
+     * @param {string} reason - Grund (optional)
+     * @returns {Object|null} - { ID, SessionID, StartTS, EndTS, Reason } oder null
+     */
+    async insertPause(sessionId, startedAt = null, reason = null) {
+        const result = await this.db.query(`
+            INSERT INTO dbo.SessionPauses (SessionID, StartTS, Reason)
+                OUTPUT INSERTED.ID, INSERTED.SessionID, INSERTED.StartTS, INSERTED.EndTS, INSERTED.Reason
+            SELECT s.ID, ISNULL(@startedAt, SYSDATETIME()), @reason
+            FROM dbo.Sessions s
+            WHERE s.ID = @sessionId AND s.Active = 1
+              AND NOT EXISTS (SELECT 1 FROM dbo.SessionPauses p WHERE p.SessionID = s.ID AND p.EndTS IS NULL)
+        `, {
+            sessionId: param.int(sessionId),
+            startedAt: param.dateTime2(startedAt),
+            reason: param.nvarchar(reason, 100)
+        });
+
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Offene Pause einer Session beenden
+     * @param {number} sessionId - Session ID
+     * @param {Date} endedAt - Pausenende (null = jetzt)
+     * @returns {Object|null} - { ID, SessionID, StartTS, EndTS, Reason } oder null wenn nicht pausiert
+     */
+    async markPauseEnded(sessionId, endedAt = null) {
+        const result = await this.db.query(`
+            UPDATE dbo.SessionPauses
+            SET EndTS = ISNULL(@endedAt, SYSDATETIME())
+                OUTPUT INSERTED.ID, INSERTED.SessionID, INSERTED.StartTS, INSERTED.EndTS, INSERTED.Reason
+            WHERE SessionID = @sessionId AND EndTS IS NULL
+        `, {
+            sessionId: param.int(sessionId),
+            endedAt: param.dateTime2(endedAt)
+        });
+
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Offene Pausen beendeter Sessions mit dem Session-Ende schließen (portables SQL)
+     */
+    async markPausesOfEndedSessionsEnded() {
+        await this.db.query(`
+            UPDATE dbo.SessionPauses
+            SET EndTS = (SELECT CASE WHEN s.EndTS < SessionPauses.StartTS THEN SessionPauses.StartTS ELSE s.EndTS END
+                         FROM dbo.Sessions s WHERE s.ID = SessionPauses.SessionID)
+            WHERE EndTS IS NULL
+              AND SessionID IN (SELECT ID FROM dbo.Sessions WHERE Active = 0)
+        `);
+    }
+
+    /**
+     * ID eines aktiven SessionTypes anhand des Namens
+     * @param {string} typeName - SessionType Name
+     * @returns {number|null} - SessionType ID
+     */
+    async findSessionTypeId(typeName) {
+        const result = await this.db.query(`
+            SELECT ID FROM dbo.SessionTypes
+            WHERE TypeName = @typeName AND IsActive = 1
+        `, { typeName: param.nvarchar(typeName, 100) });
+
+        return result.recordset.length > 0 ? result.recordset[0].ID : null;
     }
 
     // ===== SESSION MANAGEMENT MIT SESSIONTYPE-UNTERSTÜTZUNG =====
@@ -30,19 +244,26 @@ class SessionModule {
      * Erweiterte createSession Methode mit SessionType-Unterstützung
      * @param {number} userId - Benutzer-ID
      * @param {number|string} sessionType - SessionType ID oder Name (default: 'Wareneinlagerung')
+     * @param {boolean} closeExistingSessions - Bestehende aktive Sessions des Users beenden (default: true)
+     * @param {Object} options - { startedAt: Date, actorUserId, source } Original-Startzeit (Offline-Journal-Replay) und Audit-Kontext
      * @returns {Object|null} - Neue Session oder null bei Fehler
      */
-    async createSession(userId, sessionType = 'Wareneinlagerung') {
+    async createSession(userId, sessionType = 'Wareneinlagerung', closeExistingSessions = true, options = {}) {
+        const { startedAt = null } = options;
+
         try {
             customConsole.info(`Session wird erstellt für User ${userId}, SessionType: ${sessionType}`);
 
             // Bestehende aktive Sessions für diesen User beenden (für Single-User Modus)
             // In Wareneinlagerung-Modus normalerweise nicht erforderlich, aber als Sicherheit
-            await this.db.query(`
-                UPDATE dbo.Sessions
-                SET EndTS = SYSDATETIME(), Active = 0
-                WHERE UserID = ? AND Active = 1
-            `, [userId]);
+            if (closeExistingSessions) {
+                const closed = await this.markSessionsEnded({ userId }, null, SESSION_END_REASONS.REPLACED);
+
+                for (const change of closed) {
+                    await this.recordAudit('session.end', change.before, change.after,
+                        { source: 'session_create', ...options });
+                }
+            }
 
             // SessionType ID ermitteln
             let sessionTypeId;
@@ -52,28 +273,20 @@ class SessionModule {
                 sessionTypeId = sessionType;
             } else {
                 // SessionType Name zu ID konvertieren
-                const typeResult = await this.db.query(`
-                    SELECT ID FROM dbo.SessionTypes
-                    WHERE TypeName = ? AND IsActive = 1
-                `, [sessionType]);
+                sessionTypeId = await this.findSessionTypeId(sessionType);
 
-                if (typeResult.recordset.length === 0) {
+                if (!sessionTypeId) {
                     // Versuche zuerst SessionTypes Setup falls noch nicht vorhanden
                     customConsole.warning(`SessionType '${sessionType}' nicht gefunden - versuche automatisches Setup...`);
 
                     try {
-                        const { setupSessionTypes } = require('../constants/session-types');
-                        const setupSuccess = await setupSessionTypes(this.db);
+                        const setupSuccess = await this.setupSessionTypes();
 
                         if (setupSuccess) {
                             // Nochmal versuchen
-                            const retryResult = await this.db.query(`
-                                SELECT ID FROM dbo.SessionTypes
-                                WHERE TypeName = ? AND IsActive = 1
-                            `, [sessionType]);
+                            sessionTypeId = await this.findSessionTypeId(sessionType);
 
-                            if (retryResult.recordset.length > 0) {
-                                sessionTypeId = retryResult.recordset[0].ID;
+                            if (sessionTypeId) {
                                 customConsole.success(`SessionType '${sessionType}' nach automatischem Setup gefunden`);
                             } else {
                                 throw new Error(`SessionType '${sessionType}' auch nach Setup nicht gefunden`);
@@ -85,20 +298,14 @@ class SessionModule {
                         customConsole.error('Automatisches SessionTypes Setup fehlgeschlagen:', setupError);
                         throw new Error(`SessionType '${sessionType}' nicht gefunden`);
                     }
-                } else {
-                    sessionTypeId = typeResult.recordset[0].ID;
                 }
             }
 
             // Neue Session erstellen mit SessionType
-            const result = await this.db.query(`
-                INSERT INTO dbo.Sessions (UserID, StartTS, Active, SessionTypeID)
-                    OUTPUT INSERTED.ID, INSERTED.StartTS, INSERTED.SessionTypeID
-                VALUES (?, SYSDATETIME(), 1, ?)
-            `, [userId, sessionTypeId]);
+            const session = await this.insertSession(userId, sessionTypeId, startedAt);
 
-            if (result.recordset.length > 0) {
-                const session = result.recordset[0];
+            if (session) {
+                await this.recordAudit('session.create', null, session, options);
 
                 // SessionType-Info für Rückgabe laden
                 const sessionWithType = await this.getSessionWithType(session.ID);
@@ -116,9 +323,10 @@ class SessionModule {
     /**
      * ===== NEUE METHODE: ALLE AKTIVEN SESSIONS BEENDEN =====
      * Beendet alle aktiven Sessions - verwendet für Single-User-Mode
+     * @param {Object} options - { endReason } und Audit-Kontext { actorUserId, source }
      * @returns {Object} - Anzahl beendeter Sessions und Liste der betroffenen Benutzer
      */
-    async endAllActiveSessions() {
+    async endAllActiveSessions(options = {}) {
         try {
             customConsole.info('Beende alle aktiven Sessions...');
 
@@ -146,13 +354,13 @@ class SessionModule {
             }
 
             // Alle aktiven Sessions beenden
-            const endResult = await this.db.query(`
-                UPDATE dbo.Sessions
-                SET EndTS = SYSDATETIME(), Active = 0
-                WHERE Active = 1
-            `);
+            const ended = await this.markSessionsEnded({}, null, options.endReason || null);
+            const endedCount = ended.length;
 
-            const endedCount = endResult.rowsAffected && endResult.rowsAffected[0] || 0;
+            for (const change of ended) {
+                await this.recordAudit('session.end', change.before, change.after,
+                    { source: 'end_all_sessions', ...options });
+            }
 
             customConsole.success(`${endedCount} aktive Session(s) beendet`);
 
@@ -196,19 +404,17 @@ class SessionModule {
                     s.SessionTypeID,
                     st.TypeName as SessionTypeName,
                     st.Description as SessionTypeDescription,
-                    DATEDIFF(SECOND, s.StartTS, ISNULL(s.EndTS, SYSDATETIME())) as DurationSeconds
+                    DATEDIFF(SECOND, s.StartTS, ISNULL(s.EndTS, SYSDATETIME())) as DurationSeconds,
+                    COALESCE(sp.PausedSeconds, 0) as PausedSeconds,
+                    sp.PausedSince
                 FROM dbo.Sessions s
                          LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
-                WHERE s.ID = ?
-            `, [sessionId]);
+                         ${this.getPauseTotalsJoin('s')}
+                WHERE s.ID = @sessionId
+            `, { sessionId: param.int(sessionId) });
 
             if (result.recordset.length > 0) {
-                const session = result.recordset[0];
-                return {
-                    ...session,
-                    StartTS: this.utils.normalizeTimestamp(session.StartTS),
-                    EndTS: session.EndTS ? this.utils.normalizeTimestamp(session.EndTS) : null
-                };
+                return this.normalizeSessionRow(result.recordset[0]);
             }
             return null;
         } catch (error) {
@@ -235,18 +441,24 @@ class SessionModule {
                     sb.Nachname,
                     sb.Benutzer,
                     sb.BenutzerName,
-                    DATEDIFF(SECOND, s.StartTS, SYSDATETIME()) as DurationSeconds
+                    sb.Role as UserRole,
+                    DATEDIFF(SECOND, s.StartTS, SYSDATETIME()) as DurationSeconds,
+                    COALESCE(sp.PausedSeconds, 0) as PausedSeconds,
+                    sp.PausedSince,
+                    (SELECT COUNT(*) FROM dbo.QrScans qr WHERE qr.SessionID = s.ID AND qr.Valid = 1) as ScanCount,
+                    (SELECT MAX(qr.CapturedTS) FROM dbo.QrScans qr WHERE qr.SessionID = s.ID AND qr.Valid = 1) as LastScanTS
                 FROM dbo.Sessions s
                          LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
                          LEFT JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
+                         ${this.getPauseTotalsJoin('s')}
                 WHERE s.Active = 1
                 ORDER BY s.StartTS ASC
             `);
 
             return result.recordset.map(session => ({
-                ...session,
-                StartTS: this.utils.normalizeTimestamp(session.StartTS),
-                FullName: `${session.Vorname || ''} ${session.Nachname || ''}`.trim()
+                ...this.normalizeSessionRow(session),
+                FullName: `${session.Vorname || ''} ${session.Nachname || ''}`.trim(),
+                LastScanTS: session.LastScanTS ? this.utils.normalizeTimestamp(session.LastScanTS) : null
             }));
         } catch (error) {
             customConsole.error('Fehler beim Abrufen aktiver Sessions:', error);
@@ -254,19 +466,24 @@ class SessionModule {
         }
     }
 
-    async endSession(sessionId) {
+    /**
+     * Session beenden
+     * @param {number} sessionId - Session ID
+     * @param {Object} options - { endedAt: Date, endReason, actorUserId, source } Original-Endzeit (Offline-Journal-Replay), Grund und Audit-Kontext
+     * @returns {boolean} - true wenn beendet
+     */
+    async endSession(sessionId, options = {}) {
+        const { endedAt = null, endReason = null } = options;
+
         try {
             customConsole.info(`Beende Session: ${sessionId}`);
 
-            const result = await this.db.query(`
-                UPDATE dbo.Sessions
-                SET EndTS = SYSDATETIME(), Active = 0
-                WHERE ID = ? AND Active = 1
-            `, [sessionId]);
-
-            const success = result.rowsAffected && result.rowsAffected[0] > 0;
+            const ended = await this.markSessionsEnded({ sessionId }, endedAt, endReason);
+            const success = ended.length > 0;
 
             if (success) {
+                await this.recordAudit('session.end', ended[0].before, ended[0].after, options);
+
                 customConsole.success(`Session ${sessionId} erfolgreich beendet`);
             } else {
                 customConsole.warning(`Session ${sessionId} war bereits beendet oder nicht gefunden`);
@@ -279,14 +496,187 @@ class SessionModule {
         }
     }
 
+    // ===== PAUSEN =====
+
+    /**
+     * Session pausieren - Scans sind bis zum Fortsetzen gesperrt
+     * @param {number} sessionId - Session ID
+     * @param {Object} options - { startedAt: Date, reason, actorUserId, source } Original-Zeit (Offline-Journal-Replay) und Audit-Kontext
+     * @returns {Object|null} - Pause { ID, SessionID, StartTS, EndTS, Reason } oder null (nicht aktiv/bereits pausiert)
+     */
+    async pauseSession(sessionId, options = {}) {
+        const { startedAt = null, reason = null } = options;
+
+        try {
+            const pause = await this.insertPause(sessionId, startedAt, reason);
+
+            if (!pause) {
+                customConsole.warning(`Session ${sessionId} nicht aktiv oder bereits pausiert`);
+                return null;
+            }
+
+            await this.recordAudit('session.pause', null, this.toPauseAuditRow(pause), options);
+
+            customConsole.success(`Session ${sessionId} pausiert`);
+            return this.normalizePause(pause);
+        } catch (error) {
+            customConsole.error('Fehler beim Pausieren der Session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Pausierte Session fortsetzen
+     * @param {number} sessionId - Session ID
+     * @param {Object} options - { endedAt: Date, actorUserId, source } Original-Zeit (Offline-Journal-Replay) und Audit-Kontext
+     * @returns {Object|null} - Beendete Pause oder null (nicht pausiert)
+     */
+    async resumeSession(sessionId, options = {}) {
+        const { endedAt = null } = options;
+
+        try {
+            const pause = await this.markPauseEnded(sessionId, endedAt);
+
+            if (!pause) {
+                customConsole.warning(`Session ${sessionId} ist nicht pausiert`);
+                return null;
+            }
+
+            await this.recordAudit('session.resume',
+                this.toPauseAuditRow({ ...pause, EndTS: null }),
+                this.toPauseAuditRow(pause),
+                options);
+
+            customConsole.success(`Session ${sessionId} fortgesetzt`);
+            return this.normalizePause(pause);
+        } catch (error) {
+            customConsole.error('Fehler beim Fortsetzen der Session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Alle Pausen einer Session
+     * @param {number} sessionId - Session ID
+     * @returns {Array} - Pausen in zeitlicher Reihenfolge
+     */
+    async getSessionPauses(sessionId) {
+        try {
+            const result = await this.db.query(`
+                SELECT ID, SessionID, StartTS, EndTS, Reason
+                FROM dbo.SessionPauses
+                WHERE SessionID = @sessionId
+                ORDER BY StartTS ASC
+            `, { sessionId: param.int(sessionId) });
+
+            return result.recordset.map(pause => this.normalizePause(pause));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Pausen:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Pause als Session-Zeile für den Audit-Trail (EntityID = Session)
+     * @param {Object} pause - Pause-Zeile
+     * @returns {Object} - { ID, PauseID, PauseStartTS, PauseEndTS, Reason }
+     */
+    toPauseAuditRow(pause) {
+        return {
+            ID: pause.SessionID,
+            PauseID: pause.ID,
+            PauseStartTS: pause.StartTS,
+            PauseEndTS: pause.EndTS,
+            Reason: pause.Reason
+        };
+    }
+
+    normalizePause(pause) {
+        return {
+            ...pause,
+            StartTS: this.utils.normalizeTimestamp(pause.StartTS),
+            EndTS: pause.EndTS ? this.utils.normalizeTimestamp(pause.EndTS) : null
+        };
+    }
+
+    // ===== BRUTTO/NETTO-ARBEITSZEIT =====
+
+    /**
+     * Pausen-Summen je Session als LEFT JOIN "sp" - im SQLite-Backend überschrieben
+     * @param {string} sessionAlias - Alias der Sessions-Tabelle
+     * @returns {string} - SQL-Fragment
+     */
+    getPauseTotalsJoin(sessionAlias = 's') {
+        return pauseTotalsJoin(sessionAlias);
+    }
+
+    /**
+     * Session-Zeile mit DurationSeconds/PausedSeconds normalisieren und Netto-Dauer ergänzen
+     * @param {Object} session - Zeile aus der Datenbank
+     * @returns {Object} - Session mit NetDurationSeconds und IsPaused
+     */
+    normalizeSessionRow(session) {
+        return {
+            ...session,
+            StartTS: this.utils.normalizeTimestamp(session.StartTS),
+            EndTS: session.EndTS ? this.utils.normalizeTimestamp(session.EndTS) : null,
+            PausedSince: session.PausedSince ? this.utils.normalizeTimestamp(session.PausedSince) : null,
+            NetDurationSeconds: Math.max(0, session.DurationSeconds - (session.PausedSeconds || 0)),
+            IsPaused: !!session.PausedSince
+        };
+    }
+
+    /**
+     * Ergebnis von getSessionDuration: Brutto (duration), Pausen und Netto in Millisekunden
+     * @param {Object} session - { ID, StartTS, EndTS, Active, DurationSeconds, PausedSeconds, PausedSince }
+     * @returns {Object} - Dauer-Informationen
+     */
+    toSessionDuration(session) {
+        const pausedSeconds = session.PausedSeconds || 0;
+        const netSeconds = Math.max(0, session.DurationSeconds - pausedSeconds);
+
+        return {
+            sessionId: session.ID,
+            startTime: this.utils.normalizeTimestamp(session.StartTS),
+            endTime: session.EndTS ? this.utils.normalizeTimestamp(session.EndTS) : null,
+            duration: session.DurationSeconds * 1000, // Brutto in Millisekunden
+            pauseDuration: pausedSeconds * 1000,
+            netDuration: netSeconds * 1000,
+            isActive: !!session.Active,
+            isPaused: !!session.PausedSince,
+            pausedSince: session.PausedSince ? this.utils.normalizeTimestamp(session.PausedSince) : null,
+            formattedDuration: this.utils.formatSessionDuration(session.DurationSeconds),
+            formattedPauseDuration: this.utils.formatSessionDuration(pausedSeconds),
+            formattedNetDuration: this.utils.formatSessionDuration(netSeconds)
+        };
+    }
+
+    /**
+     * SessionType-Statistik um Minuten/Stunden für Brutto, Netto und Pausen ergänzen
+     * @param {Object} stat - Zeile mit Avg/Total(Net)DurationSeconds
+     * @returns {Object} - Statistik
+     */
+    withNetDurationStats(stat) {
+        const totalPauseSeconds = (stat.TotalDurationSeconds || 0) - (stat.TotalNetDurationSeconds || 0);
+
+        return {
+            ...stat,
+            AvgDurationMinutes: stat.AvgDurationSeconds ? Math.round(stat.AvgDurationSeconds / 60) : 0,
+            TotalDurationHours: Math.round(stat.TotalDurationSeconds / 3600 * 100) / 100,
+            AvgNetDurationMinutes: stat.AvgNetDurationSeconds ? Math.round(stat.AvgNetDurationSeconds / 60) : 0,
+            TotalNetDurationHours: Math.round(stat.TotalNetDurationSeconds / 3600 * 100) / 100,
+            TotalPauseHours: Math.round(totalPauseSeconds / 3600 * 100) / 100
+        };
+    }
+
     async getActiveSession(userId) {
         try {
             const result = await this.db.query(`
                 SELECT ID, StartTS,
                        DATEDIFF(SECOND, StartTS, SYSDATETIME()) as DurationSeconds
                 FROM dbo.Sessions
-                WHERE UserID = ? AND Active = 1
-            `, [userId]);
+                WHERE UserID = @userId AND Active = 1
+            `, { userId: param.int(userId) });
 
             if (result.recordset.length > 0) {
                 const session = result.recordset[0];
@@ -307,34 +697,80 @@ class SessionModule {
         try {
             const result = await this.db.query(`
                 SELECT
-                    ID,
-                    StartTS,
-                    EndTS,
-                    Active,
-                    DATEDIFF(SECOND, StartTS, ISNULL(EndTS, SYSDATETIME())) as DurationSeconds
-                FROM dbo.Sessions
-                WHERE ID = ?
-            `, [sessionId]);
+                    s.ID,
+                    s.StartTS,
+                    s.EndTS,
+                    s.Active,
+                    DATEDIFF(SECOND, s.StartTS, ISNULL(s.EndTS, SYSDATETIME())) as DurationSeconds,
+                    COALESCE(sp.PausedSeconds, 0) as PausedSeconds,
+                    sp.PausedSince
+                FROM dbo.Sessions s
+                         ${this.getPauseTotalsJoin('s')}
+                WHERE s.ID = @sessionId
+            `, { sessionId: param.int(sessionId) });
 
             if (result.recordset.length === 0) {
                 return null;
             }
 
-            const session = result.recordset[0];
-            return {
-                sessionId: session.ID,
-                startTime: this.utils.normalizeTimestamp(session.StartTS),
-                endTime: session.EndTS ? this.utils.normalizeTimestamp(session.EndTS) : null,
-                duration: session.DurationSeconds * 1000, // in Millisekunden
-                isActive: session.Active === 1,
-                formattedDuration: this.utils.formatSessionDuration(session.DurationSeconds)
-            };
+            return this.toSessionDuration(result.recordset[0]);
         } catch (error) {
             customConsole.error('Fehler beim Abrufen der Session-Dauer:', error);
             return null;
         }
     }
 
+    /**
+     * Sessions mit Pausen, die einen Zeitraum überschneiden (Grundlage für Stundenzettel)
+     * Laufende Sessions und Pausen haben EndTS = null.
+     * @param {Date} rangeStart - Beginn (inklusive)
+     * @param {Date} rangeEnd - Ende (exklusive)
+     * @param {number|null} userId - Nur dieser Benutzer (null = alle)
+     * @returns {Array} - Sessions mit Benutzerdaten und Pauses: [{ StartTS, EndTS }], nach Startzeit sortiert
+     */
+    async getSessionsInRange(rangeStart, rangeEnd, userId = null) {
+        const conditions = 's.StartTS < @rangeEnd AND (s.EndTS IS NULL OR s.EndTS > @rangeStart)' +
+            (userId ? ' AND s.UserID = @userId' : '');
+        const params = {
+            rangeStart: param.dateTime2(rangeStart),
+            rangeEnd: param.dateTime2(rangeEnd),
+            userId: param.int(userId)
+        };
+
+        const sessions = await this.db.query(`
+            SELECT s.ID, s.UserID, s.StartTS, s.EndTS, s.Active, s.EndReason,
+                   st.TypeName as SessionTypeName,
+                   sb.Vorname, sb.Nachname, sb.BenutzerName
+            FROM dbo.Sessions s
+                     LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
+                     LEFT JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
+            WHERE ${conditions}
+            ORDER BY s.UserID, s.StartTS ASC
+        `, params);
+
+        const pauses = await this.db.query(`
+            SELECT p.SessionID, p.StartTS, p.EndTS
+            FROM dbo.SessionPauses p
+                     INNER JOIN dbo.Sessions s ON p.SessionID = s.ID
+            WHERE ${conditions}
+            ORDER BY p.StartTS ASC
+        `, params);
+
+        const pausesBySession = new Map();
+        for (const pause of pauses.recordset) {
+            const sessionPauses = pausesBySession.get(pause.SessionID) || [];
+            sessionPauses.push(this.normalizePause(pause));
+            pausesBySession.set(pause.SessionID, sessionPauses);
+        }
+
+        return sessions.recordset.map(session => ({
+            ...session,
+            StartTS: this.utils.normalizeTimestamp(session.StartTS),
+            EndTS: session.EndTS ? this.utils.normalizeTimestamp(session.EndTS) : null,
+            Pauses: pausesBySession.get(session.ID) || []
+        }));
+    }
+
     // ===== SESSIONTYPE OPERATIONS =====
 
     /**
@@ -357,6 +793,28 @@ class SessionModule {
         }
     }
 
+    /**
+     * SessionType der letzten Session eines Benutzers (Vorauswahl bei der RFID-Anmeldung)
+     * @param {number} userId - Benutzer ID
+     * @returns {string|null} - SessionType-Name oder null
+     */
+    async getLastSessionTypeName(userId) {
+        try {
+            const result = await this.db.query(`
+                SELECT TOP 1 st.TypeName
+                FROM dbo.Sessions s
+                INNER JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
+                WHERE s.UserID = @userId
+                ORDER BY s.StartTS DESC, s.ID DESC
+            `, { userId: param.int(userId) });
+
+            return result.recordset.length > 0 ? result.recordset[0].TypeName : null;
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen des letzten SessionTypes:', error);
+            return null;
+        }
+    }
+
     /**
      * SessionType-Statistiken abrufen
      * @param {Date} startDate - Startdatum für Statistik (optional)
@@ -366,11 +824,12 @@ class SessionModule {
     async getSessionTypeStats(startDate = null, endDate = null) {
         try {
             let whereClause = '';
-            let params = [];
+            const params = {};
 
             if (startDate && endDate) {
-                whereClause = 'WHERE s.StartTS >= ? AND s.StartTS <= ?';
-                params = [startDate, endDate];
+                whereClause = 'AND s.StartTS >= @startDate AND s.StartTS <= @endDate';
+                params.startDate = param.dateTime2(startDate);
+                params.endDate = param.dateTime2(endDate);
             }
 
             const result = await this.db.query(`
@@ -384,18 +843,21 @@ class SessionModule {
                              ELSE NULL END) as AvgDurationSeconds,
                     SUM(CASE WHEN s.EndTS IS NOT NULL
                                  THEN DATEDIFF(SECOND, s.StartTS, s.EndTS)
-                             ELSE 0 END) as TotalDurationSeconds
+                             ELSE 0 END) as TotalDurationSeconds,
+                    AVG(CASE WHEN s.EndTS IS NOT NULL
+                                 THEN DATEDIFF(SECOND, s.StartTS, s.EndTS) - COALESCE(sp.PausedSeconds, 0)
+                             ELSE NULL END) as AvgNetDurationSeconds,
+                    SUM(CASE WHEN s.EndTS IS NOT NULL
+                                 THEN DATEDIFF(SECOND, s.StartTS, s.EndTS) - COALESCE(sp.PausedSeconds, 0)
+                             ELSE 0 END) as TotalNetDurationSeconds
                 FROM dbo.SessionTypes st
                          LEFT JOIN dbo.Sessions s ON st.ID = s.SessionTypeID ${whereClause}
+                         ${this.getPauseTotalsJoin('s')}
                 GROUP BY st.ID, st.TypeName, st.Description
                 ORDER BY TotalSessions DESC
             `, params);
 
-            return result.recordset.map(stat => ({
-                ...stat,
-                AvgDurationMinutes: stat.AvgDurationSeconds ? Math.round(stat.AvgDurationSeconds / 60) : 0,
-                TotalDurationHours: Math.round(stat.TotalDurationSeconds / 3600 * 100) / 100
-            }));
+            return result.recordset.map(stat => this.withNetDurationStats(stat));
         } catch (error) {
             customConsole.error('Fehler beim Abrufen der SessionType-Statistiken:', error);
             return [];
@@ -407,31 +869,27 @@ class SessionModule {
     /**
      * WARENEINLAGERUNG: Session für Benutzer neu starten (Timer zurücksetzen)
      * @param {number} sessionId - Session ID
-     * @param {number} userId - Benutzer ID (für Validierung)
+     * @param {number|null} userId - Benutzer ID (für Validierung, null = ohne Prüfung)
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
      * @returns {Object|null} - Aktualisierte Session-Daten
      */
-    async restartSession(sessionId, userId) {
+    async restartSession(sessionId, userId = null, options = {}) {
         try {
-            customConsole.info(`Session ${sessionId} wird für Benutzer ${userId} neu gestartet...`);
+            customConsole.info(`Session ${sessionId} wird ${userId ? `für Benutzer ${userId} ` : ''}neu gestartet...`);
 
-            const result = await this.db.query(`
-                UPDATE dbo.Sessions 
-                SET StartTS = SYSDATETIME()
-                OUTPUT INSERTED.ID, INSERTED.UserID, INSERTED.StartTS, INSERTED.Active, INSERTED.SessionTypeID
-                WHERE ID = ? AND UserID = ? AND Active = 1
-            `, [sessionId, userId]);
+            const restarted = await this.markSessionRestarted(sessionId, userId);
 
-            if (result.recordset.length === 0) {
-                customConsole.warning(`Session ${sessionId} für Benutzer ${userId} nicht gefunden oder nicht aktiv`);
+            if (!restarted) {
+                customConsole.warning(`Session ${sessionId} ${userId ? `für Benutzer ${userId} ` : ''}nicht gefunden oder nicht aktiv`);
                 return null;
             }
 
-            const updatedSession = result.recordset[0];
+            await this.recordAudit('session.restart', restarted.before, restarted.after, options);
 
             // Session mit Typ-Informationen abrufen für vollständige Rückgabe
             const sessionWithType = await this.getSessionWithType(sessionId);
 
-            customConsole.success(`Session ${sessionId} erfolgreich neu gestartet für Benutzer ${userId}`);
+            customConsole.success(`Session ${sessionId} erfolgreich neu gestartet${userId ? ` für Benutzer ${userId}` : ''}`);
             return sessionWithType;
 
         } catch (error) {
@@ -460,9 +918,9 @@ class SessionModule {
                 FROM dbo.Sessions s
                 LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
                 INNER JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
-                WHERE s.UserID = ? AND s.Active = 1
+                WHERE s.UserID = @userId AND s.Active = 1
                 ORDER BY s.StartTS DESC
-            `, [userId]);
+            `, { userId: param.int(userId) });
 
             if (result.recordset.length === 0) {
                 return null;
@@ -486,6 +944,40 @@ class SessionModule {
         }
     }
 
+    /**
+     * WARENEINLAGERUNG: Alle aktiven Sessions mit Anzahl gültiger Scans
+     * @returns {Array} - Aktive Sessions, älteste zuerst
+     */
+    async getActiveSessionsWithScanCount() {
+        const result = await this.db.query(`
+            SELECT s.ID, s.UserID, s.StartTS, s.EndTS, s.Active,
+                   u.BenutzerName as UserName, u.Department,
+                   COALESCE(sp.PausedSeconds, 0) as PausedSeconds, sp.PausedSince,
+                   COUNT(qr.ID) as ScanCount
+            FROM dbo.Sessions s
+                     INNER JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
+                     LEFT JOIN dbo.QrScans qr ON s.ID = qr.SessionID AND qr.Valid = 1
+                     ${this.getPauseTotalsJoin('s')}
+            WHERE s.Active = 1
+            GROUP BY s.ID, s.UserID, s.StartTS, s.EndTS, s.Active, u.BenutzerName, u.Department,
+                     sp.PausedSeconds, sp.PausedSince
+            ORDER BY s.StartTS ASC
+        `);
+
+        return result.recordset.map(session => ({
+            ID: session.ID,
+            UserID: session.UserID,
+            UserName: session.UserName,
+            Department: session.Department,
+            StartTS: this.utils.normalizeTimestamp(session.StartTS),
+            EndTS: session.EndTS ? this.utils.normalizeTimestamp(session.EndTS) : null,
+            Active: session.Active,
+            PausedSeconds: session.PausedSeconds,
+            PausedSince: session.PausedSince ? this.utils.normalizeTimestamp(session.PausedSince) : null,
+            ScanCount: session.ScanCount || 0
+        }));
+    }
+
     /**
      * WARENEINLAGERUNG: Erweiterte Session-Informationen mit Scan-Counts
      * @param {number} sessionId - Session ID
@@ -507,30 +999,34 @@ class SessionModule {
                     u.Vorname,
                     u.Nachname,
                     DATEDIFF(SECOND, s.StartTS, ISNULL(s.EndTS, SYSDATETIME())) as DurationSeconds,
-                    COUNT(qr.ID) as TotalScans,
-                    COUNT(CASE WHEN qr.DecodedPayload IS NOT NULL AND qr.DecodedPayload != '{}' THEN 1 END) as ValidScans,
+                    COALESCE(sp.PausedSeconds, 0) as PausedSeconds,
+                    sp.PausedSince,
+                    COUNT(CASE WHEN qr.Valid = 1 THEN 1 END) as TotalScans,
+                    COUNT(CASE WHEN qr.Valid = 1 AND qr.DecodedPayload IS NOT NULL AND qr.DecodedPayload != '{}' THEN 1 END) as ValidScans,
+                    COUNT(CASE WHEN qr.Valid = 0 THEN 1 END) as VoidedScans,
                     MAX(qr.CapturedTS) as LastScanTime
                 FROM dbo.Sessions s
                 LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
                 LEFT JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
                 LEFT JOIN dbo.QrScans qr ON s.ID = qr.SessionID
-                WHERE s.ID = ?
+                ${this.getPauseTotalsJoin('s')}
+                WHERE s.ID = @sessionId
                 GROUP BY s.ID, s.UserID, s.StartTS, s.EndTS, s.Active, s.SessionTypeID, 
-                         st.TypeName, st.Description, u.BenutzerName, u.Vorname, u.Nachname
-            `, [sessionId]);
+                         st.TypeName, st.Description, u.BenutzerName, u.Vorname, u.Nachname,
+                         sp.PausedSeconds, sp.PausedSince
+            `, { sessionId: param.int(sessionId) });
 
             if (result.recordset.length === 0) {
                 return null;
             }
 
-            const session = result.recordset[0];
+            const session = this.normalizeSessionRow(result.recordset[0]);
             return {
                 ...session,
-                StartTS: this.utils.normalizeTimestamp(session.StartTS),
-                EndTS: session.EndTS ? this.utils.normalizeTimestamp(session.EndTS) : null,
                 LastScanTime: session.LastScanTime ? this.utils.normalizeTimestamp(session.LastScanTime) : null,
                 FullName: `${session.Vorname || ''} ${session.Nachname || ''}`.trim(),
-                FormattedDuration: this.utils.formatSessionDuration(session.DurationSeconds)
+                FormattedDuration: this.utils.formatSessionDuration(session.DurationSeconds),
+                FormattedNetDuration: this.utils.formatSessionDuration(session.NetDurationSeconds)
             };
         } catch (error) {
             customConsole.error('Fehler beim Abrufen der Session-Details:', error);
@@ -538,6 +1034,14 @@ class SessionModule {
         }
     }
 
+    /**
+     * SessionTypes-Tabelle und Standard-SessionTypes anlegen (idempotent)
+     * @returns {boolean} - Success
+     */
+    async setupSessionTypes() {
+        return await setupSessionTypes(this.db);
+    }
+
     /**
      * Setup SessionTypes falls noch nicht vorhanden
      * @returns {boolean} - Success
@@ -556,8 +1060,7 @@ class SessionModule {
             if (existingTypesCount === 0) {
                 customConsole.info('Keine SessionTypes gefunden - führe automatisches Setup aus...');
 
-                const { setupSessionTypes } = require('../constants/session-types');
-                const setupSuccess = await setupSessionTypes(this.db);
+                const setupSuccess = await this.setupSessionTypes();
 
                 if (setupSuccess) {
                     customConsole.success('SessionTypes automatisch eingerichtet');
@@ -578,4 +1081,6 @@ class SessionModule {
     }
 }
 
+SessionModule.pauseTotalsJoin = pauseTotalsJoin;
+
 module.exports = SessionModule;
\ No newline at end of file
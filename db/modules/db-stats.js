@@ -1,3 +1,6 @@
+const { param } = require('../core/db-params');
+const { pauseTotalsJoin } = require('./db-sessions');
+
 // Console-Utils für bessere Ausgabe - mit Fallback
 let customConsole;
 try {
@@ -13,9 +16,13 @@ try {
     };
 }
 
+// Wochentage der Heatmap, Montag zuerst (Index = normalisierter Wochentag)
+const WEEKDAY_NAMES = ['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'];
+
 /**
  * Statistics Module
  * Handles statistical queries, reports, and analytics
+ * Arbeitszeiten werden brutto (StartTS bis EndTS) und netto (ohne SessionPauses) geliefert
  */
 class StatsModule {
     constructor(dbConnection, utils) {
@@ -23,6 +30,15 @@ class StatsModule {
         this.utils = utils;
     }
 
+    /**
+     * Pausen-Summen je Session als LEFT JOIN "sp" - im SQLite-Backend überschrieben
+     * @param {string} sessionAlias - Alias der Sessions-Tabelle
+     * @returns {string} - SQL-Fragment
+     */
+    getPauseTotalsJoin(sessionAlias = 's') {
+        return pauseTotalsJoin(sessionAlias);
+    }
+
     // ===== DAILY STATISTICS =====
     async getDailyStats(date = null) {
         try {
@@ -30,12 +46,15 @@ class StatsModule {
 
             const result = await this.db.query(`
                 SELECT
-                        (SELECT COUNT(*) FROM dbo.Sessions WHERE CAST(StartTS AS DATE) = ?) as TotalSessions,
-                        (SELECT COUNT(*) FROM dbo.QrScans WHERE CAST(CapturedTS AS DATE) = ? AND Valid = 1) as TotalScans,
-                        (SELECT COUNT(DISTINCT s.UserID) FROM dbo.Sessions s WHERE CAST(s.StartTS AS DATE) = ?) as UniqueUsers,
+                        (SELECT COUNT(*) FROM dbo.Sessions WHERE CAST(StartTS AS DATE) = @date) as TotalSessions,
+                        (SELECT COUNT(*) FROM dbo.QrScans WHERE CAST(CapturedTS AS DATE) = @date AND Valid = 1) as TotalScans,
+                        (SELECT COUNT(DISTINCT s.UserID) FROM dbo.Sessions s WHERE CAST(s.StartTS AS DATE) = @date) as UniqueUsers,
                         (SELECT AVG(CAST(DATEDIFF(MINUTE, StartTS, ISNULL(EndTS, SYSDATETIME())) AS FLOAT))
-                         FROM dbo.Sessions WHERE CAST(StartTS AS DATE) = ?) as AvgSessionMinutes
-            `, [targetDate, targetDate, targetDate, targetDate]);
+                         FROM dbo.Sessions WHERE CAST(StartTS AS DATE) = @date) as AvgSessionMinutes,
+                        (SELECT AVG(CAST(DATEDIFF(SECOND, s.StartTS, ISNULL(s.EndTS, SYSDATETIME())) - COALESCE(sp.PausedSeconds, 0) AS FLOAT)) / 60
+                         FROM dbo.Sessions s ${this.getPauseTotalsJoin('s')}
+                         WHERE CAST(s.StartTS AS DATE) = @date) as AvgNetSessionMinutes
+            `, { date: param.date(targetDate) });
 
             return result.recordset.length > 0 ? result.recordset[0] : null;
         } catch (error) {
@@ -56,7 +75,7 @@ class StatsModule {
                     NULL as Details
                 FROM dbo.Sessions s
                     INNER JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
-                WHERE s.StartTS >= DATEADD(HOUR, -?, SYSDATETIME())
+                WHERE s.StartTS >= DATEADD(HOUR, -@hours, SYSDATETIME())
 
                 UNION ALL
 
@@ -68,7 +87,7 @@ class StatsModule {
                     CAST(DATEDIFF(MINUTE, s.StartTS, s.EndTS) AS VARCHAR) + ' min' as Details
                 FROM dbo.Sessions s
                     INNER JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
-                WHERE s.EndTS >= DATEADD(HOUR, -?, SYSDATETIME())
+                WHERE s.EndTS >= DATEADD(HOUR, -@hours, SYSDATETIME())
                   AND s.EndTS IS NOT NULL
 
                 UNION ALL
@@ -82,11 +101,11 @@ class StatsModule {
                 FROM dbo.QrScans q
                     INNER JOIN dbo.Sessions s ON q.SessionID = s.ID
                     INNER JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
-                WHERE q.CapturedTS >= DATEADD(HOUR, -?, SYSDATETIME())
+                WHERE q.CapturedTS >= DATEADD(HOUR, -@hours, SYSDATETIME())
                   AND q.Valid = 1
 
                 ORDER BY EventTime DESC
-            `, [hours, hours, hours]);
+            `, { hours: param.int(hours) });
 
             // Zeitstempel in Aktivitäten normalisieren
             return result.recordset.map(activity => ({
@@ -102,18 +121,18 @@ class StatsModule {
     // ===== USER STATISTICS =====
     async getUserStats(userId = null, startDate = null, endDate = null) {
         try {
-            let whereClause = '';
-            let params = [];
+            let joinFilter = '';
+            const params = {};
 
             if (userId) {
-                whereClause = 'WHERE s.UserID = ?';
-                params.push(userId);
+                joinFilter += ' AND s.UserID = @userId';
+                params.userId = param.int(userId);
             }
 
             if (startDate && endDate) {
-                whereClause += whereClause ? ' AND ' : 'WHERE ';
-                whereClause += 's.StartTS >= ? AND s.StartTS <= ?';
-                params.push(startDate, endDate);
+                joinFilter += ' AND s.StartTS >= @startDate AND s.StartTS <= @endDate';
+                params.startDate = param.dateTime2(startDate);
+                params.endDate = param.dateTime2(endDate);
             }
 
             const result = await this.db.query(`
@@ -130,18 +149,25 @@ class StatsModule {
                     SUM(CASE WHEN s.EndTS IS NOT NULL 
                         THEN DATEDIFF(MINUTE, s.StartTS, s.EndTS) 
                         ELSE 0 END) as TotalSessionMinutes,
+                    AVG(CASE WHEN s.EndTS IS NOT NULL
+                        THEN CAST(DATEDIFF(SECOND, s.StartTS, s.EndTS) - COALESCE(sp.PausedSeconds, 0) AS FLOAT)
+                        ELSE NULL END) / 60 as AvgNetSessionMinutes,
+                    SUM(CASE WHEN s.EndTS IS NOT NULL
+                        THEN CAST(DATEDIFF(SECOND, s.StartTS, s.EndTS) - COALESCE(sp.PausedSeconds, 0) AS FLOAT)
+                        ELSE 0 END) / 60 as TotalNetSessionMinutes,
                     (SELECT COUNT(*) FROM dbo.QrScans q 
                      INNER JOIN dbo.Sessions s2 ON q.SessionID = s2.ID 
                      WHERE s2.UserID = u.ID AND q.Valid = 1
-                     ${startDate && endDate ? 'AND q.CapturedTS >= ? AND q.CapturedTS <= ?' : ''}) as TotalScans,
+                     ${startDate && endDate ? 'AND q.CapturedTS >= @startDate AND q.CapturedTS <= @endDate' : ''}) as TotalScans,
                     MIN(s.StartTS) as FirstSession,
                     MAX(s.StartTS) as LastSession
                 FROM dbo.ScannBenutzer u
-                LEFT JOIN dbo.Sessions s ON u.ID = s.UserID ${whereClause}
+                LEFT JOIN dbo.Sessions s ON u.ID = s.UserID${joinFilter}
+                ${this.getPauseTotalsJoin('s')}
                 WHERE u.xStatus = 0
                 GROUP BY u.ID, u.BenutzerName, u.Vorname, u.Nachname
                 ORDER BY TotalSessions DESC
-            `, startDate && endDate ? [...params, startDate, endDate] : params);
+            `, params);
 
             return result.recordset.map(user => ({
                 ...user,
@@ -149,7 +175,9 @@ class StatsModule {
                 FirstSession: user.FirstSession ? this.utils.normalizeTimestamp(user.FirstSession) : null,
                 LastSession: user.LastSession ? this.utils.normalizeTimestamp(user.LastSession) : null,
                 AvgSessionHours: user.AvgSessionMinutes ? Math.round(user.AvgSessionMinutes / 60 * 100) / 100 : 0,
-                TotalSessionHours: Math.round(user.TotalSessionMinutes / 60 * 100) / 100
+                TotalSessionHours: Math.round(user.TotalSessionMinutes / 60 * 100) / 100,
+                AvgNetSessionHours: user.AvgNetSessionMinutes ? Math.round(user.AvgNetSessionMinutes / 60 * 100) / 100 : 0,
+                TotalNetSessionHours: Math.round(user.TotalNetSessionMinutes / 60 * 100) / 100
             }));
         } catch (error) {
             customConsole.error('Fehler beim Abrufen der Benutzer-Statistiken:', error);
@@ -161,11 +189,12 @@ class StatsModule {
     async getSessionTypeStats(startDate = null, endDate = null) {
         try {
             let whereClause = '';
-            let params = [];
+            const params = {};
 
             if (startDate && endDate) {
-                whereClause = 'WHERE s.StartTS >= ? AND s.StartTS <= ?';
-                params = [startDate, endDate];
+                whereClause = 'AND s.StartTS >= @startDate AND s.StartTS <= @endDate';
+                params.startDate = param.dateTime2(startDate);
+                params.endDate = param.dateTime2(endDate);
             }
 
             const result = await this.db.query(`
@@ -180,20 +209,29 @@ class StatsModule {
                     SUM(CASE WHEN s.EndTS IS NOT NULL
                                  THEN DATEDIFF(SECOND, s.StartTS, s.EndTS)
                              ELSE 0 END) as TotalDurationSeconds,
+                    AVG(CASE WHEN s.EndTS IS NOT NULL
+                                 THEN DATEDIFF(SECOND, s.StartTS, s.EndTS) - COALESCE(sp.PausedSeconds, 0)
+                             ELSE NULL END) as AvgNetDurationSeconds,
+                    SUM(CASE WHEN s.EndTS IS NOT NULL
+                                 THEN DATEDIFF(SECOND, s.StartTS, s.EndTS) - COALESCE(sp.PausedSeconds, 0)
+                             ELSE 0 END) as TotalNetDurationSeconds,
                     (SELECT COUNT(*) FROM dbo.QrScans q 
                      INNER JOIN dbo.Sessions s2 ON q.SessionID = s2.ID 
                      WHERE s2.SessionTypeID = st.ID AND q.Valid = 1
-                     ${startDate && endDate ? 'AND q.CapturedTS >= ? AND q.CapturedTS <= ?' : ''}) as TotalScans
+                     ${startDate && endDate ? 'AND q.CapturedTS >= @startDate AND q.CapturedTS <= @endDate' : ''}) as TotalScans
                 FROM dbo.SessionTypes st
                          LEFT JOIN dbo.Sessions s ON st.ID = s.SessionTypeID ${whereClause}
+                         ${this.getPauseTotalsJoin('s')}
                 GROUP BY st.ID, st.TypeName, st.Description
                 ORDER BY TotalSessions DESC
-            `, startDate && endDate ? [...params, startDate, endDate] : params);
+            `, params);
 
             return result.recordset.map(stat => ({
                 ...stat,
                 AvgDurationMinutes: stat.AvgDurationSeconds ? Math.round(stat.AvgDurationSeconds / 60) : 0,
                 TotalDurationHours: Math.round(stat.TotalDurationSeconds / 3600 * 100) / 100,
+                AvgNetDurationMinutes: stat.AvgNetDurationSeconds ? Math.round(stat.AvgNetDurationSeconds / 60) : 0,
+                TotalNetDurationHours: Math.round(stat.TotalNetDurationSeconds / 3600 * 100) / 100,
                 ScansPerSession: stat.TotalSessions > 0 ? Math.round(stat.TotalScans / stat.TotalSessions * 100) / 100 : 0
             }));
         } catch (error) {
@@ -203,40 +241,155 @@ class StatsModule {
     }
 
     // ===== TIME-BASED ANALYTICS =====
-    async getHourlyActivity(date = null) {
+    /**
+     * Filter der Statistik-Diagramme nach SessionType und Abteilung - erwartet die Aliase
+     * s (Sessions) und u (ScannBenutzer) und die Parameter aus getActivityFilterParams()
+     * @returns {string} - SQL-Fragment (beginnt mit AND)
+     */
+    getActivityFilter() {
+        return `AND (@sessionTypeId IS NULL OR s.SessionTypeID = @sessionTypeId)
+                  AND (@department IS NULL OR u.Department = @department)`;
+    }
+
+    /**
+     * @param {Object} filters - { sessionTypeId, department } (leer = alle)
+     * @returns {Object} - Query-Parameter für getActivityFilter()
+     */
+    getActivityFilterParams(filters = {}) {
+        return {
+            sessionTypeId: param.int(filters.sessionTypeId || null),
+            department: param.nvarchar(filters.department || null, 100)
+        };
+    }
+
+    /**
+     * Gültige Scans je Stunde eines Tages
+     * @param {string|null} date - 'YYYY-MM-DD' (default: heute)
+     * @param {Object} filters - { sessionTypeId, department }
+     * @returns {Array} - 24 Einträge { Hour, ScanCount, UniqueSessions, FormattedHour }
+     */
+    async getHourlyActivity(date = null, filters = {}) {
         try {
             const targetDate = date || new Date().toISOString().split('T')[0];
 
             const result = await this.db.query(`
                 SELECT
-                    DATEPART(HOUR, CapturedTS) as Hour,
+                    DATEPART(HOUR, q.CapturedTS) as Hour,
                     COUNT(*) as ScanCount,
-                    COUNT(DISTINCT SessionID) as UniqueSessions
-                FROM dbo.QrScans
-                WHERE CAST(CapturedTS AS DATE) = ? AND Valid = 1
-                GROUP BY DATEPART(HOUR, CapturedTS)
+                    COUNT(DISTINCT q.SessionID) as UniqueSessions
+                FROM dbo.QrScans q
+                INNER JOIN dbo.Sessions s ON q.SessionID = s.ID
+                INNER JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
+                WHERE CAST(q.CapturedTS AS DATE) = @date AND q.Valid = 1
+                  ${this.getActivityFilter()}
+                GROUP BY DATEPART(HOUR, q.CapturedTS)
                 ORDER BY Hour
-            `, [targetDate]);
+            `, { date: param.date(targetDate), ...this.getActivityFilterParams(filters) });
+
+            return this.buildHourlyStats(result.recordset);
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der stündlichen Aktivität:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Erstelle vollständige 24-Stunden-Übersicht
+     * @param {Array} rows - [{ Hour, ScanCount, UniqueSessions }] (nur Stunden mit Scans)
+     * @returns {Array} - 24 Einträge
+     */
+    buildHourlyStats(rows) {
+        return Array.from({ length: 24 }, (_, hour) => {
+            const existingData = rows.find(r => r.Hour === hour);
+            return {
+                Hour: hour,
+                ScanCount: existingData ? existingData.ScanCount : 0,
+                UniqueSessions: existingData ? existingData.UniqueSessions : 0,
+                FormattedHour: `${hour.toString().padStart(2, '0')}:00`
+            };
+        });
+    }
+
+    /**
+     * Gültige Scans je Wochentag und Stunde (Heatmap)
+     * @param {number} weeks - Zeitraum in Wochen rückblickend (default: 4)
+     * @param {Object} filters - { sessionTypeId, department }
+     * @returns {Array} - 7 Einträge (Montag zuerst) { Weekday, WeekdayName, Hours: [24 Scan-Anzahlen], TotalScans }
+     */
+    async getWeekdayHourActivity(weeks = 4, filters = {}) {
+        try {
+            const rows = await this.queryWeekdayHourActivity(weeks, filters);
+
+            return WEEKDAY_NAMES.map((name, weekday) => {
+                const hours = Array.from({ length: 24 }, (_, hour) => {
+                    const existingData = rows.find(r => r.Weekday === weekday && r.Hour === hour);
+                    return existingData ? existingData.ScanCount : 0;
+                });
 
-            // Erstelle vollständige 24-Stunden-Übersicht
-            const hourlyStats = Array.from({ length: 24 }, (_, hour) => {
-                const existingData = result.recordset.find(r => r.Hour === hour);
                 return {
-                    Hour: hour,
-                    ScanCount: existingData ? existingData.ScanCount : 0,
-                    UniqueSessions: existingData ? existingData.UniqueSessions : 0,
-                    FormattedHour: `${hour.toString().padStart(2, '0')}:00`
+                    Weekday: weekday,
+                    WeekdayName: name,
+                    Hours: hours,
+                    TotalScans: hours.reduce((sum, count) => sum + count, 0)
                 };
             });
-
-            return hourlyStats;
         } catch (error) {
-            customConsole.error('Fehler beim Abrufen der stündlichen Aktivität:', error);
+            customConsole.error('Fehler beim Abrufen der Aktivität je Wochentag:', error);
             return [];
         }
     }
 
-    async getWeeklyTrends(weeks = 4) {
+    async queryWeekdayHourActivity(weeks, filters) {
+        // DATEPART(WEEKDAY) hängt von @@DATEFIRST ab - auf 0 = Montag normalisieren
+        const result = await this.db.query(`
+            SELECT
+                (DATEPART(WEEKDAY, q.CapturedTS) + @@DATEFIRST + 5) % 7 as Weekday,
+                DATEPART(HOUR, q.CapturedTS) as Hour,
+                COUNT(*) as ScanCount
+            FROM dbo.QrScans q
+            INNER JOIN dbo.Sessions s ON q.SessionID = s.ID
+            INNER JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
+            WHERE q.CapturedTS >= DATEADD(WEEK, -@weeks, SYSDATETIME()) AND q.Valid = 1
+              ${this.getActivityFilter()}
+            GROUP BY (DATEPART(WEEKDAY, q.CapturedTS) + @@DATEFIRST + 5) % 7, DATEPART(HOUR, q.CapturedTS)
+        `, { weeks: param.int(weeks), ...this.getActivityFilterParams(filters) });
+
+        return result.recordset;
+    }
+
+    /**
+     * Gültige Scans je Benutzer und Kalendertag (für Stundenzettel)
+     * @param {Date} rangeStart - Beginn (inklusive)
+     * @param {Date} rangeEnd - Ende (exklusive)
+     * @param {number|null} userId - Nur dieser Benutzer (null = alle)
+     * @returns {Array} - [{ UserID, ScanDate: 'YYYY-MM-DD', ScanCount }]
+     */
+    async getDailyScanCounts(rangeStart, rangeEnd, userId = null) {
+        const result = await this.db.query(`
+            SELECT s.UserID,
+                   CONVERT(CHAR(10), q.CapturedTS, 23) as ScanDate,
+                   COUNT(*) as ScanCount
+            FROM dbo.QrScans q
+                     INNER JOIN dbo.Sessions s ON q.SessionID = s.ID
+            WHERE q.Valid = 1 AND q.CapturedTS >= @rangeStart AND q.CapturedTS < @rangeEnd
+              AND (@userId IS NULL OR s.UserID = @userId)
+            GROUP BY s.UserID, CONVERT(CHAR(10), q.CapturedTS, 23)
+        `, {
+            rangeStart: param.dateTime2(rangeStart),
+            rangeEnd: param.dateTime2(rangeEnd),
+            userId: param.int(userId)
+        });
+
+        return result.recordset;
+    }
+
+    /**
+     * Gültige Scans, Sessions und Benutzer je Kalenderwoche
+     * @param {number} weeks - Zeitraum in Wochen rückblickend (default: 4)
+     * @param {Object} filters - { sessionTypeId, department }
+     * @returns {Array} - Wochen, neueste zuerst
+     */
+    async getWeeklyTrends(weeks = 4, filters = {}) {
         try {
             const result = await this.db.query(`
                 SELECT
@@ -248,34 +401,41 @@ class StatsModule {
                     COUNT(DISTINCT s.UserID) as UniqueUsers
                 FROM dbo.QrScans q
                 INNER JOIN dbo.Sessions s ON q.SessionID = s.ID
-                WHERE q.CapturedTS >= DATEADD(WEEK, -?, SYSDATETIME()) AND q.Valid = 1
+                INNER JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
+                WHERE q.CapturedTS >= DATEADD(WEEK, -@weeks, SYSDATETIME()) AND q.Valid = 1
+                  ${this.getActivityFilter()}
                 GROUP BY DATEPART(WEEK, CapturedTS), DATEPART(YEAR, CapturedTS)
                 ORDER BY Year DESC, WeekNumber DESC
-            `, [weeks]);
-
-            return result.recordset.map(week => ({
-                ...week,
-                WeekStart: this.utils.normalizeTimestamp(week.WeekStart),
-                AvgScansPerSession: week.TotalSessions > 0 ?
-                    Math.round(week.TotalScans / week.TotalSessions * 100) / 100 : 0,
-                AvgScansPerUser: week.UniqueUsers > 0 ?
-                    Math.round(week.TotalScans / week.UniqueUsers * 100) / 100 : 0
-            }));
+            `, { weeks: param.int(weeks), ...this.getActivityFilterParams(filters) });
+
+            return this.mapWeeklyTrends(result.recordset);
         } catch (error) {
             customConsole.error('Fehler beim Abrufen der wöchentlichen Trends:', error);
             return [];
         }
     }
 
+    mapWeeklyTrends(rows) {
+        return rows.map(week => ({
+            ...week,
+            WeekStart: this.utils.normalizeTimestamp(week.WeekStart),
+            AvgScansPerSession: week.TotalSessions > 0 ?
+                Math.round(week.TotalScans / week.TotalSessions * 100) / 100 : 0,
+            AvgScansPerUser: week.UniqueUsers > 0 ?
+                Math.round(week.TotalScans / week.UniqueUsers * 100) / 100 : 0
+        }));
+    }
+
     // ===== PERFORMANCE ANALYTICS =====
     async getPerformanceMetrics(startDate = null, endDate = null) {
         try {
             let whereClause = '';
-            let params = [];
+            const params = {};
 
             if (startDate && endDate) {
-                whereClause = 'WHERE q.CapturedTS >= ? AND q.CapturedTS <= ?';
-                params = [startDate, endDate];
+                whereClause = 'AND q.CapturedTS >= @startDate AND q.CapturedTS <= @endDate';
+                params.startDate = param.dateTime2(startDate);
+                params.endDate = param.dateTime2(endDate);
             }
 
             const result = await this.db.query(`
@@ -284,6 +444,7 @@ class StatsModule {
                     COUNT(DISTINCT q.SessionID) as TotalSessions,
                     COUNT(DISTINCT s.UserID) as TotalUsers,
                     AVG(CAST(DATEDIFF(SECOND, s.StartTS, ISNULL(s.EndTS, SYSDATETIME())) AS FLOAT)) as AvgSessionDuration,
+                    AVG(CAST(DATEDIFF(SECOND, s.StartTS, ISNULL(s.EndTS, SYSDATETIME())) - COALESCE(sp.PausedSeconds, 0) AS FLOAT)) as AvgNetSessionDuration,
                     COUNT(*) / NULLIF(COUNT(DISTINCT q.SessionID), 0) as AvgScansPerSession,
                     COUNT(*) / NULLIF(COUNT(DISTINCT s.UserID), 0) as AvgScansPerUser,
                     COUNT(CASE WHEN q.RawPayload LIKE '%^%' THEN 1 END) as StructuredScans,
@@ -291,7 +452,8 @@ class StatsModule {
                     COUNT(CASE WHEN q.RawPayload LIKE '%[0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9]%' THEN 1 END) as PackageScans
                 FROM dbo.QrScans q
                 INNER JOIN dbo.Sessions s ON q.SessionID = s.ID
-                ${whereClause} AND q.Valid = 1
+                ${this.getPauseTotalsJoin('s')}
+                WHERE q.Valid = 1 ${whereClause}
             `, params);
 
             const metrics = result.recordset[0];
@@ -299,6 +461,7 @@ class StatsModule {
             return {
                 ...metrics,
                 AvgSessionDurationMinutes: metrics.AvgSessionDuration ? Math.round(metrics.AvgSessionDuration / 60 * 100) / 100 : 0,
+                AvgNetSessionDurationMinutes: metrics.AvgNetSessionDuration ? Math.round(metrics.AvgNetSessionDuration / 60 * 100) / 100 : 0,
                 StructuredScanRate: metrics.TotalScans > 0 ? Math.round(metrics.StructuredScans / metrics.TotalScans * 100) : 0,
                 OrderScanRate: metrics.TotalScans > 0 ? Math.round(metrics.OrderScans / metrics.TotalScans * 100) : 0,
                 PackageScanRate: metrics.TotalScans > 0 ? Math.round(metrics.PackageScans / metrics.TotalScans * 100) : 0
@@ -329,15 +492,16 @@ class StatsModule {
             }
 
             let whereClause = '';
-            let params = [];
+            const params = { limit: param.int(limit) };
 
             if (startDate && endDate) {
-                whereClause = 'AND s.StartTS >= ? AND s.StartTS <= ?';
-                params = [startDate, endDate];
+                whereClause = 'AND s.StartTS >= @startDate AND s.StartTS <= @endDate';
+                params.startDate = param.dateTime2(startDate);
+                params.endDate = param.dateTime2(endDate);
             }
 
             const result = await this.db.query(`
-                SELECT TOP ${limit}
+                SELECT TOP (@limit)
                     u.ID,
                     u.BenutzerName,
                     u.Vorname,
@@ -345,12 +509,14 @@ class StatsModule {
                     COUNT(DISTINCT s.ID) as TotalSessions,
                     COUNT(q.ID) as TotalScans,
                     SUM(DATEDIFF(MINUTE, s.StartTS, ISNULL(s.EndTS, SYSDATETIME()))) as TotalSessionMinutes,
+                    SUM(CAST(DATEDIFF(SECOND, s.StartTS, ISNULL(s.EndTS, SYSDATETIME())) - COALESCE(sp.PausedSeconds, 0) AS FLOAT)) / 60 as TotalNetSessionMinutes,
                     CASE WHEN SUM(DATEDIFF(MINUTE, s.StartTS, ISNULL(s.EndTS, SYSDATETIME()))) > 0 
                          THEN CAST(COUNT(q.ID) AS FLOAT) / SUM(DATEDIFF(MINUTE, s.StartTS, ISNULL(s.EndTS, SYSDATETIME())))
                          ELSE 0 END as ScansPerMinute
                 FROM dbo.ScannBenutzer u
                 INNER JOIN dbo.Sessions s ON u.ID = s.UserID
                 LEFT JOIN dbo.QrScans q ON s.ID = q.SessionID AND q.Valid = 1
+                ${this.getPauseTotalsJoin('s')}
                 WHERE u.xStatus = 0 ${whereClause}
                 GROUP BY u.ID, u.BenutzerName, u.Vorname, u.Nachname
                 HAVING COUNT(DISTINCT s.ID) > 0
@@ -362,6 +528,7 @@ class StatsModule {
                 Rank: index + 1,
                 FullName: `${user.Vorname || ''} ${user.Nachname || ''}`.trim(),
                 TotalSessionHours: Math.round(user.TotalSessionMinutes / 60 * 100) / 100,
+                TotalNetSessionHours: Math.round(user.TotalNetSessionMinutes / 60 * 100) / 100,
                 AvgScansPerSession: user.TotalSessions > 0 ? Math.round(user.TotalScans / user.TotalSessions * 100) / 100 : 0,
                 ScansPerMinute: Math.round(user.ScansPerMinute * 100) / 100
             }));
@@ -371,6 +538,120 @@ class StatsModule {
         }
     }
 
+    // ===== WARENEINLAGERUNG: PARALLELE SESSIONS =====
+    /**
+     * Statistiken für parallele Sessions
+     * @returns {Object} - Parallele Session-Statistiken
+     */
+    async getParallelSessionStats() {
+        try {
+            const stats = await this.queryParallelSessionStats();
+            return {
+                activeSessionCount: stats.ActiveSessionCount || 0,
+                activeUserCount: stats.ActiveUserCount || 0,
+                avgSessionDurationMinutes: Math.round(stats.AvgSessionDurationMinutes || 0),
+                avgNetSessionDurationMinutes: Math.round(stats.AvgNetSessionDurationMinutes || 0),
+                pausedSessionCount: stats.PausedSessionCount || 0,
+                totalActiveScans: stats.TotalActiveScans || 0,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der parallelen Session-Statistiken:', error);
+            return {
+                activeSessionCount: 0,
+                activeUserCount: 0,
+                avgSessionDurationMinutes: 0,
+                avgNetSessionDurationMinutes: 0,
+                pausedSessionCount: 0,
+                totalActiveScans: 0,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    async queryParallelSessionStats() {
+        const result = await this.db.query(`
+            SELECT
+                COUNT(*) as ActiveSessionCount,
+                COUNT(DISTINCT UserID) as ActiveUserCount,
+                AVG(DATEDIFF(MINUTE, StartTS, SYSDATETIME())) as AvgSessionDurationMinutes,
+                AVG(CAST(DATEDIFF(SECOND, s.StartTS, SYSDATETIME()) - COALESCE(sp.PausedSeconds, 0) AS FLOAT)) / 60 as AvgNetSessionDurationMinutes,
+                COUNT(sp.PausedSince) as PausedSessionCount,
+                SUM(qr.ScanCount) as TotalActiveScans
+            FROM dbo.Sessions s
+                     LEFT JOIN (
+                SELECT SessionID, COUNT(*) as ScanCount
+                FROM dbo.QrScans
+                WHERE CapturedTS >= DATEADD(DAY, -1, SYSDATETIME()) AND Valid = 1
+                GROUP BY SessionID
+            ) qr ON s.ID = qr.SessionID
+            ${this.getPauseTotalsJoin('s')}
+            WHERE s.Active = 1
+        `);
+
+        return result.recordset[0];
+    }
+
+    /**
+     * Session-Restart-Statistiken
+     * @param {number} days - Anzahl Tage rückblickend (default: 7)
+     * @returns {Object} - Session-Restart-Statistiken
+     */
+    async getSessionRestartStats(days = 7) {
+        try {
+            const stats = await this.querySessionRestartStats(days);
+            return {
+                totalSessions: stats.TotalSessions || 0,
+                estimatedRestarts: stats.EstimatedRestarts || 0,
+                restartRate: stats.TotalSessions > 0 ?
+                    Math.round((stats.EstimatedRestarts / stats.TotalSessions) * 100) : 0,
+                avgSessionDurationMinutes: Math.round(stats.AvgSessionDuration || 0),
+                usersWithSessions: stats.UsersWithSessions || 0,
+                daysAnalyzed: days,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Session-Restart-Statistiken:', error);
+            return {
+                totalSessions: 0,
+                estimatedRestarts: 0,
+                restartRate: 0,
+                avgSessionDurationMinutes: 0,
+                usersWithSessions: 0,
+                daysAnalyzed: days,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    async querySessionRestartStats(days) {
+        // Da wir keine explizite Restart-Spalte haben, schätzen wir Restarts
+        // basierend auf Sessions mit sehr kurzer Dauer gefolgt von neuen Sessions
+        const result = await this.db.query(`
+            WITH SessionDurations AS (
+                SELECT
+                    UserID,
+                    StartTS,
+                    LEAD(StartTS) OVER (PARTITION BY UserID ORDER BY StartTS) as NextStartTime,
+                    DATEDIFF(MINUTE, StartTS, ISNULL(EndTS, SYSDATETIME())) as DurationMinutes
+                FROM dbo.Sessions
+                WHERE StartTS >= DATEADD(DAY, -@days, SYSDATETIME())
+            )
+            SELECT
+                COUNT(*) as TotalSessions,
+                COUNT(CASE WHEN DurationMinutes < 2 AND NextStartTime IS NOT NULL
+                    AND DATEDIFF(MINUTE, StartTS, NextStartTime) < 5
+                               THEN 1 END) as EstimatedRestarts,
+                AVG(DurationMinutes) as AvgSessionDuration,
+                COUNT(DISTINCT UserID) as UsersWithSessions
+            FROM SessionDurations
+        `, { days: param.int(days) });
+
+        return result.recordset[0];
+    }
+
     // ===== COMPREHENSIVE DASHBOARD DATA =====
     async getDashboardData(timeframe = 'today') {
         try {
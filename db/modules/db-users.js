@@ -1,3 +1,15 @@
+const { param } = require('../core/db-params');
+const { ENTITY_TYPES } = require('./db-audit');
+const { USER_ROLES, isValidRole, getRoleLabel } = require('../constants/user-roles');
+const {
+    TAG_STATUS,
+    TAG_TYPES,
+    TAG_STATUS_LABELS,
+    TAG_TYPE_LABELS,
+    USER_TAG_DEFAULTS,
+    isBlockedTagStatus
+} = require('../constants/user-tags');
+
 // Console-Utils für bessere Ausgabe - mit Fallback
 let customConsole;
 try {
@@ -13,49 +25,166 @@ try {
     };
 }
 
+// EPC ist NOT NULL - Benutzer ohne zugewiesenen Badge erhalten 0 (wird nie als Tag erkannt)
+// ScannBenutzer.EPC spiegelt nur den aktuellen persönlichen Badge, maßgeblich ist UserTags
+const NO_BADGE_EPC = 0;
+
+// Spalten für Benutzerverwaltung und Audit (Vorher-/Nachher-Werte)
+const USER_COLUMNS = ['ID', 'Vorname', 'Nachname', 'BenutzerName', 'Email', 'Department', 'EPC', 'xStatus', 'Role'];
+
+const TAG_COLUMNS = ['ID', 'UserID', 'EPC', 'TagType', 'Status', 'ValidFrom', 'ValidTo', 'StatusReason'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EPC_PATTERN = /^[0-9A-F]+$/;
+
+/**
+ * Gelesene Tag-ID(s) in EPC-Dezimalwerte wandeln
+ * @param {string|Array<string>} epcHex - Tag-ID (hex) oder gleichwertige Formen
+ * @returns {Array<number>} - Gültige Dezimalwerte ohne Duplikate (leer = kein gültiger Tag)
+ */
+function toEPCDecimals(epcHex) {
+    const forms = Array.isArray(epcHex) ? epcHex : [epcHex];
+    const decimals = forms.map(form => parseInt(form, 16)).filter(epc => epc > NO_BADGE_EPC);
+    return [...new Set(decimals)];
+}
+
 /**
  * User Management Module
  * Handles user-related database operations
+ * Anlegen, Bearbeiten, (De-)Aktivieren und Badge-Ausgabe werden im Audit-Trail protokolliert
+ * Badges liegen mit Gültigkeitszeitraum und Status in UserTags (mehrere je Benutzer, Historie bleibt erhalten)
  */
 class UserModule {
-    constructor(dbConnection, utils) {
+    constructor(dbConnection, utils, audit = null) {
         this.db = dbConnection;
         this.utils = utils;
+        this.audit = audit;
+    }
+
+    // ===== AUDIT =====
+    /**
+     * Benutzer-Mutation im Audit-Trail vermerken
+     * @param {string} action - z.B. 'user.update'
+     * @param {Object} before - Zeile vor der Änderung oder null
+     * @param {Object} after - Zeile nach der Änderung oder null
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     */
+    async recordAudit(action, before, after, options = {}) {
+        if (!this.audit) return;
+
+        const row = after || before;
+        await this.audit.record({
+            ...this.audit.getContext(options),
+            action,
+            entityType: ENTITY_TYPES.USER,
+            entityId: row.ID,
+            before,
+            after
+        });
+    }
+
+    /**
+     * Badge-Mutation im Audit-Trail vermerken
+     * @param {string} action - z.B. 'user_tag.report_lost'
+     * @param {Object} before - UserTags-Zeile vor der Änderung oder null
+     * @param {Object} after - UserTags-Zeile nach der Änderung oder null
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     */
+    async recordTagAudit(action, before, after, options = {}) {
+        if (!this.audit) return;
+
+        const row = after || before;
+        await this.audit.record({
+            ...this.audit.getContext(options),
+            action,
+            entityType: ENTITY_TYPES.USER_TAG,
+            entityId: row.ID,
+            before,
+            after
+        });
     }
 
     // ===== BENUTZER-OPERATIONEN =====
-    async getUserByEPC(epcHex) {
+    /**
+     * Alle Benutzer zu den Formen eines gelesenen Badges - nur aktive, aktuell gültige Badges aktiver Benutzer
+     * Mehr als ein Treffer heißt: die gleichwertigen Formen (siehe rfid/tag-normalizer.js) sind nicht eindeutig
+     * @param {string|Array<string>} epcHex - Tag-ID (hex) oder gleichwertige Formen
+     * @returns {Array<Object>} - Benutzer mit TagID, TagType und MatchedEPC (je Benutzer ein Eintrag)
+     */
+    async findUsersByEPC(epcHex) {
         try {
-            const epcDecimal = parseInt(epcHex, 16);
-            console.log(`[INFO] Suche Benutzer für EPC: ${epcHex} (${epcDecimal})`);
+            const epcDecimals = toEPCDecimals(epcHex);
+            const tagLabel = Array.isArray(epcHex) ? epcHex.join(' / ') : epcHex;
+            console.log(`[INFO] Suche Benutzer für EPC: ${tagLabel} (${epcDecimals.join(', ')})`);
 
-            const result = await this.db.query(`
-                SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC
-                FROM dbo.ScannBenutzer
-                WHERE EPC = ? AND xStatus = 0
-            `, [epcDecimal]);
+            if (epcDecimals.length === 0) {
+                console.log(`[WARN] Ungültige EPC: ${tagLabel}`);
+                return [];
+            }
 
-            if (result.recordset.length > 0) {
-                const user = result.recordset[0];
-                customConsole.success(`Benutzer gefunden: ${user.BenutzerName}`);
-                return user;
-            } else {
-                console.log(`[WARN] Kein Benutzer gefunden für EPC: ${epcHex}`);
-                return null;
+            const users = new Map();
+
+            for (const epcDecimal of epcDecimals) {
+                const result = await this.db.query(`
+                    SELECT u.ID, u.Vorname, u.Nachname, u.BenutzerName, u.Email, u.EPC, u.Role,
+                           t.ID as TagID, t.TagType
+                    FROM dbo.UserTags t
+                    INNER JOIN dbo.ScannBenutzer u ON u.ID = t.UserID
+                    WHERE t.EPC = @epc AND t.Status = @status AND u.xStatus = 0
+                      AND t.ValidFrom <= @now AND (t.ValidTo IS NULL OR t.ValidTo > @now)
+                `, {
+                    epc: param.bigInt(epcDecimal),
+                    status: param.nvarchar(TAG_STATUS.ACTIVE, 20),
+                    now: param.dateTime2(new Date())
+                });
+
+                for (const user of result.recordset) {
+                    if (!users.has(user.ID)) {
+                        users.set(user.ID, { ...user, MatchedEPC: epcDecimal });
+                    }
+                }
+            }
+
+            if (users.size === 0) {
+                console.log(`[WARN] Kein Benutzer gefunden für EPC: ${tagLabel}`);
             }
+
+            return [...users.values()];
         } catch (error) {
             customConsole.error('Fehler beim Abrufen des Benutzers nach EPC:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Benutzer zu einem gelesenen Badge - nur bei eindeutigem Treffer
+     * @param {string|Array<string>} epcHex - Tag-ID (hex) oder gleichwertige Formen
+     * @returns {Object|null} - Benutzer mit TagID und TagType oder null (auch wenn mehrere Benutzer passen)
+     */
+    async getUserByEPC(epcHex) {
+        const users = await this.findUsersByEPC(epcHex);
+
+        if (users.length > 1) {
+            customConsole.warning(`Badge nicht eindeutig - passt auf ${users.map(user => user.BenutzerName).join(', ')}`);
             return null;
         }
+
+        if (users.length === 1) {
+            const user = users[0];
+            customConsole.success(`Benutzer gefunden: ${user.BenutzerName}${user.TagType === TAG_TYPES.VISITOR ? ' (Besucher-Badge)' : ''}`);
+            return user;
+        }
+
+        return null;
     }
 
     async getUserById(userId) {
         try {
             const result = await this.db.query(`
-                SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC, xStatus
+                SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC, xStatus, Role
                 FROM dbo.ScannBenutzer
-                WHERE ID = ?
-            `, [userId]);
+                WHERE ID = @userId
+            `, { userId: param.int(userId) });
 
             if (result.recordset.length > 0) {
                 const user = result.recordset[0];
@@ -75,7 +204,7 @@ class UserModule {
     async getAllActiveUsers() {
         try {
             const result = await this.db.query(`
-                SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC
+                SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC, Role
                 FROM dbo.ScannBenutzer
                 WHERE xStatus = 0
                 ORDER BY BenutzerName
@@ -91,18 +220,38 @@ class UserModule {
         }
     }
 
+    /**
+     * Abteilungen aktiver Benutzer (Filter der Statistik-Diagramme)
+     * @returns {Array<string>} - Alphabetisch sortiert, ohne leere Einträge
+     */
+    async getDepartments() {
+        try {
+            const result = await this.db.query(`
+                SELECT DISTINCT Department
+                FROM dbo.ScannBenutzer
+                WHERE xStatus = 0 AND Department IS NOT NULL AND Department <> ''
+                ORDER BY Department
+            `);
+
+            return result.recordset.map(row => row.Department);
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Abteilungen:', error);
+            return [];
+        }
+    }
+
     async searchUsers(searchTerm) {
         try {
             const result = await this.db.query(`
                 SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC
                 FROM dbo.ScannBenutzer
                 WHERE xStatus = 0 
-                  AND (BenutzerName LIKE ? 
-                       OR Vorname LIKE ? 
-                       OR Nachname LIKE ? 
-                       OR Email LIKE ?)
+                  AND (BenutzerName LIKE @pattern
+                       OR Vorname LIKE @pattern
+                       OR Nachname LIKE @pattern
+                       OR Email LIKE @pattern)
                 ORDER BY BenutzerName
-            `, [`%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`]);
+            `, { pattern: param.nvarchar(`%${searchTerm}%`, 255) });
 
             return result.recordset.map(user => ({
                 ...user,
@@ -114,6 +263,698 @@ class UserModule {
         }
     }
 
+    // ===== BENUTZERVERWALTUNG =====
+    /**
+     * Alle Benutzer inklusive deaktivierter (Benutzerverwaltung)
+     * @returns {Array} - Benutzer mit FullName, IsActive, HasBadge, EPCHex, VisitorTagCount
+     */
+    async getAllUsers() {
+        try {
+            const result = await this.db.query(`
+                SELECT ${USER_COLUMNS.join(', ')},
+                       (SELECT COUNT(*) FROM dbo.UserTags t
+                        WHERE t.UserID = u.ID AND t.TagType = @visitor AND t.Status = @status
+                          AND (t.ValidTo IS NULL OR t.ValidTo > @now)) as VisitorTagCount
+                FROM dbo.ScannBenutzer u
+                ORDER BY xStatus, BenutzerName
+            `, {
+                visitor: param.nvarchar(TAG_TYPES.VISITOR, 20),
+                status: param.nvarchar(TAG_STATUS.ACTIVE, 20),
+                now: param.dateTime2(new Date())
+            });
+
+            return result.recordset.map(user => this.toAdminUser(user));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen aller Benutzer:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Benutzerzeile für die Verwaltung aufbereiten - EPC kommt von MSSQL als String (BIGINT)
+     * @param {Object} user - Zeile mit USER_COLUMNS
+     * @returns {Object} - Zeile plus FullName, IsActive, HasBadge, EPCHex
+     */
+    toAdminUser(user) {
+        const hasBadge = Number(user.EPC) > NO_BADGE_EPC;
+
+        return {
+            ...user,
+            FullName: `${user.Vorname || ''} ${user.Nachname || ''}`.trim(),
+            IsActive: user.xStatus === 0,
+            HasBadge: hasBadge,
+            EPCHex: hasBadge ? BigInt(user.EPC).toString(16).toUpperCase() : null
+        };
+    }
+
+    async getUserRow(userId) {
+        const result = await this.db.query(`
+            SELECT ${USER_COLUMNS.join(', ')}
+            FROM dbo.ScannBenutzer
+            WHERE ID = @userId
+        `, { userId: param.int(userId) });
+
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Eingaben der Benutzerverwaltung prüfen und bereinigen
+     * @param {Object} data - { firstName, lastName, userName, email, department }
+     * @returns {Object} - { error } oder { fields: { Vorname, Nachname, BenutzerName, Email, Department } }
+     */
+    validateUserData(data = {}) {
+        const clean = (value) => (typeof value === 'string' ? value.trim() : '') || null;
+
+        const fields = {
+            Vorname: clean(data.firstName),
+            Nachname: clean(data.lastName),
+            BenutzerName: clean(data.userName),
+            Email: clean(data.email),
+            Department: clean(data.department)
+        };
+
+        if (!fields.BenutzerName) {
+            return { error: 'Benutzername ist erforderlich' };
+        }
+
+        if (!fields.Vorname && !fields.Nachname) {
+            return { error: 'Vor- oder Nachname ist erforderlich' };
+        }
+
+        const tooLong = [['Vorname', 100], ['Nachname', 100], ['BenutzerName', 100], ['Email', 255], ['Department', 100]]
+            .find(([field, length]) => fields[field] && fields[field].length > length);
+        if (tooLong) {
+            return { error: `${tooLong[0]} ist zu lang (maximal ${tooLong[1]} Zeichen)` };
+        }
+
+        if (fields.Email && !EMAIL_PATTERN.test(fields.Email)) {
+            return { error: `Ungültige E-Mail-Adresse: ${fields.Email}` };
+        }
+
+        return { fields };
+    }
+
+    /**
+     * Prüft, ob ein Benutzername bereits von einem anderen Benutzer verwendet wird
+     * @param {string} userName - Benutzername
+     * @param {number|null} exceptUserId - Eigene ID beim Bearbeiten
+     * @returns {boolean}
+     */
+    async isUserNameTaken(userName, exceptUserId = null) {
+        const result = await this.db.query(`
+            SELECT ID FROM dbo.ScannBenutzer
+            WHERE BenutzerName = @userName AND (@exceptUserId IS NULL OR ID <> @exceptUserId)
+        `, {
+            userName: param.nvarchar(userName, 100),
+            exceptUserId: param.int(exceptUserId)
+        });
+
+        return result.recordset.length > 0;
+    }
+
+    /**
+     * Neuen Benutzer anlegen (aktiv, noch ohne Badge)
+     * @param {Object} data - { firstName, lastName, userName, email, department }
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     * @returns {Object} - Strukturiertes Ergebnis { success, status, message, data }
+     */
+    async createUser(data, options = {}) {
+        try {
+            const { error, fields } = this.validateUserData(data);
+            if (error) {
+                return this.createResult(false, 'invalid', error);
+            }
+
+            if (await this.isUserNameTaken(fields.BenutzerName)) {
+                return this.createResult(false, 'duplicate_username', `Benutzername '${fields.BenutzerName}' ist bereits vergeben`);
+            }
+
+            const user = await this.insertUser(fields);
+            await this.recordAudit('user.create', null, user, options);
+
+            customConsole.success(`Benutzer angelegt: ${user.BenutzerName} (ID ${user.ID})`);
+            return this.createResult(true, 'created', `Benutzer ${user.BenutzerName} angelegt`, this.toAdminUser(user));
+        } catch (error) {
+            customConsole.error('Fehler beim Anlegen des Benutzers:', error);
+            return this.createResult(false, 'error', `Datenbankfehler: ${error.message}`);
+        }
+    }
+
+    /**
+     * Name, E-Mail und Abteilung eines Benutzers ändern
+     * @param {number} userId - Benutzer ID
+     * @param {Object} data - { firstName, lastName, userName, email, department }
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     * @returns {Object} - Strukturiertes Ergebnis { success, status, message, data }
+     */
+    async updateUser(userId, data, options = {}) {
+        try {
+            const { error, fields } = this.validateUserData(data);
+            if (error) {
+                return this.createResult(false, 'invalid', error);
+            }
+
+            if (await this.isUserNameTaken(fields.BenutzerName, userId)) {
+                return this.createResult(false, 'duplicate_username', `Benutzername '${fields.BenutzerName}' ist bereits vergeben`);
+            }
+
+            const change = await this.updateUserRow(userId,
+                'Vorname = @vorname, Nachname = @nachname, BenutzerName = @benutzerName, Email = @email, Department = @department',
+                {
+                    vorname: param.nvarchar(fields.Vorname, 100),
+                    nachname: param.nvarchar(fields.Nachname, 100),
+                    benutzerName: param.nvarchar(fields.BenutzerName, 100),
+                    email: param.nvarchar(fields.Email, 255),
+                    department: param.nvarchar(fields.Department, 100)
+                });
+
+            if (!change) {
+                return this.createResult(false, 'not_found', `Benutzer ${userId} nicht gefunden`);
+            }
+
+            await this.recordAudit('user.update', change.before, change.after, options);
+
+            return this.createResult(true, 'updated', `Benutzer ${change.after.BenutzerName} gespeichert`, this.toAdminUser(change.after));
+        } catch (error) {
+            customConsole.error('Fehler beim Bearbeiten des Benutzers:', error);
+            return this.createResult(false, 'error', `Datenbankfehler: ${error.message}`);
+        }
+    }
+
+    /**
+     * Benutzer deaktivieren (Badge wird nicht mehr erkannt) oder reaktivieren
+     * @param {number} userId - Benutzer ID
+     * @param {boolean} active - true = aktivieren, false = deaktivieren
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     * @returns {Object} - Strukturiertes Ergebnis { success, status, message, data }
+     */
+    async setUserActive(userId, active, options = {}) {
+        try {
+            const existing = await this.getUserRow(userId);
+
+            if (!existing) {
+                return this.createResult(false, 'not_found', `Benutzer ${userId} nicht gefunden`);
+            }
+
+            if ((existing.xStatus === 0) === active) {
+                return this.createResult(true, 'unchanged',
+                    `Benutzer ${existing.BenutzerName} ist bereits ${active ? 'aktiv' : 'deaktiviert'}`, this.toAdminUser(existing));
+            }
+
+            if (!active && existing.Role === USER_ROLES.ADMIN && await this.countActiveAdmins() <= 1) {
+                return this.createResult(false, 'last_admin',
+                    `${existing.BenutzerName} ist der einzige aktive Administrator`, this.toAdminUser(existing));
+            }
+
+            const change = await this.updateUserRow(userId, 'xStatus = @status', {
+                status: param.int(active ? 0 : 1)
+            });
+
+            await this.recordAudit(active ? 'user.activate' : 'user.deactivate', change.before, change.after, options);
+
+            customConsole.success(`Benutzer ${change.after.BenutzerName} ${active ? 'aktiviert' : 'deaktiviert'}`);
+            return this.createResult(true, active ? 'activated' : 'deactivated',
+                `Benutzer ${change.after.BenutzerName} ${active ? 'aktiviert' : 'deaktiviert'}`, this.toAdminUser(change.after));
+        } catch (error) {
+            customConsole.error('Fehler beim Ändern des Benutzerstatus:', error);
+            return this.createResult(false, 'error', `Datenbankfehler: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rolle eines Benutzers ändern (Rechte für privilegierte Aktionen)
+     * @param {number} userId - Benutzer ID
+     * @param {string} role - Rolle aus USER_ROLES
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     * @returns {Object} - Strukturiertes Ergebnis { success, status, message, data }
+     */
+    async setUserRole(userId, role, options = {}) {
+        try {
+            if (!isValidRole(role)) {
+                return this.createResult(false, 'invalid_role', `Unbekannte Rolle: ${role}`);
+            }
+
+            const existing = await this.getUserRow(userId);
+            if (!existing) {
+                return this.createResult(false, 'not_found', `Benutzer ${userId} nicht gefunden`);
+            }
+
+            if (existing.Role === role) {
+                return this.createResult(true, 'unchanged',
+                    `${existing.BenutzerName} hat bereits die Rolle ${getRoleLabel(role)}`, this.toAdminUser(existing));
+            }
+
+            // Der letzte aktive Administrator darf sich nicht selbst aussperren
+            if (existing.Role === USER_ROLES.ADMIN && existing.xStatus === 0 && await this.countActiveAdmins() <= 1) {
+                return this.createResult(false, 'last_admin',
+                    `${existing.BenutzerName} ist der einzige aktive Administrator`, this.toAdminUser(existing));
+            }
+
+            const change = await this.updateUserRow(userId, 'Role = @role', { role: param.nvarchar(role, 20) });
+
+            await this.recordAudit('user.set_role', change.before, change.after, options);
+
+            customConsole.success(`Rolle von ${change.after.BenutzerName}: ${getRoleLabel(role)}`);
+            return this.createResult(true, 'role_changed',
+                `${change.after.BenutzerName} ist jetzt ${getRoleLabel(role)}`, this.toAdminUser(change.after));
+        } catch (error) {
+            customConsole.error('Fehler beim Ändern der Rolle:', error);
+            return this.createResult(false, 'error', `Datenbankfehler: ${error.message}`);
+        }
+    }
+
+    async countActiveAdmins() {
+        const result = await this.db.query(`
+            SELECT COUNT(*) as AdminCount
+            FROM dbo.ScannBenutzer
+            WHERE Role = @role AND xStatus = 0
+        `, { role: param.nvarchar(USER_ROLES.ADMIN, 20) });
+
+        return result.recordset[0].AdminCount;
+    }
+
+    // ===== BADGES (UserTags) =====
+    /**
+     * Alle Badges eines Benutzers, neueste zuerst (inkl. verlorener, gesperrter und abgelaufener)
+     * @param {number} userId - Benutzer ID
+     * @returns {Array} - UserTags-Zeilen mit EPCHex, IsValid, StatusLabel, TypeLabel
+     */
+    async getUserTags(userId) {
+        try {
+            const result = await this.db.query(`
+                SELECT ${TAG_COLUMNS.join(', ')}
+                FROM dbo.UserTags
+                WHERE UserID = @userId
+                ORDER BY ValidFrom DESC, ID DESC
+            `, { userId: param.int(userId) });
+
+            return result.recordset.map(tag => this.toUserTag(tag));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Badges:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Aktive, gültige Badges aktiver Benutzer (Offline-Benutzer-Cache)
+     * @returns {Array} - { UserID, EPC, TagType, ValidTo }
+     */
+    async getActiveUserTags() {
+        try {
+            const result = await this.db.query(`
+                SELECT t.UserID, t.EPC, t.TagType, t.ValidTo
+                FROM dbo.UserTags t
+                INNER JOIN dbo.ScannBenutzer u ON u.ID = t.UserID
+                WHERE t.Status = @status AND u.xStatus = 0
+                  AND (t.ValidTo IS NULL OR t.ValidTo > @now)
+            `, {
+                status: param.nvarchar(TAG_STATUS.ACTIVE, 20),
+                now: param.dateTime2(new Date())
+            });
+
+            return result.recordset.map(tag => ({
+                ...tag,
+                ValidTo: tag.ValidTo ? this.utils.normalizeTimestamp(tag.ValidTo) : null
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der aktiven Badges:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Letzte Ausgabe eines Badges - erklärt, warum ein Tag nicht (mehr) anmeldet
+     * @param {string|Array<string>} epcHex - Tag-ID (hex) oder gleichwertige Formen
+     * @returns {Object|null} - UserTags-Zeile mit BenutzerName, EPCHex, IsValid oder null (nie ausgegeben oder nicht eindeutig)
+     */
+    async getLatestTag(epcHex) {
+        try {
+            const tags = [];
+
+            for (const epcDecimal of toEPCDecimals(epcHex)) {
+                const result = await this.db.query(`
+                    SELECT ${TAG_COLUMNS.map(column => `t.${column}`).join(', ')}, u.BenutzerName
+                    FROM dbo.UserTags t
+                    INNER JOIN dbo.ScannBenutzer u ON u.ID = t.UserID
+                    WHERE t.EPC = @epc
+                    ORDER BY t.ValidFrom DESC, t.ID DESC
+                    ${this.db.pagingClause('offset', 'limit')}
+                `, { epc: param.bigInt(epcDecimal), offset: param.int(0), limit: param.int(1) });
+
+                tags.push(...result.recordset);
+            }
+
+            // Mehrere Formen mit Badge-Historie: keinem Benutzer zuordnen
+            if (tags.length > 1) {
+                customConsole.warning(`Badge nicht eindeutig - passt auf ${tags.map(tag => tag.BenutzerName).join(', ')}`);
+                return null;
+            }
+
+            return tags.length === 1 ? this.toUserTag(tags[0]) : null;
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen des Badges:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Lesung eines verlorenen oder gesperrten Badges im Audit-Trail vermerken
+     * @param {Object} tag - Ergebnis von getLatestTag()
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     */
+    async recordBlockedTagRead(tag, options = {}) {
+        const row = TAG_COLUMNS.reduce((values, column) => ({ ...values, [column]: tag[column] }), {});
+        await this.recordTagAudit('user_tag.blocked_read', null, row, options);
+    }
+
+    /**
+     * UserTags-Zeile für Verwaltung und Anmeldeprüfung aufbereiten
+     * @param {Object} tag - Zeile mit TAG_COLUMNS
+     * @returns {Object} - Zeile mit ISO-Zeitstempeln plus EPCHex, IsValid, StatusLabel, TypeLabel
+     */
+    toUserTag(tag) {
+        const validTo = tag.ValidTo ? this.utils.normalizeTimestamp(tag.ValidTo) : null;
+
+        return {
+            ...tag,
+            ValidFrom: this.utils.normalizeTimestamp(tag.ValidFrom),
+            ValidTo: validTo,
+            EPCHex: BigInt(tag.EPC).toString(16).toUpperCase(),
+            IsValid: tag.Status === TAG_STATUS.ACTIVE && (!validTo || new Date(validTo) > new Date()),
+            StatusLabel: TAG_STATUS_LABELS[tag.Status] || tag.Status,
+            TypeLabel: TAG_TYPE_LABELS[tag.TagType] || tag.TagType
+        };
+    }
+
+    async getTagRow(tagId) {
+        const result = await this.db.query(`
+            SELECT ${TAG_COLUMNS.join(', ')}
+            FROM dbo.UserTags
+            WHERE ID = @tagId
+        `, { tagId: param.int(tagId) });
+
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * @param {number} epcDecimal - EPC als Dezimalwert
+     * @returns {Object|null} - Aktive UserTags-Zeile (höchstens eine je EPC) oder null
+     */
+    async getActiveTagByEPC(epcDecimal) {
+        const result = await this.db.query(`
+            SELECT ${TAG_COLUMNS.join(', ')}
+            FROM dbo.UserTags
+            WHERE EPC = @epc AND Status = @status
+        `, {
+            epc: param.bigInt(epcDecimal),
+            status: param.nvarchar(TAG_STATUS.ACTIVE, 20)
+        });
+
+        return result.recordset[0] || null;
+    }
+
+    async getActivePersonalTags(userId) {
+        const result = await this.db.query(`
+            SELECT ${TAG_COLUMNS.join(', ')}
+            FROM dbo.UserTags
+            WHERE UserID = @userId AND TagType = @tagType AND Status = @status
+        `, {
+            userId: param.int(userId),
+            tagType: param.nvarchar(TAG_TYPES.PERSONAL, 20),
+            status: param.nvarchar(TAG_STATUS.ACTIVE, 20)
+        });
+
+        return result.recordset;
+    }
+
+    /**
+     * Gelesenen RFID-Tag als Badge eines Benutzers ausgeben
+     * Ein persönlicher Badge ersetzt den bisherigen (Status revoked, bleibt in der Historie),
+     * ein Besucher-Badge kommt zeitlich begrenzt hinzu
+     * @param {number} userId - Benutzer ID
+     * @param {string} epcHex - Tag-ID wie vom RFID-Listener (hex)
+     * @param {Object} options - { tagType, validHours (nur Besucher-Badge), actorUserId, source }
+     * @returns {Object} - Strukturiertes Ergebnis { success, status, message, data }
+     */
+    async assignBadge(userId, epcHex, options = {}) {
+        try {
+            const { tagType = TAG_TYPES.PERSONAL, validHours = USER_TAG_DEFAULTS.VISITOR_VALID_HOURS } = options;
+            const tagId = String(epcHex || '').trim().toUpperCase();
+            const epcDecimal = parseInt(tagId, 16);
+
+            if (!EPC_PATTERN.test(tagId) || !(epcDecimal > NO_BADGE_EPC)) {
+                return this.createResult(false, 'invalid_tag', `Ungültiger RFID-Tag: ${epcHex}`);
+            }
+
+            if (!Object.values(TAG_TYPES).includes(tagType)) {
+                return this.createResult(false, 'invalid_tag_type', `Unbekannte Badge-Art: ${tagType}`);
+            }
+
+            const existing = await this.getUserRow(userId);
+            if (!existing) {
+                return this.createResult(false, 'not_found', `Benutzer ${userId} nicht gefunden`);
+            }
+
+            const now = new Date();
+            const current = await this.getActiveTagByEPC(epcDecimal);
+
+            if (current) {
+                const currentTag = this.toUserTag(current);
+
+                if (currentTag.IsValid && current.UserID !== userId) {
+                    const owner = await this.getUserRow(current.UserID);
+                    return this.createResult(false, 'badge_in_use',
+                        `Badge ${tagId} ist bereits ${owner.BenutzerName}${owner.xStatus === 0 ? '' : ' (deaktiviert)'} zugewiesen`);
+                }
+
+                if (currentTag.IsValid && current.TagType === tagType) {
+                    return this.createResult(true, 'unchanged',
+                        `Badge ${tagId} ist bereits ${existing.BenutzerName} zugewiesen`, this.toAdminUser(existing));
+                }
+
+                // Abgelaufener Besucher-Badge oder Wechsel der Badge-Art - bisherige Ausgabe schließen
+                await this.closeTag(current, TAG_STATUS.REVOKED, currentTag.IsValid ? 'Neu ausgegeben' : 'Abgelaufen', options, now);
+                await this.syncPrimaryBadge(current.UserID, options);
+            }
+
+            if (tagType === TAG_TYPES.PERSONAL) {
+                for (const previous of await this.getActivePersonalTags(userId)) {
+                    await this.closeTag(previous, TAG_STATUS.REVOKED, `Ersetzt durch ${tagId}`, options, now);
+                }
+            }
+
+            const tag = await this.insertTag({
+                userId,
+                epc: epcDecimal,
+                tagType,
+                validFrom: now,
+                validTo: tagType === TAG_TYPES.VISITOR ? new Date(now.getTime() + validHours * 60 * 60 * 1000) : null
+            });
+            await this.recordTagAudit('user_tag.issue', null, tag, options);
+
+            const user = await this.syncPrimaryBadge(userId, options) || existing;
+
+            if (tagType === TAG_TYPES.VISITOR) {
+                customConsole.success(`Besucher-Badge ${tagId} an ${user.BenutzerName} ausgegeben (${validHours} h)`);
+                return this.createResult(true, 'visitor_issued',
+                    `Besucher-Badge ${tagId} an ${user.BenutzerName} ausgegeben (gültig ${validHours} Stunden)`, this.toAdminUser(user));
+            }
+
+            customConsole.success(`Badge ${tagId} an ${user.BenutzerName} vergeben`);
+            return this.createResult(true, 'assigned', `Badge ${tagId} an ${user.BenutzerName} vergeben`, this.toAdminUser(user));
+        } catch (error) {
+            customConsole.error('Fehler beim Zuweisen des Badges:', error);
+            return this.createResult(false, 'error', `Datenbankfehler: ${error.message}`);
+        }
+    }
+
+    /**
+     * Badge als verloren melden oder sperren (z.B. Rückgabe eines Besucher-Badges)
+     * @param {number} tagId - UserTags.ID
+     * @param {string} status - TAG_STATUS.LOST oder TAG_STATUS.REVOKED
+     * @param {string|null} reason - Begründung
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
+     * @returns {Object} - Strukturiertes Ergebnis { success, status, message, data }
+     */
+    async setTagStatus(tagId, status, reason = null, options = {}) {
+        try {
+            if (!isBlockedTagStatus(status)) {
+                return this.createResult(false, 'invalid_status', `Ungültiger Badge-Status: ${status}`);
+            }
+
+            const tag = await this.getTagRow(tagId);
+            if (!tag) {
+                return this.createResult(false, 'not_found', `Badge ${tagId} nicht gefunden`);
+            }
+
+            const tagHex = BigInt(tag.EPC).toString(16).toUpperCase();
+
+            if (tag.Status !== TAG_STATUS.ACTIVE) {
+                return this.createResult(false, 'not_active',
+                    `Badge ${tagHex} ist bereits ${TAG_STATUS_LABELS[tag.Status] || tag.Status}`, this.toUserTag(tag));
+            }
+
+            const closed = await this.closeTag(tag, status, reason, options);
+            await this.syncPrimaryBadge(tag.UserID, options);
+
+            const message = status === TAG_STATUS.LOST ?
+                `Badge ${tagHex} als verloren gemeldet` : `Badge ${tagHex} gesperrt`;
+
+            customConsole.success(message);
+            return this.createResult(true, status, message, this.toUserTag(closed));
+        } catch (error) {
+            customConsole.error('Fehler beim Ändern des Badge-Status:', error);
+            return this.createResult(false, 'error', `Datenbankfehler: ${error.message}`);
+        }
+    }
+
+    /**
+     * Aktiven Badge beenden - ValidTo wird auf jetzt gesetzt, sofern er nicht schon abgelaufen ist
+     * @param {Object} tag - UserTags-Zeile
+     * @param {string} status - TAG_STATUS.LOST oder TAG_STATUS.REVOKED
+     * @param {string|null} reason - Begründung
+     * @param {Object} options - Audit-Kontext
+     * @param {Date} now - Zeitpunkt
+     * @returns {Object} - Geänderte Zeile
+     */
+    async closeTag(tag, status, reason, options = {}, now = new Date()) {
+        const change = await this.updateTagRow(tag.ID,
+            'Status = @status, StatusReason = @reason, ValidTo = CASE WHEN ValidTo IS NULL OR ValidTo > @now THEN @now ELSE ValidTo END',
+            {
+                status: param.nvarchar(status, 20),
+                reason: param.nvarchar(reason, 200),
+                now: param.dateTime2(now)
+            });
+
+        await this.recordTagAudit(status === TAG_STATUS.LOST ? 'user_tag.report_lost' : 'user_tag.revoke',
+            change.before, change.after, options);
+
+        return change.after;
+    }
+
+    /**
+     * ScannBenutzer.EPC auf den aktuellen persönlichen Badge setzen (0 wenn keiner aktiv ist)
+     * @param {number} userId - Benutzer ID
+     * @param {Object} options - Audit-Kontext
+     * @returns {Object|null} - Benutzerzeile nach der Änderung oder null wenn unverändert
+     */
+    async syncPrimaryBadge(userId, options = {}) {
+        const [personal] = await this.getActivePersonalTags(userId);
+        const epcDecimal = personal ? Number(personal.EPC) : NO_BADGE_EPC;
+
+        const existing = await this.getUserRow(userId);
+        if (!existing || Number(existing.EPC) === epcDecimal) return null;
+
+        const change = await this.updateUserRow(userId, 'EPC = @epc', { epc: param.bigInt(epcDecimal) });
+        await this.recordAudit(epcDecimal > NO_BADGE_EPC ? 'user.assign_badge' : 'user.clear_badge',
+            change.before, change.after, options);
+
+        return change.after;
+    }
+
+    createResult(success, status, message, data = null) {
+        return {
+            success,
+            status,
+            message,
+            data,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // ===== SCHREIBZUGRIFFE =====
+    /**
+     * @param {Object} fields - { Vorname, Nachname, BenutzerName, Email, Department }
+     * @returns {Object} - Neue Zeile (USER_COLUMNS)
+     */
+    async insertUser(fields) {
+        const result = await this.db.query(`
+            INSERT INTO dbo.ScannBenutzer (Vorname, Nachname, BenutzerName, Email, Department, EPC, xStatus)
+                OUTPUT ${USER_COLUMNS.map(column => `INSERTED.${column}`).join(', ')}
+            VALUES (@vorname, @nachname, @benutzerName, @email, @department, @epc, 0)
+        `, this.getInsertUserParams(fields));
+
+        return result.recordset[0];
+    }
+
+    getInsertUserParams(fields) {
+        return {
+            vorname: param.nvarchar(fields.Vorname, 100),
+            nachname: param.nvarchar(fields.Nachname, 100),
+            benutzerName: param.nvarchar(fields.BenutzerName, 100),
+            email: param.nvarchar(fields.Email, 255),
+            department: param.nvarchar(fields.Department, 100),
+            epc: param.bigInt(NO_BADGE_EPC)
+        };
+    }
+
+    /**
+     * Benutzerzeile ändern
+     * @param {number} userId - Benutzer ID
+     * @param {string} setClause - SET-Ausdruck mit eigenen Parametern
+     * @param {Object} params - Parameter für setClause
+     * @returns {Object|null} - { before, after } oder null wenn nicht gefunden
+     */
+    async updateUserRow(userId, setClause, params) {
+        const before = await this.getUserRow(userId);
+        if (!before) return null;
+
+        const result = await this.db.query(`
+            UPDATE dbo.ScannBenutzer
+            SET ${setClause}
+            OUTPUT ${USER_COLUMNS.map(column => `INSERTED.${column}`).join(', ')}
+            WHERE ID = @userId
+        `, { ...params, userId: param.int(userId) });
+
+        return { before, after: result.recordset[0] };
+    }
+
+    /**
+     * @param {Object} fields - { userId, epc, tagType, validFrom, validTo }
+     * @returns {Object} - Neue Zeile (TAG_COLUMNS)
+     */
+    async insertTag(fields) {
+        const result = await this.db.query(`
+            INSERT INTO dbo.UserTags (UserID, EPC, TagType, Status, ValidFrom, ValidTo)
+                OUTPUT ${TAG_COLUMNS.map(column => `INSERTED.${column}`).join(', ')}
+            VALUES (@userId, @epc, @tagType, @status, @validFrom, @validTo)
+        `, this.getInsertTagParams(fields));
+
+        return result.recordset[0];
+    }
+
+    getInsertTagParams(fields) {
+        return {
+            userId: param.int(fields.userId),
+            epc: param.bigInt(fields.epc),
+            tagType: param.nvarchar(fields.tagType, 20),
+            status: param.nvarchar(TAG_STATUS.ACTIVE, 20),
+            validFrom: param.dateTime2(fields.validFrom),
+            validTo: param.dateTime2(fields.validTo)
+        };
+    }
+
+    /**
+     * Badge-Zeile ändern
+     * @param {number} tagId - UserTags.ID
+     * @param {string} setClause - SET-Ausdruck mit eigenen Parametern
+     * @param {Object} params - Parameter für setClause
+     * @returns {Object|null} - { before, after } oder null wenn nicht gefunden
+     */
+    async updateTagRow(tagId, setClause, params) {
+        const before = await this.getTagRow(tagId);
+        if (!before) return null;
+
+        const result = await this.db.query(`
+            UPDATE dbo.UserTags
+            SET ${setClause}
+            OUTPUT ${TAG_COLUMNS.map(column => `INSERTED.${column}`).join(', ')}
+            WHERE ID = @tagId
+        `, { ...params, tagId: param.int(tagId) });
+
+        return { before, after: result.recordset[0] };
+    }
+
     async getUserStats(userId) {
         try {
             const result = await this.db.query(`
@@ -137,9 +978,9 @@ class UserModule {
                 FROM dbo.ScannBenutzer u
                 LEFT JOIN dbo.Sessions s ON u.ID = s.UserID
                 LEFT JOIN dbo.QrScans q ON s.ID = q.SessionID AND q.Valid = 1
-                WHERE u.ID = ? AND u.xStatus = 0
+                WHERE u.ID = @userId AND u.xStatus = 0
                 GROUP BY u.ID, u.BenutzerName, u.Vorname, u.Nachname
-            `, [userId]);
+            `, { userId: param.int(userId) });
 
             if (result.recordset.length > 0) {
                 const stats = result.recordset[0];
@@ -192,7 +1033,7 @@ class UserModule {
                     NULL as ScanID
                 FROM dbo.Sessions s
                 LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
-                WHERE s.UserID = ?
+                WHERE s.UserID = @userId
 
                 UNION ALL
 
@@ -205,7 +1046,7 @@ class UserModule {
                     NULL as ScanID
                 FROM dbo.Sessions s
                 LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
-                WHERE s.UserID = ? AND s.EndTS IS NOT NULL
+                WHERE s.UserID = @userId AND s.EndTS IS NOT NULL
 
                 UNION ALL
 
@@ -219,11 +1060,11 @@ class UserModule {
                 FROM dbo.QrScans q
                 INNER JOIN dbo.Sessions s ON q.SessionID = s.ID
                 LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
-                WHERE s.UserID = ? AND q.Valid = 1
+                WHERE s.UserID = @userId AND q.Valid = 1
 
                 ORDER BY ActivityTime DESC
-                OFFSET 0 ROWS FETCH NEXT ${limit} ROWS ONLY
-            `, [userId, userId, userId]);
+                ${this.db.pagingClause('offset', 'limit')}
+            `, { userId: param.int(userId), offset: param.int(0), limit: param.int(limit) });
 
             return result.recordset.map(activity => ({
                 ...activity,
@@ -237,4 +1078,7 @@ class UserModule {
     }
 }
 
+UserModule.USER_COLUMNS = USER_COLUMNS;
+UserModule.TAG_COLUMNS = TAG_COLUMNS;
+
 module.exports = UserModule;
\ No newline at end of file
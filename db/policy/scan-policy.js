@@ -0,0 +1,339 @@
+// db/policy/scan-policy.js
+// Scan-Policy: geordnete Regeln, die vor dem Speichern eines QR-Scans ausgewertet werden
+
+const {
+    SCAN_POLICY_RULES,
+    SCAN_VERDICT_STATUS,
+    loadScanPolicyRules,
+    getScanPolicyRuleLabel
+} = require('../constants/scan-policy');
+const { validateQRForSessionType } = require('../constants/session-types');
+
+const ONE_MINUTE = 60 * 1000;
+
+/**
+ * Scan-Policy
+ *
+ * Die Regeln werden in Konfigurationsreihenfolge ausgewertet, die erste Regel mit einer
+ * Entscheidung gewinnt (wie eine Firewall-Regelliste). Ohne Entscheidung wird der Scan angenommen.
+ * Ergebnis ist immer ein Verdict:
+ *   { accepted, status, rule, ruleLabel, message, details, timestamp }
+ *
+ * session_type_format prüft das dekodierte Format (scan.format) gegen allowedQRTypes des SessionTypes;
+ * eine Supervisor-Freigabe (scan.formatOverride) hebt nur diese Regel auf.
+ *
+ * cooldown und rate_limit arbeiten auf den im Speicher gehaltenen Scans pro Session und gelten nur
+ * für Live-Scans (nicht für den Replay des Offline-Journals). allow_rescan_after_void und
+ * duplicate_window brauchen die Datenbank (lookup) und werden offline übersprungen.
+ *
+ * lookup: {
+ *   findLatestScan(payload, { sessionId, seconds }) - Letzter Scan (auch storniert) im Zeitfenster oder null
+ *   getSessionTypeName(sessionId)                   - SessionType-Name für rate_limit und session_type_format
+ * }
+ */
+class ScanPolicy {
+    /**
+     * @param {Array} rules - Regeln in Auswertungsreihenfolge (default: aus .env)
+     */
+    constructor(rules = loadScanPolicyRules()) {
+        this.rules = rules;
+        this.sessionScans = new Map(); // sessionId -> [{ payload, time }] angenommene Live-Scans
+
+        // Scans so lange halten, wie das Rate-Limit (eine Minute) oder der längste Cooldown sie braucht
+        this.retentionMs = Math.max(ONE_MINUTE, ...rules
+            .filter(rule => rule.type === SCAN_POLICY_RULES.COOLDOWN)
+            .map(rule => rule.ms || 0));
+    }
+
+    // ===== AUSWERTUNG =====
+    /**
+     * Scan gegen alle Regeln prüfen
+     * @param {Object} scan - { sessionId, payload, format, sessionType, replay, formatOverride }
+     * @param {Object} lookup - Datenbankzugriff (null = offline, DB-Regeln werden übersprungen)
+     * @returns {Object} - Verdict
+     */
+    async evaluate(scan, lookup = null) {
+        for (const rule of this.rules) {
+            const verdict = await this.evaluateRule(rule, scan, lookup);
+            if (verdict) {
+                return verdict;
+            }
+        }
+
+        return this.createVerdict(null, true, SCAN_VERDICT_STATUS.ACCEPTED, 'Scan angenommen');
+    }
+
+    /**
+     * Einzelne Regel auswerten
+     * @param {Object} rule - Regel aus der Konfiguration
+     * @param {Object} scan - { sessionId, payload, format, sessionType, replay, formatOverride }
+     * @param {Object} lookup - Datenbankzugriff oder null
+     * @returns {Object|null} - Verdict oder null (keine Entscheidung)
+     */
+    async evaluateRule(rule, scan, lookup) {
+        switch (rule.type) {
+            case SCAN_POLICY_RULES.COOLDOWN:
+                return scan.replay ? null : this.checkCooldown(rule, scan);
+
+            case SCAN_POLICY_RULES.RATE_LIMIT:
+                return scan.replay ? null : await this.checkRateLimit(rule, scan, lookup);
+
+            case SCAN_POLICY_RULES.SESSION_TYPE_FORMAT:
+                return scan.formatOverride ? null : await this.checkSessionTypeFormat(rule, scan, lookup);
+
+            case SCAN_POLICY_RULES.ALLOW_RESCAN_AFTER_VOID:
+                return lookup ? await this.checkRescanAfterVoid(rule, scan, lookup) : null;
+
+            case SCAN_POLICY_RULES.DUPLICATE_WINDOW:
+                return lookup ? await this.checkDuplicateWindow(rule, scan, lookup) : null;
+
+            default:
+                throw new Error(`Unbekannte Scan-Policy-Regel '${rule.type}'`);
+        }
+    }
+
+    // ===== REGELN =====
+    checkCooldown(rule, scan) {
+        const now = Date.now();
+        const previous = this.getRecentScans(scan.sessionId)
+            .filter(entry => entry.payload === scan.payload)
+            .pop();
+
+        if (!previous || now - previous.time >= rule.ms) {
+            return null;
+        }
+
+        const retryAfterMs = rule.ms - (now - previous.time);
+        return this.createVerdict(rule, false, SCAN_VERDICT_STATUS.COOLDOWN,
+            'QR-Code wurde gerade erst gescannt - bitte kurz warten',
+            { cooldownMs: rule.ms, retryAfterMs });
+    }
+
+    async checkRateLimit(rule, scan, lookup) {
+        const sessionType = await this.resolveSessionType(scan, lookup);
+        const limit = (sessionType && rule.bySessionType?.[sessionType]) || rule.perMinute;
+        const recentScans = this.getRecentScans(scan.sessionId, ONE_MINUTE);
+
+        if (recentScans.length < limit) {
+            return null;
+        }
+
+        const retryAfterMs = ONE_MINUTE - (Date.now() - recentScans[recentScans.length - limit].time);
+        return this.createVerdict(rule, false, SCAN_VERDICT_STATUS.RATE_LIMIT,
+            `Zu viele QR-Scans pro Minute (max. ${limit}) - bitte warten Sie`,
+            { limit, sessionType, retryAfterMs });
+    }
+
+    async checkSessionTypeFormat(rule, scan, lookup) {
+        const sessionType = await this.resolveSessionType(scan, lookup);
+        if (!sessionType) {
+            return null;
+        }
+
+        const validation = validateQRForSessionType(sessionType, { format: scan.format });
+        if (validation.isValid) {
+            return null;
+        }
+
+        return this.createVerdict(rule, false, SCAN_VERDICT_STATUS.WRONG_FORMAT, validation.message, {
+            sessionType,
+            format: validation.format,
+            allowedFormats: validation.allowedFormats,
+            overridable: true
+        });
+    }
+
+    async checkRescanAfterVoid(rule, scan, lookup) {
+        // Nur relevant, solange ein Duplikat-Fenster den Code noch sperren würde
+        const seconds = this.getLongestDuplicateWindow();
+        if (!seconds) {
+            return null;
+        }
+
+        const latest = await lookup.findLatestScan(scan.payload, { sessionId: null, seconds });
+
+        if (!latest || latest.Valid) {
+            return null;
+        }
+
+        return this.createVerdict(rule, true, SCAN_VERDICT_STATUS.ACCEPTED,
+            'Vorheriger Scan wurde storniert - erneuter Scan erlaubt',
+            { previousScanId: latest.ID, voidReason: latest.VoidReason });
+    }
+
+    async checkDuplicateWindow(rule, scan, lookup) {
+        const latest = await lookup.findLatestScan(scan.payload, {
+            sessionId: rule.scope === 'session' ? scan.sessionId : null,
+            seconds: rule.seconds
+        });
+
+        if (!latest) {
+            return null;
+        }
+
+        const secondsAgo = Math.max(0, latest.SecondsAgo || 0);
+        const minutesAgo = Math.floor(secondsAgo / 60);
+
+        return this.createVerdict(rule, false, SCAN_VERDICT_STATUS.DUPLICATE,
+            `QR-Code bereits vor ${minutesAgo} Minuten gescannt`,
+            {
+                scope: rule.scope,
+                windowSeconds: rule.seconds,
+                minutesAgo,
+                secondsAgo,
+                previousScanId: latest.ID,
+                previousSessionId: latest.SessionID,
+                previousVoided: !latest.Valid
+            });
+    }
+
+    // ===== SESSION-ZUSTAND =====
+    /**
+     * Angenommenen Live-Scan für cooldown und rate_limit merken
+     * @param {number} sessionId - Session ID
+     * @param {string} payload - QR-Code-Inhalt
+     */
+    recordAccepted(sessionId, payload) {
+        const recentScans = this.getRecentScans(sessionId);
+        recentScans.push({ payload, time: Date.now() });
+        this.sessionScans.set(sessionId, recentScans);
+    }
+
+    /**
+     * Zustand einer beendeten Session verwerfen
+     * @param {number} sessionId - Session ID
+     */
+    forgetSession(sessionId) {
+        this.sessionScans.delete(sessionId);
+    }
+
+    /**
+     * Zustand auf eine neue Session-ID übertragen (Offline-Session → Datenbank-Session)
+     * @param {number} oldSessionId - Bisherige Session ID
+     * @param {number} newSessionId - Neue Session ID
+     */
+    renameSession(oldSessionId, newSessionId) {
+        this.sessionScans.set(newSessionId, this.getRecentScans(oldSessionId));
+        this.sessionScans.delete(oldSessionId);
+    }
+
+    /**
+     * Zustand für den Session-Snapshot (Cooldown und Rate-Limit überstehen einen Neustart)
+     * @returns {Object} - { [sessionId]: [{ payload, time }] }
+     */
+    exportState() {
+        const state = {};
+
+        for (const sessionId of this.sessionScans.keys()) {
+            const recentScans = this.getRecentScans(sessionId);
+            if (recentScans.length > 0) {
+                state[sessionId] = recentScans;
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Zustand aus dem Session-Snapshot übernehmen (abgelaufene Scans verwirft getRecentScans)
+     * @param {Object} state - Ergebnis von exportState()
+     */
+    restoreState(state = {}) {
+        for (const [sessionId, recentScans] of Object.entries(state)) {
+            this.sessionScans.set(Number(sessionId), recentScans);
+        }
+    }
+
+    /**
+     * Alle Session-Zustände verwerfen
+     */
+    clear() {
+        this.sessionScans.clear();
+    }
+
+    /**
+     * Gehaltene Scans einer Session (ältere als retentionMs werden dabei verworfen)
+     * @param {number} sessionId - Session ID
+     * @param {number} windowMs - Nur Scans dieses Zeitfensters liefern (default: alle gehaltenen)
+     * @returns {Array} - [{ payload, time }]
+     */
+    getRecentScans(sessionId, windowMs = this.retentionMs) {
+        const now = Date.now();
+        const recentScans = (this.sessionScans.get(sessionId) || [])
+            .filter(entry => now - entry.time < this.retentionMs);
+
+        if (this.sessionScans.has(sessionId)) {
+            this.sessionScans.set(sessionId, recentScans);
+        }
+
+        return windowMs < this.retentionMs ? recentScans.filter(entry => now - entry.time < windowMs) : recentScans;
+    }
+
+    // ===== INFO =====
+    /**
+     * Scan-Frequenz pro Session (für get-system-status)
+     * @returns {Object} - { [sessionId]: { scansPerMinute, lastScan } }
+     */
+    getStats() {
+        const stats = {};
+
+        for (const sessionId of this.sessionScans.keys()) {
+            const recentScans = this.getRecentScans(sessionId, ONE_MINUTE);
+            stats[sessionId] = {
+                scansPerMinute: recentScans.length,
+                lastScan: recentScans.length > 0 ? recentScans[recentScans.length - 1].time : null
+            };
+        }
+
+        return stats;
+    }
+
+    /**
+     * Konfiguration für den Renderer (Anzeige und lokales Entprellen der Kamera)
+     * @returns {Object} - { rules, cooldownMs }
+     */
+    describe() {
+        const cooldown = this.rules.find(rule => rule.type === SCAN_POLICY_RULES.COOLDOWN);
+
+        return {
+            rules: this.rules.map(rule => ({ ...rule, label: getScanPolicyRuleLabel(rule.type) })),
+            cooldownMs: cooldown ? cooldown.ms : 0
+        };
+    }
+
+    /**
+     * SessionType des Scans - vom Aufrufer mitgegeben oder über den Lookup nachgeladen
+     * @param {Object} scan - Scan (sessionType wird für die weiteren Regeln ergänzt)
+     * @param {Object} lookup - Datenbankzugriff oder null
+     * @returns {string|null} - SessionType-Name
+     */
+    async resolveSessionType(scan, lookup) {
+        if (!scan.sessionType && lookup) {
+            scan.sessionType = await lookup.getSessionTypeName(scan.sessionId);
+        }
+
+        return scan.sessionType || null;
+    }
+
+    getLongestDuplicateWindow() {
+        const windows = this.rules
+            .filter(rule => rule.type === SCAN_POLICY_RULES.DUPLICATE_WINDOW)
+            .map(rule => rule.seconds);
+
+        return windows.length > 0 ? Math.max(...windows) : 0;
+    }
+
+    createVerdict(rule, accepted, status, message, details = null) {
+        return {
+            accepted,
+            status,
+            rule: rule ? rule.type : null,
+            ruleLabel: rule ? getScanPolicyRuleLabel(rule.type) : null,
+            message,
+            details,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = ScanPolicy;
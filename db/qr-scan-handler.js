@@ -2,6 +2,8 @@
 // Spezialisierte Datenbankoperationen für QR-Code-Scans
 
 const mssql = require('mssql');
+const qrParsers = require('../shared/qr-parsers');
+const { param } = require('./core/db-params');
 
 class QRScanHandler {
     constructor(dbClient) {
@@ -61,9 +63,7 @@ class QRScanHandler {
                 FROM QrScans 
                 WHERE RawPayload = @qrData
                 AND CapturedTS >= DATEADD(day, -1, SYSDATETIME())
-            `, [
-                { name: 'qrData', type: mssql.NVarChar, value: qrData }
-            ]);
+            `, { qrData: param.nvarchar(qrData) });
 
             if (dbResult.recordset && dbResult.recordset.length > 0) {
                 // In Memory-Cache aufnehmen
@@ -80,80 +80,32 @@ class QRScanHandler {
         }
     }
 
-    // QR-Code-Daten dekodieren
+    // QR-Code-Daten dekodieren (gemeinsame Parser-Registry)
     decodeQRData(rawData) {
-        try {
-            // Format 1: "126644896^25000580^010010277918^6^2802-834"
-            if (rawData.includes('^')) {
-                const parts = rawData.split('^');
-                if (parts.length >= 3) {
-                    return {
-                        success: true,
-                        auftrag: parts[0]?.trim() || null,
-                        kunde: parts[1]?.trim() || null,
-                        paket: parts[2]?.trim() || null,
-                        additional: parts.slice(3) // Weitere Felder
-                    };
-                }
-            }
-
-            // Format 2: JSON
-            if (rawData.startsWith('{') && rawData.endsWith('}')) {
-                const jsonData = JSON.parse(rawData);
-                return {
-                    success: true,
-                    auftrag: jsonData.auftrag || jsonData.order || jsonData.auftragsId || null,
-                    kunde: jsonData.kunde || jsonData.customer || jsonData.kundenId || null,
-                    paket: jsonData.paket || jsonData.package || jsonData.paketId || null,
-                    additional: jsonData
-                };
-            }
-
-            // Format 3: Einfacher Text mit Pattern-Matching
-            const patterns = {
-                auftrag: /(?:auftrag|order|auf)[:\s]*([A-Z0-9]+)/i,
-                kunde: /(?:kunde|customer|kun)[:\s]*([A-Z0-9]+)/i,
-                paket: /(?:paket|package|pak)[:\s]*([A-Z0-9]+)/i
-            };
-
-            const extracted = {};
-            let hasData = false;
-
-            for (const [key, pattern] of Object.entries(patterns)) {
-                const match = rawData.match(pattern);
-                if (match && match[1]) {
-                    extracted[key] = match[1].trim();
-                    hasData = true;
-                }
-            }
+        const { format, fields, confidence } = qrParsers.parse(rawData);
 
-            if (hasData) {
-                return {
-                    success: true,
-                    ...extracted,
-                    additional: { rawData }
-                };
-            }
-
-            // Fallback: Rohdaten als Auftrag behandeln
+        if (format === 'unknown') {
             return {
                 success: false,
                 reason: 'Unbekanntes Format',
-                auftrag: rawData.substring(0, 50), // Erste 50 Zeichen
+                auftrag: null,
                 kunde: null,
                 paket: null,
-                additional: { rawData }
-            };
-
-        } catch (error) {
-            console.error('❌ QR-Dekodierung fehlgeschlagen:', error);
-            return {
-                success: false,
-                reason: 'Dekodierungsfehler: ' + error.message,
-                error: error.message,
+                format,
+                confidence,
                 additional: { rawData }
             };
         }
+
+        return {
+            success: true,
+            auftrag: fields.auftrags_nr || null,
+            kunde: fields.kunden_name || fields.kunden_id || null,
+            paket: fields.paket_nr || null,
+            format,
+            confidence,
+            additional: { rawData }
+        };
     }
 
     // QR-Scan in Datenbank speichern
@@ -262,10 +214,10 @@ class QRScanHandler {
                 FROM QrScans
                 WHERE SessionID = @sessionId
                 ORDER BY CapturedTS DESC
-            `, [
-                { name: 'sessionId', type: mssql.Int, value: sessionId },
-                { name: 'limit', type: mssql.Int, value: limit }
-            ]);
+            `, {
+                sessionId: param.int(sessionId),
+                limit: param.int(limit)
+            });
 
             return result.recordset || [];
 
@@ -290,9 +242,7 @@ class QRScanHandler {
                     MAX(CapturedTS) AS LastScan
                 FROM QrScans 
                 WHERE CAST(CapturedTS AS DATE) = @date
-            `, [
-                { name: 'date', type: mssql.Date, value: dateStr }
-            ]);
+            `, { date: param.date(dateStr) });
 
             return result.recordset[0] || {
                 TotalScans: 0,
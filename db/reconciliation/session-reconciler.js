@@ -0,0 +1,159 @@
+const EventEmitter = require('events');
+const {
+    SESSION_END_REASONS,
+    loadSessionTimeoutConfig,
+    getSessionTimeoutMinutes
+} = require('../constants/session-timeout');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+/**
+ * Session Reconciler
+ * Beendet aktive Sessions, die länger als erlaubt offen sind (defaultDuration des SessionTypes
+ * bzw. SESSION_TIMEOUT_HOURS). Läuft einmal beim Start und danach im Intervall.
+ *
+ * Beim Start offen vorgefundene, überfällige Sessions stammen aus einem Absturz oder Stromausfall
+ * (ein sauberes Programmende beendet alle Sessions) und werden mit 'crash_recovery' beendet,
+ * spätere Läufe mit 'timeout'. EndTS ist jeweils StartTS + erlaubte Dauer, damit eine über Nacht
+ * offene Session nicht als Arbeitszeit zählt.
+ *
+ * Events:
+ *   'sessions-closed' - { endReason, sessions: [{ sessionId, userId, userName, sessionType,
+ *                         startTime, endTime, limitMinutes, endReason }], timestamp }
+ */
+class SessionReconciler extends EventEmitter {
+    /**
+     * @param {Object} dbClient - DatabaseClient
+     * @param {Object} config - Ergebnis von loadSessionTimeoutConfig() (default: aus .env)
+     */
+    constructor(dbClient, config = loadSessionTimeoutConfig()) {
+        super();
+
+        this.dbClient = dbClient;
+        this.config = config;
+
+        this.timer = null;
+        this.running = false;
+        this.started = false;
+        this.lastRun = null;
+    }
+
+    // ===== STEUERUNG =====
+    /**
+     * Startlauf (Absturz-Bereinigung) und Intervall starten - mehrfacher Aufruf ist wirkungslos
+     * @returns {Array} - Beim Start beendete Sessions
+     */
+    async start() {
+        if (this.started) return [];
+        this.started = true;
+
+        if (this.config.intervalMs > 0) {
+            this.timer = setInterval(() => {
+                this.reconcile(SESSION_END_REASONS.TIMEOUT).catch(error => {
+                    customConsole.error('Session-Bereinigung fehlgeschlagen:', error);
+                });
+            }, this.config.intervalMs);
+        }
+
+        customConsole.info(`Session-Bereinigung aktiv (Obergrenze: ${this.config.capMinutes ? `${this.config.capMinutes} min` : 'keine'}, ` +
+            `SessionType-Dauer: ${this.config.useTypeDuration ? 'ja' : 'nein'}, Intervall: ${Math.round(this.config.intervalMs / 60000)} min)`);
+
+        return await this.reconcile(SESSION_END_REASONS.CRASH_RECOVERY);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.started = false;
+    }
+
+    // ===== BEREINIGUNG =====
+    /**
+     * Überfällige aktive Sessions beenden
+     * @param {string} endReason - SESSION_END_REASONS.TIMEOUT oder CRASH_RECOVERY
+     * @returns {Array} - Beendete Sessions
+     */
+    async reconcile(endReason = SESSION_END_REASONS.TIMEOUT) {
+        // Offline oder Lauf noch aktiv: beim nächsten Intervall erneut versuchen
+        if (this.running || !this.dbClient.isConnected) {
+            return [];
+        }
+
+        this.running = true;
+
+        try {
+            const activeSessions = await this.dbClient.getActiveSessionsWithType();
+            const closed = [];
+
+            for (const session of activeSessions) {
+                const limitMinutes = getSessionTimeoutMinutes(session.SessionTypeName, this.config);
+
+                if (!limitMinutes || session.DurationSeconds < limitMinutes * 60) {
+                    continue;
+                }
+
+                const endedAt = new Date(new Date(session.StartTS).getTime() + limitMinutes * 60 * 1000);
+
+                const success = await this.dbClient.endSession(session.ID, {
+                    endedAt,
+                    endReason,
+                    source: 'session_reconciler'
+                });
+
+                if (!success) continue;
+
+                closed.push({
+                    sessionId: session.ID,
+                    userId: session.UserID,
+                    userName: session.BenutzerName || session.FullName || `Benutzer ${session.UserID}`,
+                    sessionType: session.SessionTypeName || null,
+                    startTime: session.StartTS,
+                    endTime: endedAt.toISOString(),
+                    limitMinutes,
+                    endReason
+                });
+            }
+
+            this.lastRun = new Date().toISOString();
+
+            if (closed.length > 0) {
+                customConsole.warning(`${closed.length} überfällige Session(s) automatisch beendet (${endReason})`);
+
+                this.emit('sessions-closed', {
+                    endReason,
+                    sessions: closed,
+                    timestamp: this.lastRun
+                });
+            }
+
+            return closed;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    getStatus() {
+        return {
+            started: this.started,
+            lastRun: this.lastRun,
+            ...this.config
+        };
+    }
+}
+
+module.exports = SessionReconciler;
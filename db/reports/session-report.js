@@ -0,0 +1,247 @@
+// db/reports/session-report.js
+// Session-Bericht: Aufbereitung von DatabaseClient.getSessionReport() als druckbares HTML (PDF) und CSV
+
+const { loadTimesheetConfig } = require('../constants/timesheet');
+const { getVoidReasonLabel } = require('../constants/void-reasons');
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function escapeHTML(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Session-Bericht-Export
+ *
+ * Der PDF-Export rendert toHTML() in einem unsichtbaren Fenster und druckt es mit printToPDF
+ * (main.js) - das HTML ist daher vollständig eigenständig (Inline-CSS, keine Skripte).
+ * Die CSV enthält Abschnitte (Übersicht, Pausen, Scans je Stunde, Scans), getrennt durch Leerzeilen,
+ * und verwendet Trennzeichen, Dezimalzeichen, Datumsformat und BOM des Stundenzettels (TIMESHEET_CSV_*).
+ */
+class SessionReportExporter {
+    /**
+     * @param {Object} csv - { delimiter, decimal, dateFormat, bom } (default: TIMESHEET_CSV_* aus .env)
+     */
+    constructor(csv = loadTimesheetConfig().csv) {
+        this.csv = csv;
+    }
+
+    // ===== AUFBEREITUNG =====
+    /**
+     * Einheitliche Scan-Zeile - dekodierte Spalten der Datenbank, sonst Dekodierung aus RawPayload
+     * @param {Object} scan - Scan aus getSessionReport().scans
+     * @returns {Object} - { id, time, auftragsNr, paketNr, kunde, format, valid, voidReason, raw }
+     */
+    toScanRow(scan) {
+        const decoded = scan.DecodedData || {};
+
+        return {
+            id: scan.ID,
+            time: scan.CapturedTS,
+            auftragsNr: scan.AuftragsNr || decoded.auftrags_nr || '',
+            paketNr: scan.PaketNr || decoded.paket_nr || '',
+            kunde: scan.KundenID || decoded.kunden_id || decoded.kunden_name || '',
+            format: scan.DecodedFormat || decoded.format || 'unknown',
+            valid: !!scan.Valid,
+            voidReason: scan.Valid || !scan.VoidReason ? '' : getVoidReasonLabel(scan.VoidReason),
+            raw: scan.RawPayload
+        };
+    }
+
+    getSummaryRows(report) {
+        const { session, duration, summary } = report;
+
+        return [
+            ['Session', summary.sessionId],
+            ['Benutzer', summary.user.fullName ? `${summary.user.fullName} (${summary.user.name})` : summary.user.name],
+            ['SessionType', summary.sessionType],
+            ['Beginn', this.formatDateTime(session.StartTS)],
+            ['Ende', session.EndTS ? this.formatDateTime(session.EndTS) : 'läuft'],
+            ['Dauer brutto', duration ? duration.formattedDuration : '-'],
+            ['Pausen', `${summary.pauseCount} (${duration ? duration.formattedPauseDuration : '-'})`],
+            ['Dauer netto', duration ? duration.formattedNetDuration : '-'],
+            ['Scans gültig', summary.validScans],
+            ['Scans storniert', summary.voidedScans],
+            ['Scans je Stunde (netto)', this.formatNumber(summary.scansPerHour)]
+        ];
+    }
+
+    // ===== HTML (Ansicht & PDF) =====
+    /**
+     * Druckbares HTML des Berichts
+     * @param {Object} report - Ergebnis von getSessionReport()
+     * @returns {string} - Vollständiges HTML-Dokument
+     */
+    toHTML(report) {
+        const scans = report.scans.map(scan => this.toScanRow(scan));
+        const maxHourly = Math.max(1, ...report.hourly.map(hour => hour.scans));
+        const table = (headers, rows) => `
+            <table>
+                <thead><tr>${headers.map(header => `<th>${escapeHTML(header)}</th>`).join('')}</tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>`;
+
+        const summaryRows = this.getSummaryRows(report)
+            .map(([label, value]) => `<tr><th>${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`);
+
+        const pauseRows = report.pauses.map((pause, index) => `<tr>
+            <td>${index + 1}</td>
+            <td>${escapeHTML(this.formatDateTime(pause.StartTS))}</td>
+            <td>${escapeHTML(pause.EndTS ? this.formatDateTime(pause.EndTS) : 'läuft')}</td>
+            <td>${escapeHTML(this.formatMinutes(pause.StartTS, pause.EndTS || report.session.EndTS))}</td>
+            <td>${escapeHTML(pause.Reason || '')}</td>
+        </tr>`);
+
+        const hourlyRows = report.hourly.map(hour => `<tr>
+            <td>${escapeHTML(this.formatDateTime(hour.hourStart))}</td>
+            <td class="number">${hour.scans}</td>
+            <td><div class="bar" style="width: ${Math.round((hour.scans / maxHourly) * 100)}%"></div></td>
+        </tr>`);
+
+        const scanRows = scans.map((scan, index) => `<tr class="${scan.valid ? '' : 'voided'}">
+            <td class="number">${index + 1}</td>
+            <td>${escapeHTML(this.formatDateTime(scan.time))}</td>
+            <td>${escapeHTML(scan.auftragsNr)}</td>
+            <td>${escapeHTML(scan.paketNr)}</td>
+            <td>${escapeHTML(scan.kunde)}</td>
+            <td>${escapeHTML(scan.format)}</td>
+            <td>${escapeHTML(scan.valid ? 'gültig' : `storniert${scan.voidReason ? ` (${scan.voidReason})` : ''}`)}</td>
+        </tr>`);
+
+        return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(this.getTitle(report))}</title>
+<style>
+    body { font-family: 'Segoe UI', Arial, sans-serif; font-size: 11px; color: #222; margin: 24px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    h2 { font-size: 13px; margin: 20px 0 6px; border-bottom: 1px solid #999; padding-bottom: 2px; }
+    .meta { color: #666; margin-bottom: 12px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #ddd; vertical-align: top; }
+    thead th { background: #f0f0f0; }
+    .summary { width: auto; }
+    .summary th { font-weight: 600; padding-right: 24px; }
+    .number { text-align: right; }
+    .bar { height: 8px; background: #4a90d9; min-width: 1px; }
+    .voided td { color: #999; text-decoration: line-through; }
+    .empty { color: #666; font-style: italic; }
+    tr { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+    <h1>${escapeHTML(this.getTitle(report))}</h1>
+    <div class="meta">Erstellt: ${escapeHTML(this.formatDateTime(report.generatedAt))}</div>
+
+    <h2>Übersicht</h2>
+    <table class="summary"><tbody>${summaryRows.join('')}</tbody></table>
+
+    <h2>Pausen</h2>
+    ${pauseRows.length > 0 ? table(['#', 'Beginn', 'Ende', 'Dauer', 'Grund'], pauseRows) : '<p class="empty">Keine Pausen</p>'}
+
+    <h2>Scans je Stunde</h2>
+    ${hourlyRows.length > 0 ? table(['Stunde', 'Scans', ''], hourlyRows) : '<p class="empty">Keine Scans</p>'}
+
+    <h2>Scans (${scans.length})</h2>
+    ${scanRows.length > 0 ? table(['#', 'Zeit', 'Auftrag', 'Paket', 'Kunde', 'Format', 'Status'], scanRows) : '<p class="empty">Keine Scans</p>'}
+</body>
+</html>`;
+    }
+
+    // ===== CSV =====
+    /**
+     * Bericht als CSV (Abschnitte durch Leerzeilen getrennt)
+     * @param {Object} report - Ergebnis von getSessionReport()
+     * @returns {string} - CSV (CRLF, optional mit BOM)
+     */
+    toCSV(report) {
+        const line = (values) => values.map(value => this.escapeCSV(value)).join(this.csv.delimiter);
+        const lines = [];
+
+        lines.push(line(['Übersicht', '']));
+        this.getSummaryRows(report).forEach(row => lines.push(line(row)));
+
+        lines.push('', line(['Pause', 'Beginn', 'Ende', 'Dauer (min)', 'Grund']));
+        report.pauses.forEach((pause, index) => lines.push(line([
+            index + 1,
+            this.formatDateTime(pause.StartTS),
+            pause.EndTS ? this.formatDateTime(pause.EndTS) : '',
+            this.getMinutes(pause.StartTS, pause.EndTS || report.session.EndTS),
+            pause.Reason || ''
+        ])));
+
+        lines.push('', line(['Stunde', 'Scans']));
+        report.hourly.forEach(hour => lines.push(line([this.formatDateTime(hour.hourStart), hour.scans])));
+
+        lines.push('', line(['Nr', 'Zeit', 'Auftrag', 'Paket', 'Kunde', 'Format', 'Gültig', 'Stornogrund', 'Rohdaten']));
+        report.scans.map(scan => this.toScanRow(scan)).forEach((scan, index) => lines.push(line([
+            index + 1,
+            this.formatDateTime(scan.time),
+            scan.auftragsNr,
+            scan.paketNr,
+            scan.kunde,
+            scan.format,
+            scan.valid ? 'ja' : 'nein',
+            scan.voidReason,
+            scan.raw
+        ])));
+
+        return (this.csv.bom ? '\ufeff' : '') + lines.join('\r\n') + '\r\n';
+    }
+
+    escapeCSV(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+
+        if (text.includes(this.csv.delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+
+        return text;
+    }
+
+    // ===== FORMATIERUNG =====
+    formatDateTime(timestamp) {
+        const date = new Date(timestamp);
+        const time = `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+        return this.csv.dateFormat === 'iso'
+            ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${time}`
+            : `${pad(date.getDate())}.${pad(date.getMonth() + 1)}.${date.getFullYear()} ${time}`;
+    }
+
+    formatNumber(value) {
+        return String(value).replace('.', this.csv.decimal);
+    }
+
+    getMinutes(start, end) {
+        return Math.round(((end ? new Date(end) : new Date()) - new Date(start)) / 60000);
+    }
+
+    formatMinutes(start, end) {
+        return `${this.getMinutes(start, end)} min`;
+    }
+
+    getTitle(report) {
+        return `Session-Bericht #${report.summary.sessionId} - ${report.summary.user.fullName || report.summary.user.name}`;
+    }
+
+    /**
+     * Dateiname für den Export
+     * @param {Object} report - Ergebnis von getSessionReport()
+     * @param {string} extension - 'pdf' | 'csv'
+     * @returns {string} - z.B. 'session-1234_2026-10-18.pdf'
+     */
+    getFileName(report, extension) {
+        const start = new Date(report.session.StartTS);
+        return `session-${report.summary.sessionId}_${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}.${extension}`;
+    }
+}
+
+module.exports = SessionReportExporter;
@@ -0,0 +1,389 @@
+// db/reports/timesheet.js
+// Stundenzettel: Netto-Arbeitszeit je Benutzer und Tag/Woche aus Sessions und Pausen, Export als CSV
+
+const {
+    TIMESHEET_LAYOUTS,
+    TIMESHEET_ROUNDING_MODES,
+    loadTimesheetConfig
+} = require('../constants/timesheet');
+
+const ONE_MINUTE = 60 * 1000;
+const WEEKDAYS = ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'];
+
+// ===== DATUM (lokale Zeit des Arbeitsplatzes) =====
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * 'YYYY-MM-DD' → Date (lokale Mitternacht)
+ */
+function parseDateKey(dateKey) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateKey || ''));
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+function toDateKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Über Kalendertage statt 24h, damit Sommer-/Winterzeit die Tagesgrenzen nicht verschiebt
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * ISO-Kalenderwoche (Montag-Sonntag, Woche 1 enthält den ersten Donnerstag)
+ * @param {Date} date - Tag
+ * @returns {Object} - { key: 'YYYY-Www', monday: Date, sunday: Date }
+ */
+function getISOWeek(date) {
+    const monday = addDays(startOfDay(date), -((date.getDay() + 6) % 7));
+    const thursday = addDays(monday, 3);
+    const dayOfYear = Math.round((thursday - new Date(thursday.getFullYear(), 0, 1)) / (24 * 60 * ONE_MINUTE));
+
+    return {
+        key: `${thursday.getFullYear()}-W${pad(Math.floor(dayOfYear / 7) + 1)}`,
+        monday,
+        sunday: addDays(monday, 6)
+    };
+}
+
+function overlapMs(start, end, rangeStart, rangeEnd) {
+    return Math.max(0, Math.min(end, rangeEnd) - Math.max(start, rangeStart));
+}
+
+/**
+ * Stundenzettel-Generator
+ *
+ * Sessions (SessionModule.getSessionsInRange) werden an Mitternacht geteilt, damit jede Minute dem
+ * Kalendertag zugeordnet wird, an dem sie gearbeitet wurde. Pausen werden je Tagesabschnitt abgezogen.
+ * Laufende Sessions zählen bis jetzt. Gerundet wird die Netto-Zeit je Benutzer und Tag, Wochen und
+ * Summen addieren die gerundeten Tage - so stimmen Tages- und Wochenexport immer überein.
+ * Scans je Tag kommen aus StatsModule.getDailyScanCounts.
+ *
+ * Zeilen (Tage und Wochen):
+ *   { userId, userName, firstName, lastName, fullName, date, week, weekStart, weekEnd, start, end,
+ *     sessionCount, days, grossMinutes, pauseMinutes, netMinutes, scanCount, open }
+ */
+class TimesheetGenerator {
+    /**
+     * @param {Object} dbClient - DatabaseClient
+     * @param {Object} config - Ergebnis von loadTimesheetConfig() (default: aus .env)
+     */
+    constructor(dbClient, config = loadTimesheetConfig()) {
+        this.dbClient = dbClient;
+        this.config = config;
+    }
+
+    // ===== ERZEUGEN =====
+    /**
+     * Stundenzettel für einen Zeitraum erzeugen
+     * @param {Object} criteria - { startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD' (inklusive), userId }
+     * @returns {Object} - { period, rounding, days, weeks, users, generatedAt }
+     */
+    async generate(criteria = {}) {
+        const rangeStart = parseDateKey(criteria.startDate);
+        const lastDay = parseDateKey(criteria.endDate);
+
+        if (!rangeStart || !lastDay || lastDay < rangeStart) {
+            throw new Error('Ungültiger Zeitraum - Von/Bis im Format JJJJ-MM-TT angeben');
+        }
+
+        const rangeEnd = addDays(lastDay, 1);
+        const userId = criteria.userId || null;
+        const now = new Date();
+
+        const sessions = await this.dbClient.getSessionsInRange(rangeStart, rangeEnd, userId);
+        const scanCounts = await this.dbClient.getDailyScanCounts(rangeStart, rangeEnd, userId);
+
+        const dayRows = new Map(); // 'userId|YYYY-MM-DD' -> Zeile
+
+        for (const session of sessions) {
+            for (const piece of this.splitSession(session, rangeStart, rangeEnd, now)) {
+                const key = `${session.UserID}|${piece.date}`;
+                const row = dayRows.get(key) || this.createDayRow(session, piece.date);
+
+                row.grossMs += piece.grossMs;
+                row.pauseMs += piece.pauseMs;
+                row.sessionIds.add(session.ID);
+                row.start = !row.start || piece.start < row.start ? piece.start : row.start;
+                row.end = !row.end || piece.end > row.end ? piece.end : row.end;
+                row.open = row.open || (!session.EndTS && piece.end >= now);
+
+                dayRows.set(key, row);
+            }
+        }
+
+        for (const count of scanCounts) {
+            const row = dayRows.get(`${count.UserID}|${count.ScanDate}`);
+            if (row) {
+                row.scanCount += count.ScanCount;
+            }
+        }
+
+        const days = Array.from(dayRows.values())
+            .map(row => this.finalizeDayRow(row))
+            .sort((a, b) => a.userId - b.userId || a.date.localeCompare(b.date));
+
+        return {
+            period: { startDate: toDateKey(rangeStart), endDate: toDateKey(lastDay) },
+            rounding: this.config.rounding,
+            days,
+            weeks: this.aggregate(days, row => `${row.userId}|${row.week}`),
+            users: this.aggregate(days, row => String(row.userId)),
+            generatedAt: now.toISOString()
+        };
+    }
+
+    /**
+     * Session an Mitternacht teilen und auf den Zeitraum begrenzen
+     * @param {Object} session - Session mit StartTS, EndTS (null = läuft) und Pauses
+     * @param {Date} rangeStart - Beginn des Zeitraums
+     * @param {Date} rangeEnd - Ende des Zeitraums (exklusive)
+     * @param {Date} now - Ende laufender Sessions und Pausen
+     * @returns {Array} - [{ date, start, end, grossMs, pauseMs }]
+     */
+    splitSession(session, rangeStart, rangeEnd, now) {
+        const sessionEnd = session.EndTS ? new Date(session.EndTS) : now;
+        const start = new Date(Math.max(new Date(session.StartTS), rangeStart));
+        const end = new Date(Math.min(sessionEnd, rangeEnd));
+        const pieces = [];
+
+        for (let dayStart = startOfDay(start); dayStart < end; dayStart = addDays(dayStart, 1)) {
+            const from = new Date(Math.max(start, dayStart));
+            const to = new Date(Math.min(end, addDays(dayStart, 1)));
+
+            if (to <= from) continue;
+
+            const pauseMs = session.Pauses.reduce((sum, pause) => sum + overlapMs(
+                new Date(pause.StartTS),
+                pause.EndTS ? new Date(pause.EndTS) : sessionEnd,
+                from,
+                to
+            ), 0);
+
+            pieces.push({
+                date: toDateKey(dayStart),
+                start: from,
+                end: to,
+                grossMs: to - from,
+                pauseMs: Math.min(pauseMs, to - from)
+            });
+        }
+
+        return pieces;
+    }
+
+    createDayRow(session, date) {
+        return {
+            userId: session.UserID,
+            userName: session.BenutzerName || '',
+            firstName: session.Vorname || '',
+            lastName: session.Nachname || '',
+            date,
+            start: null,
+            end: null,
+            sessionIds: new Set(),
+            grossMs: 0,
+            pauseMs: 0,
+            scanCount: 0,
+            open: false
+        };
+    }
+
+    finalizeDayRow(row) {
+        const week = getISOWeek(parseDateKey(row.date));
+
+        return {
+            userId: row.userId,
+            userName: row.userName,
+            firstName: row.firstName,
+            lastName: row.lastName,
+            fullName: `${row.firstName} ${row.lastName}`.trim() || row.userName,
+            date: row.date,
+            week: week.key,
+            weekStart: toDateKey(week.monday),
+            weekEnd: toDateKey(week.sunday),
+            start: row.start.toISOString(),
+            end: row.end.toISOString(),
+            sessionIds: Array.from(row.sessionIds),
+            sessionCount: row.sessionIds.size,
+            days: 1,
+            grossMinutes: Math.round(row.grossMs / ONE_MINUTE),
+            pauseMinutes: Math.round(row.pauseMs / ONE_MINUTE),
+            netMinutes: this.roundMinutes((row.grossMs - row.pauseMs) / ONE_MINUTE),
+            scanCount: row.scanCount,
+            open: row.open
+        };
+    }
+
+    /**
+     * Tageszeilen zu Wochen- bzw. Benutzersummen zusammenfassen
+     * @param {Array} days - Tageszeilen
+     * @param {Function} keyOf - Gruppierungsschlüssel je Zeile
+     * @returns {Array} - Summenzeilen (ohne date/start/end)
+     */
+    aggregate(days, keyOf) {
+        const groups = new Map();
+
+        for (const day of days) {
+            const key = keyOf(day);
+            const group = groups.get(key) || {
+                ...day,
+                date: null,
+                start: null,
+                end: null,
+                sessionIds: new Set(),
+                days: 0,
+                grossMinutes: 0,
+                pauseMinutes: 0,
+                netMinutes: 0,
+                scanCount: 0,
+                open: false
+            };
+
+            day.sessionIds.forEach(id => group.sessionIds.add(id));
+            group.days += day.netMinutes > 0 ? 1 : 0;
+            group.grossMinutes += day.grossMinutes;
+            group.pauseMinutes += day.pauseMinutes;
+            group.netMinutes += day.netMinutes;
+            group.scanCount += day.scanCount;
+            group.open = group.open || day.open;
+
+            groups.set(key, group);
+        }
+
+        return Array.from(groups.values()).map(({ sessionIds, ...group }) => ({
+            ...group,
+            sessionCount: sessionIds.size
+        }));
+    }
+
+    /**
+     * Netto-Minuten nach TIMESHEET_ROUNDING runden
+     * @param {number} minutes - Exakte Minuten
+     * @returns {number} - Gerundete Minuten
+     */
+    roundMinutes(minutes) {
+        const { mode, minutes: step } = this.config.rounding;
+        const value = Math.max(0, minutes);
+
+        switch (mode) {
+            case TIMESHEET_ROUNDING_MODES.NEAREST:
+                return Math.round(value / step) * step;
+            case TIMESHEET_ROUNDING_MODES.UP:
+                // Sekundenreste (z.B. 60,0001 min) nicht auf das nächste Raster heben
+                return Math.ceil(Math.floor(value * 60) / 60 / step) * step;
+            case TIMESHEET_ROUNDING_MODES.DOWN:
+                return Math.floor(value / step) * step;
+            default:
+                return Math.round(value);
+        }
+    }
+
+    // ===== CSV-EXPORT =====
+    /**
+     * Stundenzettel als CSV im konfigurierten Spaltenlayout
+     * @param {Object} timesheet - Ergebnis von generate()
+     * @param {string} layout - TIMESHEET_LAYOUTS.DAYS | WEEKS
+     * @returns {string} - CSV (CRLF, optional mit BOM)
+     */
+    toCSV(timesheet, layout = TIMESHEET_LAYOUTS.DAYS) {
+        const columns = this.config.columns[layout];
+        if (!columns) {
+            throw new Error(`Unbekanntes Stundenzettel-Layout '${layout}' (erlaubt: ${Object.values(TIMESHEET_LAYOUTS).join(', ')})`);
+        }
+
+        const { delimiter, header, bom } = this.config.csv;
+        const rows = layout === TIMESHEET_LAYOUTS.WEEKS ? timesheet.weeks : timesheet.days;
+        const lines = [];
+
+        if (header) {
+            lines.push(columns.map(column => this.escapeCSV(column.header)).join(delimiter));
+        }
+
+        for (const row of rows) {
+            lines.push(columns.map(column => this.escapeCSV(this.formatColumn(column.key, row))).join(delimiter));
+        }
+
+        return (bom ? '\ufeff' : '') + lines.join('\r\n') + '\r\n';
+    }
+
+    formatColumn(key, row) {
+        switch (key) {
+            case 'user_id': return row.userId;
+            case 'user_name': return row.userName;
+            case 'first_name': return row.firstName;
+            case 'last_name': return row.lastName;
+            case 'full_name': return row.fullName;
+            case 'date': return row.date ? this.formatDate(row.date) : '';
+            case 'weekday': return row.date ? WEEKDAYS[parseDateKey(row.date).getDay()] : '';
+            case 'week': return row.week;
+            case 'week_start': return this.formatDate(row.weekStart);
+            case 'week_end': return this.formatDate(row.weekEnd);
+            case 'start': return row.start ? this.formatTime(row.start) : '';
+            case 'end': return row.end && !row.open ? this.formatTime(row.end, row.date) : '';
+            case 'sessions': return row.sessionCount;
+            case 'days': return row.days;
+            case 'gross_hours': return this.formatHours(row.grossMinutes);
+            case 'pause_minutes': return row.pauseMinutes;
+            case 'net_minutes': return row.netMinutes;
+            case 'net_hours': return this.formatHours(row.netMinutes);
+            case 'net_hhmm': return `${Math.floor(row.netMinutes / 60)}:${pad(row.netMinutes % 60)}`;
+            case 'scans': return row.scanCount;
+            default: return '';
+        }
+    }
+
+    formatDate(dateKey) {
+        if (this.config.csv.dateFormat === 'iso') {
+            return dateKey;
+        }
+
+        const [year, month, day] = dateKey.split('-');
+        return `${day}.${month}.${year}`;
+    }
+
+    formatTime(timestamp, dateKey = null) {
+        const date = new Date(timestamp);
+
+        // An Mitternacht geteilte Session: Ende des Tages als 24:00 statt 00:00
+        if (dateKey && toDateKey(date) !== dateKey && date.getHours() === 0 && date.getMinutes() === 0) {
+            return '24:00';
+        }
+
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    formatHours(minutes) {
+        return (minutes / 60).toFixed(2).replace('.', this.config.csv.decimal);
+    }
+
+    escapeCSV(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+
+        if (text.includes(this.config.csv.delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Dateiname für den Export
+     * @param {Object} timesheet - Ergebnis von generate()
+     * @param {string} layout - TIMESHEET_LAYOUTS.DAYS | WEEKS
+     * @returns {string} - z.B. 'stundenzettel-tage_2026-10-01_2026-10-31.csv'
+     */
+    getFileName(timesheet, layout = TIMESHEET_LAYOUTS.DAYS) {
+        const suffix = layout === TIMESHEET_LAYOUTS.WEEKS ? 'wochen' : 'tage';
+        return `stundenzettel-${suffix}_${timesheet.period.startDate}_${timesheet.period.endDate}.csv`;
+    }
+}
+
+module.exports = TimesheetGenerator;
@@ -1,3 +1,5 @@
+const qrParsers = require('../../shared/qr-parsers');
+
 // Console-Utils für bessere Ausgabe - mit Fallback
 let customConsole;
 try {
@@ -177,101 +179,18 @@ class DatabaseUtils {
         }
     }
 
-    // ===== QR-CODE DEKODIERUNG BASIEREND AUF DECODER.PY =====
+    // ===== QR-CODE DEKODIERUNG (PARSER-REGISTRY) =====
     /**
-     * Dekodiert QR-Code Daten basierend auf der Python decoder.py Logik
+     * Dekodiert QR-Code Daten über die gemeinsame Parser-Registry (shared/qr-parsers.js)
      * @param {string} data - Rohe QR-Code Daten
-     * @returns {Object} - Dekodierte Informationen
+     * @returns {Object} - Dekodierte Informationen inkl. format und confidence
      */
     parseQRCodeData(data) {
-        const result = {
-            auftrags_nr: "",
-            paket_nr: "",
-            kunden_name: "",
-            original_data: data
-        };
-
-        if (!data || typeof data !== 'string') {
-            return result;
-        }
-
         try {
-            // Spezielles durch ^ getrenntes Format (hat höchste Priorität)
-            if (data.includes('^')) {
-                const parts = data.split('^');
-
-                // Wir benötigen mindestens 4 Teile für Auftragsnummer und Paketnummer
-                if (parts.length >= 4) {
-                    // Auftragsnummer ist im zweiten Feld (Index 1)
-                    result.auftrags_nr = parts[1] || "";
-
-                    // Paketnummer ist im vierten Feld (Index 3)
-                    result.paket_nr = parts[3] || "";
-
-                    // Falls verfügbar, Kundennummer oder ID im dritten Feld (Index 2)
-                    if (parts.length > 2 && parts[2]) {
-                        result.kunden_name = `Kunden-ID: ${parts[2]}`;
-                    }
-
-                    // Bei diesem Format die weiteren Prüfungen überspringen
-                    return result;
-                }
-            }
-
-            // Versuch, die Auftragsnummer zu extrahieren
-            // Basierend auf den Beispielbildern, Muster "NL-XXXXXXX" oder ähnlich
-            const auftragsNrMatch = data.match(/[A-Z]{2}-\d+/);
-            if (auftragsNrMatch) {
-                result.auftrags_nr = auftragsNrMatch[0];
-            }
-
-            // Versuch, die Paketnummer zu extrahieren
-            // Langer numerischer Code, wie in den Beispielbildern
-            const paketNrMatch = data.match(/\d{10,}/);
-            if (paketNrMatch) {
-                result.paket_nr = paketNrMatch[0];
-            }
-
-            // Versuch, den Kundennamen zu extrahieren
-            // Dies ist schwieriger und hängt vom Format der QR-Code-Daten ab
-            if (data.includes("KUNDENNAME:")) {
-                const parts = data.split("KUNDENNAME:");
-                if (parts.length > 1) {
-                    let kundenName = parts[1].trim();
-                    // Bis zum nächsten Schlüsselwort oder Ende nehmen
-                    const endMarkers = ["PAKET-NR", "AUFTRAG", "\n"];
-                    for (const marker of endMarkers) {
-                        if (kundenName.includes(marker)) {
-                            kundenName = kundenName.split(marker)[0].trim();
-                            break;
-                        }
-                    }
-                    result.kunden_name = kundenName;
-                }
-            }
-
-            // Zusätzliche Suche für andere Formate
-            // Nach "Referenz: XXX" oder ähnlichen Patterns suchen
-            if (!result.auftrags_nr) {
-                const referenzMatch = data.match(/Referenz:\s+([A-Z0-9-]+)/);
-                if (referenzMatch) {
-                    result.auftrags_nr = referenzMatch[1];
-                }
-            }
-
-            // Nach "Tracking: XXX" oder ähnlichen Patterns suchen
-            if (!result.paket_nr) {
-                const trackingMatch = data.match(/Tracking:\s+(\d+)/);
-                if (trackingMatch) {
-                    result.paket_nr = trackingMatch[1];
-                }
-            }
-
-            return result;
-
+            return qrParsers.decode(data);
         } catch (error) {
-            console.error('Fehler beim Dekodieren der QR-Code Daten:', error);
-            return result;
+            customConsole.error('Fehler beim Dekodieren der QR-Code Daten:', error.message);
+            return qrParsers.toDecodedData(null, data);
         }
     }
 
@@ -483,136 +402,22 @@ class DatabaseUtils {
     }
 
     // ===== QR-CODE FORMAT-ERKENNUNG =====
+    /**
+     * Format-Badge für einen Scan - basiert auf der Parser-Registry
+     * @param {string|Object} payloadJson - PayloadJson (optional)
+     * @param {string} rawPayload - Roher QR-Code-Inhalt
+     * @returns {Object} - { icon, name, color, description, format, confidence }
+     */
     getQRCodeFormat(payloadJson, rawPayload = null) {
         try {
-            let parsed = null;
+            let raw = rawPayload;
 
-            // Versuche PayloadJson zu parsen
-            if (payloadJson) {
-                if (typeof payloadJson === 'string') {
-                    parsed = JSON.parse(payloadJson);
-                } else {
-                    parsed = payloadJson;
-                }
+            if (!raw && payloadJson) {
+                const parsed = typeof payloadJson === 'string' ? JSON.parse(payloadJson) : payloadJson;
+                raw = parsed.type === 'decoded_qr' && parsed.raw ? parsed.raw : JSON.stringify(parsed);
             }
 
-            // Spezielle Behandlung für dekodierte QR-Codes
-            if (parsed && parsed.type === 'decoded_qr') {
-                const { decoded } = parsed;
-                const hasAuftrag = decoded?.auftrags_nr;
-                const hasPaket = decoded?.paket_nr;
-                const hasKunde = decoded?.kunden_name;
-
-                if (hasAuftrag && hasPaket) {
-                    return {
-                        icon: '📦',
-                        name: 'Vollständig',
-                        color: 'green',
-                        description: 'Auftrag + Paket'
-                    };
-                } else if (hasAuftrag || hasPaket) {
-                    return {
-                        icon: '📋',
-                        name: 'Teilweise',
-                        color: 'orange',
-                        description: hasAuftrag ? 'Nur Auftrag' : 'Nur Paket'
-                    };
-                } else {
-                    return {
-                        icon: '📄',
-                        name: 'Minimal',
-                        color: 'blue',
-                        description: hasKunde ? 'Nur Kunde' : 'Unstrukturiert'
-                    };
-                }
-            }
-
-            // Fallback: Analysiere RawPayload direkt
-            if (rawPayload) {
-                if (rawPayload.includes('^')) {
-                    return {
-                        icon: '🔸',
-                        name: 'Caret-Format',
-                        color: 'blue',
-                        description: 'Paket-/Auftragsdaten'
-                    };
-                }
-
-                if (/[A-Z]{2}-\d+/.test(rawPayload)) {
-                    return {
-                        icon: '📋',
-                        name: 'Auftragscode',
-                        color: 'blue',
-                        description: 'Auftragsnummer erkannt'
-                    };
-                }
-
-                if (/\d{10,}/.test(rawPayload)) {
-                    return {
-                        icon: '📦',
-                        name: 'Paketcode',
-                        color: 'green',
-                        description: 'Paketnummer erkannt'
-                    };
-                }
-            }
-
-            // Standard-Formate wenn PayloadJson verfügbar ist
-            if (parsed) {
-                const formats = {
-                    'star_separated': {
-                        icon: '⭐',
-                        name: 'Stern-Format',
-                        color: 'blue',
-                        description: 'Paket-/Auftragsdaten'
-                    },
-                    'caret_separated': {
-                        icon: '🔸',
-                        name: 'Caret-Format',
-                        color: 'blue',
-                        description: 'Paket-/Auftragsdaten'
-                    },
-                    'barcode': {
-                        icon: '🔢',
-                        name: 'Barcode',
-                        color: 'green',
-                        description: 'Numerischer Code'
-                    },
-                    'url': {
-                        icon: '🔗',
-                        name: 'URL',
-                        color: 'purple',
-                        description: 'Web-Link'
-                    },
-                    'alphanumeric': {
-                        icon: '🔤',
-                        name: 'Alpha-Code',
-                        color: 'orange',
-                        description: 'Buchstaben + Zahlen'
-                    },
-                    'text': {
-                        icon: '📝',
-                        name: 'Text',
-                        color: 'gray',
-                        description: 'Freitext'
-                    }
-                };
-
-                return formats[parsed.type] || {
-                    icon: '❓',
-                    name: 'Unbekannt',
-                    color: 'red',
-                    description: 'Unbekanntes Format'
-                };
-            }
-
-            // Default Fallback
-            return {
-                icon: '📄',
-                name: 'Standard',
-                color: 'gray',
-                description: 'QR-Code Daten'
-            };
+            return qrParsers.getQRCodeFormat(qrParsers.parse(raw));
         } catch (error) {
             return {
                 icon: '❌',
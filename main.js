@@ -1,5 +1,6 @@
 const { app, BrowserWindow, ipcMain, dialog, globalShortcut } = require('electron');
 const path = require('path');
+const fs = require('fs');
 require('dotenv').config();
 
 // Console-Encoding für Windows setzen
@@ -14,26 +15,45 @@ if (process.platform === 'win32') {
 
 // Nur sichere Module laden
 const DatabaseClient = require('./db/db-client');
-
-// SessionTypes Setup-Funktionen importieren
-const { setupSessionTypes } = require('./db/constants/session-types');
-
-// Simple RFID Listener laden (ohne native Dependencies)
-let SimpleRFIDListener;
-try {
-    SimpleRFIDListener = require('./rfid/simple-rfid-listener');
-    console.log('✅ Simple RFID Listener geladen');
-} catch (error) {
-    console.warn('⚠️ Simple RFID Listener nicht verfügbar:', error.message);
-    console.log('💡 App läuft ohne RFID-Support');
-}
+const OfflineJournal = require('./db/journal/offline-journal');
+const SessionSnapshot = require('./db/journal/session-snapshot');
+const ScanPolicy = require('./db/policy/scan-policy');
+const SessionReconciler = require('./db/reconciliation/session-reconciler');
+const TimesheetGenerator = require('./db/reports/timesheet');
+const SessionReportExporter = require('./db/reports/session-report');
+const qrParsers = require('./shared/qr-parsers');
+const TagNormalizer = require('./rfid/tag-normalizer');
+const { loadRFIDListenerConfig, createRFIDListener } = require('./rfid/rfid-listener-factory');
+const { getSessionTypeConfig } = require('./db/constants/session-types');
+const { SESSION_END_REASONS, loadSessionTimeoutConfig } = require('./db/constants/session-timeout');
+const { TIMESHEET_LAYOUTS } = require('./db/constants/timesheet');
+const SupervisorDashboard = require('./db/dashboard/supervisor-dashboard');
+const { loadDashboardConfig } = require('./db/constants/dashboard');
+const { USER_ROLES, PERMISSIONS, hasRole, getRoleLabel, loadApprovalConfig } = require('./db/constants/user-roles');
+const { TAG_STATUS, TAG_TYPES, isBlockedTagStatus, loadUserTagConfig } = require('./db/constants/user-tags');
+
+// Renderer-Ereignisse, nach denen sich das Supervisor-Dashboard ändert (Scans laufen über updateSessionScanCount)
+const DASHBOARD_REFRESH_CHANNELS = new Set([
+    'user-login',
+    'session-ended',
+    'session-restarted',
+    'session-pause-changed',
+    'sessions-auto-closed',
+    'sessions-restored',
+    'session-id-remapped',
+    'database-connection-state'
+]);
 
 class WareneinlagerungMainApp {
     constructor() {
         this.mainWindow = null;
         this.rfidListener = null;
+        this.rfidBackend = null; // { backend, requestedBackend, fallbackUsed, attempts } - Ergebnis der Listener-Auswahl
         this.dbClient = null;
 
+        // Offline-Journal: Scans und Session-Events puffern während die Datenbank nicht erreichbar ist
+        this.offlineJournal = null;
+
         // Status-Tracking
         this.systemStatus = {
             database: false,
@@ -46,9 +66,8 @@ class WareneinlagerungMainApp {
         this.activeSessions = new Map(); // userId -> sessionData
         this.activeSessionTimers = new Map(); // sessionId -> timerInterval
 
-        // QR-Scan Rate Limiting (pro Session)
-        this.qrScanRateLimit = new Map(); // sessionId -> scanTimes[]
-        this.maxQRScansPerMinute = 20;
+        // Scan-Policy (Cooldown, Rate-Limit pro SessionType, Duplikat-Fenster) - Konfiguration aus .env
+        this.scanPolicy = new ScanPolicy();
 
         // QR-Code Dekodierung Statistiken (global)
         this.decodingStats = {
@@ -64,7 +83,51 @@ class WareneinlagerungMainApp {
         this.rfidScanCooldown = 2000; // 2 Sekunden zwischen RFID-Scans
 
         // SessionType Fallback-Konfiguration
-        this.sessionTypePriority = ['Wareneinlagerung', 'Wareneinlagerung'];
+        this.sessionTypePriority = ['Wareneinlagerung'];
+
+        // SessionType-Auswahl nach RFID-Anmeldung
+        this.pendingTypeSelections = new Map(); // userId -> { user, defaultType, timer }
+        this.sessionTypePickerTimeout = parseInt(process.env.SESSION_TYPE_PICKER_TIMEOUT) || 10000;
+
+        // Badge anlernen (Benutzerverwaltung): der nächste RFID-Tag wird dem Benutzer zugewiesen statt eine Anmeldung auszulösen
+        this.badgeEnrollment = null; // { userId, tagType, approval, resolve, timer }
+        this.badgeEnrollmentTimeout = parseInt(process.env.BADGE_ENROLLMENT_TIMEOUT) || 30000;
+        this.userTagConfig = loadUserTagConfig();
+
+        // Freigaben privilegierter Aktionen per Badge-Tap (Rolle aus ScannBenutzer.Role)
+        this.approvalConfig = loadApprovalConfig();
+        this.pendingApproval = null; // { permission, ownerUserId, resolve, timer }
+        this.approvalGrant = null; // { userId, userName, role, expiresAt }
+        this.lastCapturedTag = null; // { tagId, at } - letzter Tag für Anlernen/Freigabe
+
+        // Pausen per RFID-Geste: none | tap | double_tap (zweiter Tap muss nach dem RFID-Cooldown kommen)
+        const pauseGesture = (process.env.RFID_PAUSE_GESTURE || 'none').trim().toLowerCase();
+        this.rfidPauseGesture = ['none', 'tap', 'double_tap'].includes(pauseGesture) ? pauseGesture : 'none';
+        this.rfidDoubleTapWindow = Math.max(
+            parseInt(process.env.RFID_DOUBLE_TAP_WINDOW) || 5000,
+            this.rfidScanCooldown + 1000
+        );
+        this.pendingRFIDTaps = new Map(); // userId -> timer (erster Tap wartet auf den zweiten)
+
+        // RFID-Backend (RFID_BACKEND): seriell (falls RFID_SERIAL_PORT), HID, danach Tastatur-Erfassung
+        this.rfidListenerConfig = loadRFIDListenerConfig();
+
+        // Tag-IDs je Leser-Profil normalisieren (RFID_TAG_PROFILE), Benutzer auch über gleichwertige Formen suchen
+        this.tagNormalizer = new TagNormalizer(TagNormalizer.loadTagNormalizerConfig());
+
+        // Session-Bereinigung: überfällige Sessions automatisch beenden (Timeout / Absturz)
+        this.sessionReconciler = null;
+        this.autoClosedSessions = []; // Zuletzt automatisch beendete Sessions für die Anzeige
+        this.maxAutoClosedSessions = 50;
+
+        // Session-Snapshot: aktive Sessions, Rate-Limit-Fenster und Statistiken überstehen Absturz/Neustart
+        this.sessionSnapshot = null;
+        this.sessionSnapshotPending = null;
+
+        // Supervisor-Dashboard: eigenes Fenster, Daten werden bei Session-/Scan-Ereignissen gepusht
+        this.dashboardConfig = loadDashboardConfig();
+        this.supervisorWindow = null;
+        this.supervisorDashboard = null;
 
         this.initializeApp();
     }
@@ -114,6 +177,10 @@ class WareneinlagerungMainApp {
 
         // App bereit
         app.whenReady().then(() => {
+            // Offline-Journal und Session-Snapshot vor dem Fenster laden, damit aktive Sessions sofort bereitstehen
+            this.initializeOfflineJournal();
+            this.restoreSessionSnapshot();
+
             this.createMainWindow();
             this.initializeComponents();
 
@@ -200,6 +267,11 @@ class WareneinlagerungMainApp {
         // Fenster geschlossen
         this.mainWindow.on('closed', () => {
             this.mainWindow = null;
+
+            // Dashboard-Fenster allein hält die App nicht am Leben
+            if (this.supervisorWindow) {
+                this.supervisorWindow.close();
+            }
         });
 
         // Prevent navigation away from the app
@@ -231,7 +303,7 @@ class WareneinlagerungMainApp {
     async initializeComponents() {
         console.log('🔄 Initialisiere Systemkomponenten...');
 
-        // Datenbank zuerst
+        // Datenbank zuerst (Offline-Journal ist bereits geladen, ausstehende Einträge werden beim Verbinden abgespielt)
         await this.initializeDatabase();
 
         // RFID-Listener (mit Fallback)
@@ -247,7 +319,12 @@ class WareneinlagerungMainApp {
         try {
             console.log('📊 Initialisiere Datenbankverbindung...');
 
-            this.dbClient = new DatabaseClient();
+            // Embedded SQLite-Datenbank liegt ohne SQLITE_PATH im Benutzerverzeichnis der App
+            this.dbClient = new DatabaseClient({
+                sqlitePath: process.env.SQLITE_PATH || path.join(app.getPath('userData'), 'wareneinlagerung.sqlite'),
+                scanPolicy: this.scanPolicy
+            });
+            this.setupDatabaseSupervisor();
             await this.dbClient.connect();
 
             this.systemStatus.database = true;
@@ -261,12 +338,24 @@ class WareneinlagerungMainApp {
             // QR-Code Dekodierung Statistiken laden
             await this.loadDecodingStats();
 
+            // Benutzer für Offline-Anmeldung zwischenspeichern und ausstehende Journal-Einträge abspielen
+            await this.cacheUsersForOffline();
+            await this.replayOfflineJournal();
+
+            // Überfällige Sessions aus dem letzten Lauf beenden und Timeout-Prüfung starten
+            await this.startSessionReconciler();
+
+            // Aktive Sessions mit der Datenbank abgleichen (Snapshot ergänzen bzw. korrigieren)
+            await this.restoreSessionsFromDatabase();
+
         } catch (error) {
             this.systemStatus.database = false;
             this.systemStatus.lastError = `Datenbank: ${error.message}`;
 
             console.error('❌ Datenbank-Initialisierung fehlgeschlagen:', error);
 
+            // Der Connection Supervisor verbindet im Hintergrund weiter - Scans landen bis dahin im Offline-Journal
+
             // Benutzer informieren
             if (this.mainWindow) {
                 dialog.showErrorBox(
@@ -275,7 +364,8 @@ class WareneinlagerungMainApp {
                     'Bitte überprüfen Sie:\n' +
                     '• Netzwerkverbindung\n' +
                     '• .env Konfiguration\n' +
-                    '• SQL Server Verfügbarkeit'
+                    '• SQL Server Verfügbarkeit\n\n' +
+                    'Scans werden bis zur Wiederverbindung im Offline-Journal gespeichert.'
                 );
             }
         }
@@ -289,8 +379,8 @@ class WareneinlagerungMainApp {
         try {
             console.log('🔧 Initialisiere SessionTypes...');
 
-            // SessionTypes Setup mit roher Datenbankverbindung ausführen
-            const success = await setupSessionTypes(this.dbClient);
+            // SessionTypes Setup über das Backend des DatabaseClient ausführen
+            const success = await this.dbClient.setupSessionTypes();
 
             if (success) {
                 this.systemStatus.sessionTypesSetup = true;
@@ -373,23 +463,23 @@ class WareneinlagerungMainApp {
         try {
             console.log('🏷️ Initialisiere RFID-Listener...');
 
-            if (!SimpleRFIDListener) {
-                throw new Error('Simple RFID-Listener nicht verfügbar');
-            }
-
-            this.rfidListener = new SimpleRFIDListener((tagId) => {
-                this.handleRFIDScan(tagId);
-            });
+            const { listener, ...backend } = await createRFIDListener((tagId) => {
+                this.dispatchRFIDTag(tagId);
+            }, { config: this.rfidListenerConfig, normalizer: this.tagNormalizer });
 
-            const started = await this.rfidListener.start();
+            this.rfidBackend = backend;
 
-            if (started) {
-                this.systemStatus.rfid = true;
-                console.log('✅ RFID-Listener erfolgreich gestartet');
-            } else {
-                throw new Error('RFID-Listener konnte nicht gestartet werden');
+            if (!listener) {
+                const tried = backend.attempts.map(attempt => `${attempt.backend}: ${attempt.error}`).join('; ');
+                throw new Error(`Kein RFID-Backend konnte gestartet werden (${tried})`);
             }
 
+            this.rfidListener = listener;
+            this.attachRFIDListenerEvents(listener);
+
+            this.systemStatus.rfid = true;
+            console.log(`✅ RFID-Listener erfolgreich gestartet (Backend: ${backend.backend})`);
+
         } catch (error) {
             this.systemStatus.rfid = false;
             this.systemStatus.lastError = `RFID: ${error.message}`;
@@ -404,15 +494,36 @@ class WareneinlagerungMainApp {
         }
     }
 
+    /**
+     * Laufzeit-Ereignisse des aktiven Listeners (gemeinsame Schnittstelle aller Backends)
+     * @param {EventEmitter} listener - Ergebnis von createRFIDListener()
+     */
+    attachRFIDListenerEvents(listener) {
+        listener.on('invalid-tag', ({ tagId, reason }) => {
+            console.warn(`⚠️ Ungültiger RFID-Tag verworfen: "${tagId}" (${reason})`);
+        });
+
+        listener.on('error', (error) => {
+            console.error(`❌ RFID-Backend ${this.rfidBackend?.backend} Fehler:`, error.message);
+            this.systemStatus.lastError = `RFID: ${error.message}`;
+
+            // z.B. HID-Leser abgezogen - der Listener hat sich selbst gestoppt
+            if (!listener.getStatus().listening) {
+                this.systemStatus.rfid = false;
+            }
+        });
+    }
+
     /**
      * KORRIGIERTE HILFSFUNKTION: Session mit Fallback erstellen
      * Versucht verschiedene SessionTypes in Prioritätsreihenfolge
      * @param {number} userId - Benutzer ID
      * @param {Array} sessionTypePriority - Prioritätsliste der SessionTypes (optional)
      * @param {boolean} closeExistingSessions - Bestehende Sessions beenden (default: true)
+     * @param {Object} options - Audit-Kontext { actorUserId, source }
      * @returns {Object} - { session, sessionTypeName, fallbackUsed }
      */
-    async createSessionWithFallback(userId, sessionTypePriority = null, closeExistingSessions = true) {
+    async createSessionWithFallback(userId, sessionTypePriority = null, closeExistingSessions = true, options = {}) {
         const typesToTry = sessionTypePriority || this.sessionTypePriority;
 
         if (typesToTry.length === 0) {
@@ -426,7 +537,7 @@ class WareneinlagerungMainApp {
                 console.log(`🔄 Versuche SessionType: ${sessionType} (closeExisting: ${closeExistingSessions})`);
 
                 // ===== KRITISCH: closeExistingSessions Parameter übergeben =====
-                const session = await this.dbClient.createSession(userId, sessionType, closeExistingSessions);
+                const session = await this.dbClient.createSession(userId, sessionType, closeExistingSessions, options);
 
                 if (session) {
                     const fallbackUsed = sessionType !== typesToTry[0];
@@ -449,6 +560,103 @@ class WareneinlagerungMainApp {
         throw new Error(`Alle SessionTypes fehlgeschlagen. Letzter Fehler: ${lastError?.message || 'Unbekannt'}`);
     }
 
+    /**
+     * Prioritätsliste mit dem gewählten SessionType an erster Stelle
+     * @param {string} sessionType - Gewählter SessionType (optional)
+     * @returns {Array|null} - Prioritätsliste oder null (Standard-Priorität)
+     */
+    getSessionTypeOrder(sessionType = null) {
+        if (!sessionType) {
+            return null;
+        }
+
+        return [sessionType, ...this.sessionTypePriority.filter(typeName => typeName !== sessionType)];
+    }
+
+    // ===== SESSIONTYPE-AUSWAHL NACH RFID-ANMELDUNG =====
+
+    /**
+     * Wählbare SessionTypes für den Picker im Renderer
+     * @returns {Array} - [{ name, icon, color, description }]
+     */
+    getSelectableSessionTypes() {
+        return [...new Set(this.sessionTypePriority)].map(typeName => {
+            const config = getSessionTypeConfig(typeName) || {};
+            return {
+                name: typeName,
+                icon: config.icon || '📋',
+                color: config.color || 'gray',
+                description: config.description || ''
+            };
+        });
+    }
+
+    /**
+     * Vorauswahl für den Picker: zuletzt genutzter SessionType des Benutzers, sonst Standard
+     * @param {number} userId - Benutzer ID
+     * @returns {string} - SessionType-Name
+     */
+    async getDefaultSessionTypeForUser(userId) {
+        const lastType = await this.dbClient.getLastSessionTypeName(userId);
+
+        if (lastType && this.sessionTypePriority.includes(lastType)) {
+            return lastType;
+        }
+
+        return this.sessionTypePriority[0] || 'Wareneinlagerung';
+    }
+
+    /**
+     * Renderer nach dem SessionType fragen - die Session wird erst mit der Antwort
+     * (session-create mit sessionType) oder nach Ablauf des Timeouts erstellt
+     * @param {Object} user - Benutzer aus ScannBenutzer
+     */
+    async requestSessionTypeSelection(user) {
+        const sessionTypes = this.getSelectableSessionTypes();
+        const defaultType = await this.getDefaultSessionTypeForUser(user.ID);
+
+        // Keine Auswahl nötig
+        if (sessionTypes.length <= 1 || !this.mainWindow) {
+            return await this.createNewSessionForUser(user, defaultType);
+        }
+
+        // Fallback, falls der Renderer nicht antwortet (Fenster neu geladen o.ä.)
+        const timer = setTimeout(() => {
+            console.warn(`⏱️ Keine SessionType-Auswahl für ${user.BenutzerName} - verwende '${defaultType}'`);
+            this.completeSessionTypeSelection(user.ID, null);
+        }, this.sessionTypePickerTimeout + 5000);
+
+        this.pendingTypeSelections.set(user.ID, { user, defaultType, timer });
+
+        this.sendToRenderer('session-type-select', {
+            user,
+            sessionTypes,
+            defaultType,
+            timeoutMs: this.sessionTypePickerTimeout,
+            timestamp: new Date().toISOString()
+        });
+
+        console.log(`🗂️ SessionType-Auswahl für ${user.BenutzerName} angefordert (Vorauswahl: ${defaultType})`);
+    }
+
+    /**
+     * Offene SessionType-Auswahl abschließen und Session erstellen
+     * @param {number} userId - Benutzer ID
+     * @param {string} sessionType - Gewählter SessionType (null = Vorauswahl)
+     * @returns {Object|null} - Erstellte Session oder null
+     */
+    async completeSessionTypeSelection(userId, sessionType = null) {
+        const pending = this.pendingTypeSelections.get(userId);
+        if (!pending) {
+            return null;
+        }
+
+        clearTimeout(pending.timer);
+        this.pendingTypeSelections.delete(userId);
+
+        return await this.createNewSessionForUser(pending.user, sessionType || pending.defaultType);
+    }
+
     setupIPCHandlers() {
         // ===== DATENBANK OPERATIONEN =====
         ipcMain.handle('db-query', async (event, query, params) => {
@@ -456,6 +664,12 @@ class WareneinlagerungMainApp {
                 if (!this.dbClient || !this.systemStatus.database) {
                     throw new Error('Datenbank nicht verbunden');
                 }
+
+                const approval = await this.requireApproval('db.query');
+                if (!approval.approved) {
+                    throw new Error(approval.message);
+                }
+
                 return await this.dbClient.query(query, params);
             } catch (error) {
                 console.error('DB Query Fehler:', error);
@@ -479,7 +693,19 @@ class WareneinlagerungMainApp {
         ipcMain.handle('session-get-all-active', async (event) => {
             try {
                 if (!this.dbClient || !this.systemStatus.database) {
-                    return [];
+                    // Offline: lokale Sessions liefern, damit der Renderer sie nicht verwirft
+                    return Array.from(this.activeSessions.values()).map(sessionData => ({
+                        ID: sessionData.sessionId,
+                        UserID: sessionData.userId,
+                        UserName: this.offlineJournal?.findCachedUserById(sessionData.userId)?.BenutzerName,
+                        UserRole: sessionData.role,
+                        StartTS: this.normalizeTimestamp(sessionData.startTime),
+                        SessionTypeName: sessionData.sessionType,
+                        ScanCount: sessionData.scanCount || 0,
+                        localStartTime: sessionData.startTime,
+                        ...this.getPauseState(sessionData),
+                        Offline: true
+                    }));
                 }
 
                 // Aktive Sessions aus Datenbank laden
@@ -490,8 +716,11 @@ class WareneinlagerungMainApp {
                     const localSession = this.activeSessions.get(session.UserID);
                     return {
                         ...session,
+                        UserName: session.BenutzerName,
+                        ScanCount: session.ScanCount + (this.offlineJournal?.getPendingScanCount(session.ID) || 0),
                         StartTS: this.normalizeTimestamp(session.StartTS),
-                        localStartTime: localSession ? localSession.startTime : session.StartTS
+                        localStartTime: localSession ? localSession.startTime : session.StartTS,
+                        ...this.getPauseState(localSession || this.getPauseStateFromRow(session))
                     };
                 });
 
@@ -502,31 +731,47 @@ class WareneinlagerungMainApp {
             }
         });
 
-        ipcMain.handle('session-create', async (event, userId) => {
+        ipcMain.handle('session-create', async (event, userId, sessionType = null) => {
             try {
                 if (!this.dbClient || !this.systemStatus.database) {
                     throw new Error('Datenbank nicht verbunden');
                 }
 
-                // Session mit Fallback erstellen
-                const { session, sessionTypeName, fallbackUsed } = await this.createSessionWithFallback(userId);
+                // Antwort auf den SessionType-Picker nach RFID-Anmeldung (der Badge wurde gerade gelesen)
+                if (this.pendingTypeSelections.has(userId)) {
+                    return await this.completeSessionTypeSelection(userId, sessionType);
+                }
+
+                // Sonst wie beim Beenden: Badge des Benutzers selbst oder der Schichtleitung
+                const approval = await this.requireApproval('session.create', { ownerUserId: userId });
+                if (!approval.approved) {
+                    return null;
+                }
+
+                // Session mit Fallback erstellen (gewählter SessionType zuerst)
+                const { session, sessionTypeName, fallbackUsed } = await this.createSessionWithFallback(
+                    userId,
+                    this.getSessionTypeOrder(sessionType),
+                    true,
+                    { actorUserId: approval.userId, source: 'session_create' }
+                );
 
                 if (session) {
                     // Lokale Session-Daten setzen/aktualisieren
                     this.activeSessions.set(userId, {
                         sessionId: session.ID,
                         userId: userId,
+                        role: this.getCachedUserRole(userId),
                         startTime: session.StartTS,
                         lastActivity: new Date(),
-                        sessionType: sessionTypeName
+                        sessionType: sessionTypeName,
+                        pausedSince: null,
+                        pausedMs: 0
                     });
 
                     // Session-Timer starten
                     this.startSessionTimer(session.ID, userId);
 
-                    // Rate Limit für neue Session initialisieren
-                    this.qrScanRateLimit.set(session.ID, []);
-
                     // Zeitstempel normalisieren für konsistente Übertragung
                     const normalizedSession = {
                         ...session,
@@ -556,31 +801,48 @@ class WareneinlagerungMainApp {
             try {
                 console.log(`🔄 Session-Restart Request für Session ${sessionId}, User ${userId}`);
 
+                const approval = await this.requireApproval('session.restart', {
+                    ownerUserId: this.getUserIdForSession(sessionId) || userId
+                });
+                if (!approval.approved) {
+                    return this.createApprovalDeniedResult(approval);
+                }
+
                 // 1. Aktuelle Session beenden
-                const endSuccess = await this.dbClient.endSession(sessionId);
+                const endSuccess = await this.dbClient.endSession(sessionId, {
+                    actorUserId: approval.userId,
+                    source: 'session_restart',
+                    endReason: SESSION_END_REASONS.RESTART
+                });
 
                 if (endSuccess) {
-                    // 2. Lokale Session-Daten entfernen
+                    // 2. Lokale Session-Daten entfernen (Rolle geht auf die neue Session über)
+                    const role = this.activeSessions.get(userId)?.role || this.getCachedUserRole(userId);
                     this.activeSessions.delete(userId);
                     this.stopSessionTimer(sessionId);
-                    this.qrScanRateLimit.delete(sessionId);
+                    this.scanPolicy.forgetSession(sessionId);
 
                     // 3. Neue Session erstellen
-                    const { session, sessionTypeName, fallbackUsed } = await this.createSessionWithFallback(userId, null, false);
+                    const { session, sessionTypeName, fallbackUsed } = await this.createSessionWithFallback(userId, null, false, {
+                        actorUserId: approval.userId,
+                        source: 'session_restart'
+                    });
 
                     if (session) {
                         // 4. Lokale Session-Daten setzen
                         this.activeSessions.set(userId, {
                             sessionId: session.ID,
                             userId: userId,
+                            role,
                             startTime: new Date(session.StartTS),
                             lastActivity: new Date(),
-                            sessionType: sessionTypeName
+                            sessionType: sessionTypeName,
+                            pausedSince: null,
+                            pausedMs: 0
                         });
 
                         // 5. Session-Timer starten
                         this.startSessionTimer(session.ID, userId);
-                        this.qrScanRateLimit.set(session.ID, []);
 
                         console.log(`✅ Session-Restart erfolgreich: Alte Session ${sessionId} → Neue Session ${session.ID}`);
 
@@ -606,11 +868,40 @@ class WareneinlagerungMainApp {
 
         ipcMain.handle('session-end', async (event, sessionId, userId) => {
             try {
-                if (!this.dbClient || !this.systemStatus.database) {
-                    return false;
+                // Eigene Session: Badge des Inhabers genügt, fremde Session: Schichtleitung
+                const approval = await this.requireApproval('session.end', {
+                    ownerUserId: this.getUserIdForSession(sessionId) || userId
+                });
+                if (!approval.approved) {
+                    return this.createApprovalDeniedResult(approval);
                 }
 
-                const success = await this.dbClient.endSession(sessionId);
+                if (!this.dbClient || !this.systemStatus.database || this.offlineJournal?.isLocalSessionId(sessionId)) {
+                    if (!this.offlineJournal) {
+                        return false;
+                    }
+
+                    // Offline oder noch nicht synchronisierte Session: Ende im Journal vermerken
+                    this.offlineJournal.addEntry('session-end', {
+                        sessionId,
+                        userId,
+                        endedAt: new Date().toISOString(),
+                        endReason: SESSION_END_REASONS.LOGOUT
+                    });
+
+                    this.activeSessions.delete(userId);
+                    this.stopSessionTimer(sessionId);
+                    this.scanPolicy.forgetSession(sessionId);
+
+                    console.log(`Session ${sessionId} für Benutzer ${userId} offline beendet`);
+                    return true;
+                }
+
+                const success = await this.dbClient.endSession(sessionId, {
+                    actorUserId: approval.userId,
+                    source: 'logout',
+                    endReason: SESSION_END_REASONS.LOGOUT
+                });
 
                 if (success) {
                     // Lokale Session-Daten entfernen
@@ -619,8 +910,8 @@ class WareneinlagerungMainApp {
                     // Session-Timer stoppen
                     this.stopSessionTimer(sessionId);
 
-                    // Rate Limit für Session zurücksetzen
-                    this.qrScanRateLimit.delete(sessionId);
+                    // Scan-Policy-Zustand (Cooldown/Rate-Limit) der Session verwerfen
+                    this.scanPolicy.forgetSession(sessionId);
 
                     console.log(`Session ${sessionId} für Benutzer ${userId} beendet`);
                 }
@@ -632,25 +923,50 @@ class WareneinlagerungMainApp {
             }
         });
 
+        ipcMain.handle('session-pause', async (event, sessionId, userId, reason = null) => {
+            if (this.activeSessions.get(userId)?.sessionId !== sessionId) {
+                return this.createPauseResult(false, 'no_session', 'Session ist nicht aktiv');
+            }
+
+            const approval = await this.requireApproval('session.pause', { ownerUserId: userId });
+            if (!approval.approved) {
+                return this.createApprovalDeniedResult(approval);
+            }
+
+            return await this.pauseSessionForUser(userId, { reason, source: 'pause_button', actorUserId: approval.userId });
+        });
+
+        ipcMain.handle('session-resume', async (event, sessionId, userId) => {
+            if (this.activeSessions.get(userId)?.sessionId !== sessionId) {
+                return this.createPauseResult(false, 'no_session', 'Session ist nicht aktiv');
+            }
+
+            const approval = await this.requireApproval('session.resume', { ownerUserId: userId });
+            if (!approval.approved) {
+                return this.createApprovalDeniedResult(approval);
+            }
+
+            return await this.resumeSessionForUser(userId, { source: 'pause_button', actorUserId: approval.userId });
+        });
+
         // ===== QR-CODE OPERATIONEN =====
         ipcMain.handle('qr-scan-save', async (event, sessionId, payload) => {
             try {
-                if (!this.dbClient || !this.systemStatus.database) {
-                    return {
-                        success: false,
-                        status: 'database_offline',
-                        message: 'Datenbank nicht verbunden',
-                        data: null,
-                        timestamp: new Date().toISOString()
-                    };
+                if (this.isSessionPaused(sessionId)) {
+                    return this.createSessionPausedResult();
+                }
+
+                const isOffline = !this.dbClient || !this.systemStatus.database;
+
+                if ((isOffline || this.offlineJournal?.isLocalSessionId(sessionId)) && this.offlineJournal) {
+                    return this.journalQRScan(sessionId, payload);
                 }
 
-                // Rate Limiting prüfen
-                if (!this.checkQRScanRateLimit(sessionId)) {
+                if (isOffline) {
                     return {
                         success: false,
-                        status: 'rate_limit',
-                        message: 'Zu viele QR-Scans pro Minute - bitte warten Sie',
+                        status: 'database_offline',
+                        message: 'Datenbank nicht verbunden',
                         data: null,
                         timestamp: new Date().toISOString()
                     };
@@ -659,13 +975,20 @@ class WareneinlagerungMainApp {
                 // Payload bereinigen (BOM entfernen falls vorhanden)
                 const cleanPayload = payload.replace(/^\ufeff/, '');
 
-                // QR-Scan speichern
-                const result = await this.dbClient.saveQRScan(sessionId, cleanPayload);
+                // QR-Scan speichern (Scan-Policy wird im QRScanModule ausgewertet)
+                const result = await this.dbClient.saveQRScan(sessionId, cleanPayload, {
+                    actorUserId: this.getUserIdForSession(sessionId),
+                    sessionType: this.getSessionTypeForSession(sessionId),
+                    source: 'qr_scan'
+                });
 
-                // Rate Limit Counter aktualisieren bei erfolgreichen Scans
-                if (result.success) {
-                    this.updateQRScanRateLimit(sessionId);
+                // Verbindung während des Speicherns verloren: Scan nicht verwerfen, sondern puffern
+                if (!result.success && !this.dbClient.isConnected && this.offlineJournal) {
+                    this.handleDatabaseOffline();
+                    return this.journalQRScan(sessionId, cleanPayload);
+                }
 
+                if (result.success) {
                     // Dekodierung-Statistiken aktualisieren
                     await this.updateDecodingStats(result);
 
@@ -694,6 +1017,110 @@ class WareneinlagerungMainApp {
             }
         });
 
+        // Supervisor-Freigabe für einen Scan mit abweichendem Format (status 'wrong_format_for_session_type')
+        ipcMain.handle('qr-scan-override', async (event, sessionId, payload, confirmation = {}) => {
+            try {
+                if (this.isSessionPaused(sessionId)) {
+                    return this.createSessionPausedResult();
+                }
+
+                if (!this.dbClient || !this.systemStatus.database || this.offlineJournal?.isLocalSessionId(sessionId)) {
+                    return {
+                        success: false,
+                        status: 'database_offline',
+                        message: 'Freigaben sind nur mit Datenbankverbindung möglich',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                const reason = (confirmation.reason || '').trim();
+                if (!reason) {
+                    return {
+                        success: false,
+                        status: 'invalid_override',
+                        message: 'Freigabe benötigt eine Begründung',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                // Bestätigender Benutzer ist der freigebende Badge - nicht der Session-Inhaber
+                const approval = await this.requireApproval('qrscan.format_override');
+                if (!approval.approved) {
+                    return this.createApprovalDeniedResult(approval);
+                }
+
+                const result = await this.dbClient.saveQRScan(sessionId, payload.replace(/^\ufeff/, ''), {
+                    actorUserId: this.getUserIdForSession(sessionId),
+                    sessionType: this.getSessionTypeForSession(sessionId),
+                    source: 'qr_scan',
+                    formatOverride: {
+                        confirmedByUserId: approval.userId,
+                        reason: reason.substring(0, 200)
+                    }
+                });
+
+                if (result.success) {
+                    await this.updateDecodingStats(result);
+                    this.updateSessionActivity(sessionId);
+                }
+
+                console.log(`QR-Scan Freigabe für Session ${sessionId}:`, {
+                    success: result.success,
+                    status: result.status,
+                    confirmedBy: approval.userId
+                });
+
+                return result;
+            } catch (error) {
+                console.error('QR Scan Freigabe Fehler:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Unerwarteter Fehler: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        ipcMain.handle('qr-scan-void', async (event, scanId, reasonCode) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return {
+                        success: false,
+                        status: 'database_offline',
+                        message: 'Stornieren ist nur mit Datenbankverbindung möglich',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                const approval = await this.requireApproval('qrscan.void');
+                if (!approval.approved) {
+                    return this.createApprovalDeniedResult(approval);
+                }
+
+                const result = await this.dbClient.voidQRScan(scanId, reasonCode, approval.userId, { source: 'scan_table' });
+
+                if (result.success) {
+                    this.updateSessionScanCount(result.data.SessionID, -1);
+                }
+
+                return result;
+            } catch (error) {
+                console.error('QR Scan Void Fehler:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Unerwarteter Fehler: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
         // ===== QR-CODE DEKODIERUNG OPERATIONEN =====
         ipcMain.handle('qr-get-decoded-scans', async (event, sessionId, limit = 50) => {
             try {
@@ -724,6 +1151,19 @@ class WareneinlagerungMainApp {
             }
         });
 
+        ipcMain.handle('qr-search-scans', async (event, criteria = {}) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return { items: [], total: 0, page: 1, pageSize: 0, totalPages: 0 };
+                }
+
+                return await this.dbClient.searchDecodedScans(criteria);
+            } catch (error) {
+                console.error('Fehler bei strukturierter QR-Code-Suche:', error);
+                return { items: [], total: 0, page: 1, pageSize: 0, totalPages: 0, error: error.message };
+            }
+        });
+
         ipcMain.handle('qr-get-decoding-stats', async (event, sessionId = null) => {
             try {
                 if (!this.dbClient || !this.systemStatus.database) {
@@ -742,6 +1182,10 @@ class WareneinlagerungMainApp {
             }
         });
 
+        ipcMain.handle('qr-get-scan-policy', async () => {
+            return this.scanPolicy.describe();
+        });
+
         // ===== SYSTEM STATUS =====
         ipcMain.handle('get-system-status', async (event) => {
             return {
@@ -754,61 +1198,469 @@ class WareneinlagerungMainApp {
                 sessionTypePriority: this.sessionTypePriority,
                 uptime: Math.floor(process.uptime()),
                 timestamp: new Date().toISOString(),
-                qrScanStats: this.getQRScanStats(),
-                decodingStats: this.decodingStats
+                qrScanStats: this.scanPolicy.getStats(),
+                decodingStats: this.decodingStats,
+                offlineJournal: this.offlineJournal ? this.offlineJournal.getSummary(0) : null
             };
         });
 
-        ipcMain.handle('get-system-info', async (event) => {
-            return {
-                version: app.getVersion() || '1.0.0',
-                electronVersion: process.versions.electron,
-                nodeVersion: process.versions.node,
-                platform: process.platform,
-                arch: process.arch,
-                env: process.env.NODE_ENV || 'production',
-                type: 'wareneinlagerung',
-                features: {
-                    qrDecoding: true,
-                    parallelSessions: true,
-                    sessionEnd: true,
-                    sessionRestart: true, // Session-Restart als Session-Ende + Neue Session
-                    sessionTypeFallback: true,
-                    sessionTypesSetup: this.systemStatus.sessionTypesSetup,
-                    decodingFormats: ['caret_separated', 'pattern_matching', 'structured_data'],
-                    supportedFields: ['auftrags_nr', 'paket_nr', 'kunden_name']
-                }
-            };
+        // ===== FREIGABEN =====
+        // Admin-Ansichten holen die Freigabe vor dem Öffnen - die Daten-Handler prüfen trotzdem selbst
+        ipcMain.handle('auth-authorize', async (event, permission) => {
+            return this.requireApproval(permission);
         });
 
-        // ===== RFID OPERATIONEN =====
-        ipcMain.handle('rfid-get-status', async (event) => {
-            return this.rfidListener ? this.rfidListener.getStatus() : {
-                listening: false,
-                type: 'not-available',
-                message: 'RFID-Listener nicht verfügbar'
-            };
+        ipcMain.handle('auth-cancel-approval', async () => {
+            this.finishApproval(this.createApprovalResult(false, 'approval_canceled', 'Freigabe abgebrochen'));
+            return true;
         });
 
-        ipcMain.handle('rfid-simulate-tag', async (event, tagId) => {
+        // ===== AUDIT-TRAIL =====
+        ipcMain.handle('audit-get-log', async (event, criteria = {}) => {
             try {
-                if (!this.rfidListener) {
-                    // Direkte Simulation wenn kein Listener verfügbar
-                    console.log(`🧪 Direkte RFID-Simulation: ${tagId}`);
-                    await this.handleRFIDScan(tagId);
-                    return true;
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return { items: [], total: 0, page: 1, pageSize: 0, totalPages: 0 };
                 }
-                return this.rfidListener.simulateTag(tagId);
+
+                const approval = await this.requireApproval('audit.view');
+                if (!approval.approved) {
+                    return { items: [], total: 0, page: 1, pageSize: 0, totalPages: 0, status: approval.status, error: approval.message };
+                }
+
+                return await this.dbClient.getAuditLog(criteria);
             } catch (error) {
-                console.error('RFID Simulate Fehler:', error);
-                return false;
+                console.error('Fehler beim Abrufen des Audit-Trails:', error);
+                return { items: [], total: 0, page: 1, pageSize: 0, totalPages: 0, error: error.message };
             }
         });
 
-        // ===== APP STEUERUNG =====
-        ipcMain.handle('app-minimize', () => {
-            if (this.mainWindow) {
-                this.mainWindow.minimize();
+        ipcMain.handle('audit-get-session-history', async (event, sessionId) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return [];
+                }
+
+                const approval = await this.requireApproval('audit.view');
+                if (!approval.approved) {
+                    return [];
+                }
+
+                return await this.dbClient.getSessionAuditHistory(sessionId);
+            } catch (error) {
+                console.error('Fehler beim Abrufen der Session-Historie:', error);
+                return [];
+            }
+        });
+
+        // ===== OFFLINE-JOURNAL =====
+        ipcMain.handle('journal-get-status', async () => {
+            return this.offlineJournal ? this.offlineJournal.getSummary() : null;
+        });
+
+        // ===== SESSION-BEREINIGUNG =====
+        ipcMain.handle('session-get-auto-closed', async () => {
+            return this.autoClosedSessions;
+        });
+
+        // ===== STUNDENZETTEL =====
+        ipcMain.handle('timesheet-generate', async (event, criteria = {}) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return { success: false, message: 'Datenbank nicht verbunden' };
+                }
+
+                const approval = await this.requireApproval('timesheet.view');
+                if (!approval.approved) {
+                    return this.createApprovalDeniedResult(approval);
+                }
+
+                const timesheet = await new TimesheetGenerator(this.dbClient).generate(criteria);
+                return { success: true, data: timesheet };
+            } catch (error) {
+                console.error('Fehler beim Erstellen des Stundenzettels:', error);
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('timesheet-export', async (event, criteria = {}) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return { success: false, message: 'Datenbank nicht verbunden' };
+                }
+
+                const approval = await this.requireApproval('timesheet.view');
+                if (!approval.approved) {
+                    return this.createApprovalDeniedResult(approval);
+                }
+
+                const layout = criteria.layout || TIMESHEET_LAYOUTS.DAYS;
+                const generator = new TimesheetGenerator(this.dbClient);
+                const timesheet = await generator.generate(criteria);
+                const csv = generator.toCSV(timesheet, layout);
+
+                const { canceled, filePath } = await dialog.showSaveDialog(this.mainWindow, {
+                    title: 'Stundenzettel exportieren',
+                    defaultPath: path.join(app.getPath('documents'), generator.getFileName(timesheet, layout)),
+                    filters: [{ name: 'CSV', extensions: ['csv'] }]
+                });
+
+                if (canceled || !filePath) {
+                    return { success: false, canceled: true, message: 'Export abgebrochen' };
+                }
+
+                fs.writeFileSync(filePath, csv, 'utf8');
+
+                const rows = layout === TIMESHEET_LAYOUTS.WEEKS ? timesheet.weeks.length : timesheet.days.length;
+                console.log(`Stundenzettel exportiert: ${filePath} (${rows} Zeilen)`);
+
+                return { success: true, filePath, rows, message: `${rows} Zeilen exportiert` };
+            } catch (error) {
+                console.error('Fehler beim Stundenzettel-Export:', error);
+                return { success: false, message: error.message };
+            }
+        });
+
+        // ===== BENUTZERVERWALTUNG =====
+        ipcMain.handle('users-get-all', async () => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return [];
+                }
+
+                const approval = await this.requireApproval('users.manage');
+                if (!approval.approved) {
+                    return [];
+                }
+
+                return await this.dbClient.getAllUsers();
+            } catch (error) {
+                console.error('Fehler beim Abrufen der Benutzer:', error);
+                return [];
+            }
+        });
+
+        // data: { firstName, lastName, userName, email, department }
+        ipcMain.handle('users-create', async (event, data = {}) => {
+            return this.runUserAdminAction(approval => this.dbClient.createUser(data, { actorUserId: approval.userId, source: 'user_admin' }));
+        });
+
+        ipcMain.handle('users-update', async (event, userId, data = {}) => {
+            return this.runUserAdminAction(approval => this.dbClient.updateUser(userId, data, { actorUserId: approval.userId, source: 'user_admin' }));
+        });
+
+        ipcMain.handle('users-set-role', async (event, userId, role) => {
+            return this.runUserAdminAction(approval => this.dbClient.setUserRole(userId, role, { actorUserId: approval.userId, source: 'user_admin' }));
+        });
+
+        ipcMain.handle('users-set-active', async (event, userId, active) => {
+            // Deaktivieren nur ohne laufende Session - sonst bliebe eine Session ohne gültigen Benutzer offen
+            if (!active && this.activeSessions.has(userId)) {
+                return {
+                    success: false,
+                    status: 'active_session',
+                    message: 'Benutzer hat eine aktive Session - bitte zuerst abmelden',
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            return this.runUserAdminAction(approval => this.dbClient.setUserActive(userId, !!active, { actorUserId: approval.userId, source: 'user_admin' }));
+        });
+
+        // Wartet auf den nächsten RFID-Tag (oder Timeout/Abbruch) und liefert das Ergebnis der Zuweisung
+        // tagType: 'personal' (ersetzt den bisherigen Badge) | 'visitor' (VISITOR_BADGE_HOURS gültig)
+        ipcMain.handle('users-enroll-badge', async (event, userId, tagType = TAG_TYPES.PERSONAL) => {
+            return this.startBadgeEnrollment(userId, tagType);
+        });
+
+        ipcMain.handle('users-get-tags', async (event, userId) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return [];
+                }
+
+                const approval = await this.requireApproval('users.manage');
+                if (!approval.approved) {
+                    return [];
+                }
+
+                return await this.dbClient.getUserTags(userId);
+            } catch (error) {
+                console.error('Fehler beim Abrufen der Badges:', error);
+                return [];
+            }
+        });
+
+        // status: 'lost' (verloren gemeldet) | 'revoked' (zurückgegeben/gesperrt)
+        ipcMain.handle('users-set-tag-status', async (event, tagId, status, reason = null) => {
+            return this.runUserAdminAction(approval => this.dbClient.setTagStatus(tagId, status, reason, { actorUserId: approval.userId, source: 'user_admin' }));
+        });
+
+        ipcMain.handle('users-cancel-enrollment', async () => {
+            this.finishBadgeEnrollment({ success: false, status: 'canceled', message: 'Badge anlernen abgebrochen' });
+            return true;
+        });
+
+        // ===== STATISTIK-DIAGRAMME =====
+        // filters: { sessionTypeId, department } - leer = alle
+        ipcMain.handle('stats-get-hourly-activity', async (event, date = null, filters = {}) => {
+            try {
+                const approval = await this.requireApproval('stats.view');
+                if (!approval.approved) {
+                    return [];
+                }
+
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return [];
+                }
+
+                return await this.dbClient.getHourlyActivity(date, filters);
+            } catch (error) {
+                console.error('Fehler beim Abrufen der stündlichen Aktivität:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('stats-get-weekday-activity', async (event, weeks = 4, filters = {}) => {
+            try {
+                const approval = await this.requireApproval('stats.view');
+                if (!approval.approved) {
+                    return [];
+                }
+
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return [];
+                }
+
+                return await this.dbClient.getWeekdayHourActivity(weeks, filters);
+            } catch (error) {
+                console.error('Fehler beim Abrufen der Aktivität je Wochentag:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('stats-get-weekly-trends', async (event, weeks = 4, filters = {}) => {
+            try {
+                const approval = await this.requireApproval('stats.view');
+                if (!approval.approved) {
+                    return [];
+                }
+
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return [];
+                }
+
+                return await this.dbClient.getWeeklyTrends(weeks, filters);
+            } catch (error) {
+                console.error('Fehler beim Abrufen der wöchentlichen Trends:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('stats-get-filter-options', async () => {
+            try {
+                const approval = await this.requireApproval('stats.view');
+                if (!approval.approved) {
+                    return { sessionTypes: [], departments: [] };
+                }
+
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return { sessionTypes: [], departments: [] };
+                }
+
+                const [sessionTypes, departments] = await Promise.all([
+                    this.dbClient.getSessionTypes(),
+                    this.dbClient.getDepartments()
+                ]);
+
+                return { sessionTypes, departments };
+            } catch (error) {
+                console.error('Fehler beim Abrufen der Statistik-Filter:', error);
+                return { sessionTypes: [], departments: [] };
+            }
+        });
+
+        // ===== SUPERVISOR-DASHBOARD =====
+        ipcMain.handle('dashboard-open', async () => {
+            const approval = await this.requireApproval('dashboard.open');
+            if (!approval.approved) {
+                return this.createApprovalDeniedResult(approval);
+            }
+
+            return this.openSupervisorWindow();
+        });
+
+        // Erster Stand beim Laden des Dashboard-Fensters - danach kommen Updates per 'dashboard-update'
+        ipcMain.handle('dashboard-get', async (event) => {
+            try {
+                // Das Dashboard-Fenster öffnet erst nach Freigabe oder Supervisor-Badge - andere Aufrufer brauchen die Freigabe
+                if (!this.supervisorWindow || event.sender !== this.supervisorWindow.webContents) {
+                    const approval = await this.requireApproval('dashboard.open');
+                    if (!approval.approved) {
+                        return null;
+                    }
+                }
+
+                if (!this.supervisorDashboard) {
+                    return null;
+                }
+
+                return this.supervisorDashboard.lastData || await this.supervisorDashboard.refresh();
+            } catch (error) {
+                console.error('Fehler beim Laden des Supervisor-Dashboards:', error);
+                return null;
+            }
+        });
+
+        // ===== SESSION-BERICHT =====
+        ipcMain.handle('session-report-get', async (event, sessionId) => {
+            try {
+                const approval = await this.requireApproval('report.view');
+                if (!approval.approved) {
+                    return this.createApprovalDeniedResult(approval);
+                }
+
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return { success: false, message: 'Datenbank nicht verbunden' };
+                }
+
+                const report = await this.dbClient.getSessionReport(sessionId);
+                const html = new SessionReportExporter().toHTML(report);
+
+                return { success: true, data: { summary: report.summary, html } };
+            } catch (error) {
+                console.error('Fehler beim Erstellen des Session-Berichts:', error);
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('session-report-export', async (event, sessionId, format = 'pdf') => {
+            try {
+                const approval = await this.requireApproval('report.view');
+                if (!approval.approved) {
+                    return this.createApprovalDeniedResult(approval);
+                }
+
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return { success: false, message: 'Datenbank nicht verbunden' };
+                }
+
+                if (!['pdf', 'csv'].includes(format)) {
+                    return { success: false, message: `Unbekanntes Exportformat '${format}'` };
+                }
+
+                const exporter = new SessionReportExporter();
+                const report = await this.dbClient.getSessionReport(sessionId);
+
+                const { canceled, filePath } = await dialog.showSaveDialog(this.mainWindow, {
+                    title: 'Session-Bericht exportieren',
+                    defaultPath: path.join(app.getPath('documents'), exporter.getFileName(report, format)),
+                    filters: [format === 'pdf' ? { name: 'PDF', extensions: ['pdf'] } : { name: 'CSV', extensions: ['csv'] }]
+                });
+
+                if (canceled || !filePath) {
+                    return { success: false, canceled: true, message: 'Export abgebrochen' };
+                }
+
+                if (format === 'pdf') {
+                    fs.writeFileSync(filePath, await this.printReportToPDF(exporter.toHTML(report)));
+                } else {
+                    fs.writeFileSync(filePath, exporter.toCSV(report), 'utf8');
+                }
+
+                console.log(`Session-Bericht ${sessionId} exportiert: ${filePath}`);
+                return { success: true, filePath, message: 'Session-Bericht gespeichert' };
+            } catch (error) {
+                console.error('Fehler beim Export des Session-Berichts:', error);
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('journal-replay', async () => {
+            try {
+                const approval = await this.requireApproval('journal.replay');
+                if (!approval.approved) {
+                    return this.createApprovalDeniedResult(approval);
+                }
+
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return { success: false, message: 'Datenbank nicht verbunden' };
+                }
+
+                const result = await this.replayOfflineJournal();
+                return { success: true, ...result };
+            } catch (error) {
+                console.error('Journal-Replay Fehler:', error);
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('get-system-info', async (event) => {
+            return {
+                version: app.getVersion() || '1.0.0',
+                electronVersion: process.versions.electron,
+                nodeVersion: process.versions.node,
+                platform: process.platform,
+                arch: process.arch,
+                env: process.env.NODE_ENV || 'production',
+                type: 'wareneinlagerung',
+                features: {
+                    qrDecoding: true,
+                    parallelSessions: true,
+                    sessionEnd: true,
+                    sessionRestart: true, // Session-Restart als Session-Ende + Neue Session
+                    sessionTypeFallback: true,
+                    sessionTypesSetup: this.systemStatus.sessionTypesSetup,
+                    offlineJournal: !!this.offlineJournal,
+                    decodingFormats: qrParsers.getParserNames(),
+                    supportedFields: qrParsers.FIELD_NAMES
+                }
+            };
+        });
+
+        // ===== RFID OPERATIONEN =====
+        ipcMain.handle('rfid-get-status', async (event) => {
+            return this.rfidListener ? { ...this.rfidListener.getStatus(), ...this.rfidBackend } : {
+                listening: false,
+                type: 'not-available',
+                message: 'RFID-Listener nicht verfügbar',
+                backend: null,
+                requestedBackend: this.rfidListenerConfig.backend,
+                attempts: this.rfidBackend ? this.rfidBackend.attempts : []
+            };
+        });
+
+        ipcMain.handle('rfid-simulate-tag', async (event, tagId) => {
+            try {
+                // Freigaben und Badge-Anlernen nur mit echtem Badge - eine getippte Tag-ID ersetzt keinen Tap
+                if (this.pendingApproval || this.badgeEnrollment) {
+                    console.warn(`⛔ RFID-Simulation abgelehnt: ${this.pendingApproval ? 'Freigabe' : 'Badge anlernen'} wartet auf echten Badge`);
+                    return false;
+                }
+
+                if (!this.rfidListener) {
+                    // Direkte Simulation wenn kein Listener verfügbar - gleiche Normalisierung wie beim Listener
+                    const normalized = this.tagNormalizer.normalize(tagId);
+                    if (!normalized.valid) {
+                        console.error(`❌ RFID Simulation fehlgeschlagen - ungültige Tag-ID: "${tagId}" (${normalized.reason})`);
+                        return false;
+                    }
+
+                    console.log(`🧪 Direkte RFID-Simulation: ${normalized.tagId}`);
+                    await this.dispatchRFIDTag(normalized.tagId);
+                    return true;
+                }
+                return this.rfidListener.simulateTag(tagId);
+            } catch (error) {
+                console.error('RFID Simulate Fehler:', error);
+                return false;
+            }
+        });
+
+        // ===== APP STEUERUNG =====
+        ipcMain.handle('app-minimize', () => {
+            if (this.mainWindow) {
+                this.mainWindow.minimize();
             }
         });
 
@@ -816,10 +1668,917 @@ class WareneinlagerungMainApp {
             app.quit();
         });
 
-        ipcMain.handle('app-restart', () => {
-            app.relaunch();
-            app.exit();
-        });
+        ipcMain.handle('app-restart', async () => {
+            const approval = await this.requireApproval('app.restart');
+            if (!approval.approved) {
+                return this.createApprovalDeniedResult(approval);
+            }
+
+            app.relaunch();
+            app.exit();
+        });
+    }
+
+    // ===== OFFLINE-JOURNAL =====
+    initializeOfflineJournal() {
+        try {
+            this.offlineJournal = new OfflineJournal(path.join(app.getPath('userData'), 'offline-journal'));
+            this.offlineJournal.load();
+
+            // Journal-Änderungen an Renderer weiterleiten (Anzeige ausstehender Einträge)
+            this.offlineJournal.on('changed', (summary) => {
+                this.sendToRenderer('journal-updated', summary);
+            });
+
+            console.log('✅ Offline-Journal initialisiert');
+        } catch (error) {
+            this.offlineJournal = null;
+            console.error('❌ Offline-Journal konnte nicht initialisiert werden:', error);
+        }
+    }
+
+    // ===== SESSION-SNAPSHOT =====
+    /**
+     * Aktive Sessions aus dem lokalen Snapshot wiederherstellen (vor dem Fenster, ohne Datenbank).
+     * Timer laufen mit der ursprünglichen Startzeit weiter; restoreSessionsFromDatabase() gleicht danach ab.
+     */
+    restoreSessionSnapshot() {
+        try {
+            this.sessionSnapshot = new SessionSnapshot(path.join(app.getPath('userData'), 'offline-journal'));
+
+            const snapshot = this.sessionSnapshot.load();
+            if (!snapshot) return;
+
+            for (const session of snapshot.sessions) {
+                this.activeSessions.set(session.userId, {
+                    sessionId: session.sessionId,
+                    userId: session.userId,
+                    role: session.role || USER_ROLES.WORKER,
+                    startTime: new Date(session.startTime),
+                    lastActivity: new Date(session.lastActivity),
+                    sessionType: session.sessionType,
+                    scanCount: session.scanCount || 0,
+                    pausedSince: session.pausedSince ? new Date(session.pausedSince) : null,
+                    pausedMs: session.pausedMs || 0
+                });
+
+                this.startSessionTimer(session.sessionId, session.userId);
+            }
+
+            this.scanPolicy.restoreState(snapshot.scanPolicy);
+
+            if (snapshot.decodingStats) {
+                this.decodingStats = snapshot.decodingStats;
+            }
+
+            console.log(`♻️ ${snapshot.sessions.length} aktive Session(s) aus Snapshot vom ${snapshot.savedAt} wiederhergestellt`);
+        } catch (error) {
+            console.error('❌ Session-Snapshot konnte nicht wiederhergestellt werden:', error);
+        }
+    }
+
+    /**
+     * Aktive Sessions mit der Datenbank abgleichen: fehlende ergänzen (z.B. Absturz ohne Snapshot),
+     * Startzeit, SessionType, Pausen und Scan-Anzahl übernehmen, dort beendete Sessions entfernen.
+     * Noch nicht synchronisierte Offline-Sessions bleiben unverändert.
+     */
+    async restoreSessionsFromDatabase() {
+        if (!this.dbClient || !this.systemStatus.database) return;
+
+        const dbSessions = await this.dbClient.getActiveSessionsWithType();
+
+        // Leere Liste wegen Verbindungsverlust nicht als "alle Sessions beendet" werten
+        if (!this.dbClient.isConnected) return;
+
+        const dbSessionIds = new Set(dbSessions.map(session => session.ID));
+
+        for (const [userId, sessionData] of this.activeSessions.entries()) {
+            const isLocal = this.offlineJournal?.isLocalSessionId(sessionData.sessionId);
+
+            if (!isLocal && !dbSessionIds.has(sessionData.sessionId)) {
+                console.log(`Session ${sessionData.sessionId} für Benutzer ${userId} ist nicht mehr aktiv - entferne lokal`);
+                this.stopSessionTimer(sessionData.sessionId);
+                this.activeSessions.delete(userId);
+                this.scanPolicy.forgetSession(sessionData.sessionId);
+            }
+        }
+
+        for (const session of dbSessions) {
+            const localSession = this.activeSessions.get(session.UserID);
+
+            if (localSession && this.offlineJournal?.isLocalSessionId(localSession.sessionId)) {
+                continue;
+            }
+
+            if (localSession && localSession.sessionId !== session.ID) {
+                this.stopSessionTimer(localSession.sessionId);
+                this.scanPolicy.forgetSession(localSession.sessionId);
+            }
+
+            const isKnown = localSession && localSession.sessionId === session.ID;
+
+            this.activeSessions.set(session.UserID, {
+                sessionId: session.ID,
+                userId: session.UserID,
+                role: session.UserRole || USER_ROLES.WORKER,
+                startTime: new Date(session.StartTS),
+                lastActivity: isKnown ? localSession.lastActivity : new Date(),
+                sessionType: session.SessionTypeName || (isKnown ? localSession.sessionType : null),
+                scanCount: session.ScanCount + (this.offlineJournal?.getPendingScanCount(session.ID) || 0),
+                ...this.getPauseStateFromRow(session)
+            });
+
+            if (!this.activeSessionTimers.has(session.ID)) {
+                this.startSessionTimer(session.ID, session.UserID);
+            }
+        }
+
+        this.scheduleSessionSnapshot();
+
+        console.log(`♻️ ${this.activeSessions.size} aktive Session(s) mit Datenbank abgeglichen`);
+
+        this.sendToRenderer('sessions-restored', {
+            count: this.activeSessions.size,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Snapshot nach dem aktuellen Event-Loop-Durchlauf schreiben, damit zusammengehörige Änderungen
+     * (Timer stoppen + Session entfernen) gemeinsam gespeichert werden
+     */
+    scheduleSessionSnapshot() {
+        if (!this.sessionSnapshot || this.sessionSnapshotPending) return;
+
+        this.sessionSnapshotPending = setImmediate(() => {
+            this.sessionSnapshotPending = null;
+            this.saveSessionSnapshot();
+        });
+    }
+
+    saveSessionSnapshot() {
+        try {
+            this.sessionSnapshot.save({
+                sessions: Array.from(this.activeSessions.values()).map(sessionData => ({
+                    sessionId: sessionData.sessionId,
+                    userId: sessionData.userId,
+                    role: sessionData.role || USER_ROLES.WORKER,
+                    sessionType: sessionData.sessionType || null,
+                    startTime: new Date(sessionData.startTime).toISOString(),
+                    lastActivity: new Date(sessionData.lastActivity || sessionData.startTime).toISOString(),
+                    scanCount: sessionData.scanCount || 0,
+                    ...this.getPauseState(sessionData)
+                })),
+                scanPolicy: this.scanPolicy.exportState(),
+                decodingStats: this.decodingStats
+            });
+        } catch (error) {
+            console.error('Session-Snapshot konnte nicht gespeichert werden:', error);
+        }
+    }
+
+    /**
+     * Rolle eines Benutzers aus dem Offline-Cache (für Sessions, die nur mit Benutzer-ID erstellt werden)
+     * @param {number} userId - Benutzer ID
+     * @returns {string} - Rolle (default: Mitarbeiter)
+     */
+    getCachedUserRole(userId) {
+        return this.offlineJournal?.findCachedUserById(userId)?.Role || USER_ROLES.WORKER;
+    }
+
+    async cacheUsersForOffline() {
+        if (!this.offlineJournal) return;
+
+        try {
+            const users = await this.dbClient.getAllActiveUsers();
+            if (Array.isArray(users) && users.length > 0) {
+                this.offlineJournal.cacheUsers(users, await this.dbClient.getActiveUserTags());
+                console.log(`📇 ${users.length} Benutzer für Offline-Anmeldung zwischengespeichert`);
+            }
+        } catch (error) {
+            console.error('Fehler beim Zwischenspeichern der Benutzer:', error);
+        }
+    }
+
+    // ===== VERBINDUNGSÜBERWACHUNG =====
+    /**
+     * Events des Connection Supervisors übernehmen: Systemstatus aktualisieren,
+     * Zustand an den Renderer melden und nach einem Reconnect das Journal abspielen
+     */
+    setupDatabaseSupervisor() {
+        const supervisor = this.dbClient.supervisor;
+
+        supervisor.on('connected', (details) => {
+            this.sendToRenderer('database-connection-state', details);
+
+            // Erstverbindung wird in initializeDatabase() abgeschlossen
+            if (details.attempt > 0) {
+                this.handleDatabaseReconnected();
+            }
+        });
+
+        supervisor.on('disconnected', (details) => {
+            this.sendToRenderer('database-connection-state', details);
+
+            if (this.systemStatus.database) {
+                console.warn('⚠️ Datenbankverbindung verloren - wechsle in Offline-Modus');
+
+                this.systemStatus.database = false;
+                this.systemStatus.lastError = `Datenbank: ${details.error || 'Verbindung verloren'}`;
+                this.sendSystemStatus();
+            }
+        });
+
+        supervisor.on('reconnecting', (details) => {
+            this.sendToRenderer('database-connection-state', details);
+        });
+    }
+
+    async handleDatabaseReconnected() {
+        this.systemStatus.database = true;
+        this.systemStatus.lastError = null;
+
+        console.log('✅ Datenbank wieder verbunden');
+
+        try {
+            if (!this.systemStatus.sessionTypesSetup) {
+                await this.setupSessionTypes();
+            }
+
+            this.sendSystemStatus();
+
+            await this.cacheUsersForOffline();
+            await this.replayOfflineJournal();
+            await this.startSessionReconciler();
+            await this.restoreSessionsFromDatabase();
+        } catch (error) {
+            console.error('Fehler nach Datenbank-Wiederverbindung:', error);
+        }
+    }
+
+    // ===== SESSION-BEREINIGUNG =====
+    /**
+     * Session-Bereinigung starten (nach dem Journal-Replay, damit nachgetragene Session-Enden zuerst greifen).
+     * Bei einer Wiederverbindung läuft nur das Intervall weiter.
+     */
+    async startSessionReconciler() {
+        if (!this.sessionReconciler) {
+            const appConfig = require('./package.json').config?.wareneinlagerung || {};
+
+            this.sessionReconciler = new SessionReconciler(this.dbClient, loadSessionTimeoutConfig(process.env, appConfig));
+            this.sessionReconciler.on('sessions-closed', (details) => {
+                this.handleSessionsAutoClosed(details);
+            });
+        }
+
+        try {
+            await this.sessionReconciler.start();
+        } catch (error) {
+            console.error('Session-Bereinigung fehlgeschlagen:', error);
+        }
+    }
+
+    /**
+     * Automatisch beendete Sessions lokal entfernen und dem Renderer melden
+     * @param {Object} details - { endReason, sessions, timestamp }
+     */
+    handleSessionsAutoClosed(details) {
+        for (const closed of details.sessions) {
+            const sessionData = this.activeSessions.get(closed.userId);
+
+            if (sessionData && sessionData.sessionId === closed.sessionId) {
+                this.stopSessionTimer(closed.sessionId);
+                this.activeSessions.delete(closed.userId);
+                this.scanPolicy.forgetSession(closed.sessionId);
+
+                if (this.pendingRFIDTaps.has(closed.userId)) {
+                    clearTimeout(this.pendingRFIDTaps.get(closed.userId));
+                    this.pendingRFIDTaps.delete(closed.userId);
+                }
+
+                this.sendToRenderer('session-ended', {
+                    user: { ID: closed.userId, BenutzerName: closed.userName },
+                    sessionId: closed.sessionId,
+                    sessionType: closed.sessionType || 'Unbekannt',
+                    endTime: closed.endTime,
+                    duration: closed.limitMinutes * 60 * 1000,
+                    endReason: closed.endReason,
+                    source: 'auto_close',
+                    timestamp: details.timestamp
+                });
+            }
+        }
+
+        this.autoClosedSessions = [...details.sessions, ...this.autoClosedSessions]
+            .slice(0, this.maxAutoClosedSessions);
+
+        this.sendToRenderer('sessions-auto-closed', details);
+    }
+
+    /**
+     * Wird aufgerufen, wenn eine laufende Operation einen Verbindungsverlust feststellt
+     */
+    handleDatabaseOffline() {
+        if (!this.dbClient) return;
+
+        // Supervisor meldet 'disconnected' und plant den Reconnect (ignoriert, falls bereits bekannt)
+        this.dbClient.supervisor.handleConnectionLost(new Error('Verbindung verloren'));
+    }
+
+    /**
+     * Spielt ausstehende Journal-Einträge in Originalreihenfolge mit Original-Zeitstempeln ab
+     * @returns {Object} - { synced, rejected, remaining, interrupted }
+     */
+    async replayOfflineJournal() {
+        if (!this.offlineJournal || !this.offlineJournal.hasPendingEntries()) {
+            return { synced: 0, rejected: 0, remaining: 0, interrupted: false };
+        }
+
+        const result = await this.offlineJournal.replay(this.getJournalReplayHandlers());
+
+        if (result.interrupted) {
+            this.handleDatabaseOffline();
+        }
+
+        if (result.synced > 0) {
+            await this.loadDecodingStats();
+        }
+
+        return result;
+    }
+
+    getJournalReplayHandlers() {
+        const { SYNCED, REJECTED } = OfflineJournal.ENTRY_STATES;
+
+        // Verbindungsverlust während des Replays: Rest bleibt ausstehend
+        const connectionLost = () => {
+            const error = new Error('Datenbankverbindung während des Replays verloren');
+            error.retryable = true;
+            return error;
+        };
+
+        return {
+            'session-start': async (entry, journal) => {
+                const { localSessionId, userId, sessionType, startedAt } = entry.data;
+
+                const session = await this.dbClient.createSession(userId, sessionType, false, {
+                    startedAt,
+                    actorUserId: userId,
+                    source: 'offline_journal'
+                });
+
+                if (!session) {
+                    if (!this.dbClient.isConnected) throw connectionLost();
+                    return { state: REJECTED, message: 'Session konnte nicht angelegt werden' };
+                }
+
+                journal.mapSession(localSessionId, session.ID);
+                this.remapLocalSession(localSessionId, session.ID);
+
+                return { state: SYNCED, message: `Session ${session.ID}` };
+            },
+
+            'session-end': async (entry, journal) => {
+                const { sessionId, userId, endedAt, endReason } = entry.data;
+                const resolvedSessionId = journal.resolveSessionId(sessionId);
+
+                if (journal.isLocalSessionId(resolvedSessionId)) {
+                    return { state: REJECTED, message: 'Zugehöriger Session-Start wurde nicht synchronisiert' };
+                }
+
+                const success = await this.dbClient.endSession(resolvedSessionId, {
+                    endedAt,
+                    endReason,
+                    actorUserId: userId,
+                    source: 'offline_journal'
+                });
+
+                if (!success) {
+                    if (!this.dbClient.isConnected) throw connectionLost();
+                    return { state: REJECTED, message: `Session ${resolvedSessionId} war bereits beendet` };
+                }
+
+                return { state: SYNCED, message: `Session ${resolvedSessionId}` };
+            },
+
+            'session-pause': async (entry, journal) => {
+                const { sessionId, userId, reason, pausedAt } = entry.data;
+                const resolvedSessionId = journal.resolveSessionId(sessionId);
+
+                if (journal.isLocalSessionId(resolvedSessionId)) {
+                    return { state: REJECTED, message: 'Zugehöriger Session-Start wurde nicht synchronisiert' };
+                }
+
+                const pause = await this.dbClient.pauseSession(resolvedSessionId, {
+                    startedAt: pausedAt,
+                    reason,
+                    actorUserId: userId,
+                    source: 'offline_journal'
+                });
+
+                if (!pause) {
+                    if (!this.dbClient.isConnected) throw connectionLost();
+                    return { state: REJECTED, message: `Session ${resolvedSessionId} nicht aktiv oder bereits pausiert` };
+                }
+
+                return { state: SYNCED, message: `Pause ${pause.ID}` };
+            },
+
+            'session-resume': async (entry, journal) => {
+                const { sessionId, userId, resumedAt } = entry.data;
+                const resolvedSessionId = journal.resolveSessionId(sessionId);
+
+                if (journal.isLocalSessionId(resolvedSessionId)) {
+                    return { state: REJECTED, message: 'Zugehöriger Session-Start wurde nicht synchronisiert' };
+                }
+
+                const pause = await this.dbClient.resumeSession(resolvedSessionId, {
+                    endedAt: resumedAt,
+                    actorUserId: userId,
+                    source: 'offline_journal'
+                });
+
+                if (!pause) {
+                    if (!this.dbClient.isConnected) throw connectionLost();
+                    return { state: REJECTED, message: `Session ${resolvedSessionId} war nicht pausiert` };
+                }
+
+                return { state: SYNCED, message: `Pause ${pause.ID}` };
+            },
+
+            'qr-scan': async (entry, journal) => {
+                const { sessionId, payload, capturedAt } = entry.data;
+                const resolvedSessionId = journal.resolveSessionId(sessionId);
+
+                if (journal.isLocalSessionId(resolvedSessionId)) {
+                    return { state: REJECTED, message: 'Zugehöriger Session-Start wurde nicht synchronisiert' };
+                }
+
+                const result = await this.dbClient.saveQRScan(resolvedSessionId, payload, {
+                    capturedAt,
+                    actorUserId: this.getUserIdForSession(resolvedSessionId),
+                    source: 'offline_journal'
+                });
+
+                if (!result.success) {
+                    if (!this.dbClient.isConnected) throw connectionLost();
+                    return { state: REJECTED, message: result.message };
+                }
+
+                return { state: SYNCED, message: `Scan ${result.data?.ID}` };
+            }
+        };
+    }
+
+    /**
+     * Ersetzt eine lokale Offline-Session-ID nach dem Replay durch die Datenbank-ID
+     * @param {number} localSessionId - Negative lokale Session-ID
+     * @param {number} sessionId - Neue Datenbank-Session-ID
+     */
+    remapLocalSession(localSessionId, sessionId) {
+        for (const [userId, sessionData] of this.activeSessions.entries()) {
+            if (sessionData.sessionId !== localSessionId) continue;
+
+            sessionData.sessionId = sessionId;
+
+            this.stopSessionTimer(localSessionId);
+            this.startSessionTimer(sessionId, userId);
+
+            this.scanPolicy.renameSession(localSessionId, sessionId);
+
+            this.sendToRenderer('session-id-remapped', {
+                oldSessionId: localSessionId,
+                newSessionId: sessionId,
+                userId,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * QR-Scan im Offline-Journal ablegen
+     * @param {number} sessionId - Session ID (ggf. lokale Offline-Session)
+     * @param {string} payload - QR-Code-Inhalt
+     * @returns {Object} - Strukturiertes Ergebnis mit Status 'queued_offline' oder Policy-Ablehnung
+     */
+    async journalQRScan(sessionId, payload) {
+        const cleanPayload = payload.replace(/^\ufeff/, '');
+
+        // Offline greifen Cooldown, Rate-Limit und Format-Regel, Duplikat-Fenster prüft der Replay
+        const verdict = await this.scanPolicy.evaluate({
+            sessionId,
+            payload: cleanPayload,
+            format: qrParsers.decode(cleanPayload).format,
+            sessionType: this.getSessionTypeForSession(sessionId)
+        });
+
+        if (!verdict.accepted) {
+            return {
+                success: false,
+                status: verdict.status,
+                message: verdict.message,
+                data: null,
+                verdict,
+                timestamp: new Date().toISOString()
+            };
+        }
+        const capturedAt = new Date().toISOString();
+
+        const entry = this.offlineJournal.addEntry('qr-scan', {
+            sessionId,
+            payload: cleanPayload,
+            capturedAt
+        });
+
+        this.scanPolicy.recordAccepted(sessionId, cleanPayload);
+        this.updateSessionActivity(sessionId);
+
+        return {
+            success: false,
+            status: 'queued_offline',
+            queued: true,
+            message: 'Datenbank offline - Scan im Offline-Journal gespeichert',
+            data: {
+                JournalEntryID: entry.id,
+                SessionID: sessionId,
+                RawPayload: cleanPayload,
+                CapturedTS: capturedAt
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * RFID-Anmeldung ohne Datenbank: Benutzer aus dem Cache, Session lokal mit negativer ID
+     * @param {string} tagId - RFID-Tag (Hex)
+     */
+    async handleOfflineRFIDScan(tagId) {
+        const { user, ambiguous } = await this.findUserByTag(tagId, 'rfid_scan', false);
+        if (ambiguous) return;
+
+        if (!user) {
+            this.sendToRenderer('rfid-scan-error', {
+                tagId,
+                message: `Unbekannter RFID-Tag: ${tagId} (Datenbank offline, Benutzer nicht im Cache)`,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        console.log(`👤 Benutzer aus Offline-Cache: ${user.BenutzerName} (ID: ${user.ID})`);
+
+        if (this.activeSessions.has(user.ID)) {
+            await this.handlePauseGesture(user, () => this.restartOfflineSession(user));
+            return;
+        }
+
+        this.startOfflineSession(user);
+    }
+
+    /**
+     * Offline-Session beenden und direkt eine neue starten (Badge-Scan bei aktiver Session)
+     * @param {Object} user - Benutzer aus dem Cache
+     */
+    restartOfflineSession(user) {
+        const existingSession = this.activeSessions.get(user.ID);
+        const now = new Date();
+
+        if (existingSession) {
+            this.offlineJournal.addEntry('session-end', {
+                sessionId: existingSession.sessionId,
+                userId: user.ID,
+                endedAt: now.toISOString(),
+                endReason: SESSION_END_REASONS.RFID_RESCAN
+            });
+
+            const duration = now.getTime() - new Date(existingSession.startTime).getTime();
+            const pauseDuration = this.getPausedMs(existingSession, now);
+
+            this.stopSessionTimer(existingSession.sessionId);
+            this.activeSessions.delete(user.ID);
+            this.scanPolicy.forgetSession(existingSession.sessionId);
+
+            this.sendToRenderer('session-ended', {
+                user,
+                sessionId: existingSession.sessionId,
+                sessionType: existingSession.sessionType || 'Unbekannt',
+                endTime: now.toISOString(),
+                duration: duration,
+                pauseDuration,
+                netDuration: Math.max(0, duration - pauseDuration),
+                source: 'rfid_scan',
+                durationFormatted: this.formatDuration(duration),
+                offline: true
+            });
+        }
+
+        this.startOfflineSession(user);
+    }
+
+    /**
+     * Lokale Offline-Session starten und im Journal vermerken
+     * @param {Object} user - Benutzer aus dem Cache
+     */
+    startOfflineSession(user) {
+        const now = new Date();
+        const localSessionId = this.offlineJournal.createLocalSessionId();
+        const sessionTypeName = this.sessionTypePriority[0] || 'Wareneinlagerung';
+
+        this.offlineJournal.addEntry('session-start', {
+            localSessionId,
+            userId: user.ID,
+            sessionType: sessionTypeName,
+            startedAt: now.toISOString()
+        });
+
+        this.activeSessions.set(user.ID, {
+            sessionId: localSessionId,
+            userId: user.ID,
+            role: user.Role || USER_ROLES.WORKER,
+            startTime: now,
+            lastActivity: now,
+            sessionType: sessionTypeName,
+            pausedSince: null,
+            pausedMs: 0
+        });
+
+        this.startSessionTimer(localSessionId, user.ID);
+
+        this.sendToRenderer('user-login', {
+            user,
+            session: {
+                ID: localSessionId,
+                UserID: user.ID,
+                StartTS: this.normalizeTimestamp(now),
+                SessionTypeName: sessionTypeName
+            },
+            sessionType: sessionTypeName,
+            fallbackUsed: false,
+            timestamp: now.toISOString(),
+            source: 'rfid_scan',
+            isNewSession: true,
+            offline: true
+        });
+
+        console.log(`✅ Offline-Session ${localSessionId} für ${user.BenutzerName} gestartet`);
+    }
+
+    // ===== PAUSEN =====
+    /**
+     * Aktive Session eines Benutzers pausieren - QR-Scans sind bis zum Fortsetzen gesperrt
+     * @param {number} userId - Benutzer ID
+     * @param {Object} options - { reason, source, actorUserId (Freigebender, default: der Benutzer selbst) }
+     * @returns {Object} - Ergebnis (status: paused | already_paused | no_session | database_offline | error)
+     */
+    async pauseSessionForUser(userId, options = {}) {
+        const { reason = null, source = 'pause_button', actorUserId = userId } = options;
+        const sessionData = this.activeSessions.get(userId);
+
+        if (!sessionData) {
+            return this.createPauseResult(false, 'no_session', 'Keine aktive Session');
+        }
+
+        if (sessionData.pausedSince) {
+            return this.createPauseResult(false, 'already_paused', 'Session ist bereits pausiert', sessionData);
+        }
+
+        const pausedAt = new Date();
+        let journaled = this.isSessionOffline(sessionData.sessionId);
+
+        if (!journaled) {
+            const pause = await this.dbClient.pauseSession(sessionData.sessionId, {
+                reason,
+                actorUserId,
+                source
+            });
+
+            if (!pause) {
+                if (this.dbClient.isConnected || !this.offlineJournal) {
+                    return this.createPauseResult(false, 'error', 'Session konnte nicht pausiert werden', sessionData);
+                }
+
+                // Verbindung verloren: Pause wie offline im Journal vermerken
+                this.handleDatabaseOffline();
+                journaled = true;
+            }
+        }
+
+        if (journaled) {
+            if (!this.offlineJournal) {
+                return this.createPauseResult(false, 'database_offline', 'Datenbank nicht verbunden', sessionData);
+            }
+
+            this.offlineJournal.addEntry('session-pause', {
+                sessionId: sessionData.sessionId,
+                userId,
+                reason,
+                pausedAt: pausedAt.toISOString()
+            });
+        }
+
+        sessionData.pausedSince = pausedAt;
+        this.notifyPauseChanged(sessionData, source);
+
+        console.log(`⏸️ Session ${sessionData.sessionId} für Benutzer ${userId} pausiert (${source})`);
+        return this.createPauseResult(true, 'paused', 'Session pausiert', sessionData);
+    }
+
+    /**
+     * Pausierte Session eines Benutzers fortsetzen
+     * @param {number} userId - Benutzer ID
+     * @param {Object} options - { source, actorUserId (Freigebender, default: der Benutzer selbst) }
+     * @returns {Object} - Ergebnis (status: resumed | not_paused | no_session | database_offline | error)
+     */
+    async resumeSessionForUser(userId, options = {}) {
+        const { source = 'pause_button', actorUserId = userId } = options;
+        const sessionData = this.activeSessions.get(userId);
+
+        if (!sessionData) {
+            return this.createPauseResult(false, 'no_session', 'Keine aktive Session');
+        }
+
+        if (!sessionData.pausedSince) {
+            return this.createPauseResult(false, 'not_paused', 'Session ist nicht pausiert', sessionData);
+        }
+
+        const resumedAt = new Date();
+        let journaled = this.isSessionOffline(sessionData.sessionId);
+
+        if (!journaled) {
+            const pause = await this.dbClient.resumeSession(sessionData.sessionId, {
+                actorUserId,
+                source
+            });
+
+            if (!pause) {
+                if (this.dbClient.isConnected || !this.offlineJournal) {
+                    return this.createPauseResult(false, 'error', 'Session konnte nicht fortgesetzt werden', sessionData);
+                }
+
+                this.handleDatabaseOffline();
+                journaled = true;
+            }
+        }
+
+        if (journaled) {
+            if (!this.offlineJournal) {
+                return this.createPauseResult(false, 'database_offline', 'Datenbank nicht verbunden', sessionData);
+            }
+
+            this.offlineJournal.addEntry('session-resume', {
+                sessionId: sessionData.sessionId,
+                userId,
+                resumedAt: resumedAt.toISOString()
+            });
+        }
+
+        sessionData.pausedMs = this.getPausedMs(sessionData, resumedAt);
+        sessionData.pausedSince = null;
+        this.notifyPauseChanged(sessionData, source);
+
+        console.log(`▶️ Session ${sessionData.sessionId} für Benutzer ${userId} fortgesetzt (${source})`);
+        return this.createPauseResult(true, 'resumed', 'Session fortgesetzt', sessionData);
+    }
+
+    /**
+     * RFID-Geste bei aktiver Session auswerten (RFID_PAUSE_GESTURE)
+     *   pausierte Session: jeder Tap setzt fort
+     *   tap:        Tap pausiert statt die Session neu zu starten
+     *   double_tap: zweiter Tap innerhalb von RFID_DOUBLE_TAP_WINDOW pausiert,
+     *               sonst wird die Session nach Ablauf des Fensters neu gestartet
+     *   none:       Tap startet die Session neu (Standard)
+     * @param {Object} user - Benutzer
+     * @param {Function} restart - Session-Neustart (Badge-Scan ohne Geste)
+     */
+    async handlePauseGesture(user, restart) {
+        const sessionData = this.activeSessions.get(user.ID);
+
+        if (sessionData?.pausedSince) {
+            await this.resumeSessionForUser(user.ID, { source: 'rfid_gesture' });
+            return;
+        }
+
+        if (this.rfidPauseGesture === 'tap') {
+            await this.pauseSessionForUser(user.ID, { source: 'rfid_gesture' });
+            return;
+        }
+
+        if (this.rfidPauseGesture === 'double_tap') {
+            const pendingTap = this.pendingRFIDTaps.get(user.ID);
+
+            if (pendingTap) {
+                clearTimeout(pendingTap);
+                this.pendingRFIDTaps.delete(user.ID);
+                await this.pauseSessionForUser(user.ID, { source: 'rfid_gesture' });
+                return;
+            }
+
+            // Erster Tap: Neustart erst, wenn kein zweiter Tap folgt
+            const timer = setTimeout(async () => {
+                this.pendingRFIDTaps.delete(user.ID);
+
+                try {
+                    await restart();
+                } catch (error) {
+                    console.error('RFID-Neustart nach Doppel-Tap-Fenster fehlgeschlagen:', error);
+                }
+            }, this.rfidDoubleTapWindow);
+
+            this.pendingRFIDTaps.set(user.ID, timer);
+            console.log(`👆 Erster Tap von ${user.BenutzerName} - warte ${this.rfidDoubleTapWindow}ms auf zweiten Tap`);
+            return;
+        }
+
+        await restart();
+    }
+
+    isSessionOffline(sessionId) {
+        return !this.dbClient || !this.systemStatus.database || !!this.offlineJournal?.isLocalSessionId(sessionId);
+    }
+
+    isSessionPaused(sessionId) {
+        for (const sessionData of this.activeSessions.values()) {
+            if (sessionData.sessionId === sessionId) {
+                return !!sessionData.pausedSince;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Pausenzeit einer Session bis zu einem Zeitpunkt (abgeschlossene + laufende Pause)
+     * @param {Object} sessionData - Lokale Session-Daten
+     * @param {Date} until - Zeitpunkt (default: jetzt)
+     * @returns {number} - Millisekunden
+     */
+    getPausedMs(sessionData, until = new Date()) {
+        const openPauseMs = sessionData.pausedSince
+            ? Math.max(0, until.getTime() - new Date(sessionData.pausedSince).getTime())
+            : 0;
+
+        return (sessionData.pausedMs || 0) + openPauseMs;
+    }
+
+    /**
+     * Pausen-Zustand für den Renderer (pausedMs = abgeschlossene Pausen)
+     * @param {Object} sessionData - Lokale Session-Daten oder Ergebnis von getPauseStateFromRow()
+     * @returns {Object} - { paused, pausedSince, pausedMs }
+     */
+    getPauseState(sessionData) {
+        const pausedSince = sessionData.pausedSince ? new Date(sessionData.pausedSince) : null;
+
+        return {
+            paused: !!pausedSince,
+            pausedSince: pausedSince ? pausedSince.toISOString() : null,
+            pausedMs: sessionData.pausedMs || 0
+        };
+    }
+
+    /**
+     * Pausen-Zustand aus einer Session-Zeile (PausedSeconds enthält die laufende Pause bis jetzt)
+     * @param {Object} session - Zeile mit PausedSeconds und PausedSince
+     * @returns {Object} - { pausedSince, pausedMs }
+     */
+    getPauseStateFromRow(session) {
+        const pausedSince = session.PausedSince ? new Date(session.PausedSince) : null;
+        const openPauseMs = pausedSince ? Math.max(0, Date.now() - pausedSince.getTime()) : 0;
+
+        return {
+            pausedSince,
+            pausedMs: Math.max(0, (session.PausedSeconds || 0) * 1000 - openPauseMs)
+        };
+    }
+
+    notifyPauseChanged(sessionData, source) {
+        this.scheduleSessionSnapshot();
+
+        this.sendToRenderer('session-pause-changed', {
+            sessionId: sessionData.sessionId,
+            userId: sessionData.userId,
+            ...this.getPauseState(sessionData),
+            source,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    createPauseResult(success, status, message, sessionData = null) {
+        return {
+            success,
+            status,
+            message,
+            data: sessionData ? { sessionId: sessionData.sessionId, ...this.getPauseState(sessionData) } : null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    createSessionPausedResult() {
+        return {
+            success: false,
+            status: 'session_paused',
+            message: 'Session ist pausiert - bitte zuerst fortsetzen',
+            data: null,
+            timestamp: new Date().toISOString()
+        };
     }
 
     // ===== SESSION TIMER MANAGEMENT =====
@@ -834,6 +2593,8 @@ class WareneinlagerungMainApp {
 
         this.activeSessionTimers.set(sessionId, timer);
         console.log(`Session-Timer gestartet für Session ${sessionId}`);
+
+        this.scheduleSessionSnapshot();
     }
 
     stopSessionTimer(sessionId) {
@@ -843,6 +2604,8 @@ class WareneinlagerungMainApp {
             this.activeSessionTimers.delete(sessionId);
             console.log(`Session-Timer gestoppt für Session ${sessionId}`);
         }
+
+        this.scheduleSessionSnapshot();
     }
 
     updateSessionTimer(sessionId, userId) {
@@ -853,11 +2616,30 @@ class WareneinlagerungMainApp {
                 sessionId: sessionId,
                 userId: userId,
                 startTime: localSession.startTime,
+                ...this.getPauseState(localSession),
                 timestamp: new Date().toISOString()
             });
         }
     }
 
+    getUserIdForSession(sessionId) {
+        for (const [userId, sessionData] of this.activeSessions.entries()) {
+            if (sessionData.sessionId === sessionId) {
+                return userId;
+            }
+        }
+        return null;
+    }
+
+    getSessionTypeForSession(sessionId) {
+        for (const sessionData of this.activeSessions.values()) {
+            if (sessionData.sessionId === sessionId) {
+                return sessionData.sessionType || null;
+            }
+        }
+        return null;
+    }
+
     updateSessionActivity(sessionId) {
         // Finde zugehörige Session und aktualisiere Aktivität
         for (const [userId, sessionData] of this.activeSessions.entries()) {
@@ -866,6 +2648,370 @@ class WareneinlagerungMainApp {
                 break;
             }
         }
+
+        // Aufruf nach jedem angenommenen Scan
+        this.updateSessionScanCount(sessionId, 1);
+    }
+
+    updateSessionScanCount(sessionId, delta) {
+        for (const sessionData of this.activeSessions.values()) {
+            if (sessionData.sessionId === sessionId) {
+                sessionData.scanCount = Math.max(0, (sessionData.scanCount || 0) + delta);
+                this.scheduleSessionSnapshot();
+                break;
+            }
+        }
+
+        if (this.supervisorDashboard) {
+            this.supervisorDashboard.requestRefresh();
+        }
+    }
+
+    // ===== FREIGABEN =====
+    /**
+     * Privilegierte Aktion freigeben lassen. Gilt ein früherer Badge-Tap noch (APPROVAL_WINDOW_SECONDS),
+     * ist sie sofort freigegeben - sonst wartet sie auf den nächsten Badge-Tap mit ausreichender Rolle.
+     * @param {string} permission - Schlüssel aus PERMISSIONS
+     * @param {Object} context - { ownerUserId } Inhaber der betroffenen Session (bei owner-Rechten genügt dessen Badge)
+     * @returns {Promise<Object>} - { approved, status, message, userId, userName, role }
+     */
+    requireApproval(permission, context = {}) {
+        const rule = PERMISSIONS[permission];
+        const ownerUserId = context.ownerUserId || null;
+
+        if (!rule) {
+            return Promise.resolve(this.createApprovalResult(false, 'approval_denied', `Unbekannte Aktion: ${permission}`));
+        }
+
+        const grant = this.approvalGrant;
+        if (grant && grant.expiresAt > Date.now() && this.isApprovedBy(rule, grant, ownerUserId)) {
+            return Promise.resolve(this.createApprovalResult(true, 'approved', `${rule.label} freigegeben durch ${grant.userName}`, grant));
+        }
+
+        this.finishApproval(this.createApprovalResult(false, 'approval_canceled', 'Freigabe durch neue Anfrage ersetzt'));
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.finishApproval(this.createApprovalResult(false, 'approval_timeout',
+                    `Kein Badge innerhalb von ${Math.round(this.approvalConfig.timeoutMs / 1000)} Sekunden - ${rule.label} nicht freigegeben`));
+            }, this.approvalConfig.timeoutMs);
+
+            this.pendingApproval = { permission, ownerUserId, resolve, timer };
+            console.log(`🔐 Freigabe für '${permission}' angefordert - warte auf Badge (${getRoleLabel(rule.role)})...`);
+
+            this.sendToRenderer('approval-requested', {
+                permission,
+                label: rule.label,
+                requiredRole: rule.role,
+                requiredRoleLabel: getRoleLabel(rule.role),
+                ownerAllowed: !!(rule.owner && ownerUserId),
+                timeoutMs: this.approvalConfig.timeoutMs,
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+
+    /**
+     * @param {Object} rule - Eintrag aus PERMISSIONS
+     * @param {Object} approver - { userId, role }
+     * @param {number|null} ownerUserId - Inhaber der betroffenen Session
+     * @returns {boolean}
+     */
+    isApprovedBy(rule, approver, ownerUserId) {
+        return hasRole(approver.role, rule.role) || (!!rule.owner && ownerUserId !== null && approver.userId === ownerUserId);
+    }
+
+    /**
+     * Gelesenen Badge für die wartende Freigabe prüfen
+     * @param {string} tagId - Tag-ID (hex)
+     */
+    async completeApproval(tagId) {
+        const pending = this.pendingApproval;
+        const rule = PERMISSIONS[pending.permission];
+
+        this.lastCapturedTag = { tagId, at: Date.now() };
+        this.lastRFIDScanTime = Date.now();
+
+        const { user, ambiguous } = await this.findUserByTag(tagId, 'approval', this.systemStatus.database);
+
+        // Während der Abfrage abgebrochen oder durch eine neue Anfrage ersetzt
+        if (this.pendingApproval !== pending) return;
+
+        if (ambiguous) {
+            this.finishApproval(this.createApprovalResult(false, 'approval_denied', `Badge nicht eindeutig: ${tagId}`));
+            return;
+        }
+
+        if (!user) {
+            const tag = this.systemStatus.database ? await this.checkBlockedTag(tagId, 'approval') : null;
+            if (this.pendingApproval !== pending) return;
+
+            this.finishApproval(this.createApprovalResult(false, 'approval_denied',
+                tag && isBlockedTagStatus(tag.Status) ? `Gesperrter Badge: ${tagId}` : `Unbekannter Badge: ${tagId}`));
+            return;
+        }
+
+        const approver = { userId: user.ID, userName: user.BenutzerName, role: user.Role || USER_ROLES.WORKER };
+
+        if (!this.isApprovedBy(rule, approver, pending.ownerUserId)) {
+            console.log(`⛔ ${approver.userName} (${approver.role}) darf '${pending.permission}' nicht freigeben`);
+            this.finishApproval(this.createApprovalResult(false, 'approval_denied',
+                `${approver.userName} (${getRoleLabel(approver.role)}) darf „${rule.label}“ nicht freigeben`));
+            return;
+        }
+
+        if (this.approvalConfig.windowMs > 0) {
+            this.approvalGrant = { ...approver, expiresAt: Date.now() + this.approvalConfig.windowMs };
+        }
+
+        console.log(`🔓 '${pending.permission}' freigegeben durch ${approver.userName} (${approver.role})`);
+        this.finishApproval(this.createApprovalResult(true, 'approved', `${rule.label} freigegeben durch ${approver.userName}`, approver));
+    }
+
+    /**
+     * Wartende Freigabe beenden und den Renderer informieren
+     * @param {Object} result - Ergebnis von createApprovalResult()
+     */
+    finishApproval(result) {
+        if (!this.pendingApproval) return;
+
+        const { permission, resolve, timer } = this.pendingApproval;
+        clearTimeout(timer);
+        this.pendingApproval = null;
+
+        this.sendToRenderer('approval-finished', { ...result, permission });
+        resolve(result);
+    }
+
+    createApprovalResult(approved, status, message, approver = null) {
+        return {
+            approved,
+            status,
+            message,
+            userId: approver ? approver.userId : null,
+            userName: approver ? approver.userName : null,
+            role: approver ? approver.role : null
+        };
+    }
+
+    /**
+     * Abgelehnte Freigabe als Ergebnis im Format { success, status, message, data } der übrigen Handler
+     * @param {Object} approval - Ergebnis von requireApproval()
+     * @returns {Object}
+     */
+    createApprovalDeniedResult(approval) {
+        return {
+            success: false,
+            status: approval.status,
+            message: approval.message,
+            data: null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // ===== BENUTZERVERWALTUNG =====
+    /**
+     * Schreibende Aktion der Benutzerverwaltung freigeben lassen, ausführen und danach den Offline-Benutzer-Cache auffrischen
+     * @param {Function} action - Erhält die Freigabe und liefert ein Ergebnis { success, status, message, data }
+     * @param {Object|null} approval - Bereits erteilte Freigabe (z.B. beim Start des Badge-Anlernens)
+     * @returns {Object} - Ergebnis der Aktion
+     */
+    async runUserAdminAction(action, approval = null) {
+        try {
+            if (!this.dbClient || !this.systemStatus.database) {
+                return {
+                    success: false,
+                    status: 'offline',
+                    message: 'Datenbank nicht verbunden',
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const grantedBy = approval || await this.requireApproval('users.manage');
+            if (!grantedBy.approved) {
+                return this.createApprovalDeniedResult(grantedBy);
+            }
+
+            const result = await action(grantedBy);
+
+            if (result.success && result.status !== 'unchanged') {
+                await this.cacheUsersForOffline();
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Fehler in der Benutzerverwaltung:', error);
+            return {
+                success: false,
+                status: 'error',
+                message: error.message,
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * RFID-Tag weiterleiten: an eine wartende Freigabe, beim Badge-Anlernen an die Zuweisung, sonst an die Anmeldung
+     * @param {string} tagId - Tag-ID (hex)
+     */
+    async dispatchRFIDTag(tagId) {
+        if (this.pendingApproval || this.badgeEnrollment) {
+            // Nachlaufende Lesungen des gerade verwendeten Badges nicht erneut auswerten
+            const last = this.lastCapturedTag;
+            if (last && last.tagId === tagId && Date.now() - last.at < this.rfidScanCooldown) {
+                return;
+            }
+
+            return this.pendingApproval ? this.completeApproval(tagId) : this.completeBadgeEnrollment(tagId);
+        }
+
+        return this.handleRFIDScan(tagId);
+    }
+
+    /**
+     * Badge anlernen starten - ein bereits laufender Vorgang wird abgebrochen
+     * @param {number} userId - Benutzer, der den nächsten gelesenen Tag erhält
+     * @param {string} tagType - 'personal' (ersetzt den bisherigen Badge) | 'visitor' (zeitlich begrenzt)
+     * @returns {Promise<Object>} - Ergebnis von assignBadge bzw. { success: false, status: 'timeout' | 'canceled' | 'approval_*' }
+     */
+    async startBadgeEnrollment(userId, tagType = TAG_TYPES.PERSONAL) {
+        if (!this.dbClient || !this.systemStatus.database) {
+            return {
+                success: false,
+                status: 'offline',
+                message: 'Datenbank nicht verbunden',
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        // Freigabe vor dem Warten auf den Badge - der Tag des Administrators wird nicht angelernt
+        const approval = await this.requireApproval('users.manage');
+        if (!approval.approved) {
+            return this.createApprovalDeniedResult(approval);
+        }
+
+        this.finishBadgeEnrollment({ success: false, status: 'canceled', message: 'Badge anlernen abgebrochen' });
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                console.log(`⏱️ Badge anlernen für Benutzer ${userId}: kein Tag gelesen`);
+                this.finishBadgeEnrollment({
+                    success: false,
+                    status: 'timeout',
+                    message: `Kein Badge innerhalb von ${Math.round(this.badgeEnrollmentTimeout / 1000)} Sekunden gelesen`
+                });
+            }, this.badgeEnrollmentTimeout);
+
+            this.badgeEnrollment = { userId, tagType, approval, resolve, timer };
+            console.log(`🏷️ ${tagType === TAG_TYPES.VISITOR ? 'Besucher-Badge' : 'Badge'} anlernen für Benutzer ${userId} - warte auf RFID-Tag...`);
+        });
+    }
+
+    /**
+     * Laufendes Badge-Anlernen ohne Zuweisung beenden (Timeout, Abbruch, Beenden der App)
+     * @param {Object} result - { success, status, message }
+     */
+    finishBadgeEnrollment(result) {
+        if (!this.badgeEnrollment) return;
+
+        const { resolve, timer } = this.badgeEnrollment;
+        clearTimeout(timer);
+        this.badgeEnrollment = null;
+
+        resolve({ ...result, data: null, timestamp: new Date().toISOString() });
+    }
+
+    async completeBadgeEnrollment(tagId) {
+        const { userId, tagType, approval, resolve, timer } = this.badgeEnrollment;
+        clearTimeout(timer);
+        this.badgeEnrollment = null;
+
+        // Nachlaufende Lesungen desselben Badges nicht als Anmeldung werten
+        this.lastRFIDScanTime = Date.now();
+        this.lastCapturedTag = { tagId, at: Date.now() };
+
+        console.log(`🏷️ Badge ${tagId} wird Benutzer ${userId} zugewiesen...`);
+        resolve(await this.runUserAdminAction(
+            () => this.dbClient.assignBadge(userId, tagId, {
+                tagType,
+                validHours: this.userTagConfig.visitorValidHours,
+                actorUserId: approval.userId,
+                source: 'badge_enrollment'
+            }),
+            approval
+        ));
+    }
+
+    // ===== BADGE-ZUORDNUNG =====
+    /**
+     * Benutzer zu einem gelesenen Badge über die gleichwertigen Formen des Leser-Profils.
+     * Passen die Formen auf mehrere Benutzer, wird keiner gewählt - Sicherheitsmeldung statt Anmeldung
+     * @param {string} tagId - Tag-ID (hex)
+     * @param {string} source - Auslöser ('rfid_scan' | 'approval')
+     * @param {boolean} useDatabase - Datenbank (true) oder Offline-Benutzer-Cache (false)
+     * @returns {Promise<Object>} - { user, ambiguous }
+     */
+    async findUserByTag(tagId, source, useDatabase) {
+        const tagForms = this.tagNormalizer.getEquivalentForms(tagId);
+        let users = [];
+
+        if (useDatabase) {
+            users = await this.dbClient.findUsersByEPC(tagForms);
+        } else if (this.offlineJournal) {
+            users = this.offlineJournal.findCachedUsersByEPC(tagForms);
+        }
+
+        if (users.length <= 1) {
+            return { user: users[0] || null, ambiguous: false };
+        }
+
+        const userNames = users.map(user => user.BenutzerName).join(', ');
+        console.warn(`🚨 Badge nicht eindeutig (${source}): ${tagForms.join(' / ')} passt auf ${userNames}`);
+
+        this.sendToRenderer('rfid-security-alert', {
+            tagId,
+            status: 'ambiguous',
+            tagForms,
+            userIds: users.map(user => user.ID),
+            message: `Badge ${tagId} passt auf mehrere Benutzer (${userNames}) - Anmeldung abgelehnt, bitte Leser-Profil prüfen`,
+            timestamp: new Date().toISOString()
+        });
+
+        return { user: null, ambiguous: true };
+    }
+
+    // ===== GESPERRTE BADGES =====
+    /**
+     * Nicht anmeldenden Badge prüfen - verlorene und gesperrte Badges lösen eine Sicherheitsmeldung aus
+     * (Renderer-Benachrichtigung und Audit-Eintrag 'user_tag.blocked_read')
+     * @param {string} tagId - Tag-ID (hex)
+     * @param {string} source - Auslöser für den Audit-Eintrag ('rfid_scan' | 'approval')
+     * @returns {Object|null} - Letzte Ausgabe des Badges (UserTags) oder null
+     */
+    async checkBlockedTag(tagId, source) {
+        const tag = await this.dbClient.getLatestTag(this.tagNormalizer.getEquivalentForms(tagId));
+        if (!tag || !isBlockedTagStatus(tag.Status)) return tag;
+
+        const state = tag.Status === TAG_STATUS.LOST ? 'als verloren gemeldet' : 'gesperrt';
+        console.warn(`🚨 Gesperrter Badge gelesen: ${tagId} (${tag.Status}, ausgegeben an ${tag.BenutzerName})`);
+
+        await this.dbClient.recordBlockedTagRead(tag, { source });
+
+        this.sendToRenderer('rfid-security-alert', {
+            tagId,
+            status: tag.Status,
+            tagType: tag.TagType,
+            userId: tag.UserID,
+            userName: tag.BenutzerName,
+            validTo: tag.ValidTo,
+            message: `${tag.TypeLabel}-Badge ${tagId} von ${tag.BenutzerName} ist ${state}${tag.StatusReason ? ` (${tag.StatusReason})` : ''}`,
+            timestamp: new Date().toISOString()
+        });
+
+        return tag;
     }
 
     // ===== KORRIGIERTE RFID-VERARBEITUNG: SESSION BEENDEN + NEUE SESSION =====
@@ -883,16 +3029,31 @@ class WareneinlagerungMainApp {
 
         try {
             if (!this.systemStatus.database) {
+                if (this.offlineJournal) {
+                    return this.handleOfflineRFIDScan(tagId);
+                }
                 throw new Error('Datenbank nicht verbunden - RFID-Scan kann nicht verarbeitet werden');
             }
 
-            // Benutzer anhand EPC finden
-            const user = await this.dbClient.getUserByEPC(tagId);
+            // Benutzer anhand EPC finden (auch gleichwertige Formen, z.B. vor einem Profilwechsel angelernt)
+            const { user, ambiguous } = await this.findUserByTag(tagId, 'rfid_scan', true);
+            if (ambiguous) return;
+
+            if (!user && !this.dbClient.isConnected && this.offlineJournal) {
+                // Verbindung während der Abfrage verloren
+                this.handleDatabaseOffline();
+                return this.handleOfflineRFIDScan(tagId);
+            }
 
             if (!user) {
+                const tag = await this.checkBlockedTag(tagId, 'rfid_scan');
+                if (tag && isBlockedTagStatus(tag.Status)) return;
+
                 this.sendToRenderer('rfid-scan-error', {
                     tagId,
-                    message: `Unbekannter RFID-Tag: ${tagId}`,
+                    message: tag && tag.Status === TAG_STATUS.ACTIVE && tag.ValidTo && !tag.IsValid ?
+                        `${tag.TypeLabel}-Badge ${tagId} von ${tag.BenutzerName} ist abgelaufen` :
+                        `Unbekannter RFID-Tag: ${tagId}`,
                     timestamp: new Date().toISOString()
                 });
                 return;
@@ -900,61 +3061,30 @@ class WareneinlagerungMainApp {
 
             console.log(`👤 Benutzer gefunden: ${user.BenutzerName} (ID: ${user.ID})`);
 
+            // Supervisor-Badge öffnet das Dashboard und startet keine Session (nur mit Rolle Schichtleitung oder höher)
+            if (this.dashboardConfig.supervisorUserIds.includes(user.ID) && hasRole(user.Role, USER_ROLES.SHIFT_LEAD)) {
+                console.log(`📊 Supervisor-Badge von ${user.BenutzerName} - Dashboard wird geöffnet`);
+                this.openSupervisorWindow();
+                return;
+            }
+
+            // Erneuter Badge-Scan während der SessionType-Auswahl übernimmt die Vorauswahl
+            if (this.pendingTypeSelections.has(user.ID)) {
+                console.log(`🗂️ SessionType-Auswahl für ${user.BenutzerName} per Badge bestätigt`);
+                await this.completeSessionTypeSelection(user.ID, null);
+                return;
+            }
+
             // Prüfen ob Benutzer bereits eine aktive Session hat
             const existingSession = this.activeSessions.get(user.ID);
 
             if (existingSession) {
-                // ===== KORRIGIERTE LOGIK: SESSION BEENDEN + NEUE SESSION STARTEN =====
-                console.log(`📝 Beende aktuelle Session für ${user.BenutzerName} (Session ${existingSession.sessionId})`);
-
-                // 1. Aktuelle Session in Datenbank korrekt beenden
-                const endResult = await this.dbClient.query(`
-                    UPDATE Sessions
-                    SET EndTS = SYSDATETIME(), Active = 0
-                    WHERE ID = ? AND UserID = ? AND Active = 1
-                `, [existingSession.sessionId, user.ID]);
-
-                if (endResult && endResult.rowsAffected && endResult.rowsAffected[0] > 0) {
-                    // 2. Arbeitszeit berechnen
-                    const duration = Date.now() - existingSession.startTime.getTime();
-
-                    // 3. Session-Timer stoppen
-                    this.stopSessionTimer(existingSession.sessionId);
-
-                    // 4. Session aus lokaler Verwaltung entfernen
-                    this.activeSessions.delete(user.ID);
-
-                    // 5. Rate Limit für Session zurücksetzen
-                    this.qrScanRateLimit.delete(existingSession.sessionId);
-
-                    // 6. Frontend über Session-Ende informieren
-                    this.sendToRenderer('session-ended', {
-                        user,
-                        sessionId: existingSession.sessionId,
-                        sessionType: existingSession.sessionType || 'Unbekannt',
-                        endTime: new Date().toISOString(),
-                        duration: duration,
-                        source: 'rfid_scan',
-                        durationFormatted: this.formatDuration(duration)
-                    });
-
-                    console.log(`✅ Session ${existingSession.sessionId} erfolgreich beendet (Dauer: ${Math.round(duration / 1000)}s)`);
-
-                    // 7. Sofort neue Session erstellen
-                    await this.createNewSessionForUser(user);
-                } else {
-                    console.error('❌ Fehler beim Beenden der Session - keine Zeilen betroffen');
-                    this.sendToRenderer('rfid-scan-error', {
-                        tagId,
-                        message: 'Fehler beim Beenden der aktuellen Session',
-                        timestamp: new Date().toISOString()
-                    });
-                }
-
+                // Badge-Scan bei aktiver Session: Pausen-Geste oder Session beenden + neue Session
+                await this.handlePauseGesture(user, () => this.handleRFIDRescan(user, tagId));
             } else {
                 // ===== ERSTE ANMELDUNG: NEUE SESSION ERSTELLEN =====
                 console.log(`🔑 Erste Anmeldung für ${user.BenutzerName}...`);
-                await this.createNewSessionForUser(user);
+                await this.requestSessionTypeSelection(user);
             }
 
         } catch (error) {
@@ -967,17 +3097,78 @@ class WareneinlagerungMainApp {
         }
     }
 
+    // ===== KORRIGIERTE LOGIK: SESSION BEENDEN + NEUE SESSION STARTEN =====
+    /**
+     * Badge-Scan bei aktiver Session: aktuelle Session beenden und SessionType-Auswahl für die neue starten
+     * @param {Object} user - Benutzer
+     * @param {string} tagId - RFID-Tag (Hex)
+     */
+    async handleRFIDRescan(user, tagId) {
+        const existingSession = this.activeSessions.get(user.ID);
+        if (!existingSession) return;
+
+        console.log(`📝 Beende aktuelle Session für ${user.BenutzerName} (Session ${existingSession.sessionId})`);
+
+        // 1. Aktuelle Session in Datenbank korrekt beenden
+        const endSuccess = await this.dbClient.endSession(existingSession.sessionId, {
+            actorUserId: user.ID,
+            source: 'rfid_rescan',
+            endReason: SESSION_END_REASONS.RFID_RESCAN
+        });
+
+        if (endSuccess) {
+            // 2. Arbeitszeit berechnen (brutto und ohne Pausen)
+            const duration = Date.now() - existingSession.startTime.getTime();
+            const pauseDuration = this.getPausedMs(existingSession);
+
+            // 3. Session-Timer stoppen
+            this.stopSessionTimer(existingSession.sessionId);
+
+            // 4. Session aus lokaler Verwaltung entfernen
+            this.activeSessions.delete(user.ID);
+
+            // 5. Scan-Policy-Zustand der Session verwerfen
+            this.scanPolicy.forgetSession(existingSession.sessionId);
+
+            // 6. Frontend über Session-Ende informieren
+            this.sendToRenderer('session-ended', {
+                user,
+                sessionId: existingSession.sessionId,
+                sessionType: existingSession.sessionType || 'Unbekannt',
+                endTime: new Date().toISOString(),
+                duration: duration,
+                pauseDuration,
+                netDuration: Math.max(0, duration - pauseDuration),
+                source: 'rfid_scan',
+                durationFormatted: this.formatDuration(duration)
+            });
+
+            console.log(`✅ Session ${existingSession.sessionId} erfolgreich beendet (Dauer: ${Math.round(duration / 1000)}s)`);
+
+            // 7. Neue Session erstellen - SessionType wählt der Benutzer
+            await this.requestSessionTypeSelection(user);
+        } else {
+            console.error('❌ Fehler beim Beenden der Session - keine Zeilen betroffen');
+            this.sendToRenderer('rfid-scan-error', {
+                tagId,
+                message: 'Fehler beim Beenden der aktuellen Session',
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
     // ===== KORRIGIERTE HILFSFUNKTION: SESSION ERSTELLEN OHNE BESTEHENDE ZU BEENDEN =====
-    async createNewSessionForUser(user) {
+    async createNewSessionForUser(user, sessionType = null) {
         try {
-            console.log(`🆕 Erstelle neue Session für ${user.BenutzerName}...`);
+            console.log(`🆕 Erstelle neue Session für ${user.BenutzerName}${sessionType ? ` (${sessionType})` : ''}...`);
 
             // ===== KRITISCH: closeExistingSessions = false =====
             // Da wir die Session bereits manuell beendet haben
             const { session, sessionTypeName, fallbackUsed } = await this.createSessionWithFallback(
                 user.ID,
-                null,           // sessionTypePriority default
-                false           // closeExistingSessions = false !!!
+                this.getSessionTypeOrder(sessionType), // gewählter SessionType zuerst
+                false,          // closeExistingSessions = false !!!
+                { actorUserId: user.ID, source: 'rfid_scan' }
             );
 
             if (session) {
@@ -985,21 +3176,23 @@ class WareneinlagerungMainApp {
                 this.activeSessions.set(user.ID, {
                     sessionId: session.ID,
                     userId: user.ID,
+                    role: user.Role || USER_ROLES.WORKER,
                     startTime: new Date(session.StartTS),
                     lastActivity: new Date(),
-                    sessionType: sessionTypeName
+                    sessionType: sessionTypeName,
+                    pausedSince: null,
+                    pausedMs: 0
                 });
 
                 // Session-Timer starten (beginnt bei 0)
                 this.startSessionTimer(session.ID, user.ID);
 
-                // Rate Limit für neue Session initialisieren
-                this.qrScanRateLimit.set(session.ID, []);
-
                 // Session-Daten mit normalisiertem Zeitstempel senden
                 const normalizedSession = {
                     ...session,
-                    StartTS: this.normalizeTimestamp(session.StartTS)
+                    StartTS: this.normalizeTimestamp(session.StartTS),
+                    SessionTypeName: sessionTypeName,
+                    FallbackUsed: fallbackUsed
                 };
 
                 // Login-Event senden
@@ -1022,12 +3215,13 @@ class WareneinlagerungMainApp {
                     this.sendToRenderer('session-fallback-warning', {
                         user,
                         sessionType: sessionTypeName,
-                        primaryType: this.sessionTypePriority[0],
+                        primaryType: sessionType || this.sessionTypePriority[0],
                         message: `Fallback SessionType '${sessionTypeName}' verwendet`,
                         timestamp: new Date().toISOString()
                     });
                 }
 
+                return normalizedSession;
             } else {
                 throw new Error('Session konnte nicht erstellt werden');
             }
@@ -1039,6 +3233,7 @@ class WareneinlagerungMainApp {
                 message: `Fehler beim Erstellen einer neuen Session: ${error.message}`,
                 timestamp: new Date().toISOString()
             });
+            return null;
         }
     }
 
@@ -1133,55 +3328,90 @@ class WareneinlagerungMainApp {
         }
     }
 
-    // ===== QR-SCAN RATE LIMITING =====
-    checkQRScanRateLimit(sessionId) {
-        const now = Date.now();
-        const oneMinute = 60 * 1000;
+    // ===== BERICHTE =====
+    /**
+     * Eigenständiges Berichts-HTML in einem unsichtbaren Fenster rendern und als PDF drucken
+     * @param {string} html - HTML-Dokument (SessionReportExporter.toHTML)
+     * @returns {Buffer} - PDF (A4)
+     */
+    async printReportToPDF(html) {
+        const printWindow = new BrowserWindow({
+            show: false,
+            webPreferences: {
+                javascript: false,
+                nodeIntegration: false,
+                contextIsolation: true
+            }
+        });
 
-        if (!this.qrScanRateLimit.has(sessionId)) {
-            this.qrScanRateLimit.set(sessionId, []);
+        try {
+            await printWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+            return await printWindow.webContents.printToPDF({
+                pageSize: 'A4',
+                printBackground: true
+            });
+        } finally {
+            printWindow.destroy();
         }
-
-        const scanTimes = this.qrScanRateLimit.get(sessionId);
-
-        // Entferne Scans älter als 1 Minute
-        const recentScans = scanTimes.filter(time => now - time < oneMinute);
-        this.qrScanRateLimit.set(sessionId, recentScans);
-
-        // Prüfe Limit
-        return recentScans.length < this.maxQRScansPerMinute;
     }
 
-    updateQRScanRateLimit(sessionId) {
-        const now = Date.now();
+    // ===== SUPERVISOR-DASHBOARD =====
+    /**
+     * Dashboard-Fenster öffnen oder in den Vordergrund holen
+     * @returns {Object} - { success, message }
+     */
+    openSupervisorWindow() {
+        if (!this.dbClient || !this.systemStatus.database) {
+            return { success: false, message: 'Supervisor-Dashboard benötigt eine Datenbankverbindung' };
+        }
 
-        if (!this.qrScanRateLimit.has(sessionId)) {
-            this.qrScanRateLimit.set(sessionId, []);
+        if (this.supervisorWindow) {
+            if (this.supervisorWindow.isMinimized()) {
+                this.supervisorWindow.restore();
+            }
+            this.supervisorWindow.focus();
+            return { success: true, message: 'Supervisor-Dashboard geöffnet' };
         }
 
-        const scanTimes = this.qrScanRateLimit.get(sessionId);
-        scanTimes.push(now);
+        this.supervisorWindow = new BrowserWindow({
+            width: 1280,
+            height: 800,
+            minWidth: 900,
+            minHeight: 600,
+            title: 'Supervisor-Dashboard',
+            autoHideMenuBar: true,
+            show: false,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                preload: path.join(__dirname, 'preload.js'),
+                webSecurity: true,
+                allowRunningInsecureContent: false
+            }
+        });
+
+        this.supervisorDashboard = new SupervisorDashboard(this.dbClient, this.dashboardConfig);
+        this.supervisorDashboard.on('update', (data) => {
+            if (this.supervisorWindow) {
+                this.supervisorWindow.webContents.send('dashboard-update', data);
+            }
+        });
 
-        // Halte nur die letzten Scans
-        if (scanTimes.length > this.maxQRScansPerMinute) {
-            scanTimes.shift();
-        }
-    }
+        this.supervisorWindow.loadFile('renderer/supervisor.html');
+        this.supervisorWindow.once('ready-to-show', () => this.supervisorWindow.show());
 
-    getQRScanStats() {
-        const stats = {};
-        const now = Date.now();
-        const oneMinute = 60 * 1000;
+        this.supervisorWindow.on('closed', () => {
+            this.supervisorWindow = null;
+            if (this.supervisorDashboard) {
+                this.supervisorDashboard.stop();
+                this.supervisorDashboard = null;
+            }
+        });
 
-        for (const [sessionId, scanTimes] of this.qrScanRateLimit.entries()) {
-            const recentScans = scanTimes.filter(time => now - time < oneMinute);
-            stats[sessionId] = {
-                scansPerMinute: recentScans.length,
-                lastScan: scanTimes.length > 0 ? Math.max(...scanTimes) : null
-            };
-        }
+        this.supervisorDashboard.start();
+        console.log('📊 Supervisor-Dashboard geöffnet');
 
-        return stats;
+        return { success: true, message: 'Supervisor-Dashboard geöffnet' };
     }
 
     // ===== COMMUNICATION =====
@@ -1189,6 +3419,11 @@ class WareneinlagerungMainApp {
         if (this.mainWindow && this.mainWindow.webContents) {
             this.mainWindow.webContents.send(channel, data);
         }
+
+        // Session-Ereignisse lösen eine Aktualisierung des Supervisor-Dashboards aus
+        if (this.supervisorDashboard && DASHBOARD_REFRESH_CHANNELS.has(channel)) {
+            this.supervisorDashboard.requestRefresh();
+        }
     }
 
     sendSystemStatus() {
@@ -1214,10 +3449,58 @@ class WareneinlagerungMainApp {
                 this.stopSessionTimer(sessionId);
             }
 
+            // Offene SessionType-Auswahlen verwerfen
+            for (const pending of this.pendingTypeSelections.values()) {
+                clearTimeout(pending.timer);
+            }
+            this.pendingTypeSelections.clear();
+
+            // Wartende Doppel-Taps verwerfen
+            for (const timer of this.pendingRFIDTaps.values()) {
+                clearTimeout(timer);
+            }
+            this.pendingRFIDTaps.clear();
+
+            // Laufendes Badge-Anlernen und wartende Freigaben abbrechen
+            this.finishBadgeEnrollment({ success: false, status: 'canceled', message: 'Anwendung wird beendet' });
+            this.finishApproval(this.createApprovalResult(false, 'approval_canceled', 'Anwendung wird beendet'));
+
+            // Session-Bereinigung stoppen
+            if (this.sessionReconciler) {
+                this.sessionReconciler.stop();
+                this.sessionReconciler = null;
+            }
+
+            // Supervisor-Dashboard schließen
+            if (this.supervisorDashboard) {
+                this.supervisorDashboard.stop();
+                this.supervisorDashboard = null;
+            }
+            if (this.supervisorWindow) {
+                this.supervisorWindow.destroy();
+                this.supervisorWindow = null;
+            }
+
             // Alle aktiven Sessions beenden
             for (const [userId, sessionData] of this.activeSessions.entries()) {
                 try {
-                    await this.dbClient.endSession(sessionData.sessionId);
+                    const isOffline = !this.systemStatus.database || this.offlineJournal?.isLocalSessionId(sessionData.sessionId);
+                    if (isOffline && this.offlineJournal) {
+                        // Session-Ende beim nächsten Start nachtragen
+                        this.offlineJournal.addEntry('session-end', {
+                            sessionId: sessionData.sessionId,
+                            userId,
+                            endedAt: new Date().toISOString(),
+                            endReason: SESSION_END_REASONS.SHUTDOWN
+                        });
+                        continue;
+                    }
+
+                    await this.dbClient.endSession(sessionData.sessionId, {
+                        actorUserId: userId,
+                        source: 'app_shutdown',
+                        endReason: SESSION_END_REASONS.SHUTDOWN
+                    });
                     console.log(`Session ${sessionData.sessionId} für Benutzer ${userId} beendet`);
                 } catch (error) {
                     console.error(`Fehler beim Beenden der Session ${sessionData.sessionId}:`, error);
@@ -1227,7 +3510,14 @@ class WareneinlagerungMainApp {
             // Lokale Daten zurücksetzen
             this.activeSessions.clear();
             this.activeSessionTimers.clear();
-            this.qrScanRateLimit.clear();
+            this.scanPolicy.clear();
+
+            // Alle Sessions sind beendet bzw. im Journal vermerkt - beim nächsten Start nichts wiederherstellen
+            if (this.sessionSnapshot) {
+                clearImmediate(this.sessionSnapshotPending);
+                this.sessionSnapshotPending = null;
+                this.sessionSnapshot.clear();
+            }
 
             // Dekodierung-Statistiken zurücksetzen
             this.decodingStats = {
@@ -15,21 +15,101 @@ contextBridge.exposeInMainWorld('electronAPI', {
         getAllActive: () => ipcRenderer.invoke('session-get-all-active'),
 
         // Neue Session erstellen (ohne bestehende zu beenden)
-        create: (userId) => ipcRenderer.invoke('session-create', userId),
+        create: (userId, sessionType = null) => ipcRenderer.invoke('session-create', userId, sessionType),
 
         // Session neu starten (Timer zurücksetzen)
         restart: (sessionId, userId) => ipcRenderer.invoke('session-restart', sessionId, userId),
 
         // Spezifische Session beenden
-        end: (sessionId, userId) => ipcRenderer.invoke('session-end', sessionId, userId)
+        end: (sessionId, userId) => ipcRenderer.invoke('session-end', sessionId, userId),
+
+        // Pause starten/beenden (QR-Scans sind während der Pause gesperrt)
+        pause: (sessionId, userId, reason = null) => ipcRenderer.invoke('session-pause', sessionId, userId, reason),
+        resume: (sessionId, userId) => ipcRenderer.invoke('session-resume', sessionId, userId),
+
+        // Zuletzt automatisch beendete Sessions (Timeout / Absturz-Bereinigung)
+        getAutoClosed: () => ipcRenderer.invoke('session-get-auto-closed'),
+
+        // Session-Bericht (aktive oder beendete Session): { summary, html } bzw. Export als 'pdf' | 'csv'
+        getReport: (sessionId) => ipcRenderer.invoke('session-report-get', sessionId),
+        exportReport: (sessionId, format) => ipcRenderer.invoke('session-report-export', sessionId, format)
     },
 
     // ===== QR-CODE OPERATIONEN MIT DEKODIERUNG =====
     qr: {
         saveScan: (sessionId, payload) => ipcRenderer.invoke('qr-scan-save', sessionId, payload),
+        // confirmation: { reason } - Freigabe nach 'wrong_format_for_session_type', bestätigt per Badge der Schichtleitung
+        overrideScan: (sessionId, payload, confirmation) => ipcRenderer.invoke('qr-scan-override', sessionId, payload, confirmation),
+        // reasonCode: 'wrong_package' | 'double_scan' | 'test' - benötigt Freigabe per Badge der Schichtleitung
+        voidScan: (scanId, reasonCode) => ipcRenderer.invoke('qr-scan-void', scanId, reasonCode),
         getDecodedScans: (sessionId, limit) => ipcRenderer.invoke('qr-get-decoded-scans', sessionId, limit),
         searchDecoded: (searchTerm, sessionId) => ipcRenderer.invoke('qr-search-decoded', searchTerm, sessionId),
-        getDecodingStats: (sessionId) => ipcRenderer.invoke('qr-get-decoding-stats', sessionId)
+        // criteria: { auftragsNr, paketNr, kundenId, format, sessionId, dateFrom, dateTo, page, pageSize }
+        search: (criteria) => ipcRenderer.invoke('qr-search-scans', criteria),
+        getDecodingStats: (sessionId) => ipcRenderer.invoke('qr-get-decoding-stats', sessionId),
+        // { rules: [{ type, label, ... }], cooldownMs }
+        getScanPolicy: () => ipcRenderer.invoke('qr-get-scan-policy')
+    },
+
+    // ===== AUDIT-TRAIL =====
+    audit: {
+        // criteria: { entityType, entityId, sessionId, actorUserId, action, dateFrom, dateTo, page, pageSize }
+        getLog: (criteria) => ipcRenderer.invoke('audit-get-log', criteria),
+        getSessionHistory: (sessionId) => ipcRenderer.invoke('audit-get-session-history', sessionId)
+    },
+
+    // ===== FREIGABEN =====
+    auth: {
+        // Freigabe vorab einholen (z.B. vor dem Öffnen einer Admin-Ansicht): { approved, status, message, userName, role }
+        authorize: (permission) => ipcRenderer.invoke('auth-authorize', permission),
+        cancelApproval: () => ipcRenderer.invoke('auth-cancel-approval')
+    },
+
+    // ===== BENUTZERVERWALTUNG =====
+    users: {
+        // Alle Benutzer inklusive deaktivierter
+        getAll: () => ipcRenderer.invoke('users-get-all'),
+        // data: { firstName, lastName, userName, email, department }
+        create: (data) => ipcRenderer.invoke('users-create', data),
+        update: (userId, data) => ipcRenderer.invoke('users-update', userId, data),
+        setActive: (userId, active) => ipcRenderer.invoke('users-set-active', userId, active),
+        // role: 'worker' | 'shift_lead' | 'admin'
+        setRole: (userId, role) => ipcRenderer.invoke('users-set-role', userId, role),
+        // Der nächste gelesene RFID-Tag wird zum Badge des Benutzers (Ergebnis nach Lesung, Timeout oder Abbruch)
+        // tagType: 'personal' (ersetzt den bisherigen Badge) | 'visitor' (zeitlich begrenzt)
+        enrollBadge: (userId, tagType) => ipcRenderer.invoke('users-enroll-badge', userId, tagType),
+        cancelEnrollment: () => ipcRenderer.invoke('users-cancel-enrollment'),
+        // Alle Badges des Benutzers inkl. verlorener und ersetzter
+        getTags: (userId) => ipcRenderer.invoke('users-get-tags', userId),
+        // status: 'lost' | 'revoked'
+        setTagStatus: (tagId, status, reason) => ipcRenderer.invoke('users-set-tag-status', tagId, status, reason)
+    },
+
+    // ===== STATISTIK-DIAGRAMME =====
+    stats: {
+        // filters: { sessionTypeId, department } - leer = alle
+        getHourlyActivity: (date, filters) => ipcRenderer.invoke('stats-get-hourly-activity', date, filters),
+        // 7 Wochentage (Montag zuerst) mit je 24 Stundenwerten
+        getWeekdayActivity: (weeks, filters) => ipcRenderer.invoke('stats-get-weekday-activity', weeks, filters),
+        getWeeklyTrends: (weeks, filters) => ipcRenderer.invoke('stats-get-weekly-trends', weeks, filters),
+        // { sessionTypes: [{ ID, TypeName }], departments: [string] }
+        getFilterOptions: () => ipcRenderer.invoke('stats-get-filter-options')
+    },
+
+    // ===== SUPERVISOR-DASHBOARD =====
+    dashboard: {
+        // Eigenes Fenster öffnen bzw. in den Vordergrund holen
+        open: () => ipcRenderer.invoke('dashboard-open'),
+        // Aktueller Stand - Aktualisierungen kommen per 'dashboard-update'
+        get: () => ipcRenderer.invoke('dashboard-get')
+    },
+
+    // ===== STUNDENZETTEL =====
+    timesheet: {
+        // criteria: { startDate, endDate, userId } - Datum 'YYYY-MM-DD', Bis inklusive
+        generate: (criteria) => ipcRenderer.invoke('timesheet-generate', criteria),
+        // criteria zusätzlich: { layout: 'days' | 'weeks' } - öffnet den Speichern-Dialog
+        export: (criteria) => ipcRenderer.invoke('timesheet-export', criteria)
     },
 
     // ===== RFID OPERATIONEN =====
@@ -44,6 +124,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
         getInfo: () => ipcRenderer.invoke('get-system-info')
     },
 
+    // ===== OFFLINE-JOURNAL =====
+    journal: {
+        getStatus: () => ipcRenderer.invoke('journal-get-status'),
+        replay: () => ipcRenderer.invoke('journal-replay')
+    },
+
     // ===== APP STEUERUNG =====
     app: {
         minimize: () => ipcRenderer.invoke('app-minimize'),
@@ -58,13 +144,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
             'system-ready',
             'system-error',
             'user-login',           // Neuer Benutzer loggt sich ein
+            'session-type-select',  // SessionType-Auswahl nach RFID-Anmeldung
             'user-logout',          // Benutzer loggt sich aus
             'session-ended',        // NEU: Session wurde beendet (RFID-Rescan)
             'session-restarted',    // Session wurde neu gestartet (DEPRECATED)
             'session-timer-update', // Timer-Updates für Sessions
+            'session-pause-changed', // Session pausiert/fortgesetzt
+            'sessions-auto-closed', // Überfällige Sessions automatisch beendet
+            'sessions-restored',    // Aktive Sessions nach Neustart mit Datenbank abgeglichen
             'rfid-scan-error',
+            'rfid-security-alert',
             'qr-scan-detected',
-            'decoding-stats-updated'
+            'decoding-stats-updated',
+            'journal-updated',
+            'session-id-remapped',
+            'database-connection-state',
+            'approval-requested',   // Privilegierte Aktion wartet auf Badge-Tap
+            'approval-finished',    // Freigabe erteilt, abgelehnt oder abgelaufen
+            'dashboard-update'      // Supervisor-Dashboard (nur im Dashboard-Fenster)
         ];
 
         if (validChannels.includes(channel)) {
@@ -82,13 +179,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
             'system-ready',
             'system-error',
             'user-login',
+            'session-type-select',
             'user-logout',
             'session-ended',        // NEU: Session wurde beendet
             'session-restarted',
             'session-timer-update',
+            'session-pause-changed',
+            'sessions-auto-closed',
+            'sessions-restored',
             'rfid-scan-error',
+            'rfid-security-alert',
             'qr-scan-detected',
-            'decoding-stats-updated'
+            'decoding-stats-updated',
+            'journal-updated',
+            'session-id-remapped',
+            'database-connection-state',
+            'approval-requested',
+            'approval-finished',
+            'dashboard-update'
         ];
 
         if (validChannels.includes(channel)) {
@@ -265,198 +373,6 @@ contextBridge.exposeInMainWorld('utils', {
 
     // ===== QR-CODE DEKODIERUNG UND VERARBEITUNG =====
 
-    /**
-     * Dekodiert QR-Code Daten basierend auf der Backend-Logik
-     * @param {string} data - Rohe QR-Code Daten
-     * @returns {Object} - Dekodierte Informationen
-     */
-    decodeQRData: (data) => {
-        const result = {
-            auftrags_nr: "",
-            paket_nr: "",
-            kunden_name: "",
-            original_data: data,
-            format_type: "unknown"
-        };
-
-        if (!data || typeof data !== 'string') {
-            return result;
-        }
-
-        try {
-            // Spezielles durch ^ getrenntes Format (hat höchste Priorität)
-            if (data.includes('^')) {
-                const parts = data.split('^');
-
-                // Wir benötigen mindestens 4 Teile für Auftragsnummer und Paketnummer
-                if (parts.length >= 4) {
-                    result.format_type = "caret_separated";
-
-                    // Auftragsnummer ist im zweiten Feld (Index 1)
-                    result.auftrags_nr = parts[1] || "";
-
-                    // Paketnummer ist im vierten Feld (Index 3)
-                    result.paket_nr = parts[3] || "";
-
-                    // Falls verfügbar, Kundennummer oder ID im dritten Feld (Index 2)
-                    if (parts.length > 2 && parts[2]) {
-                        result.kunden_name = `Kunden-ID: ${parts[2]}`;
-                    }
-
-                    return result;
-                }
-            }
-
-            result.format_type = "pattern_matching";
-
-            // Versuch, die Auftragsnummer zu extrahieren
-            // Basierend auf den Beispielbildern, Muster "NL-XXXXXXX" oder ähnlich
-            const auftragsNrMatch = data.match(/[A-Z]{2}-\d+/);
-            if (auftragsNrMatch) {
-                result.auftrags_nr = auftragsNrMatch[0];
-            }
-
-            // Versuch, die Paketnummer zu extrahieren
-            // Langer numerischer Code, wie in den Beispielbildern
-            const paketNrMatch = data.match(/\d{10,}/);
-            if (paketNrMatch) {
-                result.paket_nr = paketNrMatch[0];
-            }
-
-            // Versuch, den Kundennamen zu extrahieren
-            if (data.includes("KUNDENNAME:")) {
-                const parts = data.split("KUNDENNAME:");
-                if (parts.length > 1) {
-                    let kundenName = parts[1].trim();
-                    // Bis zum nächsten Schlüsselwort oder Ende nehmen
-                    const endMarkers = ["PAKET-NR", "AUFTRAG", "\n"];
-                    for (const marker of endMarkers) {
-                        if (kundenName.includes(marker)) {
-                            kundenName = kundenName.split(marker)[0].trim();
-                            break;
-                        }
-                    }
-                    result.kunden_name = kundenName;
-                }
-            }
-
-            // Zusätzliche Suche für andere Formate
-            // Nach "Referenz: XXX" oder ähnlichen Patterns suchen
-            if (!result.auftrags_nr) {
-                const referenzMatch = data.match(/Referenz:\s+([A-Z0-9-]+)/);
-                if (referenzMatch) {
-                    result.auftrags_nr = referenzMatch[1];
-                }
-            }
-
-            // Nach "Tracking: XXX" oder ähnlichen Patterns suchen
-            if (!result.paket_nr) {
-                const trackingMatch = data.match(/Tracking:\s+(\d+)/);
-                if (trackingMatch) {
-                    result.paket_nr = trackingMatch[1];
-                }
-            }
-
-            return result;
-
-        } catch (error) {
-            console.error('Fehler beim Dekodieren der QR-Code Daten:', error);
-            result.format_type = "error";
-            return result;
-        }
-    },
-
-    /**
-     * Erstellt eine benutzerfreundliche Anzeige für dekodierte QR-Codes
-     * @param {Object} decoded - Dekodierte QR-Code Daten
-     * @returns {Object} - Formatierte Anzeige-Informationen
-     */
-    formatDecodedData: (decoded) => {
-        if (!decoded || typeof decoded !== 'object') {
-            return {
-                hasData: false,
-                icon: '📄',
-                title: 'Unstrukturierte Daten',
-                fields: [],
-                summary: 'Keine dekodierten Daten verfügbar'
-            };
-        }
-
-        const { auftrags_nr, paket_nr, kunden_name, format_type } = decoded;
-        const fields = [];
-
-        // Auftragsnummer
-        if (auftrags_nr && auftrags_nr.trim()) {
-            fields.push({
-                label: 'Auftrag',
-                value: auftrags_nr.trim(),
-                type: 'auftrag',
-                icon: '📋'
-            });
-        }
-
-        // Paketnummer
-        if (paket_nr && paket_nr.trim()) {
-            fields.push({
-                label: 'Paket',
-                value: paket_nr.trim(),
-                type: 'paket',
-                icon: '📦'
-            });
-        }
-
-        // Kundenname/ID
-        if (kunden_name && kunden_name.trim()) {
-            fields.push({
-                label: 'Kunde',
-                value: kunden_name.trim(),
-                type: 'kunde',
-                icon: '👤'
-            });
-        }
-
-        // Icon und Titel basierend auf verfügbaren Daten
-        let icon = '📄';
-        let title = 'Paketdaten';
-        let quality = 'minimal';
-
-        if (auftrags_nr && paket_nr) {
-            icon = '📦';
-            title = 'Vollständige Paketinformationen';
-            quality = 'complete';
-        } else if (auftrags_nr || paket_nr) {
-            icon = '📋';
-            title = 'Teilweise Paketinformationen';
-            quality = 'partial';
-        } else if (kunden_name) {
-            icon = '👤';
-            title = 'Kundeninformationen';
-            quality = 'customer';
-        } else {
-            icon = '📄';
-            title = 'Unstrukturierte Daten';
-            quality = 'minimal';
-        }
-
-        // Zusammenfassung erstellen
-        const parts = [];
-        if (auftrags_nr) parts.push(`Auftrag: ${auftrags_nr}`);
-        if (paket_nr) parts.push(`Paket: ${paket_nr}`);
-        if (kunden_name) parts.push(kunden_name);
-
-        const summary = parts.length > 0 ? parts.join(' • ') : 'Keine strukturierten Daten erkannt';
-
-        return {
-            hasData: fields.length > 0,
-            icon: icon,
-            title: title,
-            fields: fields,
-            summary: summary,
-            quality: quality,
-            formatType: format_type || 'unknown'
-        };
-    },
-
     /**
      * Validiert dekodierte QR-Code Daten
      * @param {Object} decoded - Dekodierte Daten
@@ -529,19 +445,7 @@ contextBridge.exposeInMainWorld('utils', {
                 preview: this.createJSONPreview(jsonData)
             };
         } catch (e) {
-            // Versuche QR-Code zu dekodieren
-            const decoded = this.decodeQRData(payload);
-            const formatted = this.formatDecodedData(decoded);
-
-            if (formatted.hasData) {
-                return {
-                    type: 'decoded_qr',
-                    data: decoded,
-                    display: formatted.summary,
-                    preview: formatted.title,
-                    formatted: formatted
-                };
-            }
+            // Dekodierung der Auftrags-/Paket-Formate übernimmt der Renderer (window.QRParsers)
 
             // Key-Value Format versuchen (Format: key1:value1^key2:value2)
             if (payload.includes('^') && payload.includes(':')) {
@@ -649,33 +553,16 @@ contextBridge.exposeInMainWorld('utils', {
             };
         }
 
-        const { success, status, message, data, duplicateInfo } = result;
+        const { success, status, message, data, verdict } = result;
 
         let formattedMessage = message || 'Unbekannter Status';
         let displayType = status || 'unknown';
-        let decodedSummary = null;
-
-        // Dekodierte Daten extrahieren falls verfügbar
-        if (data && data.DecodedData) {
-            const formatted = this.formatDecodedData(data.DecodedData);
-            if (formatted.hasData) {
-                decodedSummary = formatted.summary;
-                // Nachricht mit dekodierten Daten erweitern
-                if (success) {
-                    formattedMessage = `${message} - ${formatted.summary}`;
-                }
-            }
-        }
 
         // Status-spezifische Formatierung
         switch (status) {
-            case 'duplicate_cache':
-            case 'duplicate_database':
-            case 'duplicate_transaction':
-                if (duplicateInfo && duplicateInfo.minutesAgo !== undefined) {
-                    formattedMessage = `Bereits vor ${duplicateInfo.minutesAgo} Minuten gescannt`;
-                } else if (duplicateInfo && duplicateInfo.count) {
-                    formattedMessage = `${duplicateInfo.count}x bereits gescannt`;
+            case 'duplicate':
+                if (verdict?.details?.minutesAgo !== undefined) {
+                    formattedMessage = `Bereits vor ${verdict.details.minutesAgo} Minuten gescannt`;
                 }
                 displayType = 'duplicate';
                 break;
@@ -685,12 +572,23 @@ contextBridge.exposeInMainWorld('utils', {
                 displayType = 'warning';
                 break;
 
+            case 'cooldown':
+                formattedMessage = 'Gerade erst gescannt - kurz warten';
+                displayType = 'warning';
+                break;
+
+            case 'session_paused':
+                formattedMessage = 'Session pausiert - Scan nicht gespeichert';
+                displayType = 'warning';
+                break;
+
+            case 'wrong_format_for_session_type':
+                displayType = 'warning';
+                break;
+
             case 'saved':
                 if (data && data.ID) {
                     formattedMessage = `Erfolgreich gespeichert (ID: ${data.ID})`;
-                    if (decodedSummary) {
-                        formattedMessage += ` - ${decodedSummary}`;
-                    }
                 }
                 displayType = 'success';
                 break;
@@ -710,8 +608,7 @@ contextBridge.exposeInMainWorld('utils', {
             message: formattedMessage,
             status: displayType,
             data: data || null,
-            duplicateInfo: duplicateInfo || null,
-            decodedSummary: decodedSummary,
+            verdict: verdict || null,
             timestamp: new Date().toISOString()
         };
     },
@@ -20,7 +20,7 @@ class WareneinlagerungApp {
         this.videoStream = null;
         this.scanLoop = null;
         this.lastScanTime = 0;
-        this.scanCooldown = 3000; // 3 Sekunden zwischen Scans
+        this.scanCooldown = 3000; // Gleicher Code frühestens nach X ms erneut senden - wird aus der Scan-Policy geladen
 
         // QR-Scanner Engine
         this.qrScanner = null;
@@ -31,8 +31,39 @@ class WareneinlagerungApp {
         this.sessionScannedCodes = new Map(); // sessionId -> Set von QR-Codes
         this.recentlyScanned = new Map(); // Zeitbasierte Duplikat-Vermeidung
         this.pendingScans = new Set(); // Verhindert Race-Conditions
-        this.lastProcessedQR = null;
-        this.lastProcessedTime = 0;
+        this.scanPolicy = null; // Regeln aus dem Main-Prozess (Anzeige)
+
+        // Offline-Journal (letzter Stand aus dem Main-Prozess)
+        this.journalSummary = null;
+
+        // Automatisch beendete Sessions (Timeout / Absturz-Bereinigung)
+        this.autoClosedSessions = [];
+
+        // SessionType-Auswahl nach RFID-Anmeldung
+        this.sessionTypePicker = null; // { user, defaultType, deadline, timer }
+        this.sessionTypePickerQueue = []; // Weitere Anmeldungen, während der Picker offen ist
+
+        // Audit-Trail Ansicht
+        this.auditPage = 1;
+        this.auditTotalPages = 1;
+
+        // Stundenzettel-Vorschau (letztes Ergebnis von timesheet.generate)
+        this.timesheet = null;
+
+        // Session-Bericht (angezeigte Session)
+        this.reportSessionId = null;
+
+        // Statistik-Diagramme (letztes Ergebnis, für Neuzeichnen bei Größenänderung)
+        this.statsData = null;
+
+        // Benutzerverwaltung
+        this.adminUsers = [];
+        this.editingUserId = null; // null = neuer Benutzer
+        this.enrollingUserId = null;
+        this.tagsUser = null; // Benutzer, dessen Badges angezeigt werden
+
+        // Freigabe per Badge-Tap (wartende privilegierte Aktion)
+        this.approvalRequest = null; // { deadline, timer }
 
         this.init();
     }
@@ -48,9 +79,18 @@ class WareneinlagerungApp {
         // Kamera-Verfügbarkeit prüfen
         await this.checkCameraAvailability();
 
+        // Scan-Policy laden (Cooldown für die Kamera-Entprellung)
+        await this.loadScanPolicy();
+
         // Periodisches Laden der aktiven Sessions
         this.startPeriodicSessionUpdate();
 
+        // Offline-Journal Status laden (ausstehende Einträge aus vorherigem Lauf)
+        await this.loadJournalStatus();
+
+        // Beim Start automatisch beendete Sessions laden (Bereinigung läuft evtl. vor dem Renderer)
+        await this.loadAutoClosedSessions();
+
         console.log('✅ Wareneinlagerung-App bereit');
     }
 
@@ -117,6 +157,7 @@ class WareneinlagerungApp {
         logoutModalClose.addEventListener('click', () => this.hideModal('logoutModal'));
         cancelLogout.addEventListener('click', () => this.hideModal('logoutModal'));
         confirmLogout.addEventListener('click', () => this.executeLogout());
+        document.getElementById('confirmLogoutReport').addEventListener('click', () => this.executeLogout(true));
 
         // Session Restart Modal
         const restartModal = document.getElementById('sessionRestartModal');
@@ -128,8 +169,107 @@ class WareneinlagerungApp {
         cancelRestart.addEventListener('click', () => this.hideModal('sessionRestartModal'));
         confirmRestart.addEventListener('click', () => this.executeSessionRestart());
 
+        // QR-Scan Storno Modal
+        const voidScanModal = document.getElementById('voidScanModal');
+
+        document.getElementById('voidScanModalClose').addEventListener('click', () => this.hideModal('voidScanModal'));
+        document.getElementById('cancelVoidScan').addEventListener('click', () => this.hideModal('voidScanModal'));
+        document.getElementById('confirmVoidScan').addEventListener('click', () => this.executeVoidScan());
+
+        // SessionType-Auswahl Modal (Schließen übernimmt die Vorauswahl)
+        document.getElementById('sessionTypeModalClose').addEventListener('click', () => {
+            if (this.sessionTypePicker) this.selectSessionType(this.sessionTypePicker.defaultType);
+        });
+
+        // Format-Freigabe Modal
+        const formatOverrideModal = document.getElementById('formatOverrideModal');
+        document.getElementById('confirmFormatOverride').addEventListener('click', () => this.executeFormatOverride());
+        document.getElementById('formatOverrideModalClose').addEventListener('click', () => this.hideModal('formatOverrideModal'));
+        document.getElementById('cancelFormatOverride').addEventListener('click', () => this.hideModal('formatOverrideModal'));
+
+        // Audit-Trail Modal
+        const auditModal = document.getElementById('auditModal');
+
+        document.getElementById('auditButton').addEventListener('click', () => this.showAuditModal());
+        document.getElementById('auditModalClose').addEventListener('click', () => this.hideModal('auditModal'));
+        document.getElementById('auditModalCloseBtn').addEventListener('click', () => this.hideModal('auditModal'));
+        document.getElementById('auditSearchBtn').addEventListener('click', () => this.loadAuditLog(1));
+        document.getElementById('auditPrevPage').addEventListener('click', () => this.loadAuditLog(this.auditPage - 1));
+        document.getElementById('auditNextPage').addEventListener('click', () => this.loadAuditLog(this.auditPage + 1));
+
+        // Stundenzettel Modal
+        const timesheetModal = document.getElementById('timesheetModal');
+
+        document.getElementById('timesheetButton').addEventListener('click', () => this.showTimesheetModal());
+        document.getElementById('timesheetModalClose').addEventListener('click', () => this.hideModal('timesheetModal'));
+        document.getElementById('timesheetModalCloseBtn').addEventListener('click', () => this.hideModal('timesheetModal'));
+        document.getElementById('timesheetSearchBtn').addEventListener('click', () => this.loadTimesheet());
+        document.getElementById('timesheetLayout').addEventListener('change', () => this.renderTimesheet());
+        document.getElementById('timesheetExportBtn').addEventListener('click', () => this.exportTimesheet());
+
+        // Statistik Modal
+        const statsModal = document.getElementById('statsModal');
+
+        document.getElementById('statsButton').addEventListener('click', () => this.showStatsModal());
+        document.getElementById('statsModalClose').addEventListener('click', () => this.hideModal('statsModal'));
+        document.getElementById('statsModalCloseBtn').addEventListener('click', () => this.hideModal('statsModal'));
+        document.getElementById('statsSearchBtn').addEventListener('click', () => this.loadStats());
+        window.addEventListener('resize', () => {
+            if (statsModal.classList.contains('show')) this.renderStats();
+        });
+
+        // Session-Bericht Modal
+        const sessionReportModal = document.getElementById('sessionReportModal');
+
+        document.getElementById('sessionReportButton').addEventListener('click', () => this.showSessionReportModal());
+        document.getElementById('sessionReportModalClose').addEventListener('click', () => this.hideModal('sessionReportModal'));
+        document.getElementById('sessionReportModalCloseBtn').addEventListener('click', () => this.hideModal('sessionReportModal'));
+        document.getElementById('sessionReportSearchBtn').addEventListener('click', () => {
+            this.loadSessionReport(parseInt(document.getElementById('sessionReportId').value));
+        });
+        document.getElementById('sessionReportPdfBtn').addEventListener('click', () => this.exportSessionReport('pdf'));
+        document.getElementById('sessionReportCsvBtn').addEventListener('click', () => this.exportSessionReport('csv'));
+
+        // Benutzerverwaltung Modal (Schließen bricht ein laufendes Badge-Anlernen ab)
+        const usersModal = document.getElementById('usersModal');
+
+        document.getElementById('usersButton').addEventListener('click', () => this.showUsersModal());
+        document.getElementById('usersModalClose').addEventListener('click', () => this.hideModal('usersModal'));
+        document.getElementById('usersModalCloseBtn').addEventListener('click', () => this.hideModal('usersModal'));
+        document.getElementById('usersSearch').addEventListener('input', () => this.renderUsers());
+        document.getElementById('usersShowInactive').addEventListener('change', () => this.renderUsers());
+        document.getElementById('usersNewBtn').addEventListener('click', () => this.showUserForm(null));
+        document.getElementById('userSaveBtn').addEventListener('click', () => this.saveUser());
+        document.getElementById('userCancelBtn').addEventListener('click', () => this.hideUserForm());
+        document.getElementById('badgeEnrollmentCancelBtn').addEventListener('click', () => this.cancelBadgeEnrollment());
+        document.getElementById('userTagEnrollBtn').addEventListener('click', () => this.enrollBadge(this.tagsUser, 'personal'));
+        document.getElementById('userTagVisitorBtn').addEventListener('click', () => this.enrollBadge(this.tagsUser, 'visitor'));
+        document.getElementById('userTagsCloseBtn').addEventListener('click', () => this.hideUserTags());
+
+        // Freigabe Modal (Schließen bricht die wartende Aktion ab)
+        document.getElementById('approvalModalClose').addEventListener('click', () => this.cancelApproval());
+        document.getElementById('cancelApproval').addEventListener('click', () => this.cancelApproval());
+
+        // Supervisor-Dashboard (eigenes Fenster)
+        document.getElementById('supervisorButton').addEventListener('click', () => this.openSupervisorDashboard());
+
+        // Offline-Journal Modal
+        const journalModal = document.getElementById('journalModal');
+
+        document.getElementById('journalIndicator').addEventListener('click', () => this.showJournalModal());
+        document.getElementById('journalModalClose').addEventListener('click', () => this.hideModal('journalModal'));
+        document.getElementById('journalModalCloseBtn').addEventListener('click', () => this.hideModal('journalModal'));
+        document.getElementById('journalReplayBtn').addEventListener('click', () => this.replayJournal());
+
+        // Automatisch beendete Sessions Modal
+        const autoClosedModal = document.getElementById('autoClosedModal');
+
+        document.getElementById('autoClosedIndicator').addEventListener('click', () => this.showAutoClosedModal());
+        document.getElementById('autoClosedModalClose').addEventListener('click', () => this.hideModal('autoClosedModal'));
+        document.getElementById('autoClosedModalCloseBtn').addEventListener('click', () => this.hideModal('autoClosedModal'));
+
         // Click outside to close modals
-        [errorModal, cameraModal, logoutModal, restartModal].forEach(modal => {
+        [errorModal, cameraModal, logoutModal, restartModal, voidScanModal, formatOverrideModal, auditModal, timesheetModal, statsModal, usersModal, sessionReportModal, journalModal, autoClosedModal].forEach(modal => {
             modal.addEventListener('click', (e) => {
                 if (e.target === modal) {
                     this.hideModal(modal.id);
@@ -142,8 +282,15 @@ class WareneinlagerungApp {
         // System bereit
         window.electronAPI.on('system-ready', (data) => {
             console.log('System bereit:', data);
-            this.updateSystemStatus('active', 'System bereit');
-            this.showNotification('success', 'System bereit', 'RFID und Datenbank verbunden');
+
+            if (data.database) {
+                this.updateSystemStatus('active', 'System bereit');
+                this.showNotification('success', 'System bereit', 'RFID und Datenbank verbunden');
+            } else {
+                this.updateSystemStatus('error', 'Offline - Scans werden lokal gespeichert');
+                this.showNotification('warning', 'Datenbank offline',
+                    'Scans und Anmeldungen werden im Offline-Journal gespeichert');
+            }
         });
 
         // System-Fehler
@@ -155,9 +302,16 @@ class WareneinlagerungApp {
 
         // ===== KORRIGIERTE EVENT-HANDLER FÜR SESSION-MANAGEMENT =====
 
+        // SessionType-Auswahl nach RFID-Anmeldung
+        window.electronAPI.on('session-type-select', (data) => {
+            console.log('🗂️ SessionType-Auswahl angefordert:', data);
+            this.showSessionTypePicker({ ...data, deadline: Date.now() + data.timeoutMs });
+        });
+
         // Benutzer-Anmeldung (neue Session)
         window.electronAPI.on('user-login', (data) => {
             console.log('🔑 Neue Benutzer-Anmeldung:', data);
+            this.dismissSessionTypePicker(data.user.ID); // z.B. Auswahl per erneutem Badge-Scan
             this.handleUserLogin(data.user, data.session, data);
         });
 
@@ -184,6 +338,24 @@ class WareneinlagerungApp {
             this.handleSessionTimerUpdate(data);
         });
 
+        // Session pausiert/fortgesetzt (Button oder RFID-Geste)
+        window.electronAPI.on('session-pause-changed', (data) => {
+            console.log('⏸️ Pausen-Status geändert:', data);
+            this.handleSessionPauseChanged(data);
+        });
+
+        // Aktive Sessions nach Neustart mit der Datenbank abgeglichen - nicht auf das nächste Polling warten
+        window.electronAPI.on('sessions-restored', (data) => {
+            console.log('♻️ Sessions wiederhergestellt:', data);
+            this.syncActiveSessions();
+        });
+
+        // Überfällige Sessions automatisch beendet (Timeout / Absturz-Bereinigung)
+        window.electronAPI.on('sessions-auto-closed', (data) => {
+            console.log('⏱️ Sessions automatisch beendet:', data);
+            this.handleSessionsAutoClosed(data);
+        });
+
         // Session-Fallback-Warnung
         window.electronAPI.on('session-fallback-warning', (data) => {
             console.warn('⚠️ SessionType Fallback verwendet:', data);
@@ -197,6 +369,13 @@ class WareneinlagerungApp {
             this.showNotification('error', 'RFID-Fehler', data.message);
         });
 
+        // Verlorener oder gesperrter Badge gelesen, oder Badge passt auf mehrere Benutzer
+        window.electronAPI.on('rfid-security-alert', (data) => {
+            const title = data.status === 'ambiguous' ? '🚨 Badge nicht eindeutig' : '🚨 Gesperrter Badge';
+            console.warn(`${title}:`, data);
+            this.showNotification('error', title, data.message, 15000);
+        });
+
         // QR-Scan detected (für erweiterte Benachrichtigungen)
         window.electronAPI.on('qr-scan-detected', (data) => {
             console.log('QR-Scan erkannt:', data);
@@ -208,6 +387,31 @@ class WareneinlagerungApp {
             console.log('📊 Dekodierung-Statistiken aktualisiert:', data.stats);
             // UI mit neuen Statistiken aktualisieren falls nötig
         });
+
+        // Verbindungszustand der Datenbank (Supervisor mit automatischem Reconnect)
+        window.electronAPI.on('database-connection-state', (data) => {
+            this.handleDatabaseConnectionState(data);
+        });
+
+        // Offline-Journal geändert (neuer Eintrag oder Replay-Fortschritt)
+        window.electronAPI.on('journal-updated', (summary) => {
+            this.handleJournalUpdate(summary);
+        });
+
+        // Offline-Session nach Replay in Datenbank-Session überführt
+        window.electronAPI.on('session-id-remapped', (data) => {
+            console.log('🔁 Session-ID aktualisiert:', data);
+            this.handleSessionIdRemapped(data);
+        });
+
+        // Privilegierte Aktion wartet auf einen Badge-Tap
+        window.electronAPI.on('approval-requested', (data) => {
+            this.showApprovalModal(data);
+        });
+
+        window.electronAPI.on('approval-finished', (data) => {
+            this.handleApprovalFinished(data);
+        });
     }
 
     // ===== KORRIGIERTE SESSION MANAGEMENT =====
@@ -220,10 +424,13 @@ class WareneinlagerungApp {
             userId: user.ID,
             userName: user.BenutzerName,
             department: user.Abteilung || '',
+            role: user.Role || 'worker',
             startTime: new Date(session.StartTS),
             scanCount: 0,
             isActive: true,
-            sessionType: eventData.sessionType || 'Wareneinlagerung'
+            sessionType: eventData.sessionType || 'Wareneinlagerung',
+            pausedSince: null,
+            pausedMs: 0
         });
 
         // Session-spezifische QR-Code-Duplikat-Erkennung initialisieren
@@ -237,7 +444,10 @@ class WareneinlagerungApp {
         this.showWorkspace();
 
         // Notification je nach Quelle und Typ
-        if (eventData.source === 'rfid_scan') {
+        if (eventData.offline) {
+            this.showNotification('warning', 'Offline angemeldet',
+                `${user.BenutzerName}: Session wird bei Wiederverbindung synchronisiert`);
+        } else if (eventData.source === 'rfid_scan') {
             if (eventData.isNewSession) {
                 this.showNotification('success', 'Neue Session gestartet',
                     `${user.BenutzerName} ist bereit zum Arbeiten!`);
@@ -287,9 +497,15 @@ class WareneinlagerungApp {
             this.updateWorkspaceVisibility();
 
             // Benachrichtigung anzeigen
-            const durationText = data.durationFormatted || this.formatDuration(data.duration);
+            // Mit Pausen: Netto-Arbeitszeit anzeigen
+            const durationText = data.pauseDuration > 0
+                ? `${this.formatDuration(data.netDuration)} (Pausen: ${this.formatDuration(data.pauseDuration)})`
+                : data.durationFormatted || this.formatDuration(data.duration);
 
-            if (data.source === 'rfid_scan') {
+            if (data.source === 'auto_close') {
+                // Sammelmeldung kommt über 'sessions-auto-closed'
+                return;
+            } else if (data.source === 'rfid_scan') {
                 this.showNotification('info', 'Session beendet',
                     `${data.user.BenutzerName}: ${durationText} gearbeitet`);
             } else {
@@ -362,6 +578,25 @@ class WareneinlagerungApp {
         }
     }
 
+    handleSessionIdRemapped(data) {
+        const session = this.activeSessions.get(data.userId);
+        if (!session || session.sessionId !== data.oldSessionId) return;
+
+        session.sessionId = data.newSessionId;
+
+        // Duplikat-Erkennung auf neue Session-ID übertragen
+        const sessionCodes = this.sessionScannedCodes.get(data.oldSessionId) || new Set();
+        this.sessionScannedCodes.delete(data.oldSessionId);
+        this.sessionScannedCodes.set(data.newSessionId, sessionCodes);
+
+        if (this.selectedSession && this.selectedSession.userId === data.userId) {
+            this.selectedSession.sessionId = data.newSessionId;
+            this.updateSelectedUserDisplay();
+        }
+
+        this.updateActiveUsersDisplay();
+    }
+
     handleSessionTimerUpdate(data) {
         // Timer-Update für spezifische Session
         const session = this.activeSessions.get(data.userId);
@@ -373,6 +608,69 @@ class WareneinlagerungApp {
         }
     }
 
+    // ===== PAUSEN =====
+    handleSessionPauseChanged(data) {
+        const session = this.activeSessions.get(data.userId);
+        if (!session || session.sessionId !== data.sessionId) return;
+
+        this.applyPauseState(session, data);
+        this.updateActiveUsersDisplay();
+
+        if (this.selectedSession && this.selectedSession.userId === data.userId) {
+            this.updateSelectedSessionTimer();
+        }
+
+        if (data.paused) {
+            this.showNotification('info', 'Pause', `${session.userName}: Session pausiert - Scans gesperrt`);
+        } else {
+            this.showNotification('success', 'Weiter', `${session.userName}: Session fortgesetzt`);
+        }
+    }
+
+    async toggleSessionPause(userId) {
+        const session = this.activeSessions.get(userId);
+        if (!session) return;
+
+        const result = session.pausedSince
+            ? await window.electronAPI.session.resume(session.sessionId, userId)
+            : await window.electronAPI.session.pause(session.sessionId, userId);
+
+        // Erfolg wird über 'session-pause-changed' angezeigt, fehlende Freigabe über 'approval-finished'
+        if (!result.success && !this.isApprovalFailure(result)) {
+            this.showNotification('error', 'Pause', result.message);
+        }
+    }
+
+    /**
+     * Pausen-Zustand aus Backend-Daten übernehmen
+     * @param {Object} session - Lokale Session
+     * @param {Object} data - { pausedSince, pausedMs }
+     */
+    applyPauseState(session, data) {
+        session.pausedSince = data.pausedSince ? new Date(data.pausedSince) : null;
+        session.pausedMs = data.pausedMs || 0;
+    }
+
+    /**
+     * Netto-Arbeitszeit: Brutto abzüglich abgeschlossener und laufender Pause
+     * @param {Object} session - Lokale Session
+     * @returns {number} - Millisekunden
+     */
+    getNetSessionDuration(session) {
+        const openPauseMs = session.pausedSince ? Date.now() - session.pausedSince.getTime() : 0;
+        const duration = utils.calculateSessionDuration(session.startTime) - (session.pausedMs || 0) - openPauseMs;
+
+        return Math.max(0, duration);
+    }
+
+    getPauseLabel(session) {
+        if (session.pausedSince) {
+            return `⏸️ Pause seit ${session.pausedSince.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`;
+        }
+
+        return session.pausedMs > 0 ? `Pausen: ${utils.formatDuration(session.pausedMs)}` : '';
+    }
+
     // ===== SESSION TIMER MANAGEMENT =====
     startSessionTimer(userId) {
         // Bestehenden Timer stoppen falls vorhanden
@@ -405,8 +703,8 @@ class WareneinlagerungApp {
         if (userCard) {
             const timerElement = userCard.querySelector('.user-timer');
             if (timerElement) {
-                const duration = utils.calculateSessionDuration(session.startTime);
-                timerElement.textContent = utils.formatDuration(duration);
+                // Netto-Zeit - steht während einer Pause still
+                timerElement.textContent = utils.formatDuration(this.getNetSessionDuration(session));
             }
         }
 
@@ -421,8 +719,9 @@ class WareneinlagerungApp {
 
         const session = this.activeSessions.get(this.selectedSession.userId);
         if (session) {
-            const duration = utils.calculateSessionDuration(session.startTime);
-            document.getElementById('selectedSessionTime').textContent = utils.formatDuration(duration);
+            const duration = this.getNetSessionDuration(session);
+            document.getElementById('selectedSessionTime').textContent =
+                `${utils.formatDuration(duration)}${session.pausedSince ? ' ⏸️' : ''}`;
         }
     }
 
@@ -449,8 +748,8 @@ class WareneinlagerungApp {
             await this.syncActiveSessions();
         }, 30000);
 
-        // Initial einmal laden
-        setTimeout(() => this.syncActiveSessions(), 2000);
+        // Initial sofort laden - der Main-Prozess hat die Sessions bereits aus dem Snapshot wiederhergestellt
+        this.syncActiveSessions();
     }
 
     async syncActiveSessions() {
@@ -480,9 +779,13 @@ class WareneinlagerungApp {
                         userId: backendSession.UserID,
                         userName: backendSession.UserName || 'Unbekannt',
                         department: backendSession.Department || '',
+                        role: backendSession.UserRole || 'worker',
                         startTime: new Date(backendSession.StartTS),
                         scanCount: backendSession.ScanCount || 0,
-                        isActive: true
+                        isActive: true,
+                        sessionType: backendSession.SessionTypeName || 'Wareneinlagerung',
+                        pausedSince: backendSession.pausedSince ? new Date(backendSession.pausedSince) : null,
+                        pausedMs: backendSession.pausedMs || 0
                     });
 
                     // Session-Timer starten
@@ -490,6 +793,12 @@ class WareneinlagerungApp {
 
                     // Session-spezifische QR-Code-Duplikat-Erkennung
                     this.sessionScannedCodes.set(backendSession.ID, new Set());
+                } else {
+                    // Pausen-Zustand abgleichen (z.B. verpasstes Event)
+                    const localSession = this.activeSessions.get(backendSession.UserID);
+                    if (localSession.sessionId === backendSession.ID) {
+                        this.applyPauseState(localSession, backendSession);
+                    }
                 }
             }
 
@@ -526,19 +835,22 @@ class WareneinlagerungApp {
     }
 
     createUserCard(session) {
-        const duration = utils.calculateSessionDuration(session.startTime);
+        const duration = this.getNetSessionDuration(session);
         const isSelected = this.selectedSession && this.selectedSession.userId === session.userId;
+        const isPaused = !!session.pausedSince;
 
         return `
-            <div class="user-card ${isSelected ? 'selected' : ''}" 
+            <div class="user-card ${isSelected ? 'selected' : ''} ${isPaused ? 'paused' : ''}" 
                  data-user-id="${session.userId}" 
                  data-session-id="${session.sessionId}">
                 <div class="user-main">
                     <div class="user-avatar">👤</div>
                     <div class="user-info">
-                        <div class="user-name">${session.userName}</div>
+                        <div class="user-name">${session.userName}${session.role && session.role !== 'worker' ?
+                            ` <span class="user-role">${this.getRoleLabel(session.role)}</span>` : ''}</div>
                         <div class="user-department">${session.department}</div>
                         <div class="user-timer">${utils.formatDuration(duration)}</div>
+                        <div class="user-pause">${this.getPauseLabel(session)}</div>
                         <div class="user-scans">${session.scanCount} Scans</div>
                     </div>
                 </div>
@@ -546,6 +858,9 @@ class WareneinlagerungApp {
                     <button class="btn-icon select-user" title="Für QR-Scanning auswählen">
                         📱
                     </button>
+                    <button class="btn-icon toggle-pause" title="${isPaused ? 'Session fortsetzen' : 'Pause starten'}">
+                        ${isPaused ? '▶️' : '⏸️'}
+                    </button>
                     <button class="btn-icon restart-session" title="Session neu starten">
                         🔄
                     </button>
@@ -568,6 +883,16 @@ class WareneinlagerungApp {
             });
         });
 
+        // Pause starten/beenden
+        document.querySelectorAll('.toggle-pause').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const userCard = e.target.closest('.user-card');
+                const userId = parseInt(userCard.dataset.userId);
+                this.toggleSessionPause(userId);
+            });
+        });
+
         // Session neu starten
         document.querySelectorAll('.restart-session').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -679,18 +1004,29 @@ class WareneinlagerungApp {
         this.showModal('logoutModal');
     }
 
-    async executeLogout() {
+    /**
+     * Abmelden - optional anschließend den Bericht der gerade beendeten Session anzeigen
+     * @param {boolean} showReport - Session-Bericht öffnen
+     */
+    async executeLogout(showReport = false) {
         if (!this.logoutSession) return;
 
+        const { sessionId } = this.logoutSession;
+
         try {
             const success = await window.electronAPI.session.end(
                 this.logoutSession.sessionId,
                 this.logoutSession.userId
             );
 
-            if (success) {
+            if (success === true) {
                 this.showNotification('success', 'Abmeldung', `${this.logoutSession.userName} wurde abgemeldet`);
-            } else {
+
+                // Offline-Sessions (negative IDs) haben noch keinen Bericht
+                if (showReport && sessionId > 0) {
+                    this.showSessionReportModal(sessionId);
+                }
+            } else if (!this.isApprovalFailure(success)) {
                 this.showNotification('error', 'Fehler', 'Abmeldung fehlgeschlagen');
             }
         } catch (error) {
@@ -720,10 +1056,10 @@ class WareneinlagerungApp {
                 this.restartSession.userId
             );
 
-            if (success) {
+            if (success === true) {
                 this.showNotification('success', 'Session neu gestartet',
                     `${this.restartSession.userName}: Timer zurückgesetzt`);
-            } else {
+            } else if (!this.isApprovalFailure(success)) {
                 this.showNotification('error', 'Fehler', 'Session-Restart fehlgeschlagen');
             }
         } catch (error) {
@@ -1029,28 +1365,20 @@ class WareneinlagerungApp {
             return;
         }
 
-        // 1. Sofortige Duplikat-Prüfung (identischer Code + Zeit)
-        if (this.lastProcessedQR === qrData && (now - this.lastProcessedTime) < 2000) {
-            console.log('🔄 Identischer QR-Code innerhalb 2s ignoriert');
-            return;
-        }
-
-        // 2. Prüfung auf kürzlich gescannte Codes (zeitbasiert)
+        // 1. Kamera-Entprellung: gleicher Code innerhalb des Policy-Cooldowns wird nicht erneut gesendet
         const recentScanTime = this.recentlyScanned.get(qrData);
         if (recentScanTime && (now - recentScanTime) < this.scanCooldown) {
             console.log(`🔄 QR-Code zu schnell erneut gescannt (${now - recentScanTime}ms < ${this.scanCooldown}ms)`);
             return;
         }
 
-        // 3. Prüfung auf bereits laufende Verarbeitung
+        // 2. Prüfung auf bereits laufende Verarbeitung
         if (this.pendingScans.has(qrData)) {
             console.log('🔄 QR-Code wird bereits verarbeitet, überspringe');
             return;
         }
 
         // Verarbeitung starten
-        this.lastProcessedQR = qrData;
-        this.lastProcessedTime = now;
         this.pendingScans.add(qrData);
         this.recentlyScanned.set(qrData, now);
 
@@ -1085,7 +1413,7 @@ class WareneinlagerungApp {
 
     // ===== STRUKTURIERTE SCAN-RESULT-BEHANDLUNG =====
     handleScanResult(result, qrData) {
-        const { success, status, message, data, duplicateInfo } = result;
+        const { success, status, message, data, verdict } = result;
 
         console.log('QR-Scan Ergebnis:', { success, status, message, session: this.selectedSession.userName });
 
@@ -1108,7 +1436,7 @@ class WareneinlagerungApp {
             status: status,
             message: message,
             success: success,
-            duplicateInfo: duplicateInfo,
+            verdict: verdict || null,
             decodedData: decodedData
         };
 
@@ -1152,29 +1480,36 @@ class WareneinlagerungApp {
             // Erweiterte Nachricht mit dekodierten Daten
             let enhancedMessage = message;
             if (decodedData) {
-                const parts = [];
-                if (decodedData.auftrags_nr) parts.push(`Auftrag: ${decodedData.auftrags_nr}`);
-                if (decodedData.paket_nr) parts.push(`Paket: ${decodedData.paket_nr}`);
-                if (parts.length > 0) {
-                    enhancedMessage = `${this.selectedSession.userName}: ${parts.join(', ')}`;
+                const formatted = window.QRParsers.formatDecodedData(decodedData);
+                if (formatted.hasData) {
+                    enhancedMessage = `${this.selectedSession.userName}: ${formatted.summary}`;
                 }
             }
 
-            this.showNotification('success', 'QR-Code gespeichert', enhancedMessage);
+            // Nach Storno erneut angenommen: Policy-Regel im Titel anzeigen
+            const title = verdict?.rule === 'allow_rescan_after_void' ? 'QR-Code erneut gespeichert' : 'QR-Code gespeichert';
+            this.showNotification('success', title, enhancedMessage);
         } else {
-            // Verschiedene Fehler/Duplikat-Typen
+            // Verschiedene Fehler/Policy-Ablehnungen
             switch (status) {
-                case 'duplicate_cache':
-                case 'duplicate_database':
-                case 'duplicate_transaction':
+                case 'duplicate':
                     this.globalScannedCodes.add(qrData);
                     this.showScanSuccess(qrData, 'duplicate');
-                    this.showNotification('error', 'Duplikat erkannt', `${this.selectedSession.userName}: ${message}`);
+                    this.showNotification('error', 'Duplikat erkannt',
+                        `${this.selectedSession.userName}: ${message}${verdict?.details?.scope === 'session' ? ' (in dieser Session)' : ''}`);
+                    break;
+
+                case 'wrong_format_for_session_type':
+                    this.showScanSuccess(qrData, 'warning');
+                    this.showNotification('warning', 'Format nicht erlaubt', `${this.selectedSession.userName}: ${message}`);
+                    this.showFormatOverrideModal(qrData, verdict);
                     break;
 
                 case 'rate_limit':
+                case 'cooldown':
                     this.showScanSuccess(qrData, 'warning');
-                    this.showNotification('warning', 'Rate Limit', message);
+                    this.showNotification('warning', verdict?.ruleLabel || 'Rate Limit',
+                        `${message}${verdict?.details?.retryAfterMs ? ` (wieder möglich in ${Math.ceil(verdict.details.retryAfterMs / 1000)}s)` : ''}`);
                     break;
 
                 case 'processing':
@@ -1182,6 +1517,16 @@ class WareneinlagerungApp {
                     this.showNotification('info', 'Verarbeitung', message);
                     break;
 
+                case 'queued_offline':
+                    this.showScanSuccess(qrData, 'warning');
+                    this.showNotification('warning', 'Offline gespeichert', `${this.selectedSession.userName}: ${message}`);
+                    break;
+
+                case 'session_paused':
+                    this.showScanSuccess(qrData, 'warning');
+                    this.showNotification('warning', 'Session pausiert', `${this.selectedSession.userName}: ${message}`);
+                    break;
+
                 case 'database_offline':
                 case 'error':
                 default:
@@ -1335,18 +1680,231 @@ class WareneinlagerungApp {
             const timeString = scan.timestamp.toLocaleTimeString('de-DE');
             const decoded = scan.decodedData || {};
 
+            // Nur gespeicherte Scans (numerische DB-ID) können storniert werden
+            const canVoid = !scan.voided && Number.isInteger(scan.id) && scan.id > 0;
+            const voidTitle = scan.voided ? `Storniert: ${this.getVoidReasonLabel(scan.voidReason)}` : '';
+
             return `
-                <tr>
+                <tr class="${scan.voided ? 'scan-voided' : ''}" title="${voidTitle}">
                     <td class="scan-time-col">${timeString}</td>
                     <td class="user-col">${scan.user}</td>
                     <td class="auftrag-col">${decoded.auftrags_nr || '-'}</td>
                     <td class="kunde-col">${decoded.kunden_name || decoded.kunden_id || '-'}</td>
                     <td class="paket-col">${decoded.paket_nr || '-'}</td>
+                    <td class="action-col">
+                        ${canVoid ? `<button class="btn-icon void-scan" data-scan-id="${scan.id}" title="Scan stornieren">🚫</button>` : ''}
+                    </td>
                 </tr>
             `;
         }).join('');
 
         tableBody.innerHTML = rowsHtml;
+
+        tableBody.querySelectorAll('.void-scan').forEach(btn => {
+            btn.addEventListener('click', () => this.showVoidScanModal(parseInt(btn.dataset.scanId)));
+        });
+    }
+
+    // ===== SCAN STORNO =====
+    showVoidScanModal(scanId) {
+        const scan = this.successfulScans.find(s => s.id === scanId);
+        if (!scan) return;
+
+        const decoded = scan.decodedData || {};
+        document.getElementById('voidScanContent').textContent = decoded.paket_nr || decoded.auftrags_nr || scan.content;
+        document.getElementById('voidReasonSelect').value = 'wrong_package';
+
+        this.voidScan = scan;
+        this.showModal('voidScanModal');
+    }
+
+    async executeVoidScan() {
+        if (!this.voidScan) return;
+
+        const scan = this.voidScan;
+        const reasonCode = document.getElementById('voidReasonSelect').value;
+
+        try {
+            // Stornierender Benutzer ist der freigebende Badge (Schichtleitung)
+            const result = await window.electronAPI.qr.voidScan(scan.id, reasonCode);
+
+            if (result.success) {
+                scan.voided = true;
+                scan.voidReason = reasonCode;
+
+                // Storniertes Paket darf in der Session erneut gescannt werden
+                this.sessionScannedCodes.get(scan.sessionId)?.delete(scan.content);
+
+                const session = this.activeSessions.get(scan.userId);
+                if (session && session.sessionId === scan.sessionId && session.scanCount > 0) {
+                    session.scanCount--;
+                }
+
+                this.updateSuccessfulScansTable();
+                this.updateSelectedUserDisplay();
+                this.updateActiveUsersDisplay();
+
+                this.showNotification('success', 'Scan storniert', result.message);
+            } else if (!this.isApprovalFailure(result)) {
+                this.showNotification('error', 'Stornieren fehlgeschlagen', result.message);
+            }
+        } catch (error) {
+            console.error('Scan-Storno-Fehler:', error);
+            this.showNotification('error', 'Fehler', 'Scan konnte nicht storniert werden');
+        }
+
+        this.hideModal('voidScanModal');
+        this.voidScan = null;
+    }
+
+    // ===== SESSIONTYPE-AUSWAHL =====
+    showSessionTypePicker(data) {
+        // Nur ein Picker gleichzeitig - weitere Anmeldungen warten
+        if (this.sessionTypePicker) {
+            this.sessionTypePickerQueue.push(data);
+            return;
+        }
+
+        const container = document.getElementById('sessionTypeOptions');
+        container.innerHTML = '';
+
+        data.sessionTypes.forEach(type => {
+            const button = document.createElement('button');
+            button.className = 'session-type-option';
+            button.classList.toggle('default', type.name === data.defaultType);
+            button.style.setProperty('--session-type-color', type.color);
+            button.innerHTML = `
+                <span class="session-type-icon"></span>
+                <span class="session-type-name"></span>
+                <span class="session-type-description"></span>
+            `;
+            button.querySelector('.session-type-icon').textContent = type.icon;
+            button.querySelector('.session-type-name').textContent = type.name;
+            button.querySelector('.session-type-description').textContent = type.description;
+            button.addEventListener('click', () => this.selectSessionType(type.name));
+            container.appendChild(button);
+        });
+
+        document.getElementById('sessionTypeUserName').textContent = data.user.BenutzerName;
+        document.getElementById('sessionTypeDefault').textContent = data.defaultType;
+
+        this.sessionTypePicker = {
+            user: data.user,
+            defaultType: data.defaultType,
+            deadline: data.deadline,
+            timer: setInterval(() => this.updateSessionTypeCountdown(), 250)
+        };
+
+        this.updateSessionTypeCountdown();
+        this.showModal('sessionTypeModal');
+    }
+
+    updateSessionTypeCountdown() {
+        const picker = this.sessionTypePicker;
+        if (!picker) return;
+
+        const remaining = Math.max(0, Math.ceil((picker.deadline - Date.now()) / 1000));
+        document.getElementById('sessionTypeCountdown').textContent = remaining;
+
+        // Timeout: Vorauswahl (zuletzt genutzter oder Standard-SessionType)
+        if (remaining === 0) {
+            this.selectSessionType(picker.defaultType);
+        }
+    }
+
+    async selectSessionType(sessionType) {
+        const picker = this.sessionTypePicker;
+        if (!picker) return;
+
+        this.closeSessionTypePicker();
+
+        try {
+            // Login-Event (user-login) kommt vom Main-Prozess
+            const session = await window.electronAPI.session.create(picker.user.ID, sessionType);
+
+            if (!session) {
+                this.showNotification('error', 'Anmeldung fehlgeschlagen',
+                    `Session für ${picker.user.BenutzerName} konnte nicht erstellt werden`);
+            }
+        } catch (error) {
+            console.error('SessionType-Auswahl fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Session konnte nicht erstellt werden');
+        }
+    }
+
+    closeSessionTypePicker() {
+        if (!this.sessionTypePicker) return;
+
+        clearInterval(this.sessionTypePicker.timer);
+        this.sessionTypePicker = null;
+        this.hideModal('sessionTypeModal');
+
+        const next = this.sessionTypePickerQueue.shift();
+        if (next) {
+            this.showSessionTypePicker(next);
+        }
+    }
+
+    dismissSessionTypePicker(userId) {
+        this.sessionTypePickerQueue = this.sessionTypePickerQueue.filter(data => data.user.ID !== userId);
+
+        if (this.sessionTypePicker?.user.ID === userId) {
+            this.closeSessionTypePicker();
+        }
+    }
+
+    // ===== FORMAT-FREIGABE =====
+    showFormatOverrideModal(qrData, verdict) {
+        const modal = document.getElementById('formatOverrideModal');
+        if (!this.selectedSession || !verdict?.details || modal.classList.contains('show')) return;
+
+        const { sessionType, format, allowedFormats } = verdict.details;
+        document.getElementById('formatOverrideContent').textContent = qrData;
+        document.getElementById('formatOverrideFormat').textContent = format;
+        document.getElementById('formatOverrideSessionType').textContent = sessionType;
+        document.getElementById('formatOverrideAllowed').textContent = (allowedFormats || []).join(', ');
+        document.getElementById('formatOverrideReason').value = '';
+
+        this.formatOverride = { qrData, session: this.selectedSession };
+        this.showModal('formatOverrideModal');
+    }
+
+    async executeFormatOverride() {
+        if (!this.formatOverride) return;
+
+        const reason = document.getElementById('formatOverrideReason').value.trim();
+        if (!reason) {
+            this.showNotification('warning', 'Begründung fehlt', 'Bitte eine Begründung für die Freigabe angeben');
+            return;
+        }
+
+        const { qrData, session } = this.formatOverride;
+
+        try {
+            // Bestätigt wird per Badge der Schichtleitung (Freigabe im Main-Prozess)
+            const result = await window.electronAPI.qr.overrideScan(session.sessionId, qrData, { reason });
+
+            // Ohne Freigabe bleibt das Modal offen - erneuter Versuch mit anderem Badge
+            if (this.isApprovalFailure(result)) return;
+
+            if (this.selectedSession?.sessionId === session.sessionId) {
+                // Ergebnis wie ein normaler Scan anzeigen (Tabelle, Zähler, Feedback)
+                this.handleScanResult(result, qrData);
+            } else {
+                this.showNotification(result.success ? 'success' : 'error', 'Format-Freigabe', result.message);
+            }
+        } catch (error) {
+            console.error('Format-Freigabe fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Scan konnte nicht freigegeben werden');
+        }
+
+        this.hideModal('formatOverrideModal');
+        this.formatOverride = null;
+    }
+
+    getVoidReasonLabel(reasonCode) {
+        const option = document.querySelector(`#voidReasonSelect option[value="${reasonCode}"]`);
+        return option ? option.textContent : (reasonCode || '');
     }
 
     async refreshScansForSelectedUser() {
@@ -1366,7 +1924,9 @@ class WareneinlagerungApp {
                     user: this.selectedSession.userName,
                     userId: this.selectedSession.userId,
                     sessionId: this.selectedSession.sessionId,
-                    decodedData: scan.DecodedData
+                    decodedData: scan.DecodedData,
+                    voided: scan.Valid === false,
+                    voidReason: scan.VoidReason
                 });
             });
 
@@ -1402,7 +1962,7 @@ class WareneinlagerungApp {
     }
 
     getScanStatusInfo(scan) {
-        const { success, status, duplicateInfo } = scan;
+        const { success, status, verdict } = scan;
 
         if (success) {
             return {
@@ -1414,11 +1974,9 @@ class WareneinlagerungApp {
         }
 
         switch (status) {
-            case 'duplicate_cache':
-            case 'duplicate_database':
-            case 'duplicate_transaction':
-                const timeInfo = duplicateInfo?.minutesAgo ?
-                    ` (vor ${duplicateInfo.minutesAgo} Min)` : '';
+            case 'duplicate':
+                const timeInfo = verdict?.details?.minutesAgo ?
+                    ` (vor ${verdict.details.minutesAgo} Min)` : '';
                 return {
                     cssClass: 'scan-duplicate',
                     icon: '🚫',
@@ -1426,11 +1984,20 @@ class WareneinlagerungApp {
                     color: '#dc3545' // ROT statt gelb
                 };
 
+            case 'wrong_format_for_session_type':
+                return {
+                    cssClass: 'scan-error',
+                    icon: '⛔',
+                    label: 'Falsches Format',
+                    color: '#fd7e14'
+                };
+
             case 'rate_limit':
+            case 'cooldown':
                 return {
                     cssClass: 'scan-error',
                     icon: '🚫',
-                    label: 'Rate Limit',
+                    label: verdict?.ruleLabel || 'Rate Limit',
                     color: '#fd7e14'
                 };
 
@@ -1442,6 +2009,22 @@ class WareneinlagerungApp {
                     color: '#17a2b8'
                 };
 
+            case 'queued_offline':
+                return {
+                    cssClass: 'scan-info',
+                    icon: '💾',
+                    label: 'Offline gespeichert',
+                    color: '#f59e0b'
+                };
+
+            case 'session_paused':
+                return {
+                    cssClass: 'scan-error',
+                    icon: '⏸️',
+                    label: 'Pausiert',
+                    color: '#fd7e14'
+                };
+
             case 'database_offline':
                 return {
                     cssClass: 'scan-error',
@@ -1483,6 +2066,25 @@ class WareneinlagerungApp {
         statusText.textContent = message;
     }
 
+    handleDatabaseConnectionState(data) {
+        switch (data.state) {
+            case 'connected':
+                this.updateSystemStatus('active', 'System bereit');
+                if (data.attempt > 0) {
+                    this.showNotification('success', 'Datenbank verbunden', 'Verbindung wiederhergestellt');
+                }
+                break;
+
+            case 'reconnecting':
+                this.updateSystemStatus('warning', `Verbinde erneut… (Versuch ${data.attempt})`);
+                break;
+
+            case 'disconnected':
+                this.updateSystemStatus('error', 'Offline - Scans werden lokal gespeichert');
+                break;
+        }
+    }
+
     updateInstructionText(text) {
         document.getElementById('instructionText').textContent = `💡 ${text}`;
     }
@@ -1541,48 +2143,1184 @@ class WareneinlagerungApp {
         }
     }
 
-    // ===== NOTIFICATIONS & MODALS =====
-    showNotification(type, title, message, duration = 4000) {
-        const notifications = document.getElementById('notifications');
-
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
+    // ===== OFFLINE-JOURNAL =====
+    async loadScanPolicy() {
+        try {
+            this.scanPolicy = await window.electronAPI.qr.getScanPolicy();
+            this.scanCooldown = this.scanPolicy.cooldownMs;
+            console.log('📋 Scan-Policy:', this.scanPolicy.rules.map(rule => rule.type).join(' → '));
+        } catch (error) {
+            console.error('Scan-Policy laden fehlgeschlagen:', error);
+        }
+    }
 
-        const icons = {
-            success: '✅',
-            error: '❌',
-            warning: '⚠️',
-            info: 'ℹ️'
-        };
+    async loadJournalStatus() {
+        try {
+            const summary = await window.electronAPI.journal.getStatus();
+            if (summary) {
+                this.handleJournalUpdate(summary);
+            }
+        } catch (error) {
+            console.error('Offline-Journal Status laden fehlgeschlagen:', error);
+        }
+    }
 
-        notification.innerHTML = `
-            <div class="notification-icon">${icons[type] || 'ℹ️'}</div>
-            <div class="notification-content">
-                <div class="notification-title">${title}</div>
-                <div class="notification-text">${message}</div>
-            </div>
-        `;
+    handleJournalUpdate(summary) {
+        const previousPending = this.journalSummary ? this.journalSummary.pendingCount : 0;
+        this.journalSummary = summary;
 
-        notifications.appendChild(notification);
+        const indicator = document.getElementById('journalIndicator');
+        document.getElementById('journalPendingCount').textContent = summary.pendingCount;
+        indicator.style.display = summary.pendingCount > 0 || summary.rejectedCount > 0 ? 'block' : 'none';
 
-        // Auto-Remove
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.remove();
+        // Replay abgeschlossen
+        if (previousPending > 0 && summary.pendingCount === 0 && !summary.isReplaying) {
+            if (summary.rejectedCount > 0) {
+                this.showNotification('warning', 'Offline-Journal synchronisiert',
+                    `${summary.rejectedCount} Einträge wurden abgelehnt - Details im Offline-Journal`);
+            } else {
+                this.showNotification('success', 'Offline-Journal synchronisiert',
+                    'Alle offline gespeicherten Einträge wurden übertragen');
             }
-        }, duration);
+        }
+
+        if (document.getElementById('journalModal').classList.contains('show')) {
+            this.renderJournalEntries();
+        }
     }
 
-    showErrorModal(title, message) {
-        const modal = document.getElementById('errorModal');
-        const titleElement = document.querySelector('#errorModal .modal-title .icon');
-        const messageElement = document.getElementById('errorMessage');
+    showJournalModal() {
+        this.renderJournalEntries();
+        this.showModal('journalModal');
+    }
 
-        titleElement.nextSibling.textContent = title;
-        messageElement.textContent = message;
+    renderJournalEntries() {
+        const summary = this.journalSummary;
+        const summaryElement = document.getElementById('journalSummary');
+        const entriesElement = document.getElementById('journalEntries');
 
-        this.showModal('errorModal');
-    }
+        entriesElement.innerHTML = '';
+
+        if (!summary || summary.totalCount === 0) {
+            summaryElement.textContent = 'Keine Einträge';
+            return;
+        }
+
+        summaryElement.textContent = `${summary.pendingCount} ausstehend, ${summary.syncedCount} synchronisiert, ` +
+            `${summary.rejectedCount} abgelehnt${summary.isReplaying ? ' - Synchronisierung läuft...' : ''}`;
+
+        const stateLabels = {
+            pending: '⏳ Ausstehend',
+            synced: '✅ Synchronisiert',
+            rejected: '⚠️ Abgelehnt'
+        };
+
+        const typeLabels = {
+            'qr-scan': 'QR-Scan',
+            'session-start': 'Session-Start',
+            'session-end': 'Session-Ende',
+            'session-pause': 'Pause',
+            'session-resume': 'Pausenende'
+        };
+
+        summary.entries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = `journal-entry ${entry.state}`;
+
+            const time = document.createElement('span');
+            time.textContent = new Date(entry.createdAt).toLocaleString('de-DE');
+
+            const state = document.createElement('span');
+            state.className = 'journal-entry-state';
+            state.textContent = stateLabels[entry.state] || entry.state;
+
+            const detail = document.createElement('span');
+            detail.className = 'journal-entry-detail';
+            const content = entry.type === 'qr-scan' ? entry.data.payload : `Benutzer ${entry.data.userId}`;
+            detail.textContent = `${typeLabels[entry.type] || entry.type}: ${content}${entry.message ? ` (${entry.message})` : ''}`;
+            detail.title = detail.textContent;
+
+            row.append(time, state, detail);
+            entriesElement.appendChild(row);
+        });
+    }
+
+    async replayJournal() {
+        try {
+            const result = await window.electronAPI.journal.replay();
+
+            if (this.isApprovalFailure(result)) {
+                return;
+            } else if (!result.success) {
+                this.showNotification('error', 'Synchronisierung fehlgeschlagen', result.message);
+            } else if (result.remaining > 0) {
+                this.showNotification('warning', 'Synchronisierung unterbrochen',
+                    `${result.remaining} Einträge weiterhin ausstehend`);
+            }
+        } catch (error) {
+            console.error('Offline-Journal Replay fehlgeschlagen:', error);
+            this.showNotification('error', 'Synchronisierung fehlgeschlagen', error.message);
+        }
+    }
+
+    // ===== AUTOMATISCH BEENDETE SESSIONS =====
+    async loadAutoClosedSessions() {
+        try {
+            const sessions = await window.electronAPI.session.getAutoClosed();
+            if (sessions && sessions.length > 0) {
+                this.autoClosedSessions = sessions;
+                this.updateAutoClosedIndicator();
+            }
+        } catch (error) {
+            console.error('Automatisch beendete Sessions laden fehlgeschlagen:', error);
+        }
+    }
+
+    handleSessionsAutoClosed(data) {
+        this.autoClosedSessions = [...data.sessions, ...this.autoClosedSessions].slice(0, 50);
+        this.updateAutoClosedIndicator();
+
+        const names = data.sessions.map(session => session.userName).join(', ');
+        this.showNotification('warning', 'Sessions automatisch beendet',
+            `${this.getEndReasonLabel(data.endReason)}: ${names}`);
+
+        if (document.getElementById('autoClosedModal').classList.contains('show')) {
+            this.renderAutoClosedSessions();
+        }
+    }
+
+    updateAutoClosedIndicator() {
+        document.getElementById('autoClosedCount').textContent = this.autoClosedSessions.length;
+        document.getElementById('autoClosedIndicator').style.display = this.autoClosedSessions.length > 0 ? 'block' : 'none';
+    }
+
+    showAutoClosedModal() {
+        this.renderAutoClosedSessions();
+        this.showModal('autoClosedModal');
+    }
+
+    renderAutoClosedSessions() {
+        const summaryElement = document.getElementById('autoClosedSummary');
+        const entriesElement = document.getElementById('autoClosedEntries');
+
+        entriesElement.innerHTML = '';
+
+        if (this.autoClosedSessions.length === 0) {
+            summaryElement.textContent = 'Keine Sessions';
+            return;
+        }
+
+        summaryElement.textContent = `${this.autoClosedSessions.length} Session(s) wurden nach Überschreiten der ` +
+            'maximalen Dauer beendet. Als Ende gilt Start + maximale Dauer.';
+
+        this.autoClosedSessions.forEach(session => {
+            const row = document.createElement('div');
+            row.className = 'journal-entry auto-closed-entry';
+
+            const user = document.createElement('span');
+            user.textContent = `${session.userName} (${session.sessionType || 'Unbekannt'})`;
+
+            const reason = document.createElement('span');
+            reason.className = 'journal-entry-state';
+            reason.textContent = this.getEndReasonLabel(session.endReason);
+
+            const detail = document.createElement('span');
+            detail.className = 'journal-entry-detail';
+            detail.textContent = `${new Date(session.startTime).toLocaleString('de-DE')} - ` +
+                `${new Date(session.endTime).toLocaleString('de-DE')} (max. ${session.limitMinutes} min)`;
+            detail.title = detail.textContent;
+
+            row.append(user, reason, detail);
+            entriesElement.appendChild(row);
+        });
+    }
+
+    getEndReasonLabel(endReason) {
+        const labels = {
+            timeout: '⏱️ Zeitüberschreitung',
+            crash_recovery: '⚠️ Absturz-Bereinigung'
+        };
+
+        return labels[endReason] || endReason;
+    }
+
+    // ===== AUDIT-TRAIL =====
+    async showAuditModal() {
+        if (!await this.authorize('audit.view')) return;
+
+        // Standard: heutiger Tag, bei ausgewähltem Benutzer dessen Session
+        const today = new Date().toLocaleDateString('sv-SE'); // YYYY-MM-DD in lokaler Zeit
+        document.getElementById('auditDateFrom').value = today;
+        document.getElementById('auditDateTo').value = today;
+        document.getElementById('auditSessionId').value = this.selectedSession && this.selectedSession.sessionId > 0 ?
+            this.selectedSession.sessionId : '';
+
+        this.showModal('auditModal');
+        this.loadAuditLog(1);
+    }
+
+    async loadAuditLog(page) {
+        if (page < 1 || (page > 1 && page > this.auditTotalPages)) return;
+
+        const dateFrom = document.getElementById('auditDateFrom').value;
+        const dateTo = document.getElementById('auditDateTo').value;
+        const sessionId = parseInt(document.getElementById('auditSessionId').value);
+
+        const criteria = {
+            entityType: document.getElementById('auditEntityType').value || null,
+            sessionId: sessionId > 0 ? sessionId : null,
+            dateFrom: dateFrom ? `${dateFrom}T00:00:00` : null,
+            dateTo: dateTo ? `${dateTo}T23:59:59.999` : null,
+            page,
+            pageSize: 50
+        };
+
+        try {
+            const result = await window.electronAPI.audit.getLog(criteria);
+
+            if (result.error && !this.isApprovalFailure(result)) {
+                this.showNotification('error', 'Protokoll nicht verfügbar', result.error);
+            }
+
+            this.auditPage = result.page;
+            this.auditTotalPages = Math.max(1, result.totalPages);
+            this.renderAuditEntries(result);
+        } catch (error) {
+            console.error('Audit-Trail laden fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Änderungsprotokoll konnte nicht geladen werden');
+        }
+    }
+
+    renderAuditEntries(result) {
+        const tableBody = document.getElementById('auditTableBody');
+        tableBody.innerHTML = '';
+
+        document.getElementById('auditSummary').textContent = result.total > 0 ?
+            `${result.total} Einträge` : 'Keine Einträge für diese Auswahl';
+        document.getElementById('auditPageInfo').textContent = `Seite ${this.auditPage} / ${this.auditTotalPages}`;
+        document.getElementById('auditPrevPage').disabled = this.auditPage <= 1;
+        document.getElementById('auditNextPage').disabled = this.auditPage >= this.auditTotalPages;
+
+        const actionLabels = {
+            'session.create': 'Session gestartet',
+            'session.end': 'Session beendet',
+            'session.restart': 'Session neu gestartet',
+            'session.pause': 'Session pausiert',
+            'session.resume': 'Session fortgesetzt',
+            'qrscan.create': 'Scan gespeichert',
+            'qrscan.void': 'Scan storniert',
+            'qrscan.format_override': 'Format freigegeben',
+            'qrscan.backfill': 'Scans nachdekodiert',
+            'user.create': 'Benutzer angelegt',
+            'user.update': 'Benutzer geändert',
+            'user.activate': 'Benutzer aktiviert',
+            'user.deactivate': 'Benutzer deaktiviert',
+            'user.assign_badge': 'Badge zugewiesen',
+            'user.clear_badge': 'Badge entfernt',
+            'user.set_role': 'Rolle geändert',
+            'user_tag.issue': 'Badge ausgegeben',
+            'user_tag.report_lost': 'Badge verloren gemeldet',
+            'user_tag.revoke': 'Badge gesperrt',
+            'user_tag.blocked_read': 'Gesperrter Badge gelesen'
+        };
+
+        const entityLabels = {
+            session: 'Session',
+            qrscan: 'Scan',
+            user: 'Benutzer',
+            user_tag: 'Badge'
+        };
+
+        result.items.forEach(entry => {
+            const row = document.createElement('tr');
+
+            const cells = [
+                new Date(entry.EventTS).toLocaleString('de-DE'),
+                entry.Workstation,
+                entry.ActorName || (entry.ActorUserID ? `#${entry.ActorUserID}` : '-'),
+                `${actionLabels[entry.Action] || entry.Action}${entry.Source ? ` (${entry.Source})` : ''}`,
+                `${entityLabels[entry.EntityType] || entry.EntityType}${entry.EntityID ? ` ${entry.EntityID}` : ''}`,
+                this.formatAuditChange(entry.Before, entry.After)
+            ];
+
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            row.lastChild.className = 'audit-change';
+            tableBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Vorher/Nachher als kompakte Liste der geänderten Felder
+     * @param {Object} before - Werte vor der Änderung
+     * @param {Object} after - Werte nach der Änderung
+     * @returns {string} - z.B. "EndTS: – → 14:03:12, Active: true → false"
+     */
+    formatAuditChange(before, after) {
+        const formatValue = (value) => {
+            if (value === null || value === undefined) return '–';
+            if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+                return new Date(value).toLocaleString('de-DE');
+            }
+            return String(value);
+        };
+
+        const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        keys.delete('ID');
+
+        const changes = [];
+        keys.forEach(key => {
+            const oldValue = before ? before[key] : undefined;
+            const newValue = after ? after[key] : undefined;
+
+            if (before && after && JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+            changes.push(before ? `${key}: ${formatValue(oldValue)} → ${formatValue(newValue)}` : `${key}: ${formatValue(newValue)}`);
+        });
+
+        return changes.join(', ') || '-';
+    }
+
+    // ===== STUNDENZETTEL =====
+    async showTimesheetModal() {
+        if (!await this.authorize('timesheet.view')) return;
+
+        // Standard: laufender Monat bis heute
+        const now = new Date();
+        document.getElementById('timesheetDateFrom').value =
+            new Date(now.getFullYear(), now.getMonth(), 1).toLocaleDateString('sv-SE');
+        document.getElementById('timesheetDateTo').value = now.toLocaleDateString('sv-SE');
+
+        this.showModal('timesheetModal');
+        this.loadTimesheet();
+    }
+
+    getTimesheetCriteria() {
+        const userId = parseInt(document.getElementById('timesheetUser').value);
+
+        return {
+            startDate: document.getElementById('timesheetDateFrom').value,
+            endDate: document.getElementById('timesheetDateTo').value,
+            userId: userId > 0 ? userId : null,
+            layout: document.getElementById('timesheetLayout').value
+        };
+    }
+
+    async loadTimesheet() {
+        try {
+            const result = await window.electronAPI.timesheet.generate(this.getTimesheetCriteria());
+
+            if (!result.success) {
+                this.timesheet = null;
+                if (!this.isApprovalFailure(result)) {
+                    this.showNotification('error', 'Stundenzettel nicht verfügbar', result.message);
+                }
+            } else {
+                this.timesheet = result.data;
+                this.updateTimesheetUsers(result.data);
+            }
+
+            this.renderTimesheet();
+        } catch (error) {
+            console.error('Stundenzettel laden fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Stundenzettel konnte nicht geladen werden');
+        }
+    }
+
+    /**
+     * Benutzerauswahl aus dem Ergebnis füllen - die aktuelle Auswahl bleibt erhalten
+     */
+    updateTimesheetUsers(timesheet) {
+        const select = document.getElementById('timesheetUser');
+        const selected = select.value;
+        const known = new Map(Array.from(select.options).filter(option => option.value).map(option => [option.value, option.textContent]));
+
+        timesheet.users.forEach(user => known.set(String(user.userId), user.fullName));
+
+        select.innerHTML = '<option value="">Alle</option>';
+        Array.from(known.entries())
+            .sort((a, b) => a[1].localeCompare(b[1], 'de'))
+            .forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+
+        select.value = selected;
+    }
+
+    renderTimesheet() {
+        const tableBody = document.getElementById('timesheetTableBody');
+        tableBody.innerHTML = '';
+
+        const weeks = document.getElementById('timesheetLayout').value === 'weeks';
+        const rows = this.timesheet ? (weeks ? this.timesheet.weeks : this.timesheet.days) : [];
+
+        document.getElementById('timesheetPeriodHeader').textContent = weeks ? 'Woche' : 'Datum';
+        document.getElementById('timesheetExportBtn').disabled = rows.length === 0;
+
+        if (!this.timesheet || rows.length === 0) {
+            document.getElementById('timesheetSummary').textContent = 'Keine Sessions in diesem Zeitraum';
+            return;
+        }
+
+        const totalMinutes = this.timesheet.users.reduce((sum, user) => sum + user.netMinutes, 0);
+        const rounding = this.timesheet.rounding.mode === 'none' ? '' :
+            ` · gerundet (${this.timesheet.rounding.mode}, ${this.timesheet.rounding.minutes} min)`;
+        document.getElementById('timesheetSummary').textContent =
+            `${this.timesheet.users.length} Benutzer · ${this.formatMinutes(totalMinutes)} netto${rounding}`;
+
+        const formatTime = (timestamp) => timestamp ?
+            new Date(timestamp).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }) : '-';
+
+        rows.forEach(entry => {
+            const row = document.createElement('tr');
+
+            const cells = weeks ? [
+                entry.fullName,
+                `${entry.week} (${entry.days} Tage)`,
+                new Date(`${entry.weekStart}T00:00:00`).toLocaleDateString('de-DE'),
+                new Date(`${entry.weekEnd}T00:00:00`).toLocaleDateString('de-DE'),
+                entry.sessionCount,
+                `${entry.pauseMinutes} min`,
+                this.formatMinutes(entry.netMinutes),
+                entry.scanCount
+            ] : [
+                entry.fullName,
+                new Date(`${entry.date}T00:00:00`).toLocaleDateString('de-DE', { weekday: 'short', day: '2-digit', month: '2-digit', year: 'numeric' }),
+                formatTime(entry.start),
+                entry.open ? 'läuft' : formatTime(entry.end),
+                entry.sessionCount,
+                `${entry.pauseMinutes} min`,
+                this.formatMinutes(entry.netMinutes),
+                entry.scanCount
+            ];
+
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            tableBody.appendChild(row);
+        });
+    }
+
+    formatMinutes(minutes) {
+        return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')} h`;
+    }
+
+    async exportTimesheet() {
+        try {
+            const result = await window.electronAPI.timesheet.export(this.getTimesheetCriteria());
+
+            if (result.success) {
+                this.showNotification('success', 'Stundenzettel exportiert', `${result.message}: ${result.filePath}`);
+            } else if (!result.canceled && !this.isApprovalFailure(result)) {
+                this.showNotification('error', 'Export fehlgeschlagen', result.message);
+            }
+        } catch (error) {
+            console.error('Stundenzettel-Export fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Stundenzettel konnte nicht exportiert werden');
+        }
+    }
+
+    // ===== STATISTIK-DIAGRAMME =====
+    async showStatsModal() {
+        if (!await this.authorize('stats.view')) return;
+
+        const dateInput = document.getElementById('statsDate');
+        if (!dateInput.value) {
+            dateInput.value = new Date().toLocaleDateString('sv-SE');
+        }
+
+        this.showModal('statsModal');
+
+        await this.loadStatsFilterOptions();
+        this.loadStats();
+    }
+
+    /**
+     * SessionType- und Abteilungsauswahl füllen - die aktuelle Auswahl bleibt erhalten
+     */
+    async loadStatsFilterOptions() {
+        try {
+            const options = await window.electronAPI.stats.getFilterOptions();
+
+            const fill = (selectId, entries) => {
+                const select = document.getElementById(selectId);
+                const selected = select.value;
+
+                select.innerHTML = '<option value="">Alle</option>';
+                entries.forEach(([value, label]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = label;
+                    select.appendChild(option);
+                });
+
+                select.value = selected;
+            };
+
+            fill('statsSessionType', options.sessionTypes.map(type => [type.ID, type.TypeName]));
+            fill('statsDepartment', options.departments.map(department => [department, department]));
+        } catch (error) {
+            console.error('Statistik-Filter laden fehlgeschlagen:', error);
+        }
+    }
+
+    getStatsFilters() {
+        const sessionTypeId = parseInt(document.getElementById('statsSessionType').value);
+
+        return {
+            sessionTypeId: sessionTypeId > 0 ? sessionTypeId : null,
+            department: document.getElementById('statsDepartment').value || null
+        };
+    }
+
+    async loadStats() {
+        const date = document.getElementById('statsDate').value || null;
+        const weeks = parseInt(document.getElementById('statsWeeks').value) || 4;
+        const filters = this.getStatsFilters();
+
+        try {
+            const [hourly, weekdays, weekly] = await Promise.all([
+                window.electronAPI.stats.getHourlyActivity(date, filters),
+                window.electronAPI.stats.getWeekdayActivity(weeks, filters),
+                window.electronAPI.stats.getWeeklyTrends(weeks, filters)
+            ]);
+
+            this.statsData = { hourly, weekdays, weekly, weeks };
+            this.renderStats();
+        } catch (error) {
+            console.error('Statistik laden fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Statistik konnte nicht geladen werden');
+        }
+    }
+
+    renderStats() {
+        if (!this.statsData) return;
+
+        const { hourly, weekdays, weekly, weeks } = this.statsData;
+
+        // Scans je Stunde
+        const totalScans = hourly.reduce((sum, hour) => sum + hour.ScanCount, 0);
+        const peak = hourly.reduce((best, hour) => (!best || hour.ScanCount > best.ScanCount ? hour : best), null);
+
+        window.Charts.drawBarChart(document.getElementById('statsHourlyChart'), {
+            labels: hourly.map(hour => hour.FormattedHour.slice(0, 2)),
+            values: hourly.map(hour => hour.ScanCount),
+            labelEvery: 2,
+            emptyMessage: 'Keine Scans an diesem Tag'
+        });
+        document.getElementById('statsHourlySummary').textContent = totalScans > 0 ?
+            `${totalScans} Scans, Spitze ${peak.FormattedHour} (${peak.ScanCount})` : '';
+
+        // Heatmap Wochentag × Stunde
+        window.Charts.drawHeatmap(document.getElementById('statsHeatmapChart'), {
+            rowLabels: weekdays.map(day => day.WeekdayName),
+            columnLabels: Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0')),
+            values: weekdays.map(day => day.Hours),
+            labelEvery: 2,
+            emptyMessage: 'Keine Scans im Zeitraum'
+        });
+        document.getElementById('statsHeatmapSummary').textContent = `letzte ${weeks} Wochen`;
+
+        // Wochentrend (älteste Woche links)
+        const trend = [...weekly].sort((a, b) => a.Year - b.Year || a.WeekNumber - b.WeekNumber);
+
+        window.Charts.drawLineChart(document.getElementById('statsTrendChart'), {
+            labels: trend.map(week => `KW ${week.WeekNumber}`),
+            series: [
+                { label: 'Scans', values: trend.map(week => week.TotalScans), color: '--primary-color' },
+                { label: 'Sessions', values: trend.map(week => week.TotalSessions), color: '--secondary-color', axis: 'right' },
+                { label: 'Benutzer', values: trend.map(week => week.UniqueUsers), color: '--warning-color', axis: 'right' }
+            ],
+            emptyMessage: 'Keine Scans im Zeitraum'
+        });
+
+        let trendSummary = '';
+        if (trend.length >= 2) {
+            const current = trend[trend.length - 1];
+            const previous = trend[trend.length - 2];
+            const change = previous.TotalScans > 0 ?
+                Math.round(((current.TotalScans - previous.TotalScans) / previous.TotalScans) * 100) : 0;
+
+            trendSummary = `KW ${current.WeekNumber}: ${current.TotalScans} Scans (${change >= 0 ? '+' : ''}${change} % ggü. KW ${previous.WeekNumber})`;
+        }
+        document.getElementById('statsTrendSummary').textContent = trendSummary;
+    }
+
+    // ===== SESSION-BERICHT =====
+    /**
+     * Bericht einer aktiven oder beendeten Session anzeigen
+     * @param {number|null} sessionId - Session (Standard: ausgewählte Session)
+     */
+    async showSessionReportModal(sessionId = null) {
+        if (!await this.authorize('report.view')) return;
+
+        const defaultId = sessionId || (this.selectedSession && this.selectedSession.sessionId > 0 ?
+            this.selectedSession.sessionId : null);
+
+        document.getElementById('sessionReportId').value = defaultId || '';
+        this.reportSessionId = null;
+        this.renderSessionReport(null);
+        this.showModal('sessionReportModal');
+
+        if (defaultId) {
+            this.loadSessionReport(defaultId);
+        }
+    }
+
+    async loadSessionReport(sessionId) {
+        if (!(sessionId > 0)) {
+            this.showNotification('warning', 'Session-Bericht', 'Bitte eine gültige Session-ID eingeben');
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.session.getReport(sessionId);
+
+            if (!result.success) {
+                this.reportSessionId = null;
+                this.renderSessionReport(null, result.message);
+                return;
+            }
+
+            this.reportSessionId = sessionId;
+            this.renderSessionReport(result.data);
+        } catch (error) {
+            console.error('Session-Bericht laden fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Session-Bericht konnte nicht geladen werden');
+        }
+    }
+
+    renderSessionReport(report, message = null) {
+        const frame = document.getElementById('sessionReportFrame');
+
+        document.getElementById('sessionReportPdfBtn').disabled = !report;
+        document.getElementById('sessionReportCsvBtn').disabled = !report;
+
+        if (!report) {
+            frame.srcdoc = '';
+            document.getElementById('sessionReportSummary').textContent = message || 'Session-ID eingeben';
+            return;
+        }
+
+        const { summary } = report;
+        document.getElementById('sessionReportSummary').textContent =
+            `${summary.user.fullName || summary.user.name} · ${summary.sessionType} · ` +
+            `${summary.validScans} Scans · ${summary.scansPerHour} Scans/h`;
+
+        // Gleiches HTML wie im PDF-Export
+        frame.srcdoc = report.html;
+    }
+
+    async exportSessionReport(format) {
+        if (!this.reportSessionId) return;
+
+        try {
+            const result = await window.electronAPI.session.exportReport(this.reportSessionId, format);
+
+            if (result.success) {
+                this.showNotification('success', 'Session-Bericht exportiert', result.filePath);
+            } else if (!result.canceled && !this.isApprovalFailure(result)) {
+                this.showNotification('error', 'Export fehlgeschlagen', result.message);
+            }
+        } catch (error) {
+            console.error('Export des Session-Berichts fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Session-Bericht konnte nicht exportiert werden');
+        }
+    }
+
+    // ===== FREIGABEN =====
+    /**
+     * Freigabe für eine Admin-Ansicht einholen (wartet ggf. auf den Badge-Tap)
+     * @param {string} permission - z.B. 'audit.view'
+     * @returns {boolean} - true wenn freigegeben
+     */
+    async authorize(permission) {
+        try {
+            const approval = await window.electronAPI.auth.authorize(permission);
+            return approval.approved;
+        } catch (error) {
+            console.error('Freigabe fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Freigabe konnte nicht geprüft werden');
+            return false;
+        }
+    }
+
+    /**
+     * Ergebnis einer privilegierten Aktion ohne Freigabe - der Hinweis kommt bereits über 'approval-finished'
+     * @param {*} result - Rückgabe des IPC-Handlers
+     * @returns {boolean}
+     */
+    isApprovalFailure(result) {
+        return !!(result && typeof result.status === 'string' && result.status.startsWith('approval_'));
+    }
+
+    showApprovalModal(data) {
+        const roleText = data.ownerAllowed ? `${data.requiredRoleLabel} oder Session-Inhaber` : data.requiredRoleLabel;
+
+        document.getElementById('approvalAction').textContent = data.label;
+        document.getElementById('approvalRole').textContent = roleText;
+
+        clearInterval(this.approvalRequest?.timer);
+        this.approvalRequest = {
+            deadline: Date.now() + data.timeoutMs,
+            timer: setInterval(() => this.updateApprovalCountdown(), 250)
+        };
+
+        this.updateApprovalCountdown();
+        this.showModal('approvalModal');
+    }
+
+    updateApprovalCountdown() {
+        if (!this.approvalRequest) return;
+
+        const remaining = Math.max(0, Math.ceil((this.approvalRequest.deadline - Date.now()) / 1000));
+        document.getElementById('approvalCountdown').textContent = remaining;
+    }
+
+    handleApprovalFinished(result) {
+        if (this.approvalRequest) {
+            clearInterval(this.approvalRequest.timer);
+            this.approvalRequest = null;
+        }
+
+        this.hideModal('approvalModal');
+
+        if (result.approved) {
+            this.showNotification('success', 'Freigegeben', result.message);
+        } else if (result.status === 'approval_denied') {
+            this.showNotification('error', 'Keine Berechtigung', result.message);
+        } else if (result.status === 'approval_timeout') {
+            this.showNotification('warning', 'Freigabe abgelaufen', result.message);
+        }
+    }
+
+    async cancelApproval() {
+        try {
+            await window.electronAPI.auth.cancelApproval();
+        } catch (error) {
+            console.error('Freigabe abbrechen fehlgeschlagen:', error);
+            this.hideModal('approvalModal');
+        }
+    }
+
+    getRoleLabel(role) {
+        const labels = {
+            worker: 'Mitarbeiter',
+            shift_lead: 'Schichtleitung',
+            admin: 'Administrator'
+        };
+
+        return labels[role] || role;
+    }
+
+    // ===== BENUTZERVERWALTUNG =====
+    async showUsersModal() {
+        if (!await this.authorize('users.manage')) return;
+
+        this.hideUserForm();
+        this.hideUserTags();
+        this.showModal('usersModal');
+        await this.loadUsers();
+    }
+
+    async loadUsers() {
+        try {
+            this.adminUsers = await window.electronAPI.users.getAll();
+            this.renderUsers();
+            this.updateDepartmentOptions();
+        } catch (error) {
+            console.error('Benutzer laden fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Benutzer konnten nicht geladen werden');
+        }
+    }
+
+    renderUsers() {
+        const tableBody = document.getElementById('usersTableBody');
+        tableBody.innerHTML = '';
+
+        const search = document.getElementById('usersSearch').value.trim().toLowerCase();
+        const showInactive = document.getElementById('usersShowInactive').checked;
+
+        const users = this.adminUsers.filter(user => {
+            if (!showInactive && !user.IsActive) return false;
+            if (!search) return true;
+
+            return [user.FullName, user.BenutzerName, user.Email, user.Department]
+                .some(value => value && value.toLowerCase().includes(search));
+        });
+
+        const inactiveCount = this.adminUsers.filter(user => !user.IsActive).length;
+        document.getElementById('usersSummary').textContent = this.adminUsers.length > 0 ?
+            `${users.length} von ${this.adminUsers.length} Benutzern (${inactiveCount} deaktiviert)` : 'Keine Benutzer';
+
+        users.forEach(user => {
+            const row = document.createElement('tr');
+            row.classList.toggle('user-inactive', !user.IsActive);
+
+            [
+                user.FullName || '-',
+                user.BenutzerName,
+                user.Email || '-',
+                user.Department || '-',
+                this.getRoleLabel(user.Role),
+                `${user.HasBadge ? user.EPCHex : '-'}${user.VisitorTagCount > 0 ? ` (+${user.VisitorTagCount} Besucher)` : ''}`,
+                user.IsActive ? '✅ aktiv' : '⛔ deaktiviert'
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'user-actions';
+            actions.append(
+                this.createUserActionButton('Bearbeiten', 'btn-secondary', () => this.showUserForm(user)),
+                this.createUserActionButton('Badges', 'btn-primary', () => this.showUserTags(user)),
+                user.IsActive ?
+                    this.createUserActionButton('Deaktivieren', 'btn-danger', () => this.toggleUserActive(user, false)) :
+                    this.createUserActionButton('Aktivieren', 'btn-secondary', () => this.toggleUserActive(user, true))
+            );
+            row.appendChild(actions);
+
+            tableBody.appendChild(row);
+        });
+    }
+
+    createUserActionButton(label, className, onClick, disabled = false) {
+        const button = document.createElement('button');
+        button.className = `${className} btn-small`;
+        button.textContent = label;
+        button.disabled = disabled || this.enrollingUserId !== null;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    updateDepartmentOptions() {
+        const datalist = document.getElementById('userDepartmentOptions');
+        datalist.innerHTML = '';
+
+        [...new Set(this.adminUsers.map(user => user.Department).filter(Boolean))].sort().forEach(department => {
+            const option = document.createElement('option');
+            option.value = department;
+            datalist.appendChild(option);
+        });
+    }
+
+    /**
+     * Formular zum Anlegen (user = null) oder Bearbeiten anzeigen
+     * @param {Object|null} user - Benutzer aus getAll()
+     */
+    showUserForm(user) {
+        this.hideUserTags();
+        this.editingUserId = user ? user.ID : null;
+
+        document.getElementById('userFormTitle').textContent = user ? `${user.BenutzerName} bearbeiten` : 'Neuer Benutzer';
+        document.getElementById('userFirstName').value = user ? user.Vorname || '' : '';
+        document.getElementById('userLastName').value = user ? user.Nachname || '' : '';
+        document.getElementById('userUserName').value = user ? user.BenutzerName || '' : '';
+        document.getElementById('userEmail').value = user ? user.Email || '' : '';
+        document.getElementById('userDepartment').value = user ? user.Department || '' : '';
+        document.getElementById('userRole').value = user ? user.Role || 'worker' : 'worker';
+
+        document.getElementById('userForm').style.display = 'block';
+        document.getElementById('userFirstName').focus();
+    }
+
+    hideUserForm() {
+        this.editingUserId = null;
+        document.getElementById('userForm').style.display = 'none';
+    }
+
+    async saveUser() {
+        const data = {
+            firstName: document.getElementById('userFirstName').value,
+            lastName: document.getElementById('userLastName').value,
+            userName: document.getElementById('userUserName').value,
+            email: document.getElementById('userEmail').value,
+            department: document.getElementById('userDepartment').value
+        };
+
+        const role = document.getElementById('userRole').value;
+
+        try {
+            const result = this.editingUserId ?
+                await window.electronAPI.users.update(this.editingUserId, data) :
+                await window.electronAPI.users.create(data);
+
+            if (!result.success) {
+                if (!this.isApprovalFailure(result)) {
+                    this.showNotification('error', 'Speichern fehlgeschlagen', result.message);
+                }
+                return;
+            }
+
+            // Rolle separat (eigener Audit-Eintrag 'user.set_role')
+            if (result.data.Role !== role) {
+                const roleResult = await window.electronAPI.users.setRole(result.data.ID, role);
+
+                if (!roleResult.success && !this.isApprovalFailure(roleResult)) {
+                    this.showNotification('error', 'Rolle nicht geändert', roleResult.message);
+                }
+            }
+
+            this.showNotification('success', 'Benutzer gespeichert', result.message);
+            this.hideUserForm();
+            await this.loadUsers();
+        } catch (error) {
+            console.error('Benutzer speichern fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Benutzer konnte nicht gespeichert werden');
+        }
+    }
+
+    async toggleUserActive(user, active) {
+        try {
+            const result = await window.electronAPI.users.setActive(user.ID, active);
+
+            if (!result.success) {
+                if (!this.isApprovalFailure(result)) {
+                    this.showNotification('error', active ? 'Aktivieren fehlgeschlagen' : 'Deaktivieren fehlgeschlagen', result.message);
+                }
+                return;
+            }
+
+            this.showNotification('success', 'Benutzerverwaltung', result.message);
+            await this.loadUsers();
+        } catch (error) {
+            console.error('Benutzerstatus ändern fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Benutzerstatus konnte nicht geändert werden');
+        }
+    }
+
+    /**
+     * Badge anlernen: der nächste RFID-Tag wird dem Benutzer zugewiesen statt anzumelden
+     * @param {Object} user - Benutzer aus getAll()
+     * @param {string} tagType - 'personal' (ersetzt den bisherigen Badge) | 'visitor' (zeitlich begrenzt)
+     */
+    async enrollBadge(user, tagType = 'personal') {
+        this.enrollingUserId = user.ID;
+        document.getElementById('badgeEnrollmentKind').textContent = tagType === 'visitor' ? 'Besucher-Badge' : 'Badge';
+        document.getElementById('badgeEnrollmentUser').textContent = user.FullName || user.BenutzerName;
+        document.getElementById('badgeEnrollmentBanner').style.display = 'flex';
+        this.renderUsers();
+        this.updateUserTagButtons();
+
+        try {
+            const result = await window.electronAPI.users.enrollBadge(user.ID, tagType);
+
+            if (result.success) {
+                this.showNotification('success', 'Badge angelernt', result.message);
+            } else if (result.status === 'timeout') {
+                this.showNotification('warning', 'Badge anlernen', result.message);
+            } else if (result.status !== 'canceled' && !this.isApprovalFailure(result)) {
+                this.showNotification('error', 'Badge anlernen fehlgeschlagen', result.message);
+            }
+        } catch (error) {
+            console.error('Badge anlernen fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Badge konnte nicht angelernt werden');
+        }
+
+        this.enrollingUserId = null;
+        document.getElementById('badgeEnrollmentBanner').style.display = 'none';
+        await this.loadUsers();
+
+        if (this.tagsUser) {
+            this.tagsUser = this.adminUsers.find(entry => entry.ID === this.tagsUser.ID) || this.tagsUser;
+            await this.loadUserTags();
+        }
+    }
+
+    // ----- Badges -----
+    /**
+     * Badges eines Benutzers mit Historie anzeigen (verloren melden, sperren, Ersatz- und Besucher-Badge)
+     * @param {Object} user - Benutzer aus getAll()
+     */
+    async showUserTags(user) {
+        this.hideUserForm();
+        this.tagsUser = user;
+
+        document.getElementById('userTagsUser').textContent = user.FullName || user.BenutzerName;
+        document.getElementById('userTagsTableBody').innerHTML = '';
+        document.getElementById('userTagsPanel').style.display = 'block';
+
+        await this.loadUserTags();
+    }
+
+    hideUserTags() {
+        this.tagsUser = null;
+        document.getElementById('userTagsPanel').style.display = 'none';
+    }
+
+    async loadUserTags() {
+        try {
+            const tags = await window.electronAPI.users.getTags(this.tagsUser.ID);
+            this.renderUserTags(tags);
+        } catch (error) {
+            console.error('Badges laden fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Badges konnten nicht geladen werden');
+        }
+    }
+
+    renderUserTags(tags) {
+        const tableBody = document.getElementById('userTagsTableBody');
+        tableBody.innerHTML = '';
+
+        if (tags.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="7">Noch kein Badge ausgegeben</td></tr>';
+        }
+
+        const formatDate = (value) => value ? new Date(value).toLocaleString('de-DE') : '-';
+
+        tags.forEach(tag => {
+            const row = document.createElement('tr');
+            row.classList.toggle('user-inactive', !tag.IsValid);
+
+            [
+                tag.EPCHex,
+                tag.TypeLabel,
+                tag.Status === 'active' && !tag.IsValid ? 'Abgelaufen' : tag.StatusLabel,
+                formatDate(tag.ValidFrom),
+                formatDate(tag.ValidTo),
+                tag.StatusReason || '-'
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'user-actions';
+            if (tag.Status === 'active') {
+                actions.append(
+                    this.createUserActionButton('Verloren melden', 'btn-danger', () => this.setTagStatus(tag, 'lost')),
+                    this.createUserActionButton(tag.TagType === 'visitor' ? 'Zurückgeben' : 'Sperren', 'btn-secondary',
+                        () => this.setTagStatus(tag, 'revoked'))
+                );
+            }
+            row.appendChild(actions);
+
+            tableBody.appendChild(row);
+        });
+
+        this.updateUserTagButtons();
+    }
+
+    updateUserTagButtons() {
+        const user = this.tagsUser;
+        if (!user) return;
+
+        const disabled = !user.IsActive || this.enrollingUserId !== null;
+        const enrollButton = document.getElementById('userTagEnrollBtn');
+
+        enrollButton.textContent = user.HasBadge ? 'Ersatz-Badge anlernen' : 'Badge anlernen';
+        enrollButton.disabled = disabled;
+        document.getElementById('userTagVisitorBtn').disabled = disabled;
+    }
+
+    /**
+     * Badge als verloren melden ('lost') oder sperren bzw. Besucher-Badge zurücknehmen ('revoked')
+     * @param {Object} tag - Eintrag aus getTags()
+     * @param {string} status - 'lost' | 'revoked'
+     */
+    async setTagStatus(tag, status) {
+        const reason = status === 'revoked' && tag.TagType === 'visitor' ? 'Zurückgegeben' : null;
+
+        try {
+            const result = await window.electronAPI.users.setTagStatus(tag.ID, status, reason);
+
+            if (!result.success) {
+                if (!this.isApprovalFailure(result)) {
+                    this.showNotification('error', 'Badge nicht geändert', result.message);
+                }
+                return;
+            }
+
+            this.showNotification(status === 'lost' ? 'warning' : 'success', 'Badges', result.message);
+            await this.loadUsers();
+
+            if (this.tagsUser) {
+                this.tagsUser = this.adminUsers.find(entry => entry.ID === this.tagsUser.ID) || this.tagsUser;
+                await this.loadUserTags();
+            }
+        } catch (error) {
+            console.error('Badge-Status ändern fehlgeschlagen:', error);
+            this.showNotification('error', 'Fehler', 'Badge konnte nicht geändert werden');
+        }
+    }
+
+    async cancelBadgeEnrollment() {
+        try {
+            await window.electronAPI.users.cancelEnrollment();
+        } catch (error) {
+            console.error('Badge anlernen abbrechen fehlgeschlagen:', error);
+        }
+    }
+
+    // ===== SUPERVISOR-DASHBOARD =====
+    async openSupervisorDashboard() {
+        try {
+            const result = await window.electronAPI.dashboard.open();
+
+            if (!result.success && !this.isApprovalFailure(result)) {
+                this.showNotification('error', 'Supervisor-Dashboard', result.message);
+            }
+        } catch (error) {
+            console.error('Supervisor-Dashboard konnte nicht geöffnet werden:', error);
+            this.showNotification('error', 'Fehler', 'Supervisor-Dashboard konnte nicht geöffnet werden');
+        }
+    }
+
+    // ===== NOTIFICATIONS & MODALS =====
+    showNotification(type, title, message, duration = 4000) {
+        const notifications = document.getElementById('notifications');
+
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+
+        const icons = {
+            success: '✅',
+            error: '❌',
+            warning: '⚠️',
+            info: 'ℹ️'
+        };
+
+        notification.innerHTML = `
+            <div class="notification-icon">${icons[type] || 'ℹ️'}</div>
+            <div class="notification-content">
+                <div class="notification-title">${title}</div>
+                <div class="notification-text">${message}</div>
+            </div>
+        `;
+
+        notifications.appendChild(notification);
+
+        // Auto-Remove
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, duration);
+    }
+
+    showErrorModal(title, message) {
+        const modal = document.getElementById('errorModal');
+        const titleElement = document.querySelector('#errorModal .modal-title .icon');
+        const messageElement = document.getElementById('errorMessage');
+
+        titleElement.nextSibling.textContent = title;
+        messageElement.textContent = message;
+
+        this.showModal('errorModal');
+    }
 
     showModal(modalId) {
         const modal = document.getElementById(modalId);
@@ -1592,6 +3330,10 @@ class WareneinlagerungApp {
     hideModal(modalId) {
         const modal = document.getElementById(modalId);
         modal.classList.remove('show');
+
+        if (modalId === 'usersModal' && this.enrollingUserId) {
+            this.cancelBadgeEnrollment();
+        }
     }
 
     // ===== DEBUG-FUNKTIONEN FÜR ENTWICKLERKONSOLE =====
@@ -0,0 +1,294 @@
+// renderer/charts.js
+// Canvas-Diagramme ohne externe Bibliothek (Balken, Heatmap, Linien) - Farben und Schrift aus den CSS-Variablen
+
+(function (root) {
+    'use strict';
+
+    const PADDING = { top: 24, right: 16, bottom: 28, left: 48 };
+    const GRID_LINES = 4;
+
+    // ===== HILFSFUNKTIONEN =====
+
+    function cssVar(name) {
+        return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+    }
+
+    /**
+     * Farbe direkt ('#10b981') oder als CSS-Variable ('--secondary-color')
+     * @param {string} color - Farbangabe
+     * @returns {string} - CSS-Farbe
+     */
+    function resolveColor(color) {
+        return color.startsWith('--') ? cssVar(color) : color;
+    }
+
+    /**
+     * '#6366f1' -> 'rgba(99, 102, 241, alpha)'
+     * @param {string} hex - Farbe als #rrggbb
+     * @param {number} alpha - Deckkraft 0..1
+     * @returns {string} - CSS-Farbe
+     */
+    function withAlpha(hex, alpha) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+
+    /**
+     * Canvas auf die angezeigte Größe und Pixeldichte einstellen und leeren
+     * @param {HTMLCanvasElement} canvas - Ziel
+     * @returns {Object} - { ctx, width, height } in CSS-Pixeln
+     */
+    function prepareCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = `11px ${cssVar('--font-family')}`;
+        ctx.textBaseline = 'middle';
+
+        return { ctx, width, height };
+    }
+
+    /**
+     * Achsen-Maximum auf einen runden Wert (1, 2, 2.5, 5 × 10^n) anheben
+     * @param {number} value - Größter Datenwert
+     * @returns {number} - Achsen-Maximum
+     */
+    function niceMax(value) {
+        if (!(value > 0)) return 1;
+
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 2.5, 5, 10].find(factor => factor * magnitude >= value);
+
+        return step * magnitude;
+    }
+
+    function formatValue(value) {
+        return Number.isInteger(value) ? value.toLocaleString('de-DE') : value.toLocaleString('de-DE', { maximumFractionDigits: 1 });
+    }
+
+    function drawEmpty(ctx, width, height, message) {
+        ctx.fillStyle = cssVar('--text-muted');
+        ctx.textAlign = 'center';
+        ctx.fillText(message, width / 2, height / 2);
+    }
+
+    /**
+     * Horizontale Hilfslinien mit Beschriftung
+     * @param {Object} area - { ctx, left, right, top, bottom }
+     * @param {number} max - Achsen-Maximum
+     * @param {string} side - 'left' | 'right' (Beschriftung)
+     * @param {boolean} drawLines - Linien zeichnen (nur für die erste Achse)
+     */
+    function drawValueAxis(area, max, side = 'left', drawLines = true) {
+        const { ctx, left, right, top, bottom } = area;
+
+        ctx.textAlign = side === 'left' ? 'right' : 'left';
+
+        for (let i = 0; i <= GRID_LINES; i++) {
+            const y = bottom - ((bottom - top) * i) / GRID_LINES;
+
+            if (drawLines) {
+                ctx.strokeStyle = cssVar('--border-color');
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(left, Math.round(y) + 0.5);
+                ctx.lineTo(right, Math.round(y) + 0.5);
+                ctx.stroke();
+            }
+
+            ctx.fillStyle = cssVar('--text-secondary');
+            ctx.fillText(formatValue((max * i) / GRID_LINES), side === 'left' ? left - 6 : right + 6, y);
+        }
+    }
+
+    // ===== DIAGRAMME =====
+
+    /**
+     * Säulendiagramm
+     * @param {HTMLCanvasElement} canvas - Ziel
+     * @param {Object} data - { labels: string[], values: number[], labelEvery (default: 1), emptyMessage }
+     */
+    function drawBarChart(canvas, data) {
+        const { ctx, width, height } = prepareCanvas(canvas);
+        const values = data.values || [];
+        const max = Math.max(0, ...values);
+
+        if (values.length === 0 || max === 0) {
+            drawEmpty(ctx, width, height, data.emptyMessage || 'Keine Daten');
+            return;
+        }
+
+        const area = {
+            ctx,
+            left: PADDING.left,
+            right: width - PADDING.right,
+            top: PADDING.top,
+            bottom: height - PADDING.bottom
+        };
+        const axisMax = niceMax(max);
+        const slot = (area.right - area.left) / values.length;
+        const barWidth = Math.max(1, slot * 0.7);
+        const labelEvery = data.labelEvery || 1;
+        const color = cssVar('--primary-color');
+
+        drawValueAxis(area, axisMax);
+
+        values.forEach((value, index) => {
+            const x = area.left + slot * index + (slot - barWidth) / 2;
+            const barHeight = ((area.bottom - area.top) * value) / axisMax;
+
+            ctx.fillStyle = color;
+            ctx.fillRect(x, area.bottom - barHeight, barWidth, barHeight);
+
+            ctx.textAlign = 'center';
+            if (value > 0 && slot >= 22) {
+                ctx.fillStyle = cssVar('--text-primary');
+                ctx.fillText(formatValue(value), x + barWidth / 2, area.bottom - barHeight - 8);
+            }
+
+            if (index % labelEvery === 0) {
+                ctx.fillStyle = cssVar('--text-secondary');
+                ctx.fillText(data.labels[index], x + barWidth / 2, area.bottom + 14);
+            }
+        });
+    }
+
+    /**
+     * Heatmap (Zeilen × Spalten), Farbintensität relativ zum größten Wert
+     * @param {HTMLCanvasElement} canvas - Ziel
+     * @param {Object} data - { rowLabels: string[], columnLabels: string[], values: number[][], labelEvery, emptyMessage }
+     */
+    function drawHeatmap(canvas, data) {
+        const { ctx, width, height } = prepareCanvas(canvas);
+        const values = data.values || [];
+        const max = Math.max(0, ...values.map(row => Math.max(0, ...row)));
+
+        if (values.length === 0 || max === 0) {
+            drawEmpty(ctx, width, height, data.emptyMessage || 'Keine Daten');
+            return;
+        }
+
+        const left = 32;
+        const top = 4;
+        const bottom = height - 20;
+        const columns = data.columnLabels.length;
+        const cellWidth = (width - PADDING.right - left) / columns;
+        const cellHeight = (bottom - top) / values.length;
+        const labelEvery = data.labelEvery || 1;
+        const color = cssVar('--primary-color');
+
+        values.forEach((row, rowIndex) => {
+            const y = top + cellHeight * rowIndex;
+
+            ctx.fillStyle = cssVar('--text-secondary');
+            ctx.textAlign = 'right';
+            ctx.fillText(data.rowLabels[rowIndex], left - 6, y + cellHeight / 2);
+
+            row.forEach((value, columnIndex) => {
+                const x = left + cellWidth * columnIndex;
+                const ratio = value / max;
+
+                ctx.fillStyle = value > 0 ? withAlpha(color, 0.1 + 0.9 * ratio) : cssVar('--bg-tertiary');
+                ctx.fillRect(x + 1, y + 1, cellWidth - 2, cellHeight - 2);
+
+                if (value > 0 && cellWidth >= 24) {
+                    ctx.fillStyle = ratio > 0.5 ? '#ffffff' : cssVar('--text-primary');
+                    ctx.textAlign = 'center';
+                    ctx.fillText(formatValue(value), x + cellWidth / 2, y + cellHeight / 2);
+                }
+            });
+        });
+
+        ctx.fillStyle = cssVar('--text-secondary');
+        ctx.textAlign = 'center';
+        data.columnLabels.forEach((label, columnIndex) => {
+            if (columnIndex % labelEvery === 0) {
+                ctx.fillText(label, left + cellWidth * columnIndex + cellWidth / 2, bottom + 12);
+            }
+        });
+    }
+
+    /**
+     * Liniendiagramm mit Legende - Reihen mit axis: 'right' nutzen eine zweite Achse
+     * (z.B. Scans links, Sessions und Benutzer rechts)
+     * @param {HTMLCanvasElement} canvas - Ziel
+     * @param {Object} data - { labels: string[], series: [{ label, values, color (Farbe oder CSS-Variable), axis }], emptyMessage }
+     */
+    function drawLineChart(canvas, data) {
+        const { ctx, width, height } = prepareCanvas(canvas);
+        const series = data.series || [];
+
+        if (data.labels.length === 0 || series.length === 0) {
+            drawEmpty(ctx, width, height, data.emptyMessage || 'Keine Daten');
+            return;
+        }
+
+        const hasRightAxis = series.some(entry => entry.axis === 'right');
+        const area = {
+            ctx,
+            left: PADDING.left,
+            right: width - (hasRightAxis ? PADDING.left : PADDING.right),
+            top: PADDING.top,
+            bottom: height - PADDING.bottom
+        };
+        const axisMax = (axis) => niceMax(Math.max(0, ...series
+            .filter(entry => (entry.axis || 'left') === axis)
+            .flatMap(entry => entry.values)));
+        const maxima = { left: axisMax('left'), right: hasRightAxis ? axisMax('right') : 1 };
+        const step = data.labels.length > 1 ? (area.right - area.left) / (data.labels.length - 1) : 0;
+        const xAt = (index) => data.labels.length > 1 ? area.left + step * index : (area.left + area.right) / 2;
+
+        drawValueAxis(area, maxima.left, 'left', true);
+        if (hasRightAxis) {
+            drawValueAxis(area, maxima.right, 'right', false);
+        }
+
+        ctx.fillStyle = cssVar('--text-secondary');
+        ctx.textAlign = 'center';
+        data.labels.forEach((label, index) => ctx.fillText(label, xAt(index), area.bottom + 14));
+
+        let legendX = area.left;
+        series.forEach(entry => {
+            const color = resolveColor(entry.color);
+            const max = maxima[entry.axis || 'left'];
+            const yAt = (value) => area.bottom - ((area.bottom - area.top) * value) / max;
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            entry.values.forEach((value, index) => {
+                if (index === 0) ctx.moveTo(xAt(index), yAt(value));
+                else ctx.lineTo(xAt(index), yAt(value));
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = color;
+            entry.values.forEach((value, index) => {
+                ctx.beginPath();
+                ctx.arc(xAt(index), yAt(value), 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+
+            // Legende
+            const label = entry.axis === 'right' ? `${entry.label} (rechts)` : entry.label;
+            ctx.fillRect(legendX, 6, 10, 10);
+            ctx.fillStyle = cssVar('--text-primary');
+            ctx.textAlign = 'left';
+            ctx.fillText(label, legendX + 14, 11);
+            legendX += ctx.measureText(label).width + 32;
+        });
+    }
+
+    root.Charts = {
+        drawBarChart,
+        drawHeatmap,
+        drawLineChart
+    };
+})(window);
@@ -208,30 +208,20 @@ class QRScannerIntegration {
     }
 
     decodeQRData(qrData) {
-        try {
-            // Format: "126644896^25000580^010010277918^6^2802-834"
-            const parts = qrData.split('^');
-
-            if (parts.length >= 3) {
-                return {
-                    auftrag: parts[0] || 'Unbekannt',
-                    kunde: parts[1] || 'Unbekannt',
-                    paket: parts[2] || 'Unbekannt'
-                };
-            }
-
-            // JSON-Fallback
-            const jsonData = JSON.parse(qrData);
-            return {
-                auftrag: jsonData.auftrag || jsonData.order || 'Unbekannt',
-                kunde: jsonData.kunde || jsonData.customer || 'Unbekannt',
-                paket: jsonData.paket || jsonData.package || 'Unbekannt'
-            };
+        // Gemeinsame Parser-Registry (shared/qr-parsers.js)
+        const { format, fields, confidence } = window.QRParsers.parse(qrData);
 
-        } catch (error) {
-            console.warn('QR-Dekodierung fehlgeschlagen:', error);
+        if (format === 'unknown') {
             return null;
         }
+
+        return {
+            auftrag: fields.auftrags_nr || 'Unbekannt',
+            kunde: fields.kunden_name || fields.kunden_id || 'Unbekannt',
+            paket: fields.paket_nr || 'Unbekannt',
+            format,
+            confidence
+        };
     }
 
     showScanResult(qrData, success, message, decodedData = null) {
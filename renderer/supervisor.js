@@ -0,0 +1,229 @@
+/**
+ * RFID Wareneinlagerung - Supervisor-Dashboard
+ * Live-Übersicht über alle Arbeitsplätze. Das Fenster fragt nicht selbst ab - der Main-Prozess
+ * pusht bei jeder Änderung den vollständigen Stand über 'dashboard-update'.
+ */
+
+class SupervisorDashboardApp {
+    constructor() {
+        this.data = null;
+
+        this.init();
+    }
+
+    async init() {
+        console.log('📊 Supervisor-Dashboard wird initialisiert...');
+
+        window.electronAPI.on('dashboard-update', (data) => this.render(data));
+
+        try {
+            const data = await window.electronAPI.dashboard.get();
+            if (data) {
+                this.render(data);
+            }
+        } catch (error) {
+            console.error('Dashboard-Daten konnten nicht geladen werden:', error);
+            this.setStatus('error', 'Daten nicht verfügbar');
+        }
+    }
+
+    // ===== RENDERING =====
+    render(data) {
+        this.data = data;
+
+        this.renderCards(data);
+        this.renderSessions(data.sessions);
+        this.renderIdleWorkers(data.idleWorkers, data.idleMinutes);
+        this.renderRestarts(data.restarts);
+        this.renderHourly(data.hourly);
+        this.renderTopPerformers(data.topPerformers);
+
+        this.setStatus('active', `Stand: ${this.formatTime(data.generatedAt)}`);
+    }
+
+    renderCards(data) {
+        document.getElementById('cardActiveSessions').textContent = data.overview.activeSessionCount;
+        document.getElementById('cardPausedSessions').textContent = data.overview.pausedSessionCount;
+        document.getElementById('cardIdleWorkers').textContent = data.idleWorkers.length;
+        document.getElementById('cardScansToday').textContent = data.today ? data.today.TotalScans || 0 : '-';
+        document.getElementById('cardRestartsToday').textContent = data.restarts.today.estimatedRestarts;
+    }
+
+    renderSessions(sessions) {
+        const tableBody = document.getElementById('dashboardSessionsBody');
+        tableBody.innerHTML = '';
+
+        if (sessions.length === 0) {
+            tableBody.appendChild(this.createRow(['Keine aktiven Sessions'], 'dashboard-empty', 7));
+            return;
+        }
+
+        sessions.forEach(session => {
+            const status = session.isPaused ? '⏸️ Pause' :
+                session.isIdle ? `⚠️ untätig (${session.idleMinutes} min)` : '✅ aktiv';
+
+            const row = this.createRow([
+                session.userName,
+                session.sessionType || '-',
+                this.formatTime(session.startTime),
+                this.formatDuration(session.netDurationSeconds),
+                session.scanCount,
+                session.lastScanTime ? this.formatTime(session.lastScanTime) : '-',
+                status
+            ]);
+
+            if (session.isIdle) {
+                row.classList.add('dashboard-row-idle');
+            } else if (session.isPaused) {
+                row.classList.add('dashboard-row-paused');
+            }
+
+            tableBody.appendChild(row);
+        });
+    }
+
+    renderIdleWorkers(idleWorkers, idleMinutes) {
+        const list = document.getElementById('dashboardIdleList');
+        list.innerHTML = '';
+
+        document.getElementById('idleHint').textContent = `(ohne Scan seit ${idleMinutes} min)`;
+
+        if (idleWorkers.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'modal-info';
+            empty.textContent = 'Alle Mitarbeiter sind aktiv';
+            list.appendChild(empty);
+            return;
+        }
+
+        idleWorkers.forEach(worker => {
+            const entry = document.createElement('div');
+            entry.className = 'journal-entry idle-worker-entry';
+
+            const name = document.createElement('strong');
+            name.textContent = worker.userName;
+
+            const details = document.createElement('span');
+            details.textContent = ` · ${worker.sessionType || '-'} · seit ${worker.idleMinutes} min ohne Scan` +
+                (worker.lastScanTime ? ` (letzter Scan ${this.formatTime(worker.lastScanTime)})` : ' (noch kein Scan)');
+
+            entry.appendChild(name);
+            entry.appendChild(details);
+            list.appendChild(entry);
+        });
+    }
+
+    renderRestarts(restarts) {
+        const tableBody = document.getElementById('dashboardRestartsBody');
+        tableBody.innerHTML = '';
+
+        [['Heute', restarts.today], ['7 Tage', restarts.week]].forEach(([label, stats]) => {
+            tableBody.appendChild(this.createRow([
+                label,
+                stats.totalSessions,
+                stats.estimatedRestarts,
+                `${stats.restartRate} %`
+            ]));
+        });
+    }
+
+    renderHourly(hourly) {
+        const container = document.getElementById('dashboardHourly');
+        container.innerHTML = '';
+
+        // Nur Stunden mit Betrieb (erste bis letzte Stunde mit Scans)
+        const active = hourly.filter(hour => hour.ScanCount > 0);
+        if (active.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'modal-info';
+            empty.textContent = 'Heute noch keine Scans';
+            container.appendChild(empty);
+            return;
+        }
+
+        const first = active[0].Hour;
+        const last = active[active.length - 1].Hour;
+        const max = Math.max(...active.map(hour => hour.ScanCount));
+
+        hourly.filter(hour => hour.Hour >= first && hour.Hour <= last).forEach(hour => {
+            const row = document.createElement('div');
+            row.className = 'hourly-bar-row';
+
+            const label = document.createElement('span');
+            label.className = 'hourly-bar-label';
+            label.textContent = hour.FormattedHour;
+
+            const track = document.createElement('div');
+            track.className = 'hourly-bar-track';
+
+            const bar = document.createElement('div');
+            bar.className = 'hourly-bar';
+            bar.style.width = `${Math.round((hour.ScanCount / max) * 100)}%`;
+            track.appendChild(bar);
+
+            const value = document.createElement('span');
+            value.className = 'hourly-bar-value';
+            value.textContent = hour.ScanCount;
+
+            row.appendChild(label);
+            row.appendChild(track);
+            row.appendChild(value);
+            container.appendChild(row);
+        });
+    }
+
+    renderTopPerformers(topPerformers) {
+        const tableBody = document.getElementById('dashboardTopBody');
+        tableBody.innerHTML = '';
+
+        if (topPerformers.length === 0) {
+            tableBody.appendChild(this.createRow(['Heute noch keine Sessions'], 'dashboard-empty', 5));
+            return;
+        }
+
+        topPerformers.forEach(performer => {
+            tableBody.appendChild(this.createRow([
+                performer.Rank,
+                performer.FullName || performer.BenutzerName,
+                performer.TotalScans,
+                performer.TotalSessions,
+                performer.ScansPerMinute
+            ]));
+        });
+    }
+
+    // ===== HILFSFUNKTIONEN =====
+    createRow(cells, className = null, colSpan = null) {
+        const row = document.createElement('tr');
+        if (className) row.className = className;
+
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (colSpan) cell.colSpan = colSpan;
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+
+    setStatus(status, message) {
+        document.querySelector('.status-dot').className = `status-dot ${status}`;
+        document.getElementById('dashboardStatusText').textContent = message;
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+    }
+
+    formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return `${hours}:${String(minutes).padStart(2, '0')} h`;
+    }
+}
+
+// ===== APP INITIALISIERUNG =====
+document.addEventListener('DOMContentLoaded', () => {
+    window.supervisorDashboardApp = new SupervisorDashboardApp();
+});
@@ -0,0 +1,153 @@
+// rfid/rfid-listener-factory.js
+// Auswahl des RFID-Listeners per Konfiguration - seriell (falls konfiguriert) und HID zuerst, danach Tastatur-Erfassung als Fallback
+
+/**
+ * Gemeinsame Schnittstelle aller Listener:
+ *   new Listener(callback, { normalizer })
+ *   start() → Promise<boolean>, stop() → Promise, getStatus() → { listening, backend, ... }, simulateTag(tagId)
+ *   Events: 'tag' (normalisierte Tag-ID), 'invalid-tag' ({ tagId, reason }), 'error' (Error)
+ */
+
+// ===== BACKENDS =====
+
+/**
+ *   hid      - node-hid, liest den Leser direkt (rfid/rfid-listener.js)
+ *   keyboard - globale Shortcuts mit Verfügbarkeitsprüfung (rfid/rfid-listener-keyboard.js)
+ *   simple   - globale Shortcuts ohne native Dependencies (rfid/simple-rfid-listener.js)
+ *   serial   - zeilenweise Daten an einer (virtuellen) seriellen Schnittstelle (rfid/rfid-listener-serial.js)
+ */
+const RFID_BACKENDS = {
+    HID: 'hid',
+    KEYBOARD: 'keyboard',
+    SIMPLE: 'simple',
+    SERIAL: 'serial'
+};
+
+const BACKEND_MODULES = {
+    [RFID_BACKENDS.HID]: './rfid-listener',
+    [RFID_BACKENDS.KEYBOARD]: './rfid-listener-keyboard',
+    [RFID_BACKENDS.SIMPLE]: './simple-rfid-listener',
+    [RFID_BACKENDS.SERIAL]: './rfid-listener-serial'
+};
+
+/**
+ * Reihenfolge bei RFID_BACKEND=auto - und für den Fallback nach einem explizit gewählten Backend.
+ * Das serielle Backend steht nur mit RFID_SERIAL_PORT davor (ein Port lässt sich nicht erraten)
+ */
+const AUTO_BACKEND_ORDER = [RFID_BACKENDS.HID, RFID_BACKENDS.KEYBOARD, RFID_BACKENDS.SIMPLE];
+
+const RFID_LISTENER_DEFAULTS = {
+    BACKEND: 'auto',
+    FALLBACK: true
+};
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Listener-Konfiguration aus der Umgebung laden
+ *
+ *   RFID_BACKEND=auto              - auto/hid/keyboard/simple/serial
+ *   RFID_BACKEND_FALLBACK=true     - bei Fehlschlag die übrigen Backends (HID → Tastatur) versuchen
+ *
+ * @param {Object} env - Umgebungsvariablen (default: process.env)
+ * @returns {Object} - { backend, fallback, order }
+ */
+function loadRFIDListenerConfig(env = process.env) {
+    const requested = (env.RFID_BACKEND || RFID_LISTENER_DEFAULTS.BACKEND).trim().toLowerCase();
+    const backend = Object.values(RFID_BACKENDS).includes(requested) ? requested : RFID_LISTENER_DEFAULTS.BACKEND;
+    const fallback = env.RFID_BACKEND_FALLBACK === undefined || env.RFID_BACKEND_FALLBACK === '' ?
+        RFID_LISTENER_DEFAULTS.FALLBACK :
+        ['true', '1', 'yes'].includes(String(env.RFID_BACKEND_FALLBACK).trim().toLowerCase());
+
+    const autoOrder = (env.RFID_SERIAL_PORT || '').trim() ? [RFID_BACKENDS.SERIAL, ...AUTO_BACKEND_ORDER] : AUTO_BACKEND_ORDER;
+
+    let order = autoOrder;
+    if (backend !== RFID_LISTENER_DEFAULTS.BACKEND) {
+        order = fallback ? [backend, ...autoOrder.filter(entry => entry !== backend)] : [backend];
+    }
+
+    return { backend, fallback, order };
+}
+
+/**
+ * @param {string} backend - Eintrag aus RFID_BACKENDS
+ * @returns {Function} - Listener-Klasse (wirft, wenn das Modul nicht geladen werden kann)
+ */
+function loadBackend(backend) {
+    return require(BACKEND_MODULES[backend]);
+}
+
+// ===== FACTORY =====
+
+/**
+ * Backends der Reihe nach erzeugen und starten, das erste gestartete wird verwendet
+ * @param {Function} callback - Erhält die normalisierte Tag-ID (hex)
+ * @param {Object} options - { config (loadRFIDListenerConfig), normalizer }
+ * @returns {Promise<Object>} - { listener, backend, requestedBackend, fallbackUsed, attempts: [{ backend, error }] }
+ *   listener/backend sind null, wenn kein Backend gestartet werden konnte
+ */
+async function createRFIDListener(callback, options = {}) {
+    const config = options.config || loadRFIDListenerConfig();
+    const attempts = [];
+
+    for (const backend of config.order) {
+        let listener = null;
+
+        try {
+            const Listener = loadBackend(backend);
+            listener = new Listener(callback, { normalizer: options.normalizer });
+
+            // Startfehler werden als 'error' gemeldet - ohne Handler würde emit() werfen
+            let startError = null;
+            const onStartError = error => { startError = error; };
+            listener.on('error', onStartError);
+
+            const started = await listener.start();
+            listener.removeListener('error', onStartError);
+
+            if (started) {
+                attempts.push({ backend, error: null });
+                console.log(`✅ RFID-Backend aktiv: ${backend}${attempts.length > 1 ? ' (Fallback)' : ''}`);
+
+                return {
+                    listener,
+                    backend,
+                    requestedBackend: config.backend,
+                    fallbackUsed: attempts.length > 1,
+                    attempts
+                };
+            }
+
+            throw startError || new Error('Start fehlgeschlagen');
+
+        } catch (error) {
+            console.warn(`⚠️ RFID-Backend '${backend}' nicht verfügbar: ${error.message}`);
+            attempts.push({ backend, error: error.message });
+
+            if (listener) {
+                try {
+                    await listener.stop();
+                } catch (stopError) {
+                    // Backend war nicht gestartet - nichts aufzuräumen
+                }
+                listener.removeAllListeners();
+            }
+        }
+    }
+
+    return {
+        listener: null,
+        backend: null,
+        requestedBackend: config.backend,
+        fallbackUsed: false,
+        attempts
+    };
+}
+
+module.exports = {
+    RFID_BACKENDS,
+    AUTO_BACKEND_ORDER,
+    RFID_LISTENER_DEFAULTS,
+    loadRFIDListenerConfig,
+    createRFIDListener
+};
@@ -0,0 +1,434 @@
+// rfid/rfid-listener-serial.js
+// RFID-Listener für Leser an einer (virtuellen) seriellen Schnittstelle (USB CDC / COM), die Tags zeilenweise senden
+
+const fs = require('fs');
+const tty = require('tty');
+const EventEmitter = require('events');
+const TagNormalizer = require('./tag-normalizer');
+
+// ===== FRAMING & PRÜFSUMME =====
+
+/**
+ * Rahmen eines Tags im Datenstrom
+ *   line    - Zeilenende CR oder LF (auch CRLF), Standard
+ *   crlf/lf/cr - genau dieses Zeilenende
+ *   stx-etx - STX (0x02) … ETX (0x03), z.B. EM4100-Leser
+ */
+const SERIAL_FRAMINGS = {
+    line: { start: null, ends: ['\r\n', '\r', '\n'] },
+    crlf: { start: null, ends: ['\r\n'] },
+    lf: { start: null, ends: ['\n'] },
+    cr: { start: null, ends: ['\r'] },
+    'stx-etx': { start: '\x02', ends: ['\x03'] }
+};
+
+/**
+ * Prüfsumme als letztes Byte (2 Hex-Zeichen) des Rahmens
+ *   none - keine
+ *   xor  - XOR über alle Datenbytes
+ *   sum  - Summe aller Datenbytes modulo 256
+ */
+const SERIAL_CHECKSUMS = {
+    NONE: 'none',
+    XOR: 'xor',
+    SUM: 'sum'
+};
+
+const SERIAL_DEFAULTS = {
+    BAUD_RATE: 9600,
+    FRAMING: 'line',
+    CHECKSUM: SERIAL_CHECKSUMS.NONE,
+    MAX_FRAME_LENGTH: 64        // längere Daten ohne Rahmenende werden verworfen
+};
+
+/**
+ * Serielle Konfiguration aus der Umgebung laden
+ *
+ *   RFID_SERIAL_PORT=COM3           - Port bzw. Gerätepfad (/dev/ttyACM0, Pseudo-Terminal /dev/pts/N)
+ *   RFID_SERIAL_BAUD_RATE=9600      - Baudrate (gesetzt: Start schlägt fehl, wenn serialport nicht geladen werden kann)
+ *   RFID_SERIAL_FRAMING=line        - line/crlf/lf/cr/stx-etx
+ *   RFID_SERIAL_CHECKSUM=none       - none/xor/sum
+ *
+ * @param {Object} env - Umgebungsvariablen (default: process.env)
+ * @returns {Object} - { port, baudRate, baudRateExplicit, framing, checksum, minScanInterval }
+ */
+function loadSerialRFIDConfig(env = process.env) {
+    const baudRate = parseInt(env.RFID_SERIAL_BAUD_RATE, 10);
+    const framing = (env.RFID_SERIAL_FRAMING || '').trim().toLowerCase();
+    const checksum = (env.RFID_SERIAL_CHECKSUM || '').trim().toLowerCase();
+
+    return {
+        port: (env.RFID_SERIAL_PORT || '').trim() || null,
+        baudRate: baudRate > 0 ? baudRate : SERIAL_DEFAULTS.BAUD_RATE,
+        baudRateExplicit: baudRate > 0,
+        framing: SERIAL_FRAMINGS[framing] ? framing : SERIAL_DEFAULTS.FRAMING,
+        checksum: Object.values(SERIAL_CHECKSUMS).includes(checksum) ? checksum : SERIAL_DEFAULTS.CHECKSUM,
+        minScanInterval: parseFloat(env.RFID_MIN_SCAN_INTERVAL) || 1000
+    };
+}
+
+/**
+ * Gerätepfad für fs.openSync - COM-Ports lassen sich unter Windows nur als \\.\COMn öffnen
+ * @param {string} port - z.B. COM3 oder /dev/ttyACM0
+ * @param {string} platform - default: process.platform
+ * @returns {string}
+ */
+function toDevicePath(port, platform = process.platform) {
+    return platform === 'win32' && /^COM\d+$/i.test(port) ? `\\\\.\\${port}` : port;
+}
+
+/**
+ * Erstes Rahmenende im Puffer - bei gleicher Position gewinnt das längere (CRLF vor CR)
+ * @param {string} buffer - Empfangene, noch nicht ausgewertete Zeichen
+ * @param {Array<string>} ends - Rahmenende-Zeichenfolgen
+ * @returns {Object|null} - { index, length } oder null
+ */
+function findFrameEnd(buffer, ends) {
+    let found = null;
+
+    for (const end of ends) {
+        const index = buffer.indexOf(end);
+        if (index !== -1 && (!found || index < found.index || (index === found.index && end.length > found.length))) {
+            found = { index, length: end.length };
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Prüfsumme im letzten Byte prüfen und abtrennen
+ * @param {string} frame - Rahmeninhalt (hex, ohne Trennzeichen)
+ * @param {string} checksum - Eintrag aus SERIAL_CHECKSUMS
+ * @returns {string|null} - Daten ohne Prüfsumme oder null (ungültig)
+ */
+function verifyChecksum(frame, checksum) {
+    if (checksum === SERIAL_CHECKSUMS.NONE) return frame;
+    if (!/^[0-9A-F]+$/.test(frame) || frame.length % 2 !== 0 || frame.length < 4) return null;
+
+    const bytes = frame.match(/../g).map(byte => parseInt(byte, 16));
+    const expected = bytes.pop();
+    const actual = checksum === SERIAL_CHECKSUMS.XOR ?
+        bytes.reduce((value, byte) => value ^ byte, 0) :
+        bytes.reduce((value, byte) => (value + byte) % 256, 0);
+
+    return actual === expected ? frame.slice(0, -2) : null;
+}
+
+// ===== LISTENER =====
+
+class SerialRFIDListener extends EventEmitter {
+    /**
+     * @param {Function} callback - Erhält die normalisierte Tag-ID (hex)
+     * @param {Object} options - { normalizer, config (loadSerialRFIDConfig) }
+     */
+    constructor(callback = null, options = {}) {
+        super();
+
+        this.callback = callback;
+        this.normalizer = options.normalizer || new TagNormalizer();
+        this.config = options.config || loadSerialRFIDConfig();
+
+        this.port = null;       // serialport-Instanz oder Stream des Geräts
+        this.driver = null;     // 'serialport' | 'tty' | 'file'
+        this.isListening = false;
+        this.buffer = '';
+        this.lastScanTime = 0;
+
+        this.stats = {
+            totalScans: 0,
+            validScans: 0,
+            invalidScans: 0,
+            duplicateScans: 0,
+            startTime: new Date()
+        };
+
+        console.log('Serial RFID Listener initialisiert:', {
+            port: this.config.port,
+            baudRate: this.config.baudRate,
+            framing: this.config.framing,
+            checksum: this.config.checksum
+        });
+    }
+
+    async start() {
+        if (this.isListening) {
+            console.log('Serial RFID Listener läuft bereits');
+            return true;
+        }
+
+        try {
+            if (!this.config.port) {
+                throw new Error('Kein serieller Port konfiguriert (RFID_SERIAL_PORT)');
+            }
+
+            console.log(`🏷️ Starte Serial RFID Listener an ${this.config.port}...`);
+
+            this.port = await this.openPort();
+            this.buffer = '';
+
+            this.port.on('data', (chunk) => this.handleData(chunk));
+
+            this.port.on('error', (error) => {
+                console.error('❌ Serieller Port Fehler:', error.message);
+                this.stop();
+                this.emit('error', error);
+            });
+
+            this.port.on('close', () => {
+                if (!this.isListening) return;
+
+                // Gerät getrennt (z.B. USB-Leser abgezogen)
+                this.stop();
+                this.emit('error', new Error(`Serieller Port ${this.config.port} geschlossen`));
+            });
+
+            this.isListening = true;
+            this.emit('started');
+
+            console.log(`✅ Serial RFID Listener gestartet (${this.config.port}, ${this.driver})`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Serial RFID Listener Start fehlgeschlagen:', error.message);
+            this.port = null;
+            this.emit('error', error);
+            return false;
+        }
+    }
+
+    /**
+     * Port öffnen - mit dem Paket serialport (Baudrate wird eingestellt). Fehlen dessen native Bindings,
+     * wird der Port nur ohne gesetzte RFID_SERIAL_BAUD_RATE als Gerätedatei geöffnet (siehe openDeviceFile)
+     * @returns {Promise<Object>} - Readable mit 'data', 'error', 'close'
+     */
+    async openPort() {
+        let SerialPort = null;
+        try {
+            ({ SerialPort } = require('serialport'));
+        } catch (error) {
+            if (this.config.baudRateExplicit) {
+                throw new Error(`Baudrate ${this.config.baudRate} kann nicht eingestellt werden - Paket serialport nicht ladbar (${error.message})`);
+            }
+            console.warn(`⚠️ Paket serialport nicht ladbar (${error.message}) - Port wird als Gerätedatei geöffnet (Baudrate wie vom System eingestellt)`);
+        }
+
+        if (!SerialPort) {
+            return this.openDeviceFile();
+        }
+
+        const port = new SerialPort({ path: this.config.port, baudRate: this.config.baudRate, autoOpen: false });
+        await new Promise((resolve, reject) => port.open(error => (error ? reject(error) : resolve())));
+        this.driver = 'serialport';
+        return port;
+    }
+
+    /**
+     * Port direkt als Gerätedatei öffnen: Terminals (/dev/ttyACM*, /dev/ttyUSB*, Pseudo-Terminals) im Raw-Modus,
+     * alles andere als Datei-Stream
+     * @returns {Object} - Readable mit 'data', 'error', 'close'
+     */
+    openDeviceFile() {
+        const fd = fs.openSync(toDevicePath(this.config.port), fs.constants.O_RDWR | (fs.constants.O_NOCTTY || 0));
+        let stream = null;
+
+        try {
+            if (tty.isatty(fd)) {
+                stream = new tty.ReadStream(fd);
+                stream.setRawMode(true); // keine Zeilenbearbeitung, kein Echo, CR bleibt CR
+                this.driver = 'tty';
+                return stream;
+            }
+
+            stream = fs.createReadStream(null, { fd });
+            this.driver = 'file';
+            return stream;
+
+        } catch (error) {
+            // Deskriptor nicht offen lassen - ein bereits erzeugter Stream schließt ihn selbst
+            if (stream) {
+                stream.destroy();
+            } else {
+                fs.closeSync(fd);
+            }
+            throw error;
+        }
+    }
+
+    async stop() {
+        if (!this.isListening && !this.port) {
+            return;
+        }
+
+        console.log('⏹️ Stoppe Serial RFID Listener...');
+
+        const port = this.port;
+        this.port = null;
+        this.isListening = false;
+        this.buffer = '';
+
+        try {
+            if (port) {
+                if (this.driver === 'serialport') {
+                    if (port.isOpen) {
+                        await new Promise(resolve => port.close(() => resolve()));
+                    }
+                } else {
+                    port.destroy();
+                }
+            }
+
+            this.emit('stopped');
+            console.log('✅ Serial RFID Listener gestoppt');
+
+        } catch (error) {
+            console.error('❌ Fehler beim Stoppen des Serial RFID Listeners:', error);
+        }
+    }
+
+    // ===== DATENSTROM =====
+    /**
+     * Empfangene Bytes sammeln und vollständige Rahmen auswerten
+     * @param {Buffer|string} chunk - Daten vom Port
+     */
+    handleData(chunk) {
+        const framing = SERIAL_FRAMINGS[this.config.framing];
+        this.buffer += Buffer.isBuffer(chunk) ? chunk.toString('latin1') : String(chunk);
+
+        let end = findFrameEnd(this.buffer, framing.ends);
+        while (end) {
+            const frame = this.buffer.slice(0, end.index);
+            this.buffer = this.buffer.slice(end.index + end.length);
+
+            if (framing.start) {
+                // Daten vor STX sind Rauschen aus einem unvollständigen Rahmen
+                const startIndex = frame.lastIndexOf(framing.start);
+                if (startIndex === -1) {
+                    this.rejectFrame(frame, 'framing');
+                } else {
+                    this.processFrame(frame.slice(startIndex + framing.start.length));
+                }
+            } else if (frame.trim()) {
+                this.processFrame(frame);
+            }
+
+            end = findFrameEnd(this.buffer, framing.ends);
+        }
+
+        if (this.buffer.length > SERIAL_DEFAULTS.MAX_FRAME_LENGTH) {
+            const dropped = this.buffer;
+            this.buffer = '';
+            this.rejectFrame(dropped, 'overflow');
+        }
+    }
+
+    /**
+     * Einen Rahmen prüfen (Prüfsumme), normalisieren und als Tag melden
+     * @param {string} frame - Rahmeninhalt ohne Start-/Endezeichen
+     */
+    processFrame(frame) {
+        this.stats.totalScans++;
+
+        const data = verifyChecksum(frame.replace(/\s/g, '').toUpperCase(), this.config.checksum);
+        if (data === null) {
+            this.rejectFrame(frame, 'checksum', false);
+            return;
+        }
+
+        const normalized = this.normalizer.normalize(data);
+        if (!normalized.valid) {
+            this.rejectFrame(frame, normalized.reason, false);
+            return;
+        }
+
+        const tagId = normalized.tagId;
+
+        // Scan-Intervall prüfen (Leser senden einen Tag oft mehrfach, solange er im Feld liegt)
+        const now = Date.now();
+        if (now - this.lastScanTime < this.config.minScanInterval) {
+            this.stats.duplicateScans++;
+            this.emit('duplicate-scan', { tagId, interval: now - this.lastScanTime });
+            return;
+        }
+
+        this.lastScanTime = now;
+        this.stats.validScans++;
+
+        console.log(`✅ RFID Tag erkannt (seriell): ${tagId}`);
+
+        this.emit('tag', tagId);
+
+        if (this.callback && typeof this.callback === 'function') {
+            try {
+                this.callback(tagId);
+            } catch (error) {
+                console.error('Fehler im RFID-Callback:', error);
+                this.emit('callback-error', { tagId, error });
+            }
+        }
+    }
+
+    /**
+     * @param {string} frame - Verworfener Rahmen
+     * @param {string} reason - 'framing' | 'overflow' | 'checksum' | Grund des Normalizers
+     * @param {boolean} count - als Scan zählen (false, wenn processFrame bereits gezählt hat)
+     */
+    rejectFrame(frame, reason, count = true) {
+        if (count) this.stats.totalScans++;
+        this.stats.invalidScans++;
+
+        const tagId = frame.replace(/[^\x20-\x7E]/g, '').trim();
+        console.log(`❌ RFID ungültiger serieller Rahmen: "${tagId}" (${reason})`);
+        this.emit('invalid-tag', { tagId, reason });
+    }
+
+    // ===== UTILITY METHODS =====
+    getStatus() {
+        const uptime = Date.now() - this.stats.startTime.getTime();
+
+        return {
+            listening: this.isListening,
+            deviceConnected: !!this.port,
+            buffer: this.buffer,
+            lastScanTime: this.lastScanTime,
+            type: 'serial',
+            backend: 'serial',
+            driver: this.driver,
+            config: {
+                port: this.config.port,
+                baudRate: this.config.baudRate,
+                framing: this.config.framing,
+                checksum: this.config.checksum,
+                minScanInterval: this.config.minScanInterval,
+                tagNormalizer: this.normalizer.getStatus()
+            },
+            stats: {
+                ...this.stats,
+                uptime: Math.floor(uptime / 1000),
+                successRate: this.stats.totalScans > 0 ? (this.stats.validScans / this.stats.totalScans * 100) : 0
+            }
+        };
+    }
+
+    // ===== TEST & DEBUG METHODS =====
+    /**
+     * Tag wie vom Leser empfangen verarbeiten (ohne Rahmenzeichen, mit Prüfsumme falls konfiguriert)
+     * @param {string} tagId - Rahmeninhalt
+     * @returns {boolean}
+     */
+    simulateTag(tagId) {
+        console.log(`🧪 RFID Simulation (seriell): ${tagId}`);
+
+        const before = this.stats.validScans;
+        this.processFrame(String(tagId));
+
+        return this.stats.validScans > before;
+    }
+}
+
+SerialRFIDListener.SERIAL_FRAMINGS = SERIAL_FRAMINGS;
+SerialRFIDListener.SERIAL_CHECKSUMS = SERIAL_CHECKSUMS;
+SerialRFIDListener.loadSerialRFIDConfig = loadSerialRFIDConfig;
+SerialRFIDListener.toDevicePath = toDevicePath;
+
+module.exports = SerialRFIDListener;
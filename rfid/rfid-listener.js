@@ -1,10 +1,16 @@
 const EventEmitter = require('events');
+const TagNormalizer = require('./tag-normalizer');
 
 class RFIDListener extends EventEmitter {
-    constructor(callback = null) {
+    /**
+     * @param {Function} callback - Receives the normalized tag ID (hex)
+     * @param {Object} options - { normalizer } (default: TagNormalizer configured from the environment)
+     */
+    constructor(callback = null, options = {}) {
         super();
 
         this.callback = callback;
+        this.normalizer = options.normalizer || new TagNormalizer();
         this.device = null;
         this.isListening = false;
         this.buffer = '';
@@ -62,8 +68,8 @@ class RFIDListener extends EventEmitter {
             // Handle device errors
             this.device.on('error', (error) => {
                 console.error('RFID device error:', error);
-                this.emit('error', error);
                 this.stop();
+                this.emit('error', error);
             });
 
             this.isListening = true;
@@ -364,16 +370,19 @@ class RFIDListener extends EventEmitter {
             return;
         }
 
-        const tagId = this.buffer.trim();
         const originalBuffer = this.buffer;
         this.buffer = '';
 
-        // Validate tag
-        if (!this.validateTagId(tagId)) {
-            console.log(`Invalid tag format, ignoring: "${originalBuffer}"`);
+        // Normalize (reader profile) and validate tag
+        const normalized = this.normalizer.normalize(originalBuffer);
+        if (!normalized.valid) {
+            console.log(`Invalid tag format, ignoring: "${originalBuffer}" (${normalized.reason})`);
+            this.emit('invalid-tag', { tagId: originalBuffer.trim(), reason: normalized.reason });
             return;
         }
 
+        const tagId = normalized.tagId;
+
         // Check scan interval
         const now = Date.now();
         if (now - this.lastScanTime < this.minScanInterval) {
@@ -399,31 +408,12 @@ class RFIDListener extends EventEmitter {
     }
 
     validateTagId(tagId) {
-        // Validate RFID tag format
+        // Validate RFID tag format against the reader profile
         if (!tagId || typeof tagId !== 'string') {
             return false;
         }
 
-        // Remove whitespace and convert to uppercase
-        const cleanTag = tagId.trim().toUpperCase();
-
-        // Check length (typical RFID tags are 8-12 hex characters)
-        if (cleanTag.length < 8 || cleanTag.length > 12) {
-            return false;
-        }
-
-        // Check if valid hex string
-        if (!/^[0-9A-F]+$/.test(cleanTag)) {
-            return false;
-        }
-
-        // Check if convertible to number and not zero
-        try {
-            const decimal = parseInt(cleanTag, 16);
-            return decimal > 0;
-        } catch (error) {
-            return false;
-        }
+        return this.normalizer.normalize(tagId).valid;
     }
 
     // Utility methods for external use
@@ -434,11 +424,14 @@ class RFIDListener extends EventEmitter {
             buffer: this.buffer,
             lastScanTime: this.lastScanTime,
             hidModuleLoaded: !!this.HID,
+            type: 'hid',
+            backend: 'hid',
             mode: 'wareneinlagerung', // Identifiziert den Modus
             config: {
                 minScanInterval: this.minScanInterval,
                 inputTimeout: this.inputTimeout,
-                maxBufferLength: this.maxBufferLength
+                maxBufferLength: this.maxBufferLength,
+                tagNormalizer: this.normalizer.getStatus()
             }
         };
     }
@@ -454,12 +447,15 @@ class RFIDListener extends EventEmitter {
     }
 
     // Test method for debugging
-    simulateTag(tagId) {
-        if (!this.validateTagId(tagId)) {
-            console.error(`Invalid tag ID for simulation: ${tagId}`);
+    simulateTag(rawTagId) {
+        const normalized = this.normalizer.normalize(rawTagId);
+        if (!normalized.valid) {
+            console.error(`Invalid tag ID for simulation: ${rawTagId}`);
             return false;
         }
 
+        const tagId = normalized.tagId;
+
         console.log(`🧪 Simulating RFID tag für Wareneinlagerung: ${tagId}`);
 
         this.emit('tag', tagId);
@@ -3,12 +3,18 @@
 
 const { globalShortcut } = require('electron');
 const EventEmitter = require('events');
+const TagNormalizer = require('./tag-normalizer');
 
 class SimpleRFIDListener extends EventEmitter {
-    constructor(callback = null) {
+    /**
+     * @param {Function} callback - Erhält die normalisierte Tag-ID (hex)
+     * @param {Object} options - { normalizer } (default: TagNormalizer mit Konfiguration aus der Umgebung)
+     */
+    constructor(callback = null, options = {}) {
         super();
 
         this.callback = callback;
+        this.normalizer = options.normalizer || new TagNormalizer();
         this.isListening = false;
         this.buffer = '';
         this.lastInputTime = 0;
@@ -32,7 +38,8 @@ class SimpleRFIDListener extends EventEmitter {
         console.log('Simple RFID Listener initialisiert:', {
             inputTimeout: this.inputTimeout,
             minScanInterval: this.minScanInterval,
-            maxBufferLength: this.maxBufferLength
+            maxBufferLength: this.maxBufferLength,
+            tagProfile: this.normalizer.config.profile
         });
     }
 
@@ -179,23 +186,24 @@ class SimpleRFIDListener extends EventEmitter {
             return;
         }
 
-        const tagId = this.buffer.trim().toUpperCase();
         const originalBuffer = this.buffer;
         this.buffer = '';
 
-        console.log(`RFID verarbeite Buffer: "${originalBuffer}" → Tag: "${tagId}"`);
-
         // Statistiken aktualisieren
         this.stats.totalScans++;
 
-        // Tag validieren
-        if (!this.validateTag(tagId)) {
-            console.log(`❌ RFID ungültiges Tag-Format: "${tagId}"`);
+        // Tag normalisieren (Leser-Profil) und validieren
+        const normalized = this.normalizer.normalize(originalBuffer);
+        if (!normalized.valid) {
+            console.log(`❌ RFID ungültiges Tag-Format: "${originalBuffer}" (${normalized.reason})`);
             this.stats.invalidScans++;
-            this.emit('invalid-tag', { tagId, reason: 'format' });
+            this.emit('invalid-tag', { tagId: originalBuffer.trim(), reason: normalized.reason });
             return;
         }
 
+        const tagId = normalized.tagId;
+        console.log(`RFID verarbeite Buffer: "${originalBuffer}" → Tag: "${tagId}" (${normalized.format})`);
+
         // Scan-Intervall prüfen (Duplikat-Schutz)
         const now = Date.now();
         if (now - this.lastScanTime < this.minScanInterval) {
@@ -229,32 +237,12 @@ class SimpleRFIDListener extends EventEmitter {
             return false;
         }
 
-        const cleanTag = tagId.trim().toUpperCase();
-
-        // Längen-Prüfung (typische RFID-Tags: 6-14 Hex-Zeichen)
-        if (cleanTag.length < 6 || cleanTag.length > 14) {
-            console.log(`RFID Tag-Länge ungültig: ${cleanTag.length} (erwartet: 6-14)`);
-            return false;
-        }
-
-        // Hex-Format prüfen
-        if (!/^[0-9A-F]+$/.test(cleanTag)) {
-            console.log(`RFID Tag enthält ungültige Zeichen: "${cleanTag}"`);
-            return false;
+        const normalized = this.normalizer.normalize(tagId);
+        if (!normalized.valid) {
+            console.log(`RFID Tag ungültig: "${tagId}" (${normalized.reason})`);
         }
 
-        // Konvertierung zu Zahl und Null-Prüfung
-        try {
-            const decimal = parseInt(cleanTag, 16);
-            if (decimal <= 0) {
-                console.log(`RFID Tag ist Null oder negativ: ${decimal}`);
-                return false;
-            }
-            return true;
-        } catch (error) {
-            console.log(`RFID Tag-Konvertierung fehlgeschlagen: "${cleanTag}"`);
-            return false;
-        }
+        return normalized.valid;
     }
 
     // ===== UTILITY METHODS =====
@@ -268,10 +256,12 @@ class SimpleRFIDListener extends EventEmitter {
             lastScanTime: this.lastScanTime,
             registeredShortcuts: this.shortcuts.length,
             type: 'simple-keyboard',
+            backend: 'simple',
             config: {
                 minScanInterval: this.minScanInterval,
                 inputTimeout: this.inputTimeout,
-                maxBufferLength: this.maxBufferLength
+                maxBufferLength: this.maxBufferLength,
+                tagNormalizer: this.normalizer.getStatus()
             },
             stats: {
                 ...this.stats,
@@ -0,0 +1,259 @@
+// rfid/tag-normalizer.js
+// Normalisierung gelesener RFID-Tag-IDs - Leser liefern denselben Badge als Hex, mit vertauschter Byte-Reihenfolge oder dezimal
+
+// ===== LESER-PROFILE =====
+
+/**
+ * Eingabeformate
+ *   auto    - dezimal, wenn nur Ziffern in der Länge von decimalLength, sonst hex
+ *   hex     - immer hex (bisheriges Verhalten)
+ *   decimal - immer dezimal (z.B. 10-stellige Kartennummer)
+ */
+const TAG_FORMATS = {
+    AUTO: 'auto',
+    HEX: 'hex',
+    DECIMAL: 'decimal'
+};
+
+/**
+ * Vordefinierte Profile (RFID_TAG_PROFILE)
+ *   format       - Eingabeformat aus TAG_FORMATS
+ *   reverseBytes - Byte-Reihenfolge umdrehen (Leser mit LSB-first-Ausgabe)
+ *   length       - Hex-Länge, auf die mit führenden Nullen aufgefüllt wird (0 = nicht auffüllen)
+ *   prefixes     - Präfixe, die vor der Auswertung entfernt werden
+ *   suffixes     - Suffixe, die vor der Auswertung entfernt werden
+ */
+const READER_PROFILES = {
+    default: { format: TAG_FORMATS.HEX, reverseBytes: false, length: 0, prefixes: [], suffixes: [] },
+    hex8: { format: TAG_FORMATS.HEX, reverseBytes: false, length: 8, prefixes: [], suffixes: [] },
+    'hex8-reversed': { format: TAG_FORMATS.HEX, reverseBytes: true, length: 8, prefixes: [], suffixes: [] },
+    decimal10: { format: TAG_FORMATS.DECIMAL, reverseBytes: false, length: 8, prefixes: [], suffixes: [] },
+    auto: { format: TAG_FORMATS.AUTO, reverseBytes: false, length: 8, prefixes: [], suffixes: [] }
+};
+
+/**
+ * Standardwerte
+ */
+const TAG_NORMALIZER_DEFAULTS = {
+    PROFILE: 'default',
+    DECIMAL_LENGTH: 10,         // Stellen einer dezimalen Kartennummer (Format auto)
+    MIN_HEX_LENGTH: 6,
+    MAX_HEX_LENGTH: 14,
+    MATCH_EQUIVALENT: true      // Benutzer auch über gleichwertige Formen suchen
+};
+
+// Trennzeichen, die manche Leser zwischen Bytes ausgeben
+const SEPARATOR_PATTERN = /[\s:-]/g;
+
+// ===== HELPER FUNCTIONS =====
+
+/**
+ * Kommagetrennte Liste aus der Umgebung
+ * @param {string} value - z.B. "ID:,UID="
+ * @returns {Array<string>|null} - Großgeschriebene Einträge oder null (nicht gesetzt)
+ */
+function parseList(value) {
+    if (value === undefined) return null;
+
+    return String(value)
+        .split(',')
+        .map(entry => entry.trim().toUpperCase())
+        .filter(Boolean);
+}
+
+/**
+ * @param {string} value - Umgebungsvariable
+ * @returns {boolean|null} - null wenn nicht gesetzt
+ */
+function parseFlag(value) {
+    if (value === undefined || value === '') return null;
+    return ['true', '1', 'yes'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Byte-Reihenfolge einer Hex-Zeichenkette umdrehen ("04A1B2C3" → "C3B2A104")
+ * @param {string} hex - Hex-Zeichenkette (ungerade Länge wird vorne mit 0 ergänzt)
+ * @returns {string}
+ */
+function reverseHexBytes(hex) {
+    const even = hex.length % 2 === 0 ? hex : `0${hex}`;
+    return even.match(/../g).reverse().join('');
+}
+
+/**
+ * @param {string} digits - Dezimalzahl als Zeichenkette
+ * @returns {string} - Hex (großgeschrieben, ohne führende Nullen)
+ */
+function decimalToHex(digits) {
+    return BigInt(digits).toString(16).toUpperCase();
+}
+
+/**
+ * @param {string} hex - Hex-Zeichenkette
+ * @returns {string} - Dezimalzahl als Zeichenkette
+ */
+function hexToDecimal(hex) {
+    return BigInt(`0x${hex}`).toString(10);
+}
+
+/**
+ * Normalisierungs-Konfiguration aus der Umgebung laden
+ *
+ *   RFID_TAG_PROFILE=default        - default/hex8/hex8-reversed/decimal10/auto
+ *   RFID_TAG_FORMAT=auto            - überschreibt das Format des Profils (auto/hex/decimal)
+ *   RFID_TAG_REVERSE_BYTES=false    - überschreibt die Byte-Reihenfolge des Profils
+ *   RFID_TAG_LENGTH=8               - überschreibt die Hex-Länge des Profils (0 = nicht auffüllen)
+ *   RFID_TAG_PREFIX=                - zu entfernende Präfixe, kommagetrennt
+ *   RFID_TAG_SUFFIX=                - zu entfernende Suffixe, kommagetrennt
+ *   RFID_TAG_MATCH_EQUIVALENT=true  - Benutzer auch über gleichwertige Formen suchen
+ *
+ * @param {Object} env - Umgebungsvariablen (default: process.env)
+ * @returns {Object} - { profile, format, reverseBytes, length, prefixes, suffixes, decimalLength, matchEquivalent }
+ */
+function loadTagNormalizerConfig(env = process.env) {
+    const requested = (env.RFID_TAG_PROFILE || TAG_NORMALIZER_DEFAULTS.PROFILE).trim().toLowerCase();
+    const profile = READER_PROFILES[requested] ? requested : TAG_NORMALIZER_DEFAULTS.PROFILE;
+    const base = READER_PROFILES[profile];
+
+    const format = (env.RFID_TAG_FORMAT || '').trim().toLowerCase();
+    const length = parseInt(env.RFID_TAG_LENGTH, 10);
+    const reverseBytes = parseFlag(env.RFID_TAG_REVERSE_BYTES);
+    const matchEquivalent = parseFlag(env.RFID_TAG_MATCH_EQUIVALENT);
+
+    return {
+        profile,
+        format: Object.values(TAG_FORMATS).includes(format) ? format : base.format,
+        reverseBytes: reverseBytes === null ? base.reverseBytes : reverseBytes,
+        length: length >= 0 && length <= TAG_NORMALIZER_DEFAULTS.MAX_HEX_LENGTH ? length : base.length,
+        prefixes: parseList(env.RFID_TAG_PREFIX) || base.prefixes,
+        suffixes: parseList(env.RFID_TAG_SUFFIX) || base.suffixes,
+        decimalLength: TAG_NORMALIZER_DEFAULTS.DECIMAL_LENGTH,
+        matchEquivalent: matchEquivalent === null ? TAG_NORMALIZER_DEFAULTS.MATCH_EQUIVALENT : matchEquivalent
+    };
+}
+
+// ===== NORMALIZER =====
+
+/**
+ * Wandelt Roh-Eingaben eines Lesers in die kanonische Tag-ID (Hex, großgeschrieben).
+ * Reihenfolge: Präfix/Suffix und Trennzeichen entfernen → Format erkennen → dezimal→hex →
+ * Byte-Reihenfolge → auf Länge auffüllen → prüfen
+ */
+class TagNormalizer {
+    /**
+     * @param {Object} config - Ergebnis von loadTagNormalizerConfig()
+     */
+    constructor(config = loadTagNormalizerConfig()) {
+        this.config = config;
+    }
+
+    /**
+     * @param {string} raw - Eingabe des Lesers
+     * @returns {Object} - { valid, tagId, raw, format, reason }
+     */
+    normalize(raw) {
+        const input = String(raw === undefined || raw === null ? '' : raw);
+        const invalid = reason => ({ valid: false, tagId: null, raw: input, format: null, reason });
+
+        let value = this.stripAffixes(input.trim().toUpperCase()).replace(SEPARATOR_PATTERN, '');
+        if (!value) return invalid('empty');
+
+        if (value.startsWith('0X')) {
+            value = value.slice(2);
+        }
+
+        const format = this.detectFormat(value);
+
+        if (format === TAG_FORMATS.DECIMAL) {
+            if (!/^\d+$/.test(value)) return invalid('format');
+            value = decimalToHex(value);
+        } else if (!/^[0-9A-F]+$/.test(value)) {
+            return invalid('format');
+        }
+
+        if (this.config.reverseBytes) {
+            value = reverseHexBytes(value);
+        }
+
+        value = value.padStart(this.config.length, '0');
+
+        if (value.length < TAG_NORMALIZER_DEFAULTS.MIN_HEX_LENGTH || value.length > TAG_NORMALIZER_DEFAULTS.MAX_HEX_LENGTH) {
+            return invalid('length');
+        }
+
+        if (!(parseInt(value, 16) > 0)) {
+            return invalid('zero');
+        }
+
+        return { valid: true, tagId: value, raw: input, format, reason: null };
+    }
+
+    /**
+     * @param {string} value - Großgeschriebene Eingabe ohne Trennzeichen
+     * @returns {string} - TAG_FORMATS.HEX | TAG_FORMATS.DECIMAL
+     */
+    detectFormat(value) {
+        if (this.config.format !== TAG_FORMATS.AUTO) {
+            return this.config.format;
+        }
+
+        return /^\d+$/.test(value) && value.length === this.config.decimalLength ? TAG_FORMATS.DECIMAL : TAG_FORMATS.HEX;
+    }
+
+    stripAffixes(value) {
+        let result = value;
+
+        const prefix = this.config.prefixes.find(entry => result.startsWith(entry));
+        if (prefix) result = result.slice(prefix.length);
+
+        const suffix = this.config.suffixes.find(entry => result.endsWith(entry));
+        if (suffix) result = result.slice(0, result.length - suffix.length);
+
+        return result;
+    }
+
+    /**
+     * Gleichwertige Formen einer kanonischen Tag-ID - nur die, die das eingestellte Leser-Profil erzeugen kann,
+     * für Badges, die vor dem Profilwechsel angelernt wurden:
+     *   1. die Tag-ID selbst
+     *   2. ohne Umdrehen der Byte-Reihenfolge (nur Profile mit reverseBytes)
+     *   3. die Dezimal-Kartennummer als Hex gelesen (nur Format decimal/auto, bisheriges Verhalten dezimal ausgebender Leser)
+     * Passen mehrere Formen auf verschiedene Benutzer, entscheidet der Aufrufer nicht selbst (siehe main.js findUsersByTag)
+     * @param {string} tagId - Kanonische Tag-ID (hex)
+     * @returns {Array<string>} - Hex-Formen ohne Duplikate (gleicher Zahlenwert zählt als Duplikat)
+     */
+    getEquivalentForms(tagId) {
+        const forms = [tagId];
+
+        if (this.config.matchEquivalent && /^[0-9A-F]+$/.test(tagId || '')) {
+            if (this.config.reverseBytes) {
+                forms.push(reverseHexBytes(tagId));
+            }
+
+            if (this.config.format !== TAG_FORMATS.HEX) {
+                const decimal = hexToDecimal(tagId).padStart(this.config.decimalLength, '0');
+                if (decimal.length <= TAG_NORMALIZER_DEFAULTS.MAX_HEX_LENGTH) {
+                    forms.push(decimal);
+                }
+            }
+        }
+
+        const seen = new Set();
+        return forms.filter(form => {
+            const key = parseInt(form, 16);
+            if (!(key > 0) || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    getStatus() {
+        return { ...this.config };
+    }
+}
+
+TagNormalizer.TAG_FORMATS = TAG_FORMATS;
+TagNormalizer.READER_PROFILES = READER_PROFILES;
+TagNormalizer.loadTagNormalizerConfig = loadTagNormalizerConfig;
+
+module.exports = TagNormalizer;
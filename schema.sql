@@ -1,5 +1,10 @@
 -- Datenbank Schema für RFID Wareneinlagerung System
 -- Microsoft SQL Server
+--
+-- HINWEIS: Dieses Skript ist veraltet (Name/StartTime/EndTime/QrCode/ScanTime).
+-- Maßgeblich ist db/migrations/ - die Migrationen laufen beim App-Start bzw. per
+-- "npm run db:migrate" und gleichen mit diesem Skript angelegte Datenbanken an
+-- (Migration 002: BenutzerName/xStatus, StartTS/EndTS, RawPayload/CapturedTS/Valid, SessionTypes).
 
 -- Datenbank erstellen (falls nicht vorhanden)
 IF NOT EXISTS (SELECT name FROM sys.databases WHERE name = 'WareneinlagerungDB')
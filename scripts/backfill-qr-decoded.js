@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * RFID QR Wareneinlagerung - Backfill dekodierter QR-Spalten
+ * Dekodiert Bestands-Scans ohne DecodedFormat und füllt AuftragsNr, PaketNr, KundenID
+ *
+ * Verwendung:
+ *   npm run db:backfill-qr                         Alle offenen Zeilen nachtragen
+ *   npm run db:backfill-qr -- --batch-size=1000    Batchgröße anpassen (Standard 500)
+ */
+
+const DatabaseClient = require('../db/db-client');
+
+function getArgValue(name, fallback) {
+    const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : fallback;
+}
+
+async function main() {
+    const batchSize = parseInt(getArgValue('batch-size', '500'), 10);
+    const dbClient = new DatabaseClient();
+
+    try {
+        await dbClient.connect();
+
+        const result = await dbClient.backfillDecodedColumns({
+            batchSize,
+            onProgress: ({ processed, updated }) => {
+                console.log(`   ${processed} Zeilen verarbeitet, ${updated} dekodiert`);
+            }
+        });
+
+        console.log();
+        console.log(`Verarbeitet: ${result.processed}`);
+        console.log(`Dekodiert: ${result.updated}`);
+        console.log(`Ausstehend: ${result.remaining}`);
+
+        return result.remaining === 0;
+    } finally {
+        await dbClient.close();
+    }
+}
+
+main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+        console.error('❌ Backfill fehlgeschlagen:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * RFID QR Wareneinlagerung - Stundenzettel-Export
+ * Netto-Arbeitszeit je Benutzer und Tag bzw. Woche als CSV (Spalten/Rundung: TIMESHEET_* in .env)
+ *
+ * Verwendung:
+ *   npm run timesheet                                          Laufender Monat, Tage, Ausgabe auf stdout
+ *   npm run timesheet -- --from=2026-10-01 --to=2026-10-31     Zeitraum (Bis inklusive)
+ *   npm run timesheet -- --layout=weeks                        Eine Zeile je Benutzer und Kalenderwoche
+ *   npm run timesheet -- --user=12                             Nur ein Benutzer
+ *   npm run timesheet -- --out=stundenzettel.csv               In Datei schreiben
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const DatabaseClient = require('../db/db-client');
+const TimesheetGenerator = require('../db/reports/timesheet');
+const { TIMESHEET_LAYOUTS } = require('../db/constants/timesheet');
+
+function getArgValue(name, fallback) {
+    const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : fallback;
+}
+
+async function main() {
+    const now = new Date();
+    const startDate = getArgValue('from', new Date(now.getFullYear(), now.getMonth(), 1).toLocaleDateString('sv-SE'));
+    const endDate = getArgValue('to', now.toLocaleDateString('sv-SE'));
+    const layout = getArgValue('layout', TIMESHEET_LAYOUTS.DAYS);
+    const userId = parseInt(getArgValue('user', ''), 10) || null;
+    const outFile = getArgValue('out', null);
+
+    if (!Object.values(TIMESHEET_LAYOUTS).includes(layout)) {
+        throw new Error(`Unbekanntes Layout '${layout}' (erlaubt: ${Object.values(TIMESHEET_LAYOUTS).join(', ')})`);
+    }
+
+    const dbClient = new DatabaseClient();
+
+    try {
+        await dbClient.connect();
+
+        const generator = new TimesheetGenerator(dbClient);
+        const timesheet = await generator.generate({ startDate, endDate, userId });
+        const csv = generator.toCSV(timesheet, layout);
+        const rows = layout === TIMESHEET_LAYOUTS.WEEKS ? timesheet.weeks.length : timesheet.days.length;
+
+        if (outFile) {
+            fs.writeFileSync(outFile, csv, 'utf8');
+            console.error(`Stundenzettel ${timesheet.period.startDate} bis ${timesheet.period.endDate}: ${rows} Zeilen → ${outFile}`);
+        } else {
+            process.stdout.write(csv);
+        }
+
+        return true;
+    } finally {
+        await dbClient.close();
+    }
+}
+
+main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+        console.error('❌ Stundenzettel-Export fehlgeschlagen:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * RFID QR Wareneinlagerung - Datenbank-Migrationen
+ * Führt ausstehende Migrationen des konfigurierten Backends (DB_BACKEND) aus und meldet Spalten-Drift
+ *
+ * Verwendung:
+ *   npm run db:migrate            Migrationen anwenden
+ *   npm run db:migrate -- --check Nur prüfen, nichts ändern
+ */
+
+const { createBackend } = require('../db/backends');
+
+async function main() {
+    const checkOnly = process.argv.includes('--check');
+    const backend = createBackend();
+    const connection = backend.createConnection();
+
+    // Migrationen laufen hier explizit, nicht implizit beim Verbinden
+    connection.autoMigrate = false;
+
+    try {
+        await connection.connect();
+
+        const runner = backend.createMigrationRunner(connection);
+        const result = await runner.run({ apply: !checkOnly });
+
+        console.log();
+        console.log(`Backend: ${backend.name}`);
+        console.log(`Schema-Version: ${result.currentVersion}`);
+        console.log(`Angewendet: ${result.applied.map(m => `${m.version} (${m.name})`).join(', ') || '-'}`);
+        console.log(`Ausstehend: ${result.pending.map(m => `${m.version} (${m.name})`).join(', ') || '-'}`);
+        console.log(`Spalten-Drift: ${result.columnDrift.length === 0 ? 'keine' : `${result.columnDrift.length} Tabelle(n)`}`);
+
+        return !result.error && result.pending.length === 0 && result.columnDrift.length === 0;
+    } finally {
+        await connection.close();
+    }
+}
+
+main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+        console.error('❌ Migration fehlgeschlagen:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * RFID QR Wareneinlagerung - Rolle eines Benutzers setzen
+ * Für die Ersteinrichtung: ohne Administrator lässt sich die Benutzerverwaltung nicht freigeben
+ *
+ * Verwendung:
+ *   npm run users:role -- --user=12 --role=admin         Rolle setzen (worker | shift_lead | admin)
+ */
+
+const DatabaseClient = require('../db/db-client');
+
+function getArgValue(name, fallback) {
+    const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : fallback;
+}
+
+async function main() {
+    const userId = parseInt(getArgValue('user', ''), 10);
+    const role = getArgValue('role', '');
+
+    if (Number.isNaN(userId) || !role) {
+        console.error('Verwendung: npm run users:role -- --user=<ID> --role=<worker|shift_lead|admin>');
+        return false;
+    }
+
+    const dbClient = new DatabaseClient();
+
+    try {
+        await dbClient.connect();
+
+        const result = await dbClient.setUserRole(userId, role, { source: 'cli' });
+        console.log(result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+
+        return result.success;
+    } finally {
+        await dbClient.close();
+    }
+}
+
+main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+        console.error('❌ Rolle setzen fehlgeschlagen:', error.message);
+        process.exit(1);
+    });
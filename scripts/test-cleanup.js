@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+/**
+ * RFID QR Wareneinlagerung - Aufräumen nach den Tests
+ * Entfernt Test-Artefakte im Projektverzeichnis (siehe .gitignore "Test specific"), läuft als posttest
+ *
+ * Verwendung:
+ *   npm run test:cleanup
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+function main() {
+    const targets = [
+        path.join(ROOT, 'test-cache'),
+        ...fs.readdirSync(ROOT)
+            .filter(name => /^test-.*\.tmp$/.test(name))
+            .map(name => path.join(ROOT, name))
+    ];
+
+    let removed = 0;
+    for (const target of targets) {
+        if (fs.existsSync(target)) {
+            fs.rmSync(target, { recursive: true, force: true });
+            removed++;
+        }
+    }
+
+    console.log(`Test-Aufräumen: ${removed} Artefakt(e) entfernt`);
+}
+
+main();
@@ -0,0 +1,373 @@
+// shared/qr-parsers.js
+// Zentrale QR-Payload-Parser-Registry - gemeinsam genutzt von Main-Prozess (require) und Renderer (<script>)
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.QRParsers = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Kernfelder, die alle Parser auf dieselben Namen abbilden
+    const FIELD_NAMES = ['auftrags_nr', 'paket_nr', 'kunden_id', 'kunden_name'];
+
+    const AUFTRAG_PATTERN = /[A-Z]{2}-\d+/;
+    const PAKET_PATTERN = /\d{10,}/;
+
+    /**
+     * Liest ein Feld anhand seiner Mapping-Regel aus
+     *   number           - Index im getrennten Payload (Caret/Stern)
+     *   string[]         - Alternative Schlüssel im JSON-Objekt
+     *   RegExp|RegExp[]  - Erste Capture-Gruppe (oder ganzer Treffer), erste passende Regel gewinnt
+     * @param {*} rule - Mapping-Regel
+     * @param {Object} source - { raw, parts, json }
+     * @returns {string} - Feldwert oder ''
+     */
+    function extractField(rule, source) {
+        if (typeof rule === 'number') {
+            return (source.parts?.[rule] || '').trim();
+        }
+
+        const rules = Array.isArray(rule) ? rule : [rule];
+
+        for (const entry of rules) {
+            if (typeof entry === 'string') {
+                const value = source.json?.[entry];
+                if (value !== undefined && value !== null && String(value).trim()) {
+                    return String(value).trim();
+                }
+            } else if (entry instanceof RegExp) {
+                const match = source.raw.match(entry);
+                if (match) {
+                    return (match[1] !== undefined ? match[1] : match[0]).trim();
+                }
+            }
+        }
+
+        return '';
+    }
+
+    function tryParseJSON(raw) {
+        try {
+            const parsed = JSON.parse(raw);
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ===== STANDARD-PARSER =====
+    // Reihenfolge über priority (höher = zuerst).
+    // Caret-Format: mindestens 4 durch '^' getrennte Felder (Index ab 0) - Feld 0 wird nicht ausgewertet,
+    // Feld 1 = Auftragsnummer, Feld 2 = Kunden-ID, Feld 3 = Paketnummer, weitere Felder werden ignoriert.
+    const DEFAULT_PARSERS = [
+        {
+            name: 'caret',
+            label: 'Caret-Format',
+            icon: '🔸',
+            priority: 100,
+            baseConfidence: 0.95,
+            separator: '^',
+            detect: (raw) => raw.includes('^') && raw.split('^').length >= 4,
+            fieldMap: { auftrags_nr: 1, kunden_id: 2, paket_nr: 3 }
+        },
+        {
+            name: 'star',
+            label: 'Stern-Format',
+            icon: '⭐',
+            priority: 90,
+            baseConfidence: 0.9,
+            separator: '*',
+            detect: (raw) => raw.includes('*') && raw.split('*').length >= 4,
+            fieldMap: { auftrags_nr: 1, kunden_id: 2, paket_nr: 3 }
+        },
+        {
+            name: 'json',
+            label: 'JSON',
+            icon: '🧾',
+            priority: 80,
+            baseConfidence: 0.9,
+            detect: (raw) => raw.trim().startsWith('{') && tryParseJSON(raw) !== null,
+            fieldMap: {
+                auftrags_nr: ['auftrags_nr', 'auftrag', 'order', 'auftragsId'],
+                paket_nr: ['paket_nr', 'paket', 'package', 'paketId'],
+                kunden_id: ['kunden_id', 'kundenId', 'customerId'],
+                kunden_name: ['kunden_name', 'kunde', 'customer']
+            }
+        },
+        {
+            name: 'kundenname_text',
+            label: 'Etikett mit Kundenname',
+            icon: '👤',
+            priority: 70,
+            baseConfidence: 0.8,
+            detect: (raw) => raw.includes('KUNDENNAME:'),
+            fieldMap: {
+                kunden_name: /KUNDENNAME:\s*([^\n]*?)\s*(?=PAKET-NR|AUFTRAG|\n|$)/,
+                auftrags_nr: [AUFTRAG_PATTERN, /Referenz:\s+([A-Z0-9-]+)/],
+                paket_nr: [PAKET_PATTERN, /Tracking:\s+(\d+)/]
+            }
+        },
+        {
+            name: 'reference_tracking',
+            label: 'Referenz/Tracking',
+            icon: '🚚',
+            priority: 60,
+            baseConfidence: 0.75,
+            detect: (raw) => /(?:Referenz|Tracking):\s+/.test(raw),
+            fieldMap: {
+                auftrags_nr: [/Referenz:\s+([A-Z0-9-]+)/, AUFTRAG_PATTERN],
+                paket_nr: [/Tracking:\s+(\d+)/, PAKET_PATTERN]
+            }
+        },
+        {
+            name: 'pattern',
+            label: 'Mustererkennung',
+            icon: '🔍',
+            priority: 10,
+            baseConfidence: 0.5,
+            detect: (raw) => AUFTRAG_PATTERN.test(raw) || PAKET_PATTERN.test(raw),
+            fieldMap: {
+                auftrags_nr: AUFTRAG_PATTERN,
+                paket_nr: PAKET_PATTERN
+            }
+        }
+    ];
+
+    /**
+     * Registry für QR-Payload-Parser
+     * Ein Parser: { name, label, icon, priority, baseConfidence, detect(raw), fieldMap, separator? }
+     */
+    class QRParserRegistry {
+        constructor(parsers = []) {
+            this.parsers = [];
+            parsers.forEach(parser => this.register(parser));
+        }
+
+        // ===== REGISTRIERUNG =====
+        register(parser) {
+            if (!parser || !parser.name || typeof parser.detect !== 'function' || !parser.fieldMap) {
+                throw new Error('QR-Parser benötigt name, detect() und fieldMap');
+            }
+
+            this.unregister(parser.name);
+            this.parsers.push({ priority: 0, baseConfidence: 0.5, ...parser });
+            this.parsers.sort((a, b) => b.priority - a.priority);
+
+            return this;
+        }
+
+        unregister(name) {
+            this.parsers = this.parsers.filter(parser => parser.name !== name);
+        }
+
+        getParser(name) {
+            return this.parsers.find(parser => parser.name === name) || null;
+        }
+
+        getParserNames() {
+            return this.parsers.map(parser => parser.name);
+        }
+
+        // ===== PARSEN =====
+        /**
+         * Erkennt das Format und liest die Felder aus
+         * @param {string} raw - Roher QR-Code-Inhalt
+         * @returns {Object} - { format, fields, confidence }
+         */
+        parse(raw) {
+            const emptyResult = { format: 'unknown', fields: {}, confidence: 0 };
+
+            if (!raw || typeof raw !== 'string') {
+                return emptyResult;
+            }
+
+            for (const parser of this.parsers) {
+                let detected = false;
+                try {
+                    detected = parser.detect(raw);
+                } catch (error) {
+                    detected = false;
+                }
+                if (!detected) continue;
+
+                const source = {
+                    raw,
+                    parts: parser.separator ? raw.split(parser.separator) : null,
+                    json: raw.trim().startsWith('{') ? tryParseJSON(raw) : null
+                };
+
+                const fields = {};
+                const mappedFields = Object.keys(parser.fieldMap);
+                mappedFields.forEach(fieldName => {
+                    const value = extractField(parser.fieldMap[fieldName], source);
+                    if (value) {
+                        fields[fieldName] = value;
+                    }
+                });
+
+                const foundCount = Object.keys(fields).length;
+                if (foundCount === 0) continue;
+
+                // Konfidenz: Basiswert des Formats, gewichtet mit dem Anteil gefundener Felder
+                const coverage = foundCount / mappedFields.length;
+                const confidence = Math.round(parser.baseConfidence * (0.5 + 0.5 * coverage) * 100) / 100;
+
+                return { format: parser.name, fields, confidence };
+            }
+
+            return emptyResult;
+        }
+
+        /**
+         * Legacy-Form für bestehende Aufrufer und gespeicherte DecodedData
+         * @param {Object} result - Ergebnis von parse()
+         * @param {string} raw - Roher QR-Code-Inhalt
+         * @returns {Object} - { auftrags_nr, paket_nr, kunden_name, kunden_id, original_data, format, confidence }
+         */
+        toDecodedData(result, raw) {
+            const fields = result?.fields || {};
+
+            return {
+                auftrags_nr: fields.auftrags_nr || '',
+                paket_nr: fields.paket_nr || '',
+                kunden_name: fields.kunden_name || (fields.kunden_id ? `Kunden-ID: ${fields.kunden_id}` : ''),
+                kunden_id: fields.kunden_id || '',
+                original_data: raw,
+                format: result?.format || 'unknown',
+                confidence: result?.confidence || 0
+            };
+        }
+
+        /**
+         * Parsen und direkt in Legacy-Form liefern
+         * @param {string} raw - Roher QR-Code-Inhalt
+         * @returns {Object} - Dekodierte Daten
+         */
+        decode(raw) {
+            return this.toDecodedData(this.parse(raw), raw);
+        }
+
+        // ===== ANZEIGE =====
+        /**
+         * Format-Badge für Listen (Icon, Name, Farbe, Beschreibung)
+         * @param {Object} result - Ergebnis von parse() oder Legacy-DecodedData
+         * @returns {Object} - { icon, name, color, description, format, confidence }
+         */
+        getQRCodeFormat(result) {
+            const fields = this.normalizeFields(result);
+            const format = result?.format || 'unknown';
+            const parser = this.getParser(format);
+
+            if (!parser) {
+                return {
+                    icon: '📄',
+                    name: 'Unbekannt',
+                    color: 'gray',
+                    description: 'Unstrukturierte Daten',
+                    format,
+                    confidence: 0
+                };
+            }
+
+            const hasAuftrag = !!fields.auftrags_nr;
+            const hasPaket = !!fields.paket_nr;
+
+            let color = 'blue';
+            let description = fields.kunden_name || fields.kunden_id ? 'Nur Kunde' : 'Unstrukturiert';
+            if (hasAuftrag && hasPaket) {
+                color = 'green';
+                description = 'Auftrag + Paket';
+            } else if (hasAuftrag || hasPaket) {
+                color = 'orange';
+                description = hasAuftrag ? 'Nur Auftrag' : 'Nur Paket';
+            }
+
+            return {
+                icon: parser.icon || '📄',
+                name: parser.label || parser.name,
+                color,
+                description,
+                format,
+                confidence: result?.confidence || 0
+            };
+        }
+
+        /**
+         * Anzeige-Informationen für dekodierte Daten (Felder, Titel, Zusammenfassung)
+         * @param {Object} result - Ergebnis von parse() oder Legacy-DecodedData
+         * @returns {Object} - { hasData, icon, title, fields, summary, quality, formatType, confidence }
+         */
+        formatDecodedData(result) {
+            const fields = this.normalizeFields(result);
+            const kunde = fields.kunden_name || (fields.kunden_id ? `Kunden-ID: ${fields.kunden_id}` : '');
+
+            const displayFields = [];
+            if (fields.auftrags_nr) {
+                displayFields.push({ label: 'Auftrag', value: fields.auftrags_nr, type: 'auftrag', icon: '📋' });
+            }
+            if (fields.paket_nr) {
+                displayFields.push({ label: 'Paket', value: fields.paket_nr, type: 'paket', icon: '📦' });
+            }
+            if (kunde) {
+                displayFields.push({ label: 'Kunde', value: kunde, type: 'kunde', icon: '👤' });
+            }
+
+            let icon = '📄';
+            let title = 'Unstrukturierte Daten';
+            let quality = 'minimal';
+
+            if (fields.auftrags_nr && fields.paket_nr) {
+                icon = '📦';
+                title = 'Vollständige Paketinformationen';
+                quality = 'complete';
+            } else if (fields.auftrags_nr || fields.paket_nr) {
+                icon = '📋';
+                title = 'Teilweise Paketinformationen';
+                quality = 'partial';
+            } else if (kunde) {
+                icon = '👤';
+                title = 'Kundeninformationen';
+                quality = 'customer';
+            }
+
+            const summary = displayFields.length > 0
+                ? displayFields.map(field => field.type === 'kunde' ? field.value : `${field.label}: ${field.value}`).join(' • ')
+                : 'Keine strukturierten Daten erkannt';
+
+            return {
+                hasData: displayFields.length > 0,
+                icon,
+                title,
+                fields: displayFields,
+                summary,
+                quality,
+                formatType: result?.format || result?.format_type || 'unknown',
+                confidence: result?.confidence || 0
+            };
+        }
+
+        // Akzeptiert sowohl { fields } aus parse() als auch flache Legacy-DecodedData
+        normalizeFields(result) {
+            if (!result || typeof result !== 'object') return {};
+
+            const source = result.fields && !Array.isArray(result.fields) ? result.fields : result;
+            const fields = {};
+            FIELD_NAMES.forEach(name => {
+                if (typeof source[name] === 'string' && source[name].trim()) {
+                    fields[name] = source[name].trim();
+                }
+            });
+
+            return fields;
+        }
+    }
+
+    const registry = new QRParserRegistry(DEFAULT_PARSERS);
+    registry.QRParserRegistry = QRParserRegistry;
+    registry.FIELD_NAMES = FIELD_NAMES;
+
+    return registry;
+});
@@ -0,0 +1,9 @@
+// tests/setup.js
+// Gemeinsame Einstellungen aller Jest-Tests (setupFilesAfterEnv in jest.config.js)
+
+process.env.NODE_ENV = 'test';
+
+// Module protokollieren ausführlich per console.log - im Test nur Warnungen und Fehler ausgeben
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
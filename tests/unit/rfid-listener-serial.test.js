@@ -0,0 +1,117 @@
+// tests/unit/rfid-listener-serial.test.js
+// Serieller RFID-Listener gegen ein Pseudo-Terminal: Rahmen mit gültiger und falscher Prüfsumme
+
+const { spawn, spawnSync } = require('child_process');
+const SerialRFIDListener = require('../../rfid/rfid-listener-serial');
+const TagNormalizer = require('../../rfid/tag-normalizer');
+
+// Öffnet ein Pseudo-Terminal im Raw-Modus, gibt den Pfad der Slave-Seite aus und
+// schreibt alles von stdin auf die Master-Seite (wie ein Leser an /dev/ttyACM0)
+const PTY_RELAY = `
+import os, pty, sys, tty
+master, slave = pty.openpty()
+tty.setraw(slave)
+print(os.ttyname(slave), flush=True)
+while True:
+    data = os.read(0, 1024)
+    if not data:
+        break
+    os.write(master, data)
+`;
+
+const hasPty = process.platform !== 'win32' && spawnSync('python3', ['-c', 'import pty']).status === 0;
+
+/**
+ * @returns {Promise<Object>} - { relay (Kindprozess), path (Slave-Seite) }
+ */
+function openPty() {
+    return new Promise((resolve, reject) => {
+        const relay = spawn('python3', ['-c', PTY_RELAY]);
+        relay.once('error', reject);
+        relay.stdout.once('data', data => resolve({ relay, path: data.toString().trim() }));
+    });
+}
+
+/**
+ * @param {EventEmitter} listener - Serieller Listener
+ * @param {string} event - Erwartetes Event
+ * @returns {Promise<*>} - Daten des Events
+ */
+function nextEvent(listener, event) {
+    return new Promise(resolve => listener.once(event, resolve));
+}
+
+(hasPty ? describe : describe.skip)('SerialRFIDListener am Pseudo-Terminal', () => {
+    let pty;
+    let listener;
+
+    beforeEach(async () => {
+        pty = await openPty();
+
+        const config = SerialRFIDListener.loadSerialRFIDConfig({
+            RFID_SERIAL_PORT: pty.path,
+            RFID_SERIAL_FRAMING: 'stx-etx',
+            RFID_SERIAL_CHECKSUM: 'xor',
+            RFID_MIN_SCAN_INTERVAL: '1'
+        });
+        const normalizer = new TagNormalizer(TagNormalizer.loadTagNormalizerConfig({ RFID_TAG_PROFILE: 'hex8' }));
+
+        listener = new SerialRFIDListener(null, { config, normalizer });
+        expect(await listener.start()).toBe(true);
+    });
+
+    afterEach(async () => {
+        await listener.stop();
+        pty.relay.stdin.end();
+    });
+
+    test('Rahmen mit gültiger Prüfsumme meldet tag', async () => {
+        const tag = nextEvent(listener, 'tag');
+
+        // 12 ^ 34 ^ 56 ^ 78 = 08
+        pty.relay.stdin.write('\x021234567808\x03');
+
+        await expect(tag).resolves.toBe('12345678');
+        expect(listener.getStatus()).toMatchObject({ driver: 'serialport', stats: { validScans: 1 } });
+    });
+
+    test('Rahmen mit falscher Prüfsumme meldet invalid-tag', async () => {
+        const invalid = nextEvent(listener, 'invalid-tag');
+        const onTag = jest.fn();
+        listener.on('tag', onTag);
+
+        pty.relay.stdin.write('\x021234567809\x03');
+
+        await expect(invalid).resolves.toEqual({ tagId: '1234567809', reason: 'checksum' });
+        expect(onTag).not.toHaveBeenCalled();
+    });
+});
+
+describe('SerialRFIDListener ohne serialport', () => {
+    afterEach(() => {
+        jest.dontMock('serialport');
+    });
+
+    test('gesetzte Baudrate lässt den Start fehlschlagen', async () => {
+        jest.resetModules();
+        jest.doMock('serialport', () => {
+            throw new Error('Bindings fehlen');
+        });
+        const Listener = require('../../rfid/rfid-listener-serial');
+
+        const listener = new Listener(null, {
+            config: Listener.loadSerialRFIDConfig({ RFID_SERIAL_PORT: '/dev/ttyACM0', RFID_SERIAL_BAUD_RATE: '115200' })
+        });
+        const onError = jest.fn();
+        listener.on('error', onError);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await listener.start()).toBe(false);
+        expect(onError.mock.calls[0][0].message).toMatch(/Baudrate 115200 kann nicht eingestellt werden/);
+    });
+
+    test('COM-Ports werden unter Windows als Gerätepfad geöffnet', () => {
+        expect(SerialRFIDListener.toDevicePath('COM3', 'win32')).toBe('\\\\.\\COM3');
+        expect(SerialRFIDListener.toDevicePath('/dev/ttyACM0', 'linux')).toBe('/dev/ttyACM0');
+    });
+});